@@ -7,6 +7,10 @@ import { RootSiblingParent } from 'react-native-root-siblings';
 import * as SplashScreen from 'expo-splash-screen';
 import MapScreen from './screens/MapScreen';
 import PastJourneysScreen from './screens/PastJourneysScreen';
+import JourneyDetailScreen from './screens/JourneyDetailScreen';
+import ImportJourneysScreen from './screens/ImportJourneysScreen';
+import TrashScreen from './screens/TrashScreen';
+import DeleteAccountScreen from './screens/DeleteAccountScreen';
 import DiscoveriesScreen from './screens/DiscoveriesScreen';
 import SavedPlacesScreen from './screens/SavedPlacesScreen';
 import SocialScreen from './screens/SocialScreen';
@@ -80,6 +84,42 @@ function MainDrawer() {
           ),
         }}
       />
+      <Drawer.Screen 
+        name="JourneyDetail" 
+        component={JourneyDetailScreen}
+        options={{
+          title: "Journey",
+          // Opened from Past Journeys, not listed in the drawer
+          drawerItemStyle: { display: 'none' },
+        }}
+      />
+      <Drawer.Screen 
+        name="ImportJourneys" 
+        component={ImportJourneysScreen}
+        options={{
+          title: "Import Walks",
+          // Opened from Past Journeys, not listed in the drawer
+          drawerItemStyle: { display: 'none' },
+        }}
+      />
+      <Drawer.Screen 
+        name="Trash" 
+        component={TrashScreen}
+        options={{
+          title: "Trash",
+          // Opened from Past Journeys, not listed in the drawer
+          drawerItemStyle: { display: 'none' },
+        }}
+      />
+      <Drawer.Screen 
+        name="DeleteAccount" 
+        component={DeleteAccountScreen}
+        options={{
+          title: "Delete Account",
+          // Opened from Settings, not listed in the drawer
+          drawerItemStyle: { display: 'none' },
+        }}
+      />
       <Drawer.Screen 
         name="Discoveries" 
         component={DiscoveriesScreen}
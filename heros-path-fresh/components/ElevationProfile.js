@@ -0,0 +1,120 @@
+/*
+ * ELEVATION PROFILE COMPONENT
+ * ===========================
+ *
+ * PURPOSE:
+ * Draws a journey's elevation profile (altitude against distance) as a simple area-style
+ * bar chart, with the lowest/highest altitude and total distance as axis labels. Built
+ * from plain Views so it needs no charting or SVG library.
+ *
+ * FUNCTIONALITY:
+ * - Scales bars between the profile's min and max altitude
+ * - Keeps a small floor so flat walks still show a visible line
+ * - Adapts to the current theme colors
+ * - Renders nothing useful for routes without altitude (shows a hint instead)
+ *
+ * RELATIONSHIPS:
+ * - Used by JourneyDetailScreen.js
+ * - Profiles come from ElevationUtils.buildElevationProfile (stored on the journey)
+ *
+ * REFERENCES:
+ * - ThemeContext.js (for theme-aware colors)
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Add touch scrubbing - show altitude/distance at the touched point
+ * 2. Highlight the position on the map when scrubbing the chart
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { getFallbackTheme, Spacing, Typography } from '../styles/theme';
+
+const MIN_RANGE = 10; // metres - flatter profiles are drawn against a 10m range
+
+function formatDistance(metres) {
+  return metres >= 1000 ? `${(metres / 1000).toFixed(1)} km` : `${Math.round(metres)} m`;
+}
+
+export default function ElevationProfile({ profile, height = 120 }) {
+  const { getCurrentThemeColors } = useTheme();
+  const colors = getCurrentThemeColors() || getFallbackTheme();
+
+  if (!profile || profile.length < 2) {
+    return (
+      <Text style={[styles.emptyText, { color: colors.textSecondary }]}>
+        No elevation data was recorded for this journey.
+      </Text>
+    );
+  }
+
+  const altitudes = profile.map(point => point.altitude);
+  const min = Math.min(...altitudes);
+  const max = Math.max(...altitudes);
+  const range = Math.max(max - min, MIN_RANGE);
+  const totalDistance = profile[profile.length - 1].distance;
+
+  return (
+    <View accessible accessibilityLabel={`Elevation profile from ${Math.round(min)} to ${Math.round(max)} metres`}>
+      <View style={styles.chartRow}>
+        <View style={[styles.axis, { height }]}>
+          <Text style={[styles.axisLabel, { color: colors.textSecondary }]}>{Math.round(max)} m</Text>
+          <Text style={[styles.axisLabel, { color: colors.textSecondary }]}>{Math.round(min)} m</Text>
+        </View>
+        <View style={[styles.chart, { height, borderColor: colors.border }]}>
+          {profile.map((point, index) => (
+            <View
+              key={index}
+              style={[
+                styles.bar,
+                {
+                  height: Math.max(2, ((point.altitude - min) / range) * (height - 4) + 2),
+                  backgroundColor: colors.primary,
+                },
+              ]}
+            />
+          ))}
+        </View>
+      </View>
+      <View style={styles.distanceRow}>
+        <Text style={[styles.axisLabel, { color: colors.textSecondary }]}>0</Text>
+        <Text style={[styles.axisLabel, { color: colors.textSecondary }]}>{formatDistance(totalDistance)}</Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chartRow: {
+    flexDirection: 'row',
+  },
+  axis: {
+    width: 40,
+    justifyContent: 'space-between',
+    paddingRight: Spacing.xs,
+  },
+  axisLabel: {
+    ...Typography.caption,
+    fontSize: 11,
+  },
+  chart: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    borderBottomWidth: 1,
+    borderLeftWidth: 1,
+  },
+  bar: {
+    flex: 1,
+    opacity: 0.7,
+  },
+  distanceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginLeft: 40,
+  },
+  emptyText: {
+    ...Typography.caption,
+    fontStyle: 'italic',
+  },
+});
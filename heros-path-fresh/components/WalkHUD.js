@@ -0,0 +1,103 @@
+/*
+ * WALK HUD COMPONENT
+ * ==================
+ *
+ * PURPOSE:
+ * A compact heads-up display shown over the map while a walk is recording: distance so
+ * far, moving and total time, current and average pace, and the last completed split.
+ *
+ * FUNCTIONALITY:
+ * - Renders the live stats object from BackgroundLocationService.getLiveStats()
+ * - Shows "Paused" / "Auto-paused" instead of a current pace while stopped
+ * - Shows the pace of the latest completed kilometre (or mile) split
+ * - Adapts to the current theme colors
+ *
+ * RELATIONSHIPS:
+ * - Used by MapScreen.js, which refreshes the stats on every fix and once a second
+ * - Numbers are formatted by JourneyFormatters.js
+ *
+ * REFERENCES:
+ * - ThemeContext.js (for theme-aware colors)
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Let users choose which fields the HUD shows
+ * 2. Add spoken split announcements
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../contexts/ThemeContext';
+import { getFallbackTheme, Spacing, Typography } from '../styles/theme';
+import { formatClock, formatDistance, formatPace } from '../utils/JourneyFormatters';
+
+export default function WalkHUD({ stats, style }) {
+  const { getCurrentThemeColors } = useTheme();
+  const colors = getCurrentThemeColors() || getFallbackTheme();
+
+  if (!stats) {
+    return null;
+  }
+
+  const lastSplit = stats.splits[stats.splits.length - 1];
+  let currentPace = formatPace(stats.currentPace, stats.unit);
+  if (stats.isPaused) {
+    currentPace = 'Paused';
+  } else if (stats.isAutoPaused) {
+    currentPace = 'Auto-paused';
+  }
+
+  const fields = [
+    ['Distance', formatDistance(stats.distance, stats.unit)],
+    ['Moving', formatClock(stats.movingTime)],
+    ['Total', formatClock(stats.elapsedTime)],
+    ['Pace', currentPace],
+    ['Avg pace', formatPace(stats.averagePace, stats.unit)],
+  ];
+
+  return (
+    <View
+      style={[styles.container, { backgroundColor: colors.surface, borderColor: colors.border }, style]}
+      accessible
+      accessibilityLabel={`Walk stats: ${fields.map(([label, value]) => `${label} ${value}`).join(', ')}`}
+    >
+      {fields.map(([label, value]) => (
+        <View key={label} style={styles.field}>
+          <Text style={[styles.label, { color: colors.textSecondary }]}>{label}</Text>
+          <Text style={[styles.value, { color: colors.text }]}>{value}</Text>
+        </View>
+      ))}
+      {lastSplit && (
+        <Text style={[styles.split, { color: colors.primary }]}>
+          {`${stats.unit} ${lastSplit.index}: ${formatPace(lastSplit.pace, stats.unit)}`}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: Spacing.sm,
+    borderRadius: 8,
+    borderWidth: 1,
+    minWidth: 150,
+    opacity: 0.95,
+  },
+  field: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    ...Typography.caption,
+    marginRight: Spacing.sm,
+  },
+  value: {
+    ...Typography.caption,
+    fontWeight: '600',
+  },
+  split: {
+    ...Typography.caption,
+    fontWeight: '600',
+    marginTop: Spacing.xs,
+  },
+});
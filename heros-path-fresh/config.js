@@ -17,6 +17,7 @@ import {
   GOOGLE_WEB_CLIENT_ID as ENV_GOOGLE_WEB_CLIENT_ID,
   GOOGLE_IOS_REVERSED_CLIENT_ID as ENV_GOOGLE_IOS_REVERSED_CLIENT_ID,
   GOOGLE_ANDROID_CLIENT_ID as ENV_GOOGLE_ANDROID_CLIENT_ID,
+  PLACES_PROVIDER as ENV_PLACES_PROVIDER,
 } from '@env';
 
 // Get environment variables from EAS build or fallback to .env file
@@ -34,6 +35,7 @@ const envMap = {
   'GOOGLE_WEB_CLIENT_ID': ENV_GOOGLE_WEB_CLIENT_ID,
   'GOOGLE_IOS_REVERSED_CLIENT_ID': ENV_GOOGLE_IOS_REVERSED_CLIENT_ID,
   'GOOGLE_ANDROID_CLIENT_ID': ENV_GOOGLE_ANDROID_CLIENT_ID,
+  'PLACES_PROVIDER': ENV_PLACES_PROVIDER,
 };
 
 const getEnvVar = (key) => {
@@ -73,4 +75,7 @@ export const FIREBASE_MEASUREMENT_ID = getEnvVar('FIREBASE_MEASUREMENT_ID') || '
 
 export const GOOGLE_WEB_CLIENT_ID = getEnvVar('GOOGLE_WEB_CLIENT_ID') || '';
 export const GOOGLE_IOS_CLIENT_ID = getEnvVar('GOOGLE_IOS_REVERSED_CLIENT_ID') || '';
-export const GOOGLE_ANDROID_CLIENT_ID = getEnvVar('GOOGLE_ANDROID_CLIENT_ID') || '';
\ No newline at end of file
+export const GOOGLE_ANDROID_CLIENT_ID = getEnvVar('GOOGLE_ANDROID_CLIENT_ID') || '';
+
+// Where place data comes from: 'google' (default), 'google_legacy' or 'fixture' (offline sample places)
+export const PLACES_PROVIDER = getEnvVar('PLACES_PROVIDER') || 'google';
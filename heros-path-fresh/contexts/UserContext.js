@@ -15,7 +15,7 @@
  * - Provides social features: friends lists, user search, friend management
  * - Manages data migration between app versions and data formats
  * - Creates default profiles for new users with stats and preferences
- * - Handles sign-in, sign-out, and session management
+ * - Handles sign-in, sign-out, account deletion, and session management
  * - Provides loading states for authentication, profile operations, and migrations
  * - Integrates with UserProfileService for all profile-related operations
  * 
@@ -83,6 +83,11 @@ import { onAuthStateChanged, signOut } from 'firebase/auth';
 import { auth } from '../firebase';
 import UserProfileService from '../services/UserProfileService';
 import DataMigrationService from '../services/DataMigrationService';
+import JourneyService from '../services/JourneyService';
+import DeletionService from '../services/DeletionService';
+import AccountDeletionService from '../services/AccountDeletionService';
+import JourneySyncService from '../services/JourneySyncService';
+import DiscoveryJobService from '../services/DiscoveryJobService';
 import Logger from '../utils/Logger';
 
 const UserContext = createContext();
@@ -114,6 +119,9 @@ export const UserProvider = ({ children }) => {
         unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
           setUser(firebaseUser);
           if (firebaseUser) {
+            // Upload walks saved offline - started first, as it needs no network to begin
+            JourneySyncService.start(firebaseUser.uid);
+
             // Load user profile from Firestore
             const result = await UserProfileService.getUserProfile(firebaseUser.uid);
             if (!result.success || !result.profile) {
@@ -146,6 +154,7 @@ export const UserProvider = ({ children }) => {
             // Check and handle data migration
             await checkAndHandleMigration(firebaseUser.uid);
           } else {
+            JourneySyncService.stop();
             setUserProfile(null);
           }
           setLoading(false);
@@ -246,6 +255,20 @@ export const UserProvider = ({ children }) => {
     }
   };
 
+  // Delete the account and all of its data - the user must have re-authenticated first
+  const deleteAccount = async (options = {}) => {
+    if (!user) {
+      throw new Error('User must be authenticated to delete account');
+    }
+
+    const result = await AccountDeletionService.deleteAccount(user, options);
+    if (result.success) {
+      setUser(null);
+      setUserProfile(null);
+    }
+    return result;
+  };
+
   // Refresh user profile
   const refreshProfile = async () => {
     if (user) {
@@ -327,6 +350,31 @@ export const UserProvider = ({ children }) => {
         setMigrationStatus(prev => ({ ...prev, migrationResult }));
         Logger.debug('Migration completed:', migrationResult);
       }
+
+      // Journeys saved with inline routes move to chunked route storage
+      const routeStorageResult = await DataMigrationService.migrateRouteStorage(userId);
+      if (!routeStorageResult.alreadyMigrated) {
+        Logger.debug('Route storage migration completed:', routeStorageResult);
+      }
+
+      // Deletions interrupted last session (app closed, network lost) finish now
+      try {
+        await DeletionService.resumePendingDeletion(userId);
+      } catch (resumeError) {
+        Logger.error('Failed to resume pending deletion:', resumeError);
+      }
+
+      // Journeys in the Trash for over 30 days are deleted for good
+      try {
+        await JourneyService.purgeExpiredTrashIfDue(userId);
+      } catch (purgeError) {
+        Logger.error('Failed to purge expired trash:', purgeError);
+      }
+
+      // Discovery consolidation interrupted or failed last session - runs in the background
+      DiscoveryJobService.resumePendingJobs(userId).catch(jobError => {
+        Logger.error('Failed to resume discovery jobs:', jobError);
+      });
     } catch (error) {
       console.error('Error during migration check:', error);
       setError('Migration failed: ' + error.message);
@@ -381,6 +429,7 @@ export const UserProvider = ({ children }) => {
     createOrUpdateProfile,
     updateProfile,
     signOutUser,
+    deleteAccount,
     refreshProfile,
     searchUsers,
     getFriendsList,
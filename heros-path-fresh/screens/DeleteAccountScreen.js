@@ -0,0 +1,299 @@
+/*
+ * DELETE ACCOUNT SCREEN
+ * =====================
+ *
+ * PURPOSE:
+ * Lets the user delete their Hero's Path account for good. It first shows exactly what
+ * will be removed (a dry run that changes nothing), then asks the user to confirm who
+ * they are - password or Google - before deleting everything, including the sign-in
+ * account itself.
+ *
+ * FUNCTIONALITY:
+ * - Shows counts of journeys, discoveries, saved and dismissed places, ping results,
+ *   friend links and local data that will be deleted
+ * - Re-authenticates with the password (email accounts) or Google
+ * - Runs the deletion and shows which step it is on
+ * - Explains what to do if the deletion stops part way
+ *
+ * WHY IT EXISTS:
+ * Users must be able to delete their account and location history from inside the
+ * app, and should see what that means before it happens.
+ *
+ * RELATIONSHIPS:
+ * - Opened from SettingsScreen.js (Account section)
+ * - Uses AccountDeletionService.js for the summary and re-authentication
+ * - UserContext.js deleteAccount runs the deletion and signs the user out
+ *
+ * REFERENCES:
+ * - expo-auth-session (Google re-authentication, as in SignInScreen.js)
+ * - ThemeContext.js (for styling)
+ */
+import React, { useState, useCallback, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import * as Google from 'expo-auth-session/providers/google';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { getFallbackTheme } from '../styles/theme';
+import AccountDeletionService, { REAUTH_PROVIDERS } from '../services/AccountDeletionService';
+import Card from '../components/ui/Card';
+import AppButton from '../components/ui/AppButton';
+import SectionHeader from '../components/ui/SectionHeader';
+import Logger from '../utils/Logger';
+
+import {
+  GOOGLE_WEB_CLIENT_ID,
+  GOOGLE_IOS_CLIENT_ID,
+  GOOGLE_ANDROID_CLIENT_ID
+} from '../config';
+
+const PHASE_LABELS = {
+  journeys: 'Deleting journeys and discoveries',
+  pingData: 'Deleting ping history',
+  friends: 'Removing you from friend lists',
+  profile: 'Deleting your profile',
+  auth: 'Deleting your sign-in account',
+  localData: 'Clearing data on this device',
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export default function DeleteAccountScreen({ navigation }) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [password, setPassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const { user, deleteAccount } = useUser();
+  const { getCurrentThemeColors } = useTheme();
+  const colors = getCurrentThemeColors() || getFallbackTheme();
+
+  const provider = AccountDeletionService.getReauthProvider(user);
+
+  const [request, response, promptAsync] = Google.useAuthRequest({
+    expoClientId: GOOGLE_WEB_CLIENT_ID,
+    iosClientId: GOOGLE_IOS_CLIENT_ID,
+    androidClientId: GOOGLE_ANDROID_CLIENT_ID,
+    scopes: ['profile', 'email', 'openid'],
+  });
+
+  useFocusEffect(
+    useCallback(() => {
+      loadSummary();
+    }, [user])
+  );
+
+  // Google re-authentication comes back through the auth session response
+  useEffect(() => {
+    if (response?.type === 'success') {
+      confirmAndDelete({ googleAccessToken: response.authentication?.accessToken });
+    } else if (response?.type === 'error') {
+      Alert.alert('Google Sign-In Failed', response.error?.message || 'Could not confirm your Google account.');
+    }
+  }, [response]);
+
+  async function loadSummary() {
+    if (!user) {
+      setSummary(null);
+      return;
+    }
+
+    setLoading(true);
+    const result = await AccountDeletionService.getDeletionSummary(user);
+    setSummary(result.success ? result.summary : null);
+    if (!result.success) {
+      Alert.alert('Error', 'Could not check what will be deleted. Please try again.');
+    }
+    setLoading(false);
+  }
+
+  // Re-authenticate, then delete - Firebase only deletes accounts that signed in recently
+  const confirmAndDelete = async (credentials) => {
+    setDeleting(true);
+    try {
+      const reauth = await AccountDeletionService.reauthenticate(user, credentials);
+      if (!reauth.success) {
+        Alert.alert('Could Not Confirm It\'s You', reauth.code === 'auth/wrong-password' || reauth.code === 'auth/invalid-credential'
+          ? 'The password is incorrect.'
+          : reauth.error || 'Please try again.');
+        return;
+      }
+
+      const result = await deleteAccount({ onProgress: ({ phase }) => setProgress(phase) });
+      if (result.success) {
+        // App.js shows the sign-in screen once the user is gone
+        Alert.alert('Account Deleted', 'Your account and all of its data have been deleted.');
+        return;
+      }
+
+      Logger.error('DeleteAccountScreen: Account deletion stopped', result);
+      Alert.alert(
+        'Deletion Not Finished',
+        result.needsReauth
+          ? 'Please confirm it\'s you again to finish deleting your account.'
+          : `Deletion stopped while ${(PHASE_LABELS[result.phase] || 'deleting').toLowerCase()}. Your sign-in account has been kept so you can try again.`
+      );
+      await loadSummary();
+    } catch (error) {
+      Logger.error('DeleteAccountScreen: Account deletion failed', error);
+      Alert.alert('Error', 'Failed to delete account. Please try again.');
+    } finally {
+      setDeleting(false);
+      setProgress(null);
+    }
+  };
+
+  const startDeletion = () => {
+    Alert.alert(
+      'Delete Account?',
+      'Your account and everything listed will be permanently deleted. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete Account',
+          style: 'destructive',
+          onPress: () => {
+            if (provider === REAUTH_PROVIDERS.PASSWORD) {
+              confirmAndDelete({ password });
+            } else {
+              promptAsync();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const summaryLines = summary ? [
+    plural(summary.journeys, 'journey') + (summary.trashedJourneys > 0 ? ` (${summary.trashedJourneys} in the Trash)` : ''),
+    `${summary.discoveries} ${summary.discoveries === 1 ? 'discovery' : 'discoveries'}` +
+      (summary.savedPlaces > 0 ? ` (${summary.savedPlaces} saved)` : ''),
+    plural(summary.dismissed, 'dismissed place'),
+    plural(summary.pingResults, 'ping result'),
+    summary.pingData > 0 ? 'Your ping history' : null,
+    summary.friendLinks > 0 ? `You will be removed from ${plural(summary.friendLinks, 'friend list')}` : null,
+    summary.hasProfile ? 'Your profile, preferences and privacy zones' : null,
+    `${plural(summary.localDataKeys, 'item')} stored on this device`,
+    `Your sign-in account${summary.email ? ` (${summary.email})` : ''}`,
+  ].filter(Boolean) : [];
+
+  const canDelete = !!summary && !deleting &&
+    (provider === REAUTH_PROVIDERS.PASSWORD ? password.length > 0 : provider === REAUTH_PROVIDERS.GOOGLE && !!request);
+
+  return (
+    <ScrollView style={[styles.container, { backgroundColor: colors.background }]}>
+      <SectionHeader title="Delete Account" />
+      <Text style={[styles.hint, { color: colors.textSecondary }]}>
+        Deleting your account removes everything below from Hero's Path. Nothing is deleted until you confirm.
+      </Text>
+
+      {loading ? (
+        <ActivityIndicator size="large" style={{ marginTop: 40 }} color={colors.primary} />
+      ) : summary && (
+        <Card style={styles.card}>
+          <Text style={[styles.cardTitle, { color: colors.text }]}>What will be deleted</Text>
+          {summaryLines.map(line => (
+            <Text key={line} style={[styles.summaryLine, { color: colors.text }]}>{`• ${line}`}</Text>
+          ))}
+        </Card>
+      )}
+
+      {provider === REAUTH_PROVIDERS.PASSWORD && (
+        <TextInput
+          style={[styles.input, { color: colors.text, borderColor: colors.border }]}
+          placeholder="Enter your password to confirm"
+          placeholderTextColor={colors.textSecondary}
+          value={password}
+          onChangeText={setPassword}
+          secureTextEntry
+          editable={!deleting}
+          accessibilityLabel="Password"
+        />
+      )}
+      {provider === REAUTH_PROVIDERS.GOOGLE && (
+        <Text style={[styles.hint, { color: colors.textSecondary }]}>
+          You'll be asked to sign in with Google to confirm it's you.
+        </Text>
+      )}
+      {!provider && user && (
+        <Text style={[styles.hint, { color: colors.error }]}>
+          Your sign-in method can't be confirmed in the app. Sign out and back in, then try again.
+        </Text>
+      )}
+
+      {deleting && (
+        <View style={styles.progressRow}>
+          <ActivityIndicator size="small" color={colors.primary} />
+          <Text style={[styles.progressText, { color: colors.text }]}>
+            {progress ? `${PHASE_LABELS[progress]}...` : 'Confirming it\'s you...'}
+          </Text>
+        </View>
+      )}
+
+      <AppButton
+        title={deleting ? 'Deleting...' : 'Delete My Account'}
+        variant="danger"
+        onPress={startDeletion}
+        disabled={!canDelete}
+        style={styles.button}
+      />
+      <AppButton
+        title="Cancel"
+        variant="secondary"
+        onPress={() => navigation.goBack()}
+        disabled={deleting}
+        style={styles.button}
+      />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  hint: {
+    fontSize: 13,
+    marginVertical: 8,
+  },
+  card: {
+    marginVertical: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  summaryLine: {
+    fontSize: 14,
+    marginVertical: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginVertical: 8,
+    fontSize: 16,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 8,
+  },
+  progressText: {
+    marginLeft: 8,
+    fontSize: 14,
+  },
+  button: {
+    marginVertical: 8,
+  },
+});
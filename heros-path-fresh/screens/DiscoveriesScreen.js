@@ -13,9 +13,12 @@
  * - Loads and displays places discovered along completed walking routes
  * - Provides swipe gestures for quick save/dismiss actions on discovered places
  * - Handles undo functionality for both save and dismiss operations
+ * - Hides dismissed places for 30 days or forever; lapsed dismissals are cleared on load
+ *   so those places come back
  * - Manages journey completion status tracking based on user interactions
  * - Integrates with AI summary generation for enhanced place information
  * - Provides filtering and categorization of discoveries by place type
+ * - Sorts discoveries by ranking score and shows why each one was suggested
  * - Handles onboarding for new users with guided discovery workflows
  * - Manages performance optimization with smart caching and API call reduction
  * - Provides comprehensive error handling and loading states
@@ -42,6 +45,7 @@
  * 
  * RELATIONSHIPS:
  * - Uses DiscoveriesService.js for place discovery and API coordination
+ * - Uses DiscoveryRanking.js to sort by score and explain it
  * - Works with DiscoveryService.js for data persistence and management
  * - Integrates with JourneyService.js for journey completion tracking
  * - Uses NewPlacesService.js for AI summaries and enhanced place data
@@ -138,6 +142,8 @@ import {
 } from 'firebase/firestore';
 import { db } from '../firebase';
 import Logger from '../utils/Logger';
+import { explainScore, sortByScore } from '../utils/DiscoveryRanking';
+import { getDismissalExpiry } from '../utils/DismissalExpiry';
 import Card from '../components/ui/Card';
 import ListItem from '../components/ui/ListItem';
 import AppButton from '../components/ui/AppButton';
@@ -151,6 +157,26 @@ const ONBOARDING_KEY = 'discoveries_onboarding_shown';
 // const DUMMY_DISMISSED_PLACES = [...];
 // const DUMMY_DISCOVERED_PLACES = [...];
 
+// Convert a Firestore discovery to suggestion format
+// Ranking fields are top-level on consolidated discoveries and inside placeData on ones saved from this screen
+const discoveryToSuggestion = discovery => ({
+  placeId: discovery.placeId,
+  name: discovery.placeData?.name || discovery.placeName || 'Unknown Place',
+  types: discovery.placeData?.types || [discovery.placeType || 'unknown'],
+  rating: discovery.placeData?.rating,
+  userRatingsTotal: discovery.placeData?.userRatingsTotal,
+  photos: discovery.placeData?.photos || [],
+  formatted_address: discovery.placeData?.formatted_address,
+  latitude: discovery.location?.lat,
+  longitude: discovery.location?.lng,
+  category: discovery.placeType || 'unknown',
+  score: discovery.score ?? discovery.placeData?.score ?? null,
+  scoreBreakdown: discovery.scoreBreakdown || discovery.placeData?.scoreBreakdown || null,
+  distanceFromRoute: discovery.distanceFromRoute ?? discovery.placeData?.distanceFromRoute ?? null,
+  fromFirestore: true, // Flag to identify Firestore-sourced suggestions
+  discoveryId: discovery.id // Keep the discovery ID for updates
+});
+
 export default function DiscoveriesScreen({ navigation, route }) {
   const { user, migrationStatus } = useUser();
   const { getCurrentThemeColors } = useTheme();
@@ -252,19 +278,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
           discovery => !discovery.saved && !discovery.dismissed
         );
         
-        const firestoreSuggestions = unreviewed.map(discovery => ({
-          placeId: discovery.placeId,
-          name: discovery.placeData?.name || discovery.placeName || 'Unknown Place',
-          types: discovery.placeData?.types || [discovery.placeType || 'unknown'],
-          rating: discovery.placeData?.rating,
-          photos: discovery.placeData?.photos || [],
-          formatted_address: discovery.placeData?.formatted_address,
-          latitude: discovery.location?.lat,
-          longitude: discovery.location?.lng,
-          category: discovery.placeType || 'unknown',
-          fromFirestore: true,
-          discoveryId: discovery.id
-        }));
+        const firestoreSuggestions = unreviewed.map(discoveryToSuggestion);
         
         allSuggestions = firestoreSuggestions;
       }
@@ -621,6 +635,9 @@ export default function DiscoveriesScreen({ navigation, route }) {
       });
       
       try {
+        // Put places whose "30 days" dismissal has lapsed back up for review before loading
+        await DiscoveryService.clearExpiredDismissals(user.uid);
+
         // First, load existing discoveries from Firestore for this journey
         Logger.error('DISCOVERIES_SCREEN', 'Loading existing discoveries from Firestore for journey:', selectedRoute.id);
         const journeyDiscoveries = await DiscoveryService.getJourneyDiscoveries(user.uid, selectedRoute.id);
@@ -657,19 +674,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
           });
           
           // Convert Firestore discoveries to suggestion format
-          const firestoreSuggestions = unreviewed.map(discovery => ({
-            placeId: discovery.placeId,
-            name: discovery.placeData?.name || discovery.placeName || 'Unknown Place',
-            types: discovery.placeData?.types || [discovery.placeType || 'unknown'],
-            rating: discovery.placeData?.rating,
-            photos: discovery.placeData?.photos || [],
-            formatted_address: discovery.placeData?.formatted_address,
-            latitude: discovery.location?.lat,
-            longitude: discovery.location?.lng,
-            category: discovery.placeType || 'unknown',
-            fromFirestore: true, // Flag to identify Firestore-sourced suggestions
-            discoveryId: discovery.id // Keep the discovery ID for updates
-          }));
+          const firestoreSuggestions = unreviewed.map(discoveryToSuggestion);
           
           allSuggestions = firestoreSuggestions;
           
@@ -744,19 +749,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
                       discovery => !discovery.saved && !discovery.dismissed
                     );
                     
-                    const updatedFirestoreSuggestions = unreviewed.map(discovery => ({
-                      placeId: discovery.placeId,
-                      name: discovery.placeData?.name || discovery.placeName || 'Unknown Place',
-                      types: discovery.placeData?.types || [discovery.placeType || 'unknown'],
-                      rating: discovery.placeData?.rating,
-                      photos: discovery.placeData?.photos || [],
-                      formatted_address: discovery.placeData?.formatted_address,
-                      latitude: discovery.location?.lat,
-                      longitude: discovery.location?.lng,
-                      category: discovery.placeType || 'unknown',
-                      fromFirestore: true,
-                      discoveryId: discovery.id
-                    }));
+                    const updatedFirestoreSuggestions = unreviewed.map(discoveryToSuggestion);
                     
                     allSuggestions = updatedFirestoreSuggestions;
                   }
@@ -855,19 +848,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
                       discovery => !discovery.saved && !discovery.dismissed
                     );
                     
-                    const updatedFirestoreSuggestions = unreviewed.map(discovery => ({
-                      placeId: discovery.placeId,
-                      name: discovery.placeData?.name || discovery.placeName || 'Unknown Place',
-                      types: discovery.placeData?.types || [discovery.placeType || 'unknown'],
-                      rating: discovery.placeData?.rating,
-                      photos: discovery.placeData?.photos || [],
-                      formatted_address: discovery.placeData?.formatted_address,
-                      latitude: discovery.location?.lat,
-                      longitude: discovery.location?.lng,
-                      category: discovery.placeType || 'unknown',
-                      fromFirestore: true,
-                      discoveryId: discovery.id
-                    }));
+                    const updatedFirestoreSuggestions = unreviewed.map(discoveryToSuggestion);
                     
                     allSuggestions = updatedFirestoreSuggestions;
                   }
@@ -956,6 +937,13 @@ export default function DiscoveriesScreen({ navigation, route }) {
   const showOnboardingAgain = () => setShowOnboarding(true);
 
   // Helper function to format time ago
+  // How long a dismissed place stays hidden
+  const formatDismissalExpiry = (place) => {
+    const expiresAt = getDismissalExpiry(place);
+    if (place.dismissedForever) return 'Forever';
+    return expiresAt ? `Back on ${new Date(expiresAt).toLocaleDateString()}` : '30 days';
+  };
+
   const formatTimeAgo = (timestamp) => {
     if (!timestamp) return 'Unknown time ago';
     
@@ -1023,19 +1011,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
             discovery => !discovery.saved && !discovery.dismissed
           );
           
-          const firestoreSuggestions = unreviewed.map(discovery => ({
-            placeId: discovery.placeId,
-            name: discovery.placeData?.name || discovery.placeName || 'Unknown Place',
-            types: discovery.placeData?.types || [discovery.placeType || 'unknown'],
-            rating: discovery.placeData?.rating,
-            photos: discovery.placeData?.photos || [],
-            formatted_address: discovery.placeData?.formatted_address,
-            latitude: discovery.location?.lat,
-            longitude: discovery.location?.lng,
-            category: discovery.placeType || 'unknown',
-            fromFirestore: true,
-            discoveryId: discovery.id
-          }));
+          const firestoreSuggestions = unreviewed.map(discoveryToSuggestion);
           
           allSuggestions = firestoreSuggestions;
         }
@@ -1088,19 +1064,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
             discovery => !discovery.saved && !discovery.dismissed
           );
           
-          const firestoreSuggestions = unreviewed.map(discovery => ({
-            placeId: discovery.placeId,
-            name: discovery.placeData?.name || discovery.placeName || 'Unknown Place',
-            types: discovery.placeData?.types || [discovery.placeType || 'unknown'],
-            rating: discovery.placeData?.rating,
-            photos: discovery.placeData?.photos || [],
-            formatted_address: discovery.placeData?.formatted_address,
-            latitude: discovery.location?.lat,
-            longitude: discovery.location?.lng,
-            category: discovery.placeType || 'unknown',
-            fromFirestore: true,
-            discoveryId: discovery.id
-          }));
+          const firestoreSuggestions = unreviewed.map(discoveryToSuggestion);
           
           allSuggestions = firestoreSuggestions;
         }
@@ -1300,8 +1264,8 @@ export default function DiscoveriesScreen({ navigation, route }) {
     return null;
   };
 
-  // Filter suggestions based on selected type
-  const filteredSuggestions = filterType && filterType !== 'all' 
+  // Filter suggestions based on selected type, best score first
+  const filteredSuggestions = sortByScore(filterType && filterType !== 'all' 
     ? suggestions.filter(place => {
         // Handle both new API and legacy API place type structures
         const placeTypes = place.types || [];
@@ -1339,7 +1303,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
         
         return matches;
       })
-    : suggestions;
+    : suggestions);
 
   // Log filter results
   Logger.filter('DISCOVERIES_SCREEN', 'FILTER_RESULTS', filterType || 'all', {
@@ -1433,6 +1397,12 @@ export default function DiscoveriesScreen({ navigation, route }) {
             </Text>
           )}
 
+          {explainScore(item).length > 0 && (
+            <Text style={[styles.whySuggested, { color: colors.textSecondary }]} numberOfLines={2}>
+              Why suggested: {explainScore(item).join(' • ')}
+            </Text>
+          )}
+
           {/* AI Summary Section */}
           {aiSummaries[item.placeId] && !aiSummaries[item.placeId].noSummary && !aiSummaries[item.placeId].error ? (
             <View style={[styles.summaryContainer, { backgroundColor: colors.surface }]}>
@@ -1928,7 +1898,7 @@ export default function DiscoveriesScreen({ navigation, route }) {
                       {place.placeData?.types?.[0] || place.placeType || 'Unknown type'}
                     </Text>
                     <Text style={[styles.manageHistoryItemTime, { color: colors.textSecondary }]}>
-                      Dismissed {formatTimeAgo(place.dismissedAt)} • {place.dismissedForever ? 'Forever' : '30 days'}
+                      Dismissed {formatTimeAgo(place.dismissedAt)} • {formatDismissalExpiry(place)}
                     </Text>
                   </View>
                   <View style={styles.manageHistoryItemActions}>
@@ -2082,6 +2052,11 @@ const styles = StyleSheet.create({
     marginBottom: Spacing.xs / 2,
   },
   meta: { ...Typography.body, color: Colors.tabInactive },
+  whySuggested: {
+    ...Typography.body,
+    fontSize: 12,
+    marginTop: Spacing.xs / 2,
+  },
   link: { ...Typography.body, color: Colors.primary, marginTop: Spacing.xs },
   action: {
     justifyContent: 'center',
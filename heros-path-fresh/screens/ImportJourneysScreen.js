@@ -0,0 +1,241 @@
+/*
+ * IMPORT JOURNEYS SCREEN
+ * ======================
+ *
+ * PURPOSE:
+ * Imports walks from GPX, TCX or GeoJSON files recorded in other apps. The user picks
+ * a file, reviews every track found in it - with duplicates and timestamp problems
+ * flagged - and chooses which ones to save as journeys.
+ *
+ * FUNCTIONALITY:
+ * - Picks a file and previews its tracks (date, distance, moving time, points)
+ * - Flags tracks that duplicate saved journeys or other tracks in the same file
+ * - Lists skipped, out-of-order and future timestamps; tracks that can't be imported
+ *   can't be selected
+ * - Optionally searches for discoveries along each imported route
+ * - Saves the selected tracks and returns to Past Journeys
+ *
+ * WHY IT EXISTS:
+ * Saving straight from a file would import duplicates and broken tracks without the
+ * user ever seeing them.
+ *
+ * RELATIONSHIPS:
+ * - Opened from PastJourneysScreen.js
+ * - Uses JourneyImportService.js for picking, previewing and saving
+ *
+ * REFERENCES:
+ * - UserContext.js (for the signed-in user)
+ * - ThemeContext.js (for styling)
+ * - JourneyFormatters.js (for shared number formatting)
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Show each track's route on a small map
+ * 2. Let users rename tracks before saving
+ */
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Switch,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { getFallbackTheme } from '../styles/theme';
+import JourneyImportService from '../services/JourneyImportService';
+import Card from '../components/ui/Card';
+import AppButton from '../components/ui/AppButton';
+import SectionHeader from '../components/ui/SectionHeader';
+import { IMPORT_ISSUE_SEVERITY } from '../utils/JourneyImport';
+import { formatDuration, formatDistance } from '../utils/JourneyFormatters';
+
+export default function ImportJourneysScreen({ navigation }) {
+  const [preview, setPreview] = useState(null);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [findDiscoveries, setFindDiscoveries] = useState(true);
+  const { user } = useUser();
+  const { getCurrentThemeColors } = useTheme();
+  const colors = getCurrentThemeColors() || getFallbackTheme();
+
+  const hasError = (item) => item.issues.some(issue => issue.severity === IMPORT_ISSUE_SEVERITY.ERROR);
+  const selectedCount = items.filter(item => item.selected).length;
+
+  const pickFile = async () => {
+    if (!user) return;
+
+    setLoading(true);
+    try {
+      const file = await JourneyImportService.pickImportFile();
+      if (!file.success) {
+        if (!file.canceled) {
+          Alert.alert('Import Failed', file.error || 'Could not read the file.');
+        }
+        return;
+      }
+
+      const result = await JourneyImportService.previewImport(user.uid, file.text, file.fileName);
+      if (!result.success) {
+        Alert.alert('Import Failed', result.error || 'Could not read any walks from this file.');
+        return;
+      }
+      setPreview(result);
+      setItems(result.items);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleItem = (key, selected) => {
+    setItems(current => current.map(item => (item.key === key ? { ...item, selected } : item)));
+  };
+
+  const commitImport = async () => {
+    setImporting(true);
+    try {
+      const result = await JourneyImportService.commitImport(user.uid, items, { consolidateDiscoveries: findDiscoveries });
+      const message = `${result.imported.length} walk${result.imported.length === 1 ? '' : 's'} imported.` +
+        (result.failed.length > 0 ? `\n${result.failed.length} could not be saved.` : '');
+
+      Alert.alert(result.success ? 'Import Complete' : 'Import Finished With Errors', message);
+      setPreview(null);
+      setItems([]);
+      if (result.imported.length > 0) {
+        navigation.navigate('PastJourneys');
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const renderItem = ({ item }) => {
+    const journey = item.journey;
+    const disabled = !journey || hasError(item);
+    const summary = journey
+      ? `${new Date(journey.startTime).toLocaleString()}\n` +
+        `${formatDistance(journey.distance)} | Moving: ${formatDuration(journey.movingTime)} | ${journey.route.length} points`
+      : 'Cannot be imported';
+
+    return (
+      <Card style={styles.card}>
+        <View style={styles.itemHeader}>
+          <Text style={[styles.itemTitle, { color: colors.text }]} numberOfLines={1}>{item.name}</Text>
+          <Switch
+            value={item.selected}
+            onValueChange={(value) => toggleItem(item.key, value)}
+            disabled={disabled || importing}
+            accessibilityLabel={`Import ${item.name}`}
+          />
+        </View>
+        <Text style={[styles.itemText, { color: colors.textSecondary }]}>{summary}</Text>
+        {item.duplicateOf && (
+          <Text style={[styles.itemText, { color: colors.warning }]}>
+            {item.duplicateOf.source === 'history'
+              ? `Looks like a walk you already have${item.duplicateOf.name ? ` ("${item.duplicateOf.name}")` : ''}`
+              : 'Same walk as another track in this file'}
+          </Text>
+        )}
+        {item.issues.map(issue => (
+          <Text
+            key={issue.code}
+            style={[styles.itemText, { color: issue.severity === IMPORT_ISSUE_SEVERITY.ERROR ? colors.error : colors.warning }]}
+          >
+            {issue.message}
+          </Text>
+        ))}
+      </Card>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.background }]}>
+      <SectionHeader title="Import Walks" />
+      <Text style={[styles.hint, { color: colors.textSecondary }]}>
+        Import walks recorded in other apps from GPX, TCX or GeoJSON files.
+      </Text>
+      <AppButton
+        title={loading ? 'Reading file...' : preview ? 'Choose Another File' : 'Choose File'}
+        variant={preview ? 'secondary' : 'primary'}
+        onPress={pickFile}
+        disabled={loading || importing}
+        style={styles.button}
+      />
+
+      {loading ? (
+        <ActivityIndicator size="large" style={{ marginTop: 40 }} color={colors.primary} />
+      ) : preview && (
+        <>
+          <Text style={[styles.hint, { color: colors.textSecondary }]}>
+            {`${preview.fileName || 'File'} (${preview.format.toUpperCase()}) - ${items.length} track${items.length === 1 ? '' : 's'}`}
+          </Text>
+          <FlatList
+            data={items}
+            keyExtractor={item => item.key}
+            renderItem={renderItem}
+            style={styles.list}
+          />
+          <View style={styles.optionRow}>
+            <Text style={[styles.optionText, { color: colors.text }]}>Find discoveries along imported routes</Text>
+            <Switch value={findDiscoveries} onValueChange={setFindDiscoveries} disabled={importing} />
+          </View>
+          <AppButton
+            title={importing ? 'Importing...' : `Import ${selectedCount} Walk${selectedCount === 1 ? '' : 's'}`}
+            onPress={commitImport}
+            disabled={importing || selectedCount === 0}
+            style={styles.button}
+          />
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  hint: {
+    fontSize: 13,
+    marginVertical: 8,
+  },
+  button: {
+    marginVertical: 8,
+  },
+  list: {
+    flex: 1,
+  },
+  card: {
+    marginBottom: 8,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  itemTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    marginRight: 8,
+  },
+  itemText: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+  },
+  optionText: {
+    flex: 1,
+    fontSize: 14,
+    marginRight: 8,
+  },
+});
@@ -0,0 +1,387 @@
+/*
+ * JOURNEY DETAIL SCREEN
+ * =====================
+ *
+ * PURPOSE:
+ * Shows everything recorded about a single walk: distance, moving and total time,
+ * pace, how hilly it was (ascent, descent, lowest and highest point) and its elevation
+ * profile. It is reached from the Past Journeys list and links on to discovery review.
+ *
+ * FUNCTIONALITY:
+ * - Loads one journey by ID from JourneyService
+ * - Summarizes distance, time, pace and stops
+ * - Shows noise-filtered elevation totals and an elevation profile chart
+ * - Lists the per-km (or per-mile) splits recorded during the walk
+ * - Compares the smoothed route with the raw GPS track when the walk recorded one
+ * - Falls back to computing the profile from the route for journeys saved without one
+ * - Navigates to DiscoveriesScreen to review the journey's discoveries
+ * - Shows the discovery job's status and re-runs discovery on request
+ * - Trims or splits the walk at its recorded stops and merges it with the next walk
+ *
+ * WHY IT EXISTS:
+ * The journey list only has room for one line per walk. Hilly routes in particular
+ * need the elevation view - distance alone misrepresents the effort of a walk.
+ *
+ * RELATIONSHIPS:
+ * - Opened from PastJourneysScreen.js with { journeyId }
+ * - Uses JourneyService.js to load, trim, split and merge the journey
+ * - Uses DiscoveryJobService.js to re-run discovery consolidation
+ * - Uses ElevationProfile.js and ElevationUtils.js for the elevation chart
+ *
+ * REFERENCES:
+ * - UserContext.js (for the signed-in user)
+ * - ThemeContext.js (for styling)
+ * - JourneyFormatters.js (for shared number formatting)
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Add a route map preview
+ * 2. Chart split paces to show where the walk slowed down
+ */
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { getFallbackTheme } from '../styles/theme';
+import JourneyService from '../services/JourneyService';
+import DiscoveryJobService from '../services/DiscoveryJobService';
+import Card from '../components/ui/Card';
+import AppButton from '../components/ui/AppButton';
+import SectionHeader from '../components/ui/SectionHeader';
+import ElevationProfile from '../components/ElevationProfile';
+import { calculateElevationStats, buildElevationProfile } from '../utils/ElevationUtils';
+import { formatDuration, formatPace, formatDistance, formatElevation, formatClock, formatDiscoveryStatus } from '../utils/JourneyFormatters';
+import Logger from '../utils/Logger';
+
+export default function JourneyDetailScreen({ navigation, route }) {
+  const journeyId = route?.params?.journeyId;
+  const [journey, setJourney] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [rerunning, setRerunning] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const { user } = useUser();
+  const { getCurrentThemeColors } = useTheme();
+  const colors = getCurrentThemeColors() || getFallbackTheme();
+
+  useFocusEffect(
+    useCallback(() => {
+      loadJourney();
+    }, [user, journeyId])
+  );
+
+  async function loadJourney() {
+    if (!user || !journeyId) {
+      setJourney(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const result = await JourneyService.getJourney(user.uid, journeyId);
+      setJourney(result.success ? result.journey : null);
+    } catch (error) {
+      Logger.error('JourneyDetailScreen: Failed to load journey', error);
+      setJourney(null);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Runs SAR and saving again - places the journey already has are not duplicated
+  const rerunDiscovery = async () => {
+    setRerunning(true);
+    try {
+      const result = await DiscoveryJobService.rerunDiscovery(user.uid, journeyId);
+      if (result.success) {
+        Alert.alert('Discovery Finished', `${result.savedCount} new place${result.savedCount === 1 ? '' : 's'} found along this walk.`);
+      } else {
+        Alert.alert('Discovery Failed', result.error || 'Please try again later.');
+      }
+    } catch (error) {
+      Logger.error('JourneyDetailScreen: Failed to re-run discovery', error);
+      Alert.alert('Error', 'Failed to re-run discovery. Please try again.');
+    } finally {
+      setRerunning(false);
+      await loadJourney();
+    }
+  };
+
+  // Runs a JourneyService edit, then reloads the walk with its new route and stats
+  const runEdit = async (edit, successMessage) => {
+    setEditing(true);
+    try {
+      await edit();
+      Alert.alert('Walk Updated', successMessage);
+    } catch (error) {
+      Logger.error('JourneyDetailScreen: Failed to edit journey', error);
+      Alert.alert('Edit Failed', error.message || 'Please try again.');
+    } finally {
+      setEditing(false);
+      await loadJourney();
+    }
+  };
+
+  // Stops are where a forgotten "stop walk" or a second walk usually begins, so edits cut there
+  const confirmTrim = () => {
+    const stops = (journey.stops || []).filter(stop => stop.endTime);
+    const firstStop = stops[0];
+    const lastStop = stops[stops.length - 1];
+    Alert.alert('Trim Walk', 'Remove the part of the walk before the first stop or after the last one.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Before first stop',
+        onPress: () => runEdit(
+          () => JourneyService.trimJourney(user.uid, journeyId, { startTime: firstStop.endTime }),
+          'The start of the walk was trimmed.'
+        ),
+      },
+      {
+        text: 'After last stop',
+        style: 'destructive',
+        onPress: () => runEdit(
+          () => JourneyService.trimJourney(user.uid, journeyId, { endTime: lastStop.startTime }),
+          'The end of the walk was trimmed.'
+        ),
+      },
+    ]);
+  };
+
+  const confirmSplit = () => {
+    const longest = journey.stops.filter(stop => stop.endTime).sort((a, b) => (b.endTime - b.startTime) - (a.endTime - a.startTime))[0];
+    const splitTime = longest.startTime + (longest.endTime - longest.startTime) / 2;
+    Alert.alert('Split Walk', `Split this walk into two at the stop at ${new Date(longest.startTime).toLocaleTimeString()}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Split',
+        onPress: () => runEdit(
+          () => JourneyService.splitJourney(user.uid, journeyId, { time: splitTime }),
+          'The second part is now its own walk in Past Journeys.'
+        ),
+      },
+    ]);
+  };
+
+  // Merges into this walk, so the screen stays on the surviving journey
+  const confirmMergeWithNext = async () => {
+    try {
+      const { journeys } = await JourneyService.getUserJourneys(user.uid);
+      const startOf = item => item.startTime ?? item.createdAt?.toMillis?.() ?? 0;
+      const ordered = [...journeys].sort((a, b) => startOf(a) - startOf(b));
+      const next = ordered[ordered.findIndex(item => item.id === journeyId) + 1];
+      if (!next) {
+        Alert.alert('Merge Walks', 'There is no later walk to merge with.');
+        return;
+      }
+      Alert.alert('Merge Walks', `Merge "${next.name || 'Journey'}" into this walk? Its discoveries move over and it is deleted.`, [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Merge',
+          style: 'destructive',
+          onPress: () => runEdit(
+            () => JourneyService.mergeJourneys(user.uid, [journeyId, next.id]),
+            'The walks were merged.'
+          ),
+        },
+      ]);
+    } catch (error) {
+      Logger.error('JourneyDetailScreen: Failed to find the next journey', error);
+      Alert.alert('Error', 'Failed to load your walks. Please try again.');
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.container, { backgroundColor: colors.background }]}>
+        <ActivityIndicator size="large" style={{ marginTop: 40 }} color={colors.primary} />
+      </View>
+    );
+  }
+
+  if (!journey) {
+    return (
+      <View style={[styles.container, { backgroundColor: colors.background }]}>
+        <Text style={[styles.emptyText, { color: colors.textSecondary }]}>Journey not found.</Text>
+      </View>
+    );
+  }
+
+  // Journeys saved before elevation capture have no stored totals or profile
+  const routePoints = journey.route || [];
+  const elevation = journey.totalAscent !== undefined && journey.totalAscent !== null
+    ? {
+        totalAscent: journey.totalAscent,
+        totalDescent: journey.totalDescent,
+        minAltitude: journey.minAltitude,
+        maxAltitude: journey.maxAltitude,
+      }
+    : calculateElevationStats(routePoints);
+  const profile = journey.elevationProfile?.length ? journey.elevationProfile : buildElevationProfile(routePoints);
+
+  const movingTime = journey.movingTime ?? journey.duration;
+  const elapsedTime = journey.elapsedTime ?? journey.duration;
+  const pace = journey.distance > 0 ? movingTime / (journey.distance / 1000) : 0;
+  const date = journey.createdAt?.toDate?.() || (journey.startTime ? new Date(journey.startTime) : null);
+
+  const rows = [
+    ['Distance', formatDistance(journey.distance)],
+    ['Moving time', formatDuration(movingTime)],
+    ['Total time', formatDuration(elapsedTime)],
+    ['Pace', formatPace(pace)],
+    ['Stops', `${journey.stops?.length || 0}`],
+  ];
+  const elevationRows = [
+    ['Ascent', formatElevation(elevation.totalAscent)],
+    ['Descent', formatElevation(elevation.totalDescent)],
+    ['Lowest', formatElevation(elevation.minAltitude)],
+    ['Highest', formatElevation(elevation.maxAltitude)],
+  ];
+
+  const splits = journey.splits || [];
+  const splitUnit = journey.splitUnit || 'km';
+  const splitRows = splits.map(split => [
+    `${splitUnit} ${split.index}`,
+    `${formatClock(split.movingTime)}  (${formatPace(split.pace, splitUnit)})`,
+  ]);
+
+  // Recorded with the raw GPS developer setting - how much smoothing changed the walk
+  const rawTrackRows = journey.hasRawTrack ? [
+    ['Raw distance', formatDistance(journey.rawTrackDistance)],
+    ['Smoothed distance', formatDistance(journey.distance)],
+    ['Raw points', `${journey.rawTrackPointCount}`],
+    ['Smoothed points', `${journey.routePointCount ?? routePoints.length}`],
+  ] : [];
+
+  // Trim and split cut at recorded stops - a stop still open has no end to cut at
+  const hasStops = (journey.stops || []).some(stop => stop.endTime);
+
+  const renderRows = (items) => items.map(([label, value]) => (
+    <View key={label} style={styles.row}>
+      <Text style={[styles.rowLabel, { color: colors.textSecondary }]}>{label}</Text>
+      <Text style={[styles.rowValue, { color: colors.text }]}>{value}</Text>
+    </View>
+  ));
+
+  return (
+    <ScrollView style={[styles.container, { backgroundColor: colors.background }]} contentContainerStyle={{ paddingBottom: 32 }}>
+      <SectionHeader title={journey.name || 'Journey'} />
+      {date && (
+        <Text style={[styles.dateText, { color: colors.textSecondary }]}>{date.toLocaleString()}</Text>
+      )}
+
+      <Card style={styles.card}>
+        {renderRows(rows)}
+      </Card>
+
+      <Card style={styles.card}>
+        <Text style={[styles.cardTitle, { color: colors.text }]}>Elevation</Text>
+        {renderRows(elevationRows)}
+        <View style={styles.chart}>
+          <ElevationProfile profile={profile} />
+        </View>
+      </Card>
+
+      {splitRows.length > 0 && (
+        <Card style={styles.card}>
+          <Text style={[styles.cardTitle, { color: colors.text }]}>Splits</Text>
+          {renderRows(splitRows)}
+        </Card>
+      )}
+
+      {rawTrackRows.length > 0 && (
+        <Card style={styles.card}>
+          <Text style={[styles.cardTitle, { color: colors.text }]}>Raw GPS</Text>
+          {renderRows(rawTrackRows)}
+        </Card>
+      )}
+
+      <Card style={styles.card}>
+        <Text style={[styles.cardTitle, { color: colors.text }]}>Discovery</Text>
+        <Text style={[styles.statusText, { color: journey.discoveryJob?.failed ? colors.error : colors.textSecondary }]}>
+          {rerunning ? 'Finding discoveries...' : formatDiscoveryStatus(journey.discoveryJob) || 'No discovery run recorded for this walk'}
+        </Text>
+        {journey.discoveryJob?.error && !rerunning && (
+          <Text style={[styles.statusText, { color: colors.textSecondary }]}>{journey.discoveryJob.error}</Text>
+        )}
+        <AppButton
+          title={rerunning ? 'Running...' : 'Re-run Discovery'}
+          variant="secondary"
+          onPress={rerunDiscovery}
+          disabled={rerunning}
+          style={{ marginTop: 8 }}
+        />
+      </Card>
+
+      <Card style={styles.card}>
+        <Text style={[styles.cardTitle, { color: colors.text }]}>Edit Walk</Text>
+        {hasStops && (
+          <>
+            <AppButton title="Trim at a Stop" variant="secondary" onPress={confirmTrim} disabled={editing} />
+            <AppButton title="Split at Longest Stop" variant="secondary" onPress={confirmSplit} disabled={editing} style={{ marginTop: 8 }} />
+          </>
+        )}
+        <AppButton
+          title={editing ? 'Saving...' : 'Merge with Next Walk'}
+          variant="secondary"
+          onPress={confirmMergeWithNext}
+          disabled={editing}
+          style={hasStops ? { marginTop: 8 } : undefined}
+        />
+      </Card>
+
+      <AppButton
+        title="Review Discoveries"
+        onPress={() => navigation.navigate('Discoveries', { journeyId: journey.id })}
+        style={{ marginTop: 8 }}
+      />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  dateText: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  card: {
+    marginBottom: 12,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  rowLabel: {
+    fontSize: 14,
+  },
+  rowValue: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  chart: {
+    marginTop: 12,
+  },
+  statusText: {
+    fontSize: 14,
+    marginBottom: 4,
+  },
+});
@@ -14,8 +14,11 @@
  * - Route recording with glowing polylines that show the user's walking path
  * - Location permission management with automatic requests and background permission warnings
  * - Journey saving with distance calculation, duration tracking, and Firestore storage
+ * - Recovery of walks interrupted by a crash or app kill (resume or save)
+ * - Live walk HUD with distance, moving/total time, pace and per-km (or per-mile) splits
  * - Ping functionality for real-time place discovery during walks
  * - Display of saved places and past journey routes on the map
+ * - Opens Past Journeys filtered to walks that passed through the area on screen
  * - Theme-aware map styling with 5 different map styles (Standard, Satellite, etc.)
  * - Background location permission warnings to ensure accurate tracking
  * - Error handling for location services and map rendering issues
@@ -39,9 +42,10 @@
  * 
  * RELATIONSHIPS:
  * - Uses multiple contexts: UserContext (auth), ThemeContext (styling), ExplorationContext (history)
- * - Integrates with JourneyService for saving completed walks
+ * - Saves completed walks through JourneySyncService (on the device first, uploaded when online)
  * - Uses DiscoveryService for managing place discoveries
  * - Works with PingButton and PingStats components for real-time discovery
+ * - Uses WalkHUD to show live stats from BackgroundLocationService.getLiveStats()
  * - Uses PingAnimation for visual feedback (currently disabled)
  * - Connects to various services for data persistence and API calls
  * 
@@ -54,7 +58,7 @@
  * - ThemeContext (for map styling and UI theming)
  * - UserContext (for user authentication and data)
  * - ExplorationContext (for tracking exploration history)
- * - JourneyService (for saving completed journeys)
+ * - JourneySyncService (for saving completed journeys, offline-first)
  * - DiscoveryService (for managing place discoveries)
  * - PingButton, PingStats, PingAnimation components
  * - Location services (expo-location)
@@ -117,10 +121,14 @@ import { Spacing, Typography, Layout, Shadows } from '../styles/theme';
 import PingButton from '../components/PingButton';
 import PingStats from '../components/PingStats';
 import PingAnimation from '../components/PingAnimation';
+import WalkHUD from '../components/WalkHUD';
 import JourneyService from '../services/JourneyService';
+import JourneySyncService from '../services/JourneySyncService';
 import DiscoveryService from '../services/DiscoveryService';
-import BackgroundLocationService from '../services/BackgroundLocationService';
+import BackgroundLocationService, { TRACKING_PROFILES } from '../services/BackgroundLocationService';
 import Logger from '../utils/Logger';
+import { calculateElevationStats, buildElevationProfile } from '../utils/ElevationUtils';
+import { getAreaForCamera } from '../utils/JourneyFilters';
 import SectionHeader from '../components/ui/SectionHeader';
 import AppButton from '../components/ui/AppButton';
 import Constants from 'expo-constants';
@@ -128,6 +136,8 @@ import { GOOGLE_MAPS_API_KEY_IOS } from '../config';
 
 const { width, height } = Dimensions.get('window');
 
+const DEFAULT_MAP_ZOOM = 15;
+
 // Sprite animation states
 const SPRITE_STATES = {
   IDLE: 'idle',
@@ -302,6 +312,9 @@ export default function MapScreen({ navigation, route }) {
   const { setCurrentJourney } = useExploration();
   
   const mapRef = useRef(null);
+  // Last camera and map size reported by the map - the history button lists walks through this area
+  const cameraRef = useRef(null);
+  const mapSizeRef = useRef({ width, height });
   
   const [currentPosition, setCurrentPosition] = useState(null);
   const [tracking, setTracking] = useState(false);
@@ -320,12 +333,15 @@ export default function MapScreen({ navigation, route }) {
   const [mapError, setMapError] = useState(null);
   const [appState, setAppState] = useState(AppState.currentState);
   const [locationAccuracy, setLocationAccuracy] = useState(null);
+  const [trackingProfile, setTrackingProfile] = useState(null);
+  const [liveStats, setLiveStats] = useState(null);
   
   // Journey naming modal state
   const [showNamingModal, setShowNamingModal] = useState(false);
   const [journeyName, setJourneyName] = useState('');
   const [originalDefaultName, setOriginalDefaultName] = useState('');
   const [pendingJourneyData, setPendingJourneyData] = useState(null);
+  const [pendingQueuedJourneyId, setPendingQueuedJourneyId] = useState(null);
 
   // Check background location permissions
   const checkBackgroundPermissions = async () => {
@@ -365,11 +381,6 @@ export default function MapScreen({ navigation, route }) {
   useEffect(() => {
     const initializeLocation = async () => {
       try {
-        // HOTFIX: Reset any stuck tracking state from previous app sessions
-        // This prevents the service from being stuck in tracking mode after app reload
-        await BackgroundLocationService.cleanup();
-        Logger.info('MapScreen: Reset location service state on initialization');
-        
         // Initialize the background location service
         const initialized = await BackgroundLocationService.initialize();
         if (!initialized) {
@@ -388,6 +399,8 @@ export default function MapScreen({ navigation, route }) {
           
           // Update location accuracy indicator
           setLocationAccuracy(coords.accuracy);
+          setTrackingProfile(journey.activeProfile || null);
+          setLiveStats(BackgroundLocationService.getLiveStats());
           
           // Update path for rendering
           setPathToRender(journey.coordinates);
@@ -400,6 +413,15 @@ export default function MapScreen({ navigation, route }) {
           });
         });
 
+        // Show automatic switches (e.g. to Saver on low battery) in the accuracy indicator
+        BackgroundLocationService.setTrackingProfileCallback((profile, reason) => {
+          setTrackingProfile(profile.key);
+          Logger.debug('Tracking profile changed:', { profile: profile.key, reason });
+        });
+
+        // Offer to recover a walk left unfinished by a previous session
+        await checkForInterruptedJourney();
+
         // Get initial location with enhanced error handling and fallback
         try {
           Logger.debug('MapScreen: Attempting to get initial location for sprite');
@@ -460,9 +482,24 @@ export default function MapScreen({ navigation, route }) {
     // Cleanup on unmount
     return () => {
       BackgroundLocationService.setLocationUpdateCallback(null);
+      BackgroundLocationService.setTrackingProfileCallback(null);
     };
   }, []);
 
+  // Keep the walk HUD clocks ticking between location fixes
+  useEffect(() => {
+    if (!tracking) {
+      setLiveStats(null);
+      return undefined;
+    }
+
+    setLiveStats(BackgroundLocationService.getLiveStats());
+    const interval = setInterval(() => {
+      setLiveStats(BackgroundLocationService.getLiveStats());
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [tracking]);
+
   // Debug useEffect to monitor Link sprite position state
   useEffect(() => {
     if (currentPosition) {
@@ -577,11 +614,159 @@ export default function MapScreen({ navigation, route }) {
     }
   };
 
+  // Detect an unfinished walk from a previous session and let the user resume or save it
+  const checkForInterruptedJourney = async () => {
+    try {
+      const interrupted = await BackgroundLocationService.getRecoverableJourney();
+      if (!interrupted) return;
+
+      const pointCount = interrupted.coordinates.length;
+      const startedAt = new Date(interrupted.startTime).toLocaleString('en-GB', {
+        day: '2-digit',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+      });
+
+      Logger.info('MapScreen: Found interrupted journey', { journeyId: interrupted.id, pointCount });
+
+      const buttons = [
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: confirmDiscardInterruptedJourney,
+        },
+        { text: 'Resume Walk', onPress: resumeInterruptedJourney },
+      ];
+      if (pointCount > 0) {
+        buttons.push({ text: 'Save Walk', onPress: saveInterruptedJourney });
+      }
+
+      Alert.alert(
+        'Unfinished Walk Found',
+        `A walk started ${startedAt} was interrupted with ${pointCount} points recorded. Would you like to resume it or save it now?`,
+        buttons,
+        { cancelable: false }
+      );
+    } catch (error) {
+      Logger.error('MapScreen: Error checking for interrupted journey', error);
+    }
+  };
+
+  const resumeInterruptedJourney = async () => {
+    const journey = await BackgroundLocationService.resumeRecoveredJourney();
+    if (!journey) {
+      Alert.alert('Error', 'Could not resume your walk. You can still save what was recorded.', [
+        { text: 'Save Walk', onPress: saveInterruptedJourney },
+      ]);
+      return;
+    }
+
+    setCurrentJourneyId(journey.id);
+    setPathToRender([...journey.coordinates]);
+    setTracking(true);
+  };
+
+  const saveInterruptedJourney = async () => {
+    const journeyData = await BackgroundLocationService.finishRecoveredJourney();
+    if (journeyData && journeyData.coordinates.length > 0) {
+      await queueFinishedJourney(journeyData);
+    } else {
+      Alert.alert('No Data', 'No route data was recovered for this walk.');
+    }
+  };
+
+  const confirmDiscardInterruptedJourney = () => {
+    Alert.alert(
+      'Discard Walk?',
+      'The recorded route will be permanently lost.',
+      [
+        { text: 'Keep', onPress: () => checkForInterruptedJourney() },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => BackgroundLocationService.discardRecoveredJourney(),
+        },
+      ]
+    );
+  };
+
   const toggleSavedPlaces = async () => {
     setShowSavedPlaces(!showSavedPlaces);
   };
 
-  const saveJourney = async (rawCoords, name) => {
+  // Journey fields for a finished walk, as JourneyService.createJourney stores them
+  const buildJourneyData = (trackedJourney, name) => {
+    const rawCoords = trackedJourney.coordinates;
+
+    // Noise-filtered climb/descent - distance alone misrepresents effort on hilly walks
+    const elevation = calculateElevationStats(rawCoords);
+
+    return {
+      userId: user.uid,
+      name: name,
+      startTime: rawCoords[0].timestamp,
+      endTime: rawCoords[rawCoords.length - 1].timestamp,
+      route: rawCoords.map(coord => ({
+        latitude: coord.latitude,
+        longitude: coord.longitude,
+        altitude: coord.altitude ?? null,
+        altitudeAccuracy: coord.altitudeAccuracy ?? null,
+        timestamp: coord.timestamp,
+      })),
+      distance: calculateTotalDistance(rawCoords),
+      // Durations in seconds - moving time excludes auto-detected and manual stops
+      duration: trackedJourney.elapsedTime ?? (rawCoords[rawCoords.length - 1].timestamp - rawCoords[0].timestamp) / 1000,
+      elapsedTime: trackedJourney.elapsedTime ?? null,
+      movingTime: trackedJourney.movingTime ?? null,
+      stops: trackedJourney.stops || [],
+      // Elevation in metres (null totals when the device reported no altitude)
+      totalAscent: elevation.hasElevation ? elevation.totalAscent : null,
+      totalDescent: elevation.hasElevation ? elevation.totalDescent : null,
+      minAltitude: elevation.minAltitude,
+      maxAltitude: elevation.maxAltitude,
+      elevationProfile: buildElevationProfile(rawCoords),
+      // Tracking profile the walk was recorded with - explains sparse or dense routes
+      trackingProfile: trackedJourney.trackingProfile || null,
+      profileSegments: trackedJourney.profileSegments || [],
+      // 'replay' marks simulated walks recorded from developer tools
+      locationSource: trackedJourney.locationSource || 'device',
+      // Per-km (or per-mile) splits recorded live - times in seconds
+      splits: trackedJourney.splits || [],
+      splitUnit: trackedJourney.splitUnit || 'km',
+      // ID the walk's pings were stored under - discovery consolidation merges them from there
+      trackingId: trackedJourney.id || null,
+      // Unsmoothed fixes when the walk recorded them - JourneyService stores them owner-only
+      rawTrack: trackedJourney.rawCoordinates?.length ? trackedJourney.rawCoordinates : null,
+      status: 'completed',
+    };
+  };
+
+  // Write a finished walk to the device straight away - the naming modal only renames it,
+  // so a crash or kill while the modal is open doesn't lose the walk
+  const queueFinishedJourney = async (trackedJourney) => {
+    const defaultName = getDefaultJourneyName(trackedJourney);
+    let queuedJourneyId = null;
+    if (user) {
+      try {
+        const queued = await JourneySyncService.enqueueJourney(
+          user.uid,
+          buildJourneyData(trackedJourney, defaultName),
+          { awaitingName: true }
+        );
+        queuedJourneyId = queued.journeyId;
+        Logger.info('MAP_SCREEN', 'Journey saved on device', { journeyId: queuedJourneyId });
+      } catch (error) {
+        // The walk is still in memory - saveJourney queues it once it's named
+        Logger.error('MAP_SCREEN', 'Failed to queue finished journey', error);
+      }
+    }
+    promptJourneyName(trackedJourney, defaultName, queuedJourneyId);
+  };
+
+  const saveJourney = async (trackedJourney, name, queuedJourneyId = null) => {
+    const rawCoords = trackedJourney?.coordinates || [];
     if (!user || rawCoords.length === 0) return;
 
     try {
@@ -590,57 +775,38 @@ export default function MapScreen({ navigation, route }) {
         routePoints: rawCoords.length 
       });
 
-      // Create journey data
-      const journeyData = {
-        userId: user.uid,
-        name: name,
-        startTime: rawCoords[0].timestamp,
-        endTime: rawCoords[rawCoords.length - 1].timestamp,
-        route: rawCoords.map(coord => ({
-          latitude: coord.latitude,
-          longitude: coord.longitude,
-          timestamp: coord.timestamp,
-        })),
-        distance: calculateTotalDistance(rawCoords),
-        duration: rawCoords[rawCoords.length - 1].timestamp - rawCoords[0].timestamp,
-        status: 'completed',
-      };
-
-      // Save journey
-      const result = await JourneyService.createJourney(user.uid, journeyData);
-      
-      if (result.success) {
-        Logger.info('MAP_SCREEN', 'Journey saved successfully', { 
-          journeyId: result.journey.id 
-        });
+      let journeyId = queuedJourneyId;
+      if (journeyId) {
+        await JourneySyncService.nameQueuedJourney(user.uid, journeyId, name);
+      } else {
+        // Written to the device first - the walk survives a failed upload
+        const queued = await JourneySyncService.enqueueJourney(user.uid, buildJourneyData(trackedJourney, name));
+        journeyId = queued.journeyId;
+        Logger.info('MAP_SCREEN', 'Journey saved on device', { journeyId });
+      }
+      const distance = calculateTotalDistance(rawCoords);
 
-        // Trigger discovery process
-        try {
-          await JourneyService.consolidateJourneyDiscoveries(
-            user.uid, 
-            result.journey.id, 
-            journeyData.route
-          );
-          Logger.info('MAP_SCREEN', 'Discovery process completed');
-        } catch (discoveryError) {
-          Logger.error('MAP_SCREEN', 'Discovery process failed', discoveryError);
-        }
+      // Update local state
+      setCurrentJourneyId(null);
+      setPathToRender([]);
+      setPreviewRoute([]);
+      setPreviewRoadCoords([]);
 
-        // Update local state
-        setCurrentJourneyId(null);
-        setPathToRender([]);
-        setPreviewRoute([]);
-        setPreviewRoadCoords([]);
-        
+      // Upload now if we can; discoveries are found as a separate queued step
+      const sync = await JourneySyncService.processQueue(user.uid, { force: true });
+      if (sync.uploaded.includes(journeyId)) {
         // Reload saved routes
         await loadSavedRoutes();
-        
+
         Alert.alert(
           'Walk Saved! 🎉',
-          `Your ${Math.round(journeyData.distance)}m walk has been saved. Check your discoveries for new places found along your route!`
+          `Your ${Math.round(distance)}m walk has been saved. Check your discoveries for new places found along your route!`
         );
       } else {
-        throw new Error(result.error || 'Failed to save journey');
+        Alert.alert(
+          'Walk Saved on This Device',
+          `Your ${Math.round(distance)}m walk will upload automatically when you're back online. You'll find it in Past Journeys as pending sync.`
+        );
       }
     } catch (error) {
       Logger.error('MAP_SCREEN', 'Error saving journey', error);
@@ -657,10 +823,11 @@ export default function MapScreen({ navigation, route }) {
       
       // Save the journey with the custom name
       const finalName = journeyName.trim() || originalDefaultName;
-      await saveJourney(pendingJourneyData.coordinates, finalName);
+      await saveJourney(pendingJourneyData, finalName, pendingQueuedJourneyId);
       
       // Clear modal state
       setPendingJourneyData(null);
+      setPendingQueuedJourneyId(null);
       setJourneyName('');
       setOriginalDefaultName('');
       
@@ -682,7 +849,13 @@ export default function MapScreen({ navigation, route }) {
           style: 'destructive',
           onPress: () => {
             setShowNamingModal(false);
+            if (pendingQueuedJourneyId) {
+              JourneySyncService.discardQueuedJourney(user.uid, pendingQueuedJourneyId).catch(error => {
+                Logger.error('Error discarding queued journey:', error);
+              });
+            }
             setPendingJourneyData(null);
+            setPendingQueuedJourneyId(null);
             setJourneyName('');
             setOriginalDefaultName('');
           }
@@ -692,8 +865,9 @@ export default function MapScreen({ navigation, route }) {
           onPress: async () => {
             try {
               setShowNamingModal(false);
-              await saveJourney(pendingJourneyData.coordinates, originalDefaultName);
+              await saveJourney(pendingJourneyData, originalDefaultName, pendingQueuedJourneyId);
               setPendingJourneyData(null);
+              setPendingQueuedJourneyId(null);
               setJourneyName('');
               setOriginalDefaultName('');
               Alert.alert('Journey Saved!', `Your walk "${originalDefaultName}" has been saved with the default name.`);
@@ -707,6 +881,32 @@ export default function MapScreen({ navigation, route }) {
     );
   };
 
+  // Date-based default name for a finished journey
+  const getDefaultJourneyName = (journeyData) => {
+    const endedAt = new Date(journeyData.endTime || Date.now());
+    const date = endedAt.toLocaleDateString('en-GB', {
+      day: '2-digit',
+      month: 'short',
+      year: '2-digit'
+    }).replace(',', '');
+    const time = endedAt.toLocaleTimeString('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+    
+    return `Walk - ${date} ${time}`;
+  };
+
+  // Show the naming modal for a finished journey already queued under its default name
+  const promptJourneyName = (journeyData, defaultName, queuedJourneyId) => {
+    setJourneyName(defaultName);
+    setOriginalDefaultName(defaultName); // Store the original default name
+    setPendingJourneyData(journeyData);
+    setPendingQueuedJourneyId(queuedJourneyId);
+    setShowNamingModal(true);
+  };
+
   const calculateTotalDistance = (coords) => {
     if (coords.length < 2) return 0;
     
@@ -739,30 +939,9 @@ export default function MapScreen({ navigation, route }) {
         const journeyData = await BackgroundLocationService.stopTracking();
         setTracking(false);
         
-        // Save the journey if we have data - show naming modal first
+        // Save the journey on the device now, then let the user name it
         if (journeyData && journeyData.coordinates.length > 0) {
-          // Generate default name with date and starting location
-          const date = new Date().toLocaleDateString('en-GB', {
-            day: '2-digit',
-            month: 'short',
-            year: '2-digit'
-          }).replace(',', '');
-          const time = new Date().toLocaleTimeString('en-GB', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: false
-          });
-          
-          // Try to get starting location name for better default
-          let defaultName = `Walk - ${date} ${time}`;
-          if (journeyData.startLocation) {
-            defaultName = `Walk - ${date} ${time}`;
-          }
-          
-          setJourneyName(defaultName);
-          setOriginalDefaultName(defaultName); // Store the original default name
-          setPendingJourneyData(journeyData);
-          setShowNamingModal(true);
+          await queueFinishedJourney(journeyData);
         } else {
           Logger.warn('No journey data to save');
           Alert.alert('No Data', 'No route data was recorded. Make sure location permissions are enabled.');
@@ -840,6 +1019,21 @@ export default function MapScreen({ navigation, route }) {
 
 
 
+  function handleCameraMove(camera) {
+    cameraRef.current = camera;
+  }
+
+  function handleMapLayout(e) {
+    const { width: mapWidth, height: mapHeight } = e.nativeEvent.layout;
+    mapSizeRef.current = { width: mapWidth, height: mapHeight };
+  }
+
+  // Area on screen - until the map reports a camera it is still on the user at the default zoom
+  function getVisibleMapArea() {
+    const camera = cameraRef.current || { coordinates: currentPosition, zoom: DEFAULT_MAP_ZOOM };
+    return getAreaForCamera(camera, mapSizeRef.current);
+  }
+
   // Error boundary for MapView
   function handleMapError(e) {
     console.error('MapScreen: MapView error:', e?.nativeEvent || e);
@@ -909,9 +1103,17 @@ export default function MapScreen({ navigation, route }) {
              locationAccuracy <= 15 ? 'Good' :
              locationAccuracy <= 50 ? 'Fair' : 'Poor'}
           </Text>
+          {TRACKING_PROFILES[trackingProfile] && (
+            <Text style={[styles.accuracyProfile, { color: colors.textSecondary }]}>
+              · {TRACKING_PROFILES[trackingProfile].name}
+            </Text>
+          )}
         </View>
       )}
 
+      {/* Live walk stats */}
+      {tracking && liveStats && <WalkHUD stats={liveStats} style={styles.walkHUD} />}
+
       {currentPosition ? (
         Platform.OS === 'ios' ? (
           <AppleMaps
@@ -919,11 +1121,13 @@ export default function MapScreen({ navigation, route }) {
             style={styles.map}
             cameraPosition={{
               coordinates: currentPosition,
-              zoom: 15,
+              zoom: DEFAULT_MAP_ZOOM,
             }}
             markers={buildMarkers({ currentPosition, spriteColor, showSavedPlaces, savedPlaces, colors })}
             polylines={buildPolylines({ savedRoutes, previewRoadCoords, previewRoute, pathToRender, colors })}
             properties={mapProperties.appleMaps}
+            onCameraMove={handleCameraMove}
+            onLayout={handleMapLayout}
             onError={handleMapError}
           />
         ) : (
@@ -932,12 +1136,14 @@ export default function MapScreen({ navigation, route }) {
             style={styles.map}
             cameraPosition={{
               coordinates: currentPosition,
-              zoom: 15,
+              zoom: DEFAULT_MAP_ZOOM,
             }}
             markers={buildMarkers({ currentPosition, spriteColor, showSavedPlaces, savedPlaces, colors })}
             polylines={buildPolylines({ savedRoutes, previewRoadCoords, previewRoute, pathToRender, colors })}
             properties={mapProperties.googleMaps}
             colorScheme={colorScheme}
+            onCameraMove={handleCameraMove}
+            onLayout={handleMapLayout}
             onError={handleMapError}
           />
         )
@@ -1008,6 +1214,17 @@ export default function MapScreen({ navigation, route }) {
           />
         </TouchableOpacity>
         
+        {/* Past walks through the area on screen */}
+        {currentPosition && (
+          <TouchableOpacity 
+            style={[styles.locateButton, { backgroundColor: colors.buttonSecondary }]} 
+            onPress={() => navigation.navigate('PastJourneys', { area: getVisibleMapArea() })}
+            accessibilityLabel="Past walks in this area"
+          >
+            <MaterialIcons name="history" size={24} color={colors.primary} />
+          </TouchableOpacity>
+        )}
+        
         {/* Toggle saved places button */}
         <TouchableOpacity 
           style={[
@@ -1259,6 +1476,17 @@ const styles = StyleSheet.create({
     ...Typography.bodySmall,
     fontWeight: '600',
   },
+  accuracyProfile: {
+    ...Typography.bodySmall,
+    marginLeft: Spacing.xs,
+  },
+  walkHUD: {
+    position: 'absolute',
+    top: 60,
+    left: Spacing.md,
+    zIndex: 10,
+    ...Shadows.small,
+  },
   modalOverlay: {
     flex: 1,
     justifyContent: 'center',
@@ -49,6 +49,7 @@ import PingButton from '../components/PingButton';
 import PingStats from '../components/PingStats';
 import PingAnimation from '../components/PingAnimation';
 import JourneyService from '../services/JourneyService';
+import DiscoveryJobService from '../services/DiscoveryJobService';
 import DiscoveryService from '../services/DiscoveryService';
 import Logger from '../utils/Logger';
 import SectionHeader from '../components/ui/SectionHeader';
@@ -339,11 +340,7 @@ export default function MapScreen({ navigation, route }) {
 
         // Trigger discovery process
         try {
-          await JourneyService.consolidateJourneyDiscoveries(
-            user.uid, 
-            result.journey.id, 
-            journeyData.route
-          );
+          await DiscoveryJobService.startJob(user.uid, result.journey.id, { route: journeyData.route });
           Logger.info('MAP_SCREEN', 'Discovery process completed');
         } catch (discoveryError) {
           Logger.error('MAP_SCREEN', 'Discovery process failed', discoveryError);
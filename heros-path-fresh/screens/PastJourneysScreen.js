@@ -12,9 +12,18 @@
  * FUNCTIONALITY:
  * - Displays chronological list of all completed walking journeys
  * - Shows journey metadata including date, distance, duration, and route information
+ * - Reports moving time and moving pace (stops excluded) instead of wall-clock duration
+ * - Lists the per-km (or per-mile) split times recorded during each walk
  * - Indicates completion status for each journey (whether discoveries have been reviewed)
  * - Provides navigation to DiscoveriesScreen for reviewing journey-specific discoveries
- * - Handles journey deletion with comprehensive data cleanup
+ * - Opens JourneyDetailScreen for elevation and other per-journey detail
+ * - Moves deleted journeys to the Trash (TrashScreen), where they can be restored for 30 days
+ * - Exports one journey or the whole list as GPX, KML or GeoJSON via the share sheet
+ * - Opens ImportJourneysScreen to import walks from GPX, TCX or GeoJSON files
+ * - Lists walks saved offline as "pending sync" until JourneySyncService uploads them
+ * - Shows each walk's discovery status (finding, done, failed) from DiscoveryJobService
+ * - Searches by name or tag and filters by date, distance, review status and map area
+ * - Loads journeys a page at a time as the list scrolls (Firestore cursor pagination)
  * - Includes development utilities for data management and testing
  * - Automatically refreshes when returning from other screens
  * - Manages loading states and error handling gracefully
@@ -40,6 +49,7 @@
  * 
  * RELATIONSHIPS:
  * - Uses JourneyService.js for loading and managing journey data
+ * - Uses JourneyExportService.js for GPX/KML/GeoJSON export
  * - Integrates with DiscoveryService.js for journey completion status tracking
  * - Connects to UserContext for authentication and user data
  * - Uses ThemeContext for consistent styling and theming
@@ -55,6 +65,8 @@
  * 
  * REFERENCES:
  * - JourneyService.js (for journey data management)
+ * - JourneyFilters.js (for the list filters)
+ * - expo-location (for the "Near me" area filter)
  * - DiscoveryService.js (for completion status tracking)
  * - UserContext.js (for authentication and user data)
  * - ThemeContext.js (for styling and theming)
@@ -73,7 +85,7 @@
  * 2. Add journey visualization - maps showing route paths and discoveries
  * 3. Add journey sharing - share interesting walks with friends or community
  * 4. Add journey categories - organize journeys by type, location, or purpose
- * 5. Add journey search - search through journey history by various criteria
+ * 5. Save favourite filter combinations
  * 6. Add journey analytics - insights about walking patterns and trends
  * 7. Add journey goals - set and track walking goals and achievements
  * 8. Add journey export - export journey data to GPX, KML, or other formats
@@ -90,48 +102,156 @@
  * 19. Add journey accessibility - better support for users with different abilities
  * 20. Add journey gamification - achievements, badges, and rewards for walking milestones
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
+  TextInput,
   StyleSheet,
   FlatList,
+  ScrollView,
   TouchableOpacity,
   Alert,
   ActivityIndicator,
+  Platform,
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
 import { useUser } from '../contexts/UserContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { getFallbackTheme } from '../styles/theme';
-import JourneyService from '../services/JourneyService';
+import JourneyService, { TRASH_CONFIG } from '../services/JourneyService';
 import DiscoveryService from '../services/DiscoveryService';
+import JourneyExportService from '../services/JourneyExportService';
+import JourneySyncService from '../services/JourneySyncService';
+import { EXPORT_FORMATS } from '../utils/JourneyExport';
 import { useFocusEffect } from '@react-navigation/native';
 import Card from '../components/ui/Card';
 import ListItem from '../components/ui/ListItem';
 import AppButton from '../components/ui/AppButton';
 import SectionHeader from '../components/ui/SectionHeader';
+import { formatDuration, formatPace, formatElevation, formatClock, formatDiscoveryStatus } from '../utils/JourneyFormatters';
+import { DEFAULT_JOURNEY_FILTERS, COMPLETION_FILTERS, hasActiveFilters, getAreaAround } from '../utils/JourneyFilters';
+import Logger from '../utils/Logger';
 
-export default function PastJourneysScreen({ navigation }) {
+const MAX_LISTED_SPLITS = 6; // Longer walks show the rest on the detail screen
+const NEAR_ME_RADIUS = 1000; // metres
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each filter chip cycles through its presets
+const DATE_PRESETS = [
+  { label: 'Any time', range: () => ({ startDate: null, endDate: null }) },
+  { label: 'Last 7 days', range: () => ({ startDate: Date.now() - 7 * DAY_MS, endDate: null }) },
+  { label: 'Last 30 days', range: () => ({ startDate: Date.now() - 30 * DAY_MS, endDate: null }) },
+  { label: 'This year', range: () => ({ startDate: new Date(new Date().getFullYear(), 0, 1).getTime(), endDate: null }) },
+];
+const DISTANCE_PRESETS = [
+  { label: 'Any distance', minDistance: null, maxDistance: null },
+  { label: 'Under 2 km', minDistance: null, maxDistance: 2000 },
+  { label: '2-5 km', minDistance: 2000, maxDistance: 5000 },
+  { label: 'Over 5 km', minDistance: 5000, maxDistance: null },
+];
+const COMPLETION_PRESETS = [
+  { label: 'All walks', completion: COMPLETION_FILTERS.ALL },
+  { label: 'Reviewed', completion: COMPLETION_FILTERS.COMPLETED },
+  { label: 'Not reviewed', completion: COMPLETION_FILTERS.INCOMPLETE },
+];
+
+// Firestore journey doc -> list item
+function toListItem(journey) {
+  const date = journey.createdAt?.toDate?.() || new Date(journey.createdAt) || new Date();
+  return {
+    id: journey.id,
+    coords: journey.route || [],
+    date: date.toISOString(), // Convert to string for serialization
+    dateObj: date, // Keep as object for display purposes
+    name: journey.name,
+    distance: journey.distance,
+    duration: journey.duration,
+    // Moving time excludes stops; older journeys only have a wall-clock duration
+    movingTime: journey.movingTime ?? journey.duration,
+    elapsedTime: journey.elapsedTime ?? journey.duration,
+    stopCount: journey.stops?.length || 0,
+    totalAscent: journey.totalAscent ?? null,
+    splits: journey.splits || [],
+    splitUnit: journey.splitUnit || 'km',
+    startLocation: journey.startLocation,
+    endLocation: journey.endLocation,
+    // Use the new completion status fields from Firestore
+    isCompleted: journey.isCompleted || false,
+    reviewedDiscoveriesCount: journey.reviewedDiscoveriesCount || 0,
+    totalDiscoveriesCount: journey.totalDiscoveriesCount || 0,
+    completionPercentage: journey.completionPercentage || 0,
+    discoveryStatus: formatDiscoveryStatus(journey.discoveryJob),
+  };
+}
+
+export default function PastJourneysScreen({ navigation, route }) {
   const [journeys, setJourneys] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [filters, setFilters] = useState(DEFAULT_JOURNEY_FILTERS);
+  const [searchText, setSearchText] = useState('');
+  const [presetIndex, setPresetIndex] = useState({ date: 0, distance: 0, completion: 0 });
   const [journeyStatuses, setJourneyStatuses] = useState({});
+  const [stats, setStats] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [pendingJourneys, setPendingJourneys] = useState([]);
+  const [syncing, setSyncing] = useState(false);
   const { user, migrationStatus } = useUser();
   const { getCurrentThemeColors } = useTheme();
   const colors = getCurrentThemeColors() || getFallbackTheme();
+  // Paging state read by focus and scroll callbacks, which would otherwise see stale values
+  const filtersRef = useRef(DEFAULT_JOURNEY_FILTERS);
+  const cursorRef = useRef(null);
+  const requestRef = useRef(0);
+  const mapArea = route?.params?.area || null;
 
+  // Walks saved offline - refresh as they upload
   useEffect(() => {
-    const unsubscribe = navigation.addListener('focus', loadJourneys);
-    return unsubscribe;
-  }, [navigation]);
+    if (!user) {
+      setPendingJourneys([]);
+      return undefined;
+    }
 
-  // Add focus effect to refresh journeys when returning from DiscoveriesScreen
+    let previousCount = null;
+    const loadPending = async () => {
+      const pending = await JourneySyncService.getPendingJourneys(user.uid);
+      setPendingJourneys([...pending]);
+      // An upload finished - the walk is now in the regular list
+      if (previousCount !== null && pending.length < previousCount) {
+        loadJourneys();
+        loadStats();
+      }
+      previousCount = pending.length;
+    };
+
+    loadPending();
+    return JourneySyncService.addListener(userId => {
+      if (userId === user.uid) {
+        loadPending();
+      }
+    });
+  }, [user]);
+
+  // Refresh journeys and totals when returning from DiscoveriesScreen or a walk
   useFocusEffect(
     React.useCallback(() => {
       loadJourneys();
+      loadStats();
     }, [user])
   );
 
+  // MapScreen opens the list filtered to the area on screen
+  useEffect(() => {
+    if (mapArea) {
+      applyFilters({ area: mapArea });
+    }
+  }, [mapArea]);
+
+  // Load the first page for the current filters, replacing the list
   async function loadJourneys() {
     if (!user) {
       setJourneys([]);
@@ -139,67 +259,154 @@ export default function PastJourneysScreen({ navigation }) {
       return;
     }
 
+    const requestId = ++requestRef.current;
     try {
       setLoading(true);
-      const result = await JourneyService.getUserJourneys(user.uid);
-      
-      if (result.success) {
-        // Transform Firestore data to match existing UI expectations
-        const transformedJourneys = result.journeys.map(journey => {
-          const date = journey.createdAt?.toDate?.() || new Date(journey.createdAt) || new Date();
-          return {
-            id: journey.id,
-            coords: journey.route || [],
-            date: date.toISOString(), // Convert to string for serialization
-            dateObj: date, // Keep as object for display purposes
-            name: journey.name,
-            distance: journey.distance,
-            duration: journey.duration,
-            startLocation: journey.startLocation,
-            endLocation: journey.endLocation,
-            // Use the new completion status fields from Firestore
-            isCompleted: journey.isCompleted || false,
-            reviewedDiscoveriesCount: journey.reviewedDiscoveriesCount || 0,
-            totalDiscoveriesCount: journey.totalDiscoveriesCount || 0,
-            completionPercentage: journey.completionPercentage || 0,
-          };
-        });
-        
-        setJourneys(transformedJourneys);
-        
-        // Create journey statuses from the Firestore data
-        const statuses = {};
-        transformedJourneys.forEach(journey => {
-          statuses[journey.id] = journey.isCompleted || false;
-        });
-        setJourneyStatuses(statuses);
-      } else {
+      const result = await JourneyService.getJourneysPage(user.uid, { filters: filtersRef.current });
+      // Filters changed while this page was loading - a newer request owns the list
+      if (requestId !== requestRef.current) {
+        return;
+      }
+      showPage(result, false);
+    } catch (error) {
+      console.error('Error loading journeys:', error);
+      if (requestId === requestRef.current) {
         setJourneys([]);
         setJourneyStatuses({});
+        setHasMore(false);
       }
+    } finally {
+      if (requestId === requestRef.current) {
+        setLoading(false);
+      }
+    }
+  }
+
+  // Totals read every journey, so they load on focus and after a save or delete - not per filter change
+  async function loadStats() {
+    if (!user) {
+      setStats(null);
+      return;
+    }
+
+    try {
+      const result = await JourneyService.getJourneyStats(user.uid);
+      setStats(result.success ? result.stats : null);
     } catch (error) {
-      console.error('Error loading journeys:', error);
-      setJourneys([]);
-      setJourneyStatuses({});
+      Logger.error('PastJourneysScreen: Failed to load journey stats', error);
+    }
+  }
+
+  // Infinite scroll - append the next page from the saved cursor
+  async function loadMoreJourneys() {
+    if (!user || loading || loadingMore || !hasMore) {
+      return;
+    }
+
+    const requestId = requestRef.current;
+    try {
+      setLoadingMore(true);
+      const result = await JourneyService.getJourneysPage(user.uid, {
+        filters: filtersRef.current,
+        cursor: cursorRef.current,
+      });
+      if (requestId === requestRef.current) {
+        showPage(result, true);
+      }
+    } catch (error) {
+      Logger.error('PastJourneysScreen: Failed to load more journeys', error);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   }
 
+  function showPage(result, append) {
+    const items = result.journeys.map(toListItem);
+    cursorRef.current = result.cursor;
+    setHasMore(result.hasMore);
+    setJourneys(previous => (append ? [...previous, ...items] : items));
+
+    // Create journey statuses from the Firestore data
+    setJourneyStatuses(previous => {
+      const statuses = append ? { ...previous } : {};
+      items.forEach(journey => {
+        statuses[journey.id] = journey.isCompleted || false;
+      });
+      return statuses;
+    });
+  }
+
+  // Merge filter changes and reload from the first page
+  function applyFilters(changes) {
+    const next = { ...filtersRef.current, ...changes };
+    filtersRef.current = next;
+    cursorRef.current = null;
+    setFilters(next);
+    loadJourneys();
+  }
+
+  const cyclePreset = (key, presets, toFilters) => {
+    const index = (presetIndex[key] + 1) % presets.length;
+    setPresetIndex(previous => ({ ...previous, [key]: index }));
+    applyFilters(toFilters(presets[index]));
+  };
+
+  // "Near me" - walks passing within NEAR_ME_RADIUS of the current location
+  const toggleAreaFilter = async () => {
+    if (filters.area) {
+      navigation.setParams({ area: null });
+      applyFilters({ area: null });
+      return;
+    }
+
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Location Needed', 'Allow location access to find walks near you.');
+        return;
+      }
+      const position = await Location.getLastKnownPositionAsync() || await Location.getCurrentPositionAsync({});
+      applyFilters({ area: getAreaAround(position.coords, NEAR_ME_RADIUS) });
+    } catch (error) {
+      Logger.error('PastJourneysScreen: Failed to get location for area filter', error);
+      Alert.alert('Error', 'Could not get your location.');
+    }
+  };
+
+  const clearFilters = () => {
+    setSearchText('');
+    setPresetIndex({ date: 0, distance: 0, completion: 0 });
+    navigation.setParams({ area: null });
+    applyFilters(DEFAULT_JOURNEY_FILTERS);
+  };
+
+  // Export every journey, not just the pages loaded so far
+  const exportAll = async () => {
+    try {
+      const result = await JourneyService.getUserJourneys(user.uid);
+      chooseExportFormat(result.journeys.map(journey => journey.id));
+    } catch (error) {
+      Logger.error('PastJourneysScreen: Failed to load journeys for export', error);
+      Alert.alert('Error', 'Failed to load journeys for export');
+    }
+  };
+
+  // Deleted journeys go to the Trash and can be restored for 30 days
   const deleteJourney = async (id) => {
     Alert.alert(
-      'Delete Journey?',
-      'Are you sure you want to delete this journey?',
+      'Move to Trash?',
+      `You can restore this journey from the Trash for ${TRASH_CONFIG.RETENTION_DAYS} days.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
+          text: 'Move to Trash',
           style: 'destructive',
           onPress: async () => {
             try {
-              await JourneyService.deleteJourney(user.uid, id);
+              await JourneyService.softDeleteJourney(user.uid, id);
               // Reload journeys to reflect the change
               await loadJourneys();
+              loadStats();
             } catch (error) {
               console.error('Error deleting journey:', error);
               Alert.alert('Error', 'Failed to delete journey');
@@ -212,7 +419,88 @@ export default function PastJourneysScreen({ navigation }) {
 
 
 
+  // Retry pending uploads now instead of waiting for the next backoff
+  const syncNow = async () => {
+    setSyncing(true);
+    try {
+      const result = await JourneySyncService.processQueue(user.uid, { force: true });
+      if (result.offline) {
+        Alert.alert('Offline', 'Your walks will upload automatically when you\'re back online.');
+      } else if (result.pending > 0) {
+        Alert.alert('Not Synced Yet', `${result.pending} walk${result.pending === 1 ? '' : 's'} could not be uploaded. They'll be retried automatically.`);
+      }
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const renderPendingItem = (item) => {
+    const label = item.name || (item.startTime ? new Date(item.startTime).toLocaleString() : 'Walk');
+    const subtitle = `Distance: ${Math.round(item.distance)}m | Moving: ${formatDuration(item.movingTime)}` +
+      `\nPending sync${item.attempts > 0 ? ` - ${item.attempts} failed attempt${item.attempts === 1 ? '' : 's'}` : ''}`;
+    return (
+      <Card style={{ marginBottom: 8 }}>
+        <ListItem
+          title={label}
+          subtitle={subtitle}
+          right={
+            <View style={styles.itemActions}>
+              <MaterialIcons name="cloud-upload" size={22} color={colors.warning} style={styles.shareButton} />
+              <AppButton
+                title={syncing ? 'Syncing...' : 'Sync Now'}
+                variant="secondary"
+                onPress={syncNow}
+                disabled={syncing}
+                style={{ paddingVertical: 6, paddingHorizontal: 12 }}
+                textStyle={{ fontSize: 14 }}
+              />
+            </View>
+          }
+        />
+      </Card>
+    );
+  };
+
+  const shareJourneys = async (journeyIds, format) => {
+    setExporting(true);
+    try {
+      const result = await JourneyExportService.shareJourneys(user.uid, journeyIds, format);
+      if (!result.success) {
+        Alert.alert('Export Failed', result.error || 'Could not export journeys.');
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Ask for a file format, then open the share sheet
+  const chooseExportFormat = (journeyIds) => {
+    const formatButtons = Object.values(EXPORT_FORMATS).map(format => ({
+      text: format.name,
+      onPress: () => shareJourneys(journeyIds, format.key),
+    }));
+    // Android alerts show at most three buttons - dismiss by tapping outside instead
+    const buttons = Platform.OS === 'ios' ? [...formatButtons, { text: 'Cancel', style: 'cancel' }] : formatButtons;
+
+    Alert.alert(
+      journeyIds.length === 1 ? 'Export Journey' : `Export ${journeyIds.length} Journeys`,
+      'Choose a file format for other mapping apps.',
+      buttons,
+      { cancelable: true }
+    );
+  };
+
+  // One line of split times, e.g. "Splits (km): 11:40 · 11:52 · 12:03"
+  const formatSplits = (splits, unit) => {
+    const shown = splits.slice(0, MAX_LISTED_SPLITS).map(split => formatClock(split.movingTime)).join(' · ');
+    const more = splits.length > MAX_LISTED_SPLITS ? ` +${splits.length - MAX_LISTED_SPLITS} more` : '';
+    return `Splits (${unit}): ${shown}${more}`;
+  };
+
   const renderItem = ({ item, index }) => {
+    if (item.pending) {
+      return renderPendingItem(item);
+    }
     const d = item.dateObj || new Date(item.date);
     const formattedDate = d.toLocaleDateString('en-GB', {
       day: '2-digit',
@@ -225,19 +513,44 @@ export default function PastJourneysScreen({ navigation }) {
       hour12: false
     });
     const label = item.name || `${formattedDate} ${formattedTime}`;
+    const pace = item.distance > 0 ? item.movingTime / (item.distance / 1000) : 0;
+    const showElapsed = item.elapsedTime - item.movingTime >= 60;
+    const subtitle = `Distance: ${Math.round(item.distance)}m | Moving: ${formatDuration(item.movingTime)}` +
+      (showElapsed ? ` (${formatDuration(item.elapsedTime)} total)` : '') +
+      ` | Pace: ${formatPace(pace)}` +
+      (item.totalAscent !== null ? ` | Climb: ${formatElevation(item.totalAscent)}` : '') +
+      (item.splits.length > 0 ? `\n${formatSplits(item.splits, item.splitUnit)}` : '') +
+      (item.discoveryStatus ? `\n${item.discoveryStatus}` : '');
     return (
       <Card style={{ marginBottom: 8 }}>
         <ListItem
           title={label}
-          subtitle={`Distance: ${item.distance}m | Duration: ${Math.round(item.duration / 60)} min`}
+          subtitle={subtitle}
           right={
-            <AppButton
-              title="Delete"
-              variant="danger"
-              onPress={() => deleteJourney(item.id)}
-              style={{ paddingVertical: 6, paddingHorizontal: 12, marginLeft: 8 }}
-              textStyle={{ fontSize: 14 }}
-            />
+            <View style={styles.itemActions}>
+              <TouchableOpacity
+                onPress={() => chooseExportFormat([item.id])}
+                disabled={exporting}
+                style={styles.shareButton}
+                accessibilityLabel={`Export ${label}`}
+              >
+                <MaterialIcons name="share" size={22} color={colors.primary} />
+              </TouchableOpacity>
+              <AppButton
+                title="Details"
+                variant="secondary"
+                onPress={() => navigation.navigate('JourneyDetail', { journeyId: item.id })}
+                style={{ paddingVertical: 6, paddingHorizontal: 12 }}
+                textStyle={{ fontSize: 14 }}
+              />
+              <AppButton
+                title="Delete"
+                variant="danger"
+                onPress={() => deleteJourney(item.id)}
+                style={{ paddingVertical: 6, paddingHorizontal: 12, marginLeft: 8 }}
+                textStyle={{ fontSize: 14 }}
+              />
+            </View>
           }
           onPress={() => navigation.navigate('Discoveries', { journeyId: item.id })}
         />
@@ -248,17 +561,101 @@ export default function PastJourneysScreen({ navigation }) {
   return (
     <View style={[styles.container, { backgroundColor: colors.background }]}>
       <SectionHeader title="Past Journeys" />
+      {stats && stats.totalJourneys > 0 && (
+        <Text style={[styles.statsText, { color: colors.textSecondary }]}>
+          {`${(stats.totalDistance / 1000).toFixed(1)} km over ${stats.totalJourneys} walks | Moving: ${formatDuration(stats.totalMovingTime)} | Avg pace: ${formatPace(stats.averagePace)}`}
+        </Text>
+      )}
+      <View style={styles.headerActions}>
+        <AppButton
+          title="Trash"
+          variant="secondary"
+          onPress={() => navigation.navigate('Trash')}
+          style={styles.headerButton}
+          textStyle={{ fontSize: 14 }}
+        />
+        <AppButton
+          title="Import"
+          variant="secondary"
+          onPress={() => navigation.navigate('ImportJourneys')}
+          style={[styles.headerButton, { marginLeft: 8 }]}
+          textStyle={{ fontSize: 14 }}
+        />
+        {journeys.length > 0 && (
+          <AppButton
+            title={exporting ? 'Exporting...' : 'Export All'}
+            variant="secondary"
+            onPress={exportAll}
+            disabled={exporting}
+            style={[styles.headerButton, { marginLeft: 8 }]}
+            textStyle={{ fontSize: 14 }}
+          />
+        )}
+      </View>
+      <View style={[styles.searchRow, { borderColor: colors.border }]}>
+        <MaterialIcons name="search" size={20} color={colors.textSecondary} />
+        <TextInput
+          style={[styles.searchInput, { color: colors.text }]}
+          placeholder="Search by name or tag"
+          placeholderTextColor={colors.textSecondary}
+          value={searchText}
+          onChangeText={setSearchText}
+          onSubmitEditing={() => applyFilters({ text: searchText })}
+          returnKeyType="search"
+          accessibilityLabel="Search journeys"
+        />
+        {searchText.length > 0 && (
+          <TouchableOpacity
+            onPress={() => {
+              setSearchText('');
+              applyFilters({ text: '' });
+            }}
+            accessibilityLabel="Clear search"
+          >
+            <MaterialIcons name="close" size={20} color={colors.textSecondary} />
+          </TouchableOpacity>
+        )}
+      </View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterBar} contentContainerStyle={styles.filterBarContent}>
+        {[
+          { key: 'date', label: DATE_PRESETS[presetIndex.date].label, onPress: () => cyclePreset('date', DATE_PRESETS, preset => preset.range()) },
+          { key: 'distance', label: DISTANCE_PRESETS[presetIndex.distance].label, onPress: () => cyclePreset('distance', DISTANCE_PRESETS, ({ minDistance, maxDistance }) => ({ minDistance, maxDistance })) },
+          { key: 'completion', label: COMPLETION_PRESETS[presetIndex.completion].label, onPress: () => cyclePreset('completion', COMPLETION_PRESETS, ({ completion }) => ({ completion })) },
+          { key: 'area', label: filters.area ? (mapArea ? 'Map area' : 'Near me') : 'Anywhere', active: !!filters.area, onPress: toggleAreaFilter },
+        ].map(chip => {
+          const active = chip.active ?? presetIndex[chip.key] > 0;
+          return (
+            <TouchableOpacity
+              key={chip.key}
+              onPress={chip.onPress}
+              style={[styles.filterChip, { borderColor: colors.primary, backgroundColor: active ? colors.primary : 'transparent' }]}
+            >
+              <Text style={{ color: active ? colors.buttonText : colors.primary, fontSize: 13 }}>{chip.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        {hasActiveFilters(filters) && (
+          <TouchableOpacity onPress={clearFilters} style={[styles.filterChip, { borderColor: colors.textSecondary }]}>
+            <Text style={{ color: colors.textSecondary, fontSize: 13 }}>Clear</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
       {loading ? (
         <ActivityIndicator size="large" style={{ marginTop: 40 }} color={colors.primary} />
       ) : (
         <FlatList
-          data={journeys}
-          keyExtractor={item => item.id}
+          data={[...pendingJourneys.map(entry => ({ ...entry, id: entry.journeyId, pending: true })), ...journeys]}
+          keyExtractor={item => (item.pending ? `pending_${item.id}` : item.id)}
           renderItem={renderItem}
           contentContainerStyle={{ padding: 16 }}
+          onEndReached={loadMoreJourneys}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={() => (loadingMore ? (
+            <ActivityIndicator size="small" style={{ marginVertical: 16 }} color={colors.primary} />
+          ) : null)}
           ListEmptyComponent={() => (
             <Text style={[styles.emptyText, { color: colors.secondaryText }]}>
-              No journeys found.
+              {hasActiveFilters(filters) ? 'No journeys match these filters.' : 'No journeys found.'}
             </Text>
           )}
         />
@@ -276,6 +673,58 @@ const styles = StyleSheet.create({
     textAlign: 'center', 
     marginTop: 40,
   },
+  itemActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  shareButton: {
+    padding: 6,
+    marginRight: 4,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginHorizontal: 16,
+    marginTop: 8,
+  },
+  headerButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  statsText: {
+    fontSize: 13,
+    marginHorizontal: 16,
+    marginTop: 4,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    marginHorizontal: 16,
+    marginTop: 12,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+    fontSize: 15,
+  },
+  filterBar: {
+    flexGrow: 0,
+    marginTop: 8,
+  },
+  filterBarContent: {
+    paddingHorizontal: 16,
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
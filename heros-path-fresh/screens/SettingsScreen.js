@@ -15,6 +15,9 @@
  * - User Profile Management: Edit profile information and account settings
  * - Discovery Preferences: Access detailed place type preferences
  * - Language Selection: Choose interface language (internationalization support)
+ * - Tracking Mode: Choose the GPS tracking profile (High Accuracy / Balanced / Saver)
+ * - Distance Units: Kilometres or miles for the walk HUD and splits
+ * - Privacy Zones: Hide route points near home, work or other private places
  * - Account Operations: Sign out, delete account, data management
  * - Data Migration: Handle app version updates and data structure changes
  * - Testing Utilities: API connectivity testing, migration testing, data viewing
@@ -71,6 +74,9 @@
  * - DataMigrationService.js (for data migration workflows)
  * - JourneyService.js (for data management and cleanup)
  * - FirestoreDataViewer.js (for debugging database content)
+ * - LocationSourceService.js (for simulated walks from GPX/GeoJSON or saved journeys)
+ * - PlacesProviderService.js (for switching between Google and offline fixture places)
+ * - PlacesCacheService.js (for places cache statistics, TTL and clearing)
  * - Multiple UI components for consistent interface design
  * 
  * IMPORTANCE TO APP:
@@ -128,7 +134,14 @@ import { testPlacesAPIMigration } from '../services/DiscoveriesService';
 import { useNavigation } from '@react-navigation/native';
 import DataMigrationService from '../services/DataMigrationService';
 import * as Location from 'expo-location';
-import JourneyService from '../services/JourneyService';
+import JourneyService, { ROUTE_RESOLUTIONS } from '../services/JourneyService';
+import BackgroundLocationService, { TRACKING_PROFILES, DEFAULT_TRACKING_PROFILE } from '../services/BackgroundLocationService';
+import { SPLIT_UNITS, DEFAULT_SPLIT_UNIT } from '../utils/WalkSplits';
+import PrivacyZoneService from '../services/PrivacyZoneService';
+import { PRIVACY_ZONE_MODES, PRIVACY_ZONE_CONFIG, DEFAULT_PRIVACY_SETTINGS } from '../utils/PrivacyZones';
+import LocationSourceService, { LOCATION_SOURCE_TYPES } from '../services/LocationSourceService';
+import PlacesProviderService, { PLACES_PROVIDER_TYPES } from '../services/PlacesProviderService';
+import PlacesCacheService from '../services/PlacesCacheService';
 import FirestoreDataViewer from '../utils/FirestoreDataViewer';
 import DiscoveryService from '../services/DiscoveryService';
 import AnimationDemo from '../components/AnimationDemo';
@@ -211,6 +224,12 @@ const LANGUAGES = [
   { code: 'ja', label: '日本語' },
   { code: 'zh-CN', label: '中文（简体）' },
 ];
+const HOUR_MS = 60 * 60 * 1000;
+const PLACES_CACHE_TTL_OPTIONS = [
+  { label: '1 hour', ttlMs: HOUR_MS },
+  { label: '1 day', ttlMs: 24 * HOUR_MS },
+  { label: '7 days', ttlMs: 7 * 24 * HOUR_MS },
+];
 
 export default function SettingsScreen() {
   const { user, userProfile, profileLoading, updateProfile, signOutUser, migrationStatus: userMigrationStatus, triggerMigration } = useUser();
@@ -230,6 +249,13 @@ export default function SettingsScreen() {
   const colors = getCurrentThemeColors() || getFallbackTheme();
   
   const [language, setLanguage] = useState('en');
+  const [trackingProfile, setTrackingProfile] = useState(DEFAULT_TRACKING_PROFILE);
+  const [distanceUnit, setDistanceUnit] = useState(DEFAULT_SPLIT_UNIT);
+  const [recordRawTrack, setRecordRawTrack] = useState(false);
+  const [privacySettings, setPrivacySettings] = useState(DEFAULT_PRIVACY_SETTINGS);
+  const [newZoneName, setNewZoneName] = useState('');
+  const [newZoneRadius, setNewZoneRadius] = useState(PRIVACY_ZONE_CONFIG.DEFAULT_RADIUS);
+  const [addingZone, setAddingZone] = useState(false);
   const [editingProfile, setEditingProfile] = useState(false);
   const [developerSectionExpanded, setDeveloperSectionExpanded] = useState(false);
   const [developerLoading, setDeveloperLoading] = useState(false);
@@ -238,6 +264,9 @@ export default function SettingsScreen() {
   const [testingMigration, setTestingMigration] = useState(false);
   const [dataMigrationStatus, setDataMigrationStatus] = useState(null);
   const [showAnimationDemo, setShowAnimationDemo] = useState(false);
+  const [locationSourceInfo, setLocationSourceInfo] = useState(LocationSourceService.getSourceInfo());
+  const [placesProviderInfo, setPlacesProviderInfo] = useState(PlacesProviderService.getProviderInfo());
+  const [placesCacheStats, setPlacesCacheStats] = useState(null);
   const [editForm, setEditForm] = useState({
     displayName: '',
     bio: '',
@@ -252,6 +281,18 @@ export default function SettingsScreen() {
       })
       .catch(() => {/* ignore */});
 
+    BackgroundLocationService.getPreferredProfile()
+      .then(setTrackingProfile)
+      .catch(() => {/* ignore */});
+
+    BackgroundLocationService.getDistanceUnit()
+      .then(setDistanceUnit)
+      .catch(() => {/* ignore */});
+
+    BackgroundLocationService.getRecordRawTrack()
+      .then(setRecordRawTrack)
+      .catch(() => {/* ignore */});
+
     // Use the service function to get preferences (which handles syncing)
     import('../services/DiscoveriesService').then(({ getUserDiscoveryPreferences }) => {
       getUserDiscoveryPreferences()
@@ -262,6 +303,24 @@ export default function SettingsScreen() {
     });
   }, []);
 
+  // Load privacy zones from the user profile
+  useEffect(() => {
+    if (!user) return;
+    PrivacyZoneService.getSettings(user.uid)
+      .then(setPrivacySettings)
+      .catch(() => {/* ignore */});
+  }, [user]);
+
+  // Keep the simulated walk status in sync with the location source
+  useEffect(() => LocationSourceService.addListener(setLocationSourceInfo), []);
+
+  // Keep the places provider status in sync
+  useEffect(() => PlacesProviderService.addListener(setPlacesProviderInfo), []);
+
+  useEffect(() => {
+    refreshPlacesCacheStats();
+  }, []);
+
   // Update edit form when profile changes
   useEffect(() => {
     if (userProfile) {
@@ -279,6 +338,99 @@ export default function SettingsScreen() {
     await AsyncStorage.setItem(LANG_KEY, code);
   };
 
+  // When user taps a tracking mode option
+  const selectTrackingProfile = async (profileKey) => {
+    setTrackingProfile(profileKey);
+    try {
+      await BackgroundLocationService.setPreferredProfile(profileKey);
+    } catch (error) {
+      Logger.error('Failed to save tracking profile:', error);
+      Alert.alert('Error', 'Failed to save tracking mode.');
+    }
+  };
+
+  // When user taps a distance unit option
+  const selectDistanceUnit = async (unit) => {
+    setDistanceUnit(unit);
+    try {
+      await BackgroundLocationService.setDistanceUnit(unit);
+    } catch (error) {
+      Logger.error('Failed to save distance unit:', error);
+      Alert.alert('Error', 'Failed to save distance units.');
+    }
+  };
+
+  // Developer tool: keep each walk's unsmoothed GPS fixes to compare with the smoothed route
+  const toggleRecordRawTrack = async (enabled) => {
+    setRecordRawTrack(enabled);
+    try {
+      await BackgroundLocationService.setRecordRawTrack(enabled);
+    } catch (error) {
+      Logger.error('Failed to save raw track setting:', error);
+      setRecordRawTrack(!enabled);
+      Alert.alert('Error', 'Failed to save the raw GPS setting.');
+    }
+  };
+
+  // Save a change to privacy settings (mode or keep-original flag)
+  const updatePrivacySettings = async (updates) => {
+    const previous = privacySettings;
+    setPrivacySettings({ ...privacySettings, ...updates });
+    try {
+      const result = await PrivacyZoneService.saveSettings(user.uid, updates);
+      setPrivacySettings(result.settings);
+    } catch (error) {
+      Logger.error('Failed to save privacy settings:', error);
+      setPrivacySettings(previous);
+      Alert.alert('Error', 'Failed to save privacy settings.');
+    }
+  };
+
+  // Add a privacy zone centred on where the user is standing
+  const addPrivacyZoneHere = async () => {
+    setAddingZone(true);
+    try {
+      const coords = await BackgroundLocationService.getCurrentLocation();
+      const result = await PrivacyZoneService.addZone(user.uid, {
+        name: newZoneName,
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        radius: newZoneRadius,
+      });
+      setPrivacySettings(result.settings);
+      setNewZoneName('');
+      Alert.alert('Privacy Zone Added', `Route points within ${newZoneRadius}m of "${result.zone.name}" will be hidden on new walks.`);
+    } catch (error) {
+      Logger.error('Failed to add privacy zone:', error);
+      Alert.alert('Error', error.message || 'Failed to add privacy zone.');
+    } finally {
+      setAddingZone(false);
+    }
+  };
+
+  const confirmRemovePrivacyZone = (zone) => {
+    Alert.alert(
+      'Remove Privacy Zone?',
+      `Routes saved from now on will show points near "${zone.name}".`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const result = await PrivacyZoneService.removeZone(user.uid, zone.id);
+              setPrivacySettings(result.settings);
+            } catch (error) {
+              Logger.error('Failed to remove privacy zone:', error);
+              Alert.alert('Error', 'Failed to remove privacy zone.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   // Handle discovery preference toggle
   const toggleDiscoveryPreference = async (placeType) => {
     const newPrefs = {
@@ -454,6 +606,76 @@ export default function SettingsScreen() {
     );
   };
 
+  // Simulated walks - replay the most recent saved journey
+  const replayLatestJourney = async () => {
+    try {
+      setDeveloperLoading(true);
+      const result = await JourneyService.getUserJourneys(user.uid);
+      const journey = result.success && result.journeys.find(j => (j.routePointCount ?? j.route?.length ?? 0) >= 2);
+      if (!journey) {
+        Alert.alert('No Route Found', 'Save a walk with a route first, or load a GPX/GeoJSON file.');
+        return;
+      }
+      // Replay every recorded point, not the overview stored on the journey doc
+      const { route } = await JourneyService.getJourneyRoute(user.uid, journey.id, { resolution: ROUTE_RESOLUTIONS.FULL, journey });
+      LocationSourceService.loadReplayJourney({ ...journey, route }, { speed: locationSourceInfo.speed || 1 });
+      Alert.alert('Replay Ready', `Start a walk on the map to replay "${journey.name}".`);
+    } catch (error) {
+      Alert.alert('Error', `Failed to load journey for replay: ${error.message}`);
+    } finally {
+      setDeveloperLoading(false);
+    }
+  };
+
+  // Simulated walks - replay a GPX or GeoJSON file
+  const replayRouteFile = async () => {
+    try {
+      const result = await LocationSourceService.pickReplayFile({ speed: locationSourceInfo.speed || 1 });
+      if (result.success) {
+        Alert.alert('Replay Ready', `Start a walk on the map to replay ${result.source.name} (${result.source.pointCount} points).`);
+      } else if (!result.canceled) {
+        Alert.alert('Error', `Failed to load route file: ${result.error}`);
+      }
+    } catch (error) {
+      Alert.alert('Error', `Failed to load route file: ${error.message}`);
+    }
+  };
+
+  // Places cache - hit statistics for the developer tools
+  const refreshPlacesCacheStats = async () => {
+    try {
+      setPlacesCacheStats(await PlacesCacheService.getStats());
+    } catch (error) {
+      Logger.warn('Failed to read places cache stats:', error);
+    }
+  };
+
+  const setPlacesCacheTTL = async (ttlMs) => {
+    await PlacesCacheService.setConfig({ TTL_MS: ttlMs });
+    await refreshPlacesCacheStats();
+  };
+
+  const clearPlacesCache = () => {
+    Alert.alert(
+      'Clear Places Cache?',
+      'Cached place searches and hit statistics will be deleted. The next searches will call the Places API again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await PlacesCacheService.clear();
+            if (!result.success) {
+              Alert.alert('Error', `Failed to clear places cache: ${result.error}`);
+            }
+            await refreshPlacesCacheStats();
+          },
+        },
+      ]
+    );
+  };
+
   // Manual data migration trigger
   const handleManualMigration = async () => {
     if (!user) return;
@@ -1049,8 +1271,131 @@ export default function SettingsScreen() {
               ))}
             </View>
           </View>
+          <View style={styles.preferenceItem}>
+            <Text style={[styles.preferenceLabel, { color: colors.text }]}>Tracking Mode</Text>
+            <View style={styles.languageOptions}>
+              {Object.values(TRACKING_PROFILES).map(profile => (
+                <SettingsButton
+                  key={profile.key}
+                  label={profile.name}
+                  onPress={() => selectTrackingProfile(profile.key)}
+                  color={trackingProfile === profile.key ? colors.buttonPrimary : colors.buttonSecondary}
+                  textColor={trackingProfile === profile.key ? colors.buttonText : colors.text}
+                  style={{ flex: 1, marginHorizontal: 2 }}
+                  accessibilityLabel={`Tracking Mode: ${profile.name}`}
+                />
+              ))}
+            </View>
+          </View>
+          <View style={styles.preferenceItem}>
+            <Text style={[styles.preferenceLabel, { color: colors.text }]}>Distance Units</Text>
+            <View style={styles.languageOptions}>
+              {Object.values(SPLIT_UNITS).map(unit => (
+                <SettingsButton
+                  key={unit.key}
+                  label={unit.name}
+                  onPress={() => selectDistanceUnit(unit.key)}
+                  color={distanceUnit === unit.key ? colors.buttonPrimary : colors.buttonSecondary}
+                  textColor={distanceUnit === unit.key ? colors.buttonText : colors.text}
+                  style={{ flex: 1, marginHorizontal: 2 }}
+                  accessibilityLabel={`Distance Units: ${unit.name}`}
+                />
+              ))}
+            </View>
+          </View>
         </SectionCard>
 
+        {/* Privacy Zones Section */}
+        {user && (
+          <SectionCard>
+            <SectionHeader icon="privacy-tip" title="Privacy Zones" />
+            <Text style={[styles.zoneHint, { color: colors.textSecondary }]}>
+              Route points inside these areas are hidden whenever a walk is saved, shared or exported.
+            </Text>
+            {privacySettings.zones.length === 0 ? (
+              <Text style={[styles.zoneHint, { color: colors.textSecondary }]}>No privacy zones yet.</Text>
+            ) : (
+              privacySettings.zones.map(zone => (
+                <View key={zone.id} style={styles.preferenceRow}>
+                  <Text style={[styles.preferenceLabel, { color: colors.text }]}>
+                    {zone.name} ({zone.radius}m)
+                  </Text>
+                  <SettingsButton
+                    label="Remove"
+                    onPress={() => confirmRemovePrivacyZone(zone)}
+                    icon="delete"
+                    color={colors.buttonSecondary}
+                    textColor={colors.text}
+                    accessibilityLabel={`Remove privacy zone ${zone.name}`}
+                  />
+                </View>
+              ))
+            )}
+            <View style={styles.preferenceItem}>
+              <Text style={[styles.preferenceLabel, { color: colors.text }]}>New zone at my location</Text>
+              <TextInput
+                style={[styles.zoneInput, {
+                  backgroundColor: colors.inputBackground,
+                  borderColor: colors.inputBorder,
+                  color: colors.inputText
+                }]}
+                placeholder="Name (e.g. Home)"
+                placeholderTextColor={colors.placeholder}
+                value={newZoneName}
+                onChangeText={setNewZoneName}
+              />
+              <View style={styles.languageOptions}>
+                {PRIVACY_ZONE_CONFIG.RADII.map(radius => (
+                  <SettingsButton
+                    key={radius}
+                    label={`${radius}m`}
+                    onPress={() => setNewZoneRadius(radius)}
+                    color={newZoneRadius === radius ? colors.buttonPrimary : colors.buttonSecondary}
+                    textColor={newZoneRadius === radius ? colors.buttonText : colors.text}
+                    style={{ flex: 1, marginHorizontal: 2, minWidth: 0 }}
+                    accessibilityLabel={`Privacy zone radius ${radius} metres`}
+                  />
+                ))}
+              </View>
+              <SettingsButton
+                label={addingZone ? 'Locating...' : 'Add Zone Here'}
+                onPress={addPrivacyZoneHere}
+                icon="add-location"
+                disabled={addingZone}
+                style={{ minWidth: 200 }}
+                accessibilityLabel="Add privacy zone at current location"
+              />
+            </View>
+            <View style={styles.preferenceItem}>
+              <Text style={[styles.preferenceLabel, { color: colors.text }]}>Inside a zone</Text>
+              <View style={styles.languageOptions}>
+                {[
+                  { mode: PRIVACY_ZONE_MODES.TRIM, label: 'Trim' },
+                  { mode: PRIVACY_ZONE_MODES.OBFUSCATE, label: 'Blur' },
+                ].map(({ mode, label }) => (
+                  <SettingsButton
+                    key={mode}
+                    label={label}
+                    onPress={() => updatePrivacySettings({ mode })}
+                    color={privacySettings.mode === mode ? colors.buttonPrimary : colors.buttonSecondary}
+                    textColor={privacySettings.mode === mode ? colors.buttonText : colors.text}
+                    style={{ flex: 1, marginHorizontal: 2 }}
+                    accessibilityLabel={`Privacy zone mode: ${label}`}
+                  />
+                ))}
+              </View>
+            </View>
+            <View style={styles.preferenceRow}>
+              <Text style={[styles.preferenceLabel, { color: colors.text }]}>Keep full route (only visible to me)</Text>
+              <Switch
+                value={privacySettings.keepOriginalRoute}
+                onValueChange={value => updatePrivacySettings({ keepOriginalRoute: value })}
+                accessibilityLabel="Keep full route visible only to me"
+              />
+            </View>
+          </SectionCard>
+        )}
+
         {/* Theme & Map Style Section */}
         <SectionCard>
           <SectionHeader icon="palette" title="Theme & Map Style" />
@@ -1108,6 +1453,14 @@ export default function SettingsScreen() {
             textColor={colors.buttonText}
             accessibilityLabel="Sign Out"
           />
+          <SettingsButton
+            label="Delete Account"
+            onPress={() => navigation.navigate('DeleteAccount')}
+            icon="delete-forever"
+            color={colors.danger}
+            textColor={colors.buttonText}
+            accessibilityLabel="Delete Account"
+          />
         </SectionCard>
 
         {/* Developer Tools Section (if user is dev) */}
@@ -1487,6 +1840,131 @@ export default function SettingsScreen() {
                 <MaterialIcons name="chevron-right" size={24} color={colors.textSecondary} />
               </TouchableOpacity>
             </View>
+
+            {/* Simulated Walks */}
+            <View style={styles.subsection}>
+              <Text style={styles.subsectionTitle}>🧭 Simulated Walks</Text>
+              <Text style={styles.settingText}>
+                Source: {locationSourceInfo.name}
+                {locationSourceInfo.type === LOCATION_SOURCE_TYPES.REPLAY &&
+                  ` (${locationSourceInfo.pointCount} points, ${locationSourceInfo.speed}x)`}
+              </Text>
+
+              <TouchableOpacity style={styles.settingItem} onPress={replayLatestJourney}>
+                <View style={styles.settingContent}>
+                  <MaterialIcons name="replay" size={24} color={colors.primary} />
+                  <Text style={styles.settingText}>Replay Latest Journey</Text>
+                </View>
+                <MaterialIcons name="chevron-right" size={24} color={colors.textSecondary} />
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.settingItem} onPress={replayRouteFile}>
+                <View style={styles.settingContent}>
+                  <MaterialIcons name="upload-file" size={24} color={colors.primary} />
+                  <Text style={styles.settingText}>Replay GPX/GeoJSON File</Text>
+                </View>
+                <MaterialIcons name="chevron-right" size={24} color={colors.textSecondary} />
+              </TouchableOpacity>
+
+              {locationSourceInfo.type === LOCATION_SOURCE_TYPES.REPLAY && (
+                <>
+                  <View style={styles.languageOptions}>
+                    {[1, 5, 10].map(speed => (
+                      <SettingsButton
+                        key={speed}
+                        label={`${speed}x`}
+                        onPress={() => LocationSourceService.setReplaySpeed(speed)}
+                        color={locationSourceInfo.speed === speed ? colors.buttonPrimary : colors.buttonSecondary}
+                        textColor={locationSourceInfo.speed === speed ? colors.buttonText : colors.text}
+                        style={{ flex: 1, marginHorizontal: 2 }}
+                        accessibilityLabel={`Replay speed ${speed}x`}
+                      />
+                    ))}
+                  </View>
+
+                  <TouchableOpacity style={styles.settingItem} onPress={() => LocationSourceService.useDeviceSource()}>
+                    <View style={styles.settingContent}>
+                      <MaterialIcons name="gps-fixed" size={24} color={colors.primary} />
+                      <Text style={styles.settingText}>Use Device GPS</Text>
+                    </View>
+                    <MaterialIcons name="chevron-right" size={24} color={colors.textSecondary} />
+                  </TouchableOpacity>
+                </>
+              )}
+
+              <View style={styles.preferenceRow}>
+                <Text style={[styles.preferenceLabel, { color: colors.text }]}>Record raw GPS track (only visible to me)</Text>
+                <Switch
+                  value={recordRawTrack}
+                  onValueChange={toggleRecordRawTrack}
+                  accessibilityLabel="Record raw GPS track alongside the smoothed route"
+                />
+              </View>
+            </View>
+
+            {/* Places Provider */}
+            <View style={styles.subsection}>
+              <Text style={styles.subsectionTitle}>📍 Places Data</Text>
+              <Text style={styles.settingText}>
+                Provider: {placesProviderInfo.name}
+                {placesProviderInfo.type === PLACES_PROVIDER_TYPES.FIXTURE && ` (${placesProviderInfo.places} places, offline)`}
+              </Text>
+
+              <View style={styles.languageOptions}>
+                {[
+                  { label: 'Google', isActive: placesProviderInfo.type !== PLACES_PROVIDER_TYPES.FIXTURE, onPress: () => PlacesProviderService.useGoogleProvider() },
+                  { label: 'Sample Fixture', isActive: placesProviderInfo.type === PLACES_PROVIDER_TYPES.FIXTURE, onPress: () => PlacesProviderService.useFixtureProvider() },
+                ].map(option => (
+                  <SettingsButton
+                    key={option.label}
+                    label={option.label}
+                    onPress={option.onPress}
+                    color={option.isActive ? colors.buttonPrimary : colors.buttonSecondary}
+                    textColor={option.isActive ? colors.buttonText : colors.text}
+                    style={{ flex: 1, marginHorizontal: 2 }}
+                    accessibilityLabel={`Use ${option.label} places`}
+                  />
+                ))}
+              </View>
+
+              {placesCacheStats && (
+                <>
+                  <Text style={styles.settingText}>
+                    Cache: {placesCacheStats.entries} searches stored, {placesCacheStats.hits} API calls saved
+                    {' '}({Math.round(placesCacheStats.hitRate * 100)}% hit rate, {placesCacheStats.misses} misses)
+                  </Text>
+                  <View style={styles.languageOptions}>
+                    {PLACES_CACHE_TTL_OPTIONS.map(option => (
+                      <SettingsButton
+                        key={option.label}
+                        label={option.label}
+                        onPress={() => setPlacesCacheTTL(option.ttlMs)}
+                        color={placesCacheStats.config.TTL_MS === option.ttlMs ? colors.buttonPrimary : colors.buttonSecondary}
+                        textColor={placesCacheStats.config.TTL_MS === option.ttlMs ? colors.buttonText : colors.text}
+                        style={{ flex: 1, marginHorizontal: 2 }}
+                        accessibilityLabel={`Keep cached places for ${option.label}`}
+                      />
+                    ))}
+                  </View>
+                </>
+              )}
+
+              <TouchableOpacity style={styles.settingItem} onPress={refreshPlacesCacheStats}>
+                <View style={styles.settingContent}>
+                  <MaterialIcons name="insights" size={24} color={colors.primary} />
+                  <Text style={styles.settingText}>Refresh Cache Statistics</Text>
+                </View>
+                <MaterialIcons name="chevron-right" size={24} color={colors.textSecondary} />
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.settingItem} onPress={clearPlacesCache}>
+                <View style={styles.settingContent}>
+                  <MaterialIcons name="delete-sweep" size={24} color={colors.primary} />
+                  <Text style={styles.settingText}>Clear Places Cache</Text>
+                </View>
+                <MaterialIcons name="chevron-right" size={24} color={colors.textSecondary} />
+              </TouchableOpacity>
+            </View>
           </SectionCard>
         )}
       </ScrollView>
@@ -1617,6 +2095,16 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: Spacing.sm,
   },
+  zoneHint: {
+    ...Typography.caption,
+    marginBottom: Spacing.sm,
+  },
+  zoneInput: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: Spacing.sm,
+    marginVertical: Spacing.sm,
+  },
   languageOptions: {
     flexDirection: 'row',
     flexWrap: 'wrap',
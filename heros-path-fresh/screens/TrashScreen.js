@@ -0,0 +1,246 @@
+/*
+ * TRASH SCREEN
+ * ============
+ *
+ * PURPOSE:
+ * Lists journeys the user deleted from Past Journeys. Deleted journeys stay here for
+ * 30 days, so a walk removed by mistake can be restored; after that they are purged
+ * for good together with their discoveries.
+ *
+ * FUNCTIONALITY:
+ * - Lists soft-deleted journeys with when they were deleted and when they'll be purged
+ * - Restores a journey to Past Journeys
+ * - Deletes a journey forever (full cleanup through JourneyService.deleteJourney)
+ * - Empties the whole Trash, showing how many journeys are done
+ *
+ * WHY IT EXISTS:
+ * Deleting a journey also removes its discoveries, which can't be recreated exactly.
+ * A grace period makes that mistake recoverable.
+ *
+ * RELATIONSHIPS:
+ * - Opened from PastJourneysScreen.js, which moves deleted journeys here
+ * - Uses JourneyService.js for listing, restoring and purging
+ * - UserContext.js purges expired trash on sign-in
+ *
+ * REFERENCES:
+ * - UserContext.js (for the signed-in user)
+ * - ThemeContext.js (for styling)
+ * - JourneyFormatters.js (for shared number formatting)
+ */
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useUser } from '../contexts/UserContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { getFallbackTheme } from '../styles/theme';
+import JourneyService, { TRASH_CONFIG } from '../services/JourneyService';
+import Card from '../components/ui/Card';
+import ListItem from '../components/ui/ListItem';
+import AppButton from '../components/ui/AppButton';
+import SectionHeader from '../components/ui/SectionHeader';
+import { formatDistance } from '../utils/JourneyFormatters';
+import Logger from '../utils/Logger';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function TrashScreen({ navigation }) {
+  const [journeys, setJourneys] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const { user } = useUser();
+  const { getCurrentThemeColors } = useTheme();
+  const colors = getCurrentThemeColors() || getFallbackTheme();
+
+  useFocusEffect(
+    useCallback(() => {
+      loadTrash();
+    }, [user])
+  );
+
+  async function loadTrash() {
+    if (!user) {
+      setJourneys([]);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const result = await JourneyService.getTrashedJourneys(user.uid);
+      setJourneys(result.journeys);
+    } catch (error) {
+      Logger.error('TrashScreen: Failed to load trash', error);
+      setJourneys([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Run a Trash action, then reload the list
+  const runAction = async (action, failureMessage) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      Logger.error('TrashScreen: Trash action failed', error);
+      Alert.alert('Error', failureMessage);
+    } finally {
+      setBusy(false);
+      setProgress(null);
+      await loadTrash();
+    }
+  };
+
+  const restoreJourney = (journeyId) => runAction(
+    () => JourneyService.restoreJourney(user.uid, journeyId),
+    'Failed to restore journey'
+  );
+
+  const deleteForever = (journey) => {
+    Alert.alert(
+      'Delete Forever?',
+      'This journey and the discoveries found on it will be permanently deleted. Saved places are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete Forever',
+          style: 'destructive',
+          onPress: () => runAction(() => JourneyService.deleteJourney(user.uid, journey.id), 'Failed to delete journey'),
+        },
+      ]
+    );
+  };
+
+  const emptyTrash = () => {
+    Alert.alert(
+      'Empty Trash?',
+      `${journeys.length} journey${journeys.length === 1 ? '' : 's'} and their discoveries will be permanently deleted.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty Trash',
+          style: 'destructive',
+          onPress: () => runAction(async () => {
+            const result = await JourneyService.purgeTrash(user.uid, {
+              all: true,
+              onProgress: ({ completedJourneys, totalJourneys }) => setProgress({ done: completedJourneys, total: totalJourneys }),
+            });
+            if (!result.success) {
+              Alert.alert('Trash Not Emptied', `${result.failed} journey${result.failed === 1 ? '' : 's'} could not be deleted.`);
+            }
+          }, 'Failed to empty trash'),
+        },
+      ]
+    );
+  };
+
+  const renderItem = ({ item }) => {
+    const date = item.createdAt?.toDate?.() || (item.startTime ? new Date(item.startTime) : null);
+    const daysLeft = Math.max(0, Math.ceil((item.purgeAt - Date.now()) / DAY_MS));
+    const subtitle = `${formatDistance(item.distance || 0)}` +
+      (date ? ` | Walked ${date.toLocaleDateString()}` : '') +
+      `\nDeleted ${new Date(item.deletedAtMs).toLocaleDateString()} | ` +
+      (daysLeft > 0 ? `Deleted forever in ${daysLeft} day${daysLeft === 1 ? '' : 's'}` : 'Deleted forever soon');
+
+    return (
+      <Card style={{ marginBottom: 8 }}>
+        <ListItem
+          title={item.name || 'Journey'}
+          subtitle={subtitle}
+          right={
+            <View style={styles.itemActions}>
+              <AppButton
+                title="Restore"
+                variant="secondary"
+                onPress={() => restoreJourney(item.id)}
+                disabled={busy}
+                style={styles.itemButton}
+                textStyle={{ fontSize: 14 }}
+              />
+              <AppButton
+                title="Delete"
+                variant="danger"
+                onPress={() => deleteForever(item)}
+                disabled={busy}
+                style={[styles.itemButton, { marginLeft: 8 }]}
+                textStyle={{ fontSize: 14 }}
+              />
+            </View>
+          }
+        />
+      </Card>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: colors.background }]}>
+      <SectionHeader title="Trash" />
+      <Text style={[styles.hint, { color: colors.textSecondary }]}>
+        {`Deleted journeys are kept for ${TRASH_CONFIG.RETENTION_DAYS} days, then deleted forever with their discoveries.`}
+      </Text>
+      {journeys.length > 0 && (
+        <AppButton
+          title={progress ? `Deleting ${progress.done}/${progress.total}...` : busy ? 'Working...' : 'Empty Trash'}
+          variant="danger"
+          onPress={emptyTrash}
+          disabled={busy}
+          style={styles.emptyTrashButton}
+          textStyle={{ fontSize: 14 }}
+        />
+      )}
+      {loading ? (
+        <ActivityIndicator size="large" style={{ marginTop: 40 }} color={colors.primary} />
+      ) : (
+        <FlatList
+          data={journeys}
+          keyExtractor={item => item.id}
+          renderItem={renderItem}
+          contentContainerStyle={{ padding: 16 }}
+          ListEmptyComponent={() => (
+            <Text style={[styles.emptyText, { color: colors.textSecondary }]}>
+              Trash is empty.
+            </Text>
+          )}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: 16,
+  },
+  hint: {
+    fontSize: 13,
+    marginHorizontal: 16,
+    marginTop: 4,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  itemActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  itemButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  emptyTrashButton: {
+    alignSelf: 'flex-end',
+    marginHorizontal: 16,
+    marginTop: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+});
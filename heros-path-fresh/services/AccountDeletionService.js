@@ -0,0 +1,244 @@
+/*
+ * ACCOUNT DELETION SERVICE
+ * ========================
+ *
+ * PURPOSE:
+ * Deletes a user's account for good: every journey and discovery, ping results and
+ * ping history, the profile, this user's entry in other users' friend lists, all data
+ * stored on the device and finally the Firebase Auth user itself. Before anything is
+ * removed it can produce a dry-run summary of what will go.
+ *
+ * FUNCTIONALITY:
+ * - Counts everything a deletion will remove (dry run) without changing any data
+ * - Re-authenticates the user (password or Google) - Firebase only deletes an Auth
+ *   user who signed in recently
+ * - Deletes cloud data through DeletionService, then users/{uid}/pingData, friend
+ *   list entries and the profile
+ * - Deletes the Auth user last, so a failure part way through leaves an account the
+ *   user can sign back into and delete again
+ * - Clears every AsyncStorage key on the device
+ *
+ * WHY IT EXISTS:
+ * The developer purge (JourneyService.purgeAllUserData) leaves ping data, friend links,
+ * migration flags and the Auth account behind. Users asking to delete their account
+ * expect nothing to be left.
+ *
+ * RELATIONSHIPS:
+ * - DeleteAccountScreen.js shows the summary, re-authenticates and runs the deletion
+ * - DeletionService.js deletes journeys and the journeys/{uid} collections
+ * - UserContext.js clears the signed-in user afterwards
+ *
+ * REFERENCES:
+ * - Firebase Auth (re-authentication and user deletion)
+ * - Firebase Firestore (count queries and batched writes)
+ * - AsyncStorage (for clearing local data)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Account deletion has to remove personal location history completely.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Run the deletion in a Cloud Function so friend lists can be cleaned regardless of
+ *    security rules and the deletion finishes even if the app is closed
+ * 2. Offer a full data export before deleting
+ */
+
+import {
+  doc,
+  collection,
+  query,
+  where,
+  getDoc,
+  getDocs,
+  deleteDoc,
+  getCountFromServer,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore';
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  reauthenticateWithCredential,
+  deleteUser
+} from 'firebase/auth';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db } from '../firebase';
+import DeletionService from './DeletionService';
+import Logger from '../utils/Logger';
+
+export const REAUTH_PROVIDERS = {
+  PASSWORD: 'password',
+  GOOGLE: 'google'
+};
+
+// Deletion phases in the order they run, reported through onProgress
+export const ACCOUNT_DELETION_PHASES = ['journeys', 'pingData', 'friends', 'profile', 'auth', 'localData'];
+
+class AccountDeletionService {
+  // How the user signs in, which decides how they re-authenticate
+  getReauthProvider(user) {
+    const providers = (user?.providerData || []).map(provider => provider.providerId);
+    if (providers.includes('password')) {
+      return REAUTH_PROVIDERS.PASSWORD;
+    }
+    if (providers.includes('google.com')) {
+      return REAUTH_PROVIDERS.GOOGLE;
+    }
+    return null;
+  }
+
+  async countDocs(ref) {
+    const snapshot = await getCountFromServer(ref);
+    return snapshot.data().count;
+  }
+
+  /**
+   * Count everything deleteAccount would remove - changes nothing
+   * @param {Object} user - Firebase Auth user
+   * @returns {Promise<Object>} { success, summary: { journeys, trashedJourneys, discoveries, savedPlaces,
+   *   dismissed, pingResults, pingData, friendLinks, hasProfile, localDataKeys, email } }
+   */
+  async getDeletionSummary(user) {
+    const userId = user.uid;
+    const userRef = (...path) => collection(db, 'journeys', userId, ...path);
+
+    try {
+      const [journeys, trashedJourneys, discoveries, savedPlaces, dismissed, pingData, friendLinks, profileSnap, localKeys, journeysSnap, pingParentsSnap] = await Promise.all([
+        this.countDocs(userRef('journeys')),
+        this.countDocs(query(userRef('journeys'), where('isDeleted', '==', true))),
+        this.countDocs(userRef('discoveries')),
+        this.countDocs(query(userRef('discoveries'), where('saved', '==', true))),
+        this.countDocs(userRef('dismissed')),
+        this.countDocs(collection(db, 'users', userId, 'pingData')),
+        this.countDocs(query(collection(db, 'users'), where('friends', 'array-contains', userId))),
+        getDoc(doc(db, 'users', userId)),
+        AsyncStorage.getAllKeys(),
+        getDocs(userRef('journeys')),
+        getDocs(userRef('pingResults'))
+      ]);
+
+      // Pings hang off saved journeys and, since they are recorded with a parent doc, off unsaved walks
+      const pingJourneyIds = new Set([
+        ...journeysSnap.docs.map(journeyDoc => journeyDoc.id),
+        ...pingParentsSnap.docs.map(parentDoc => parentDoc.id)
+      ]);
+      const pingCounts = await Promise.all(
+        [...pingJourneyIds].map(journeyId => this.countDocs(userRef('pingResults', journeyId, 'pings')))
+      );
+
+      const summary = {
+        journeys,
+        trashedJourneys,
+        discoveries,
+        savedPlaces,
+        dismissed,
+        pingResults: pingCounts.reduce((sum, count) => sum + count, 0),
+        pingData,
+        friendLinks,
+        hasProfile: profileSnap.exists(),
+        localDataKeys: localKeys.length,
+        email: user.email || null
+      };
+
+      Logger.info('ACCOUNT_DELETION', 'Built deletion summary', { userId, journeys, discoveries, pingResults: summary.pingResults });
+      return { success: true, summary };
+    } catch (error) {
+      Logger.error('ACCOUNT_DELETION', 'Failed to build deletion summary', { userId, error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Re-authenticate before deleting - Firebase refuses to delete a user who signed in long ago
+   * @param {Object} user - Firebase Auth user
+   * @param {Object} credentials - { password } for email users, { googleAccessToken } for Google users
+   * @returns {Promise<Object>} { success, error }
+   */
+  async reauthenticate(user, { password, googleAccessToken } = {}) {
+    try {
+      const provider = this.getReauthProvider(user);
+      let credential;
+      if (provider === REAUTH_PROVIDERS.PASSWORD) {
+        credential = EmailAuthProvider.credential(user.email, password);
+      } else if (provider === REAUTH_PROVIDERS.GOOGLE) {
+        credential = GoogleAuthProvider.credential(null, googleAccessToken);
+      } else {
+        return { success: false, error: 'This sign-in method cannot be confirmed in the app' };
+      }
+
+      await reauthenticateWithCredential(user, credential);
+      Logger.info('ACCOUNT_DELETION', 'Re-authenticated for account deletion', { userId: user.uid, provider });
+      return { success: true };
+    } catch (error) {
+      Logger.warn('ACCOUNT_DELETION', 'Re-authentication failed', { userId: user.uid, code: error.code });
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  /**
+   * Delete the account and all of its data - call reauthenticate first
+   * @param {Object} user - Firebase Auth user (recently re-authenticated)
+   * @param {Object} options - { onProgress: ({ phase, step, completedJourneys, totalJourneys }) => void }
+   * @returns {Promise<Object>} { success, phase (where it stopped), needsReauth, counts }
+   */
+  async deleteAccount(user, { onProgress } = {}) {
+    const userId = user.uid;
+    const counts = {};
+    let phase = ACCOUNT_DELETION_PHASES[0];
+    Logger.warn('ACCOUNT_DELETION', 'Deleting account', { userId });
+
+    try {
+      // Journeys, discoveries, saved/dismissed places, ping results and private routes
+      onProgress?.({ phase });
+      const purgeResult = await DeletionService.purgeUserData(userId, {
+        onProgress: ({ phase: step, ...details }) => onProgress?.({ ...details, phase: 'journeys', step })
+      });
+      if (!purgeResult.success) {
+        // The Auth user is kept so the user can sign in and try again; the job also resumes on sign-in
+        return { success: false, phase, error: `${purgeResult.failed.length} journeys could not be deleted`, counts };
+      }
+      counts.journeys = purgeResult.deletedCount;
+      counts.journeyDocs = purgeResult.deletedDocs;
+
+      phase = 'pingData';
+      onProgress?.({ phase });
+      counts.pingData = (await DeletionService.drainQuery(collection(db, 'users', userId, 'pingData'))).deleted;
+
+      phase = 'friends';
+      onProgress?.({ phase });
+      counts.friendLinks = (await DeletionService.drainQuery(
+        query(collection(db, 'users'), where('friends', 'array-contains', userId)),
+        () => ({ friends: arrayRemove(userId), updatedAt: serverTimestamp() })
+      )).updated;
+
+      phase = 'profile';
+      onProgress?.({ phase });
+      await deleteDoc(doc(db, 'users', userId));
+
+      // Last cloud step - once the Auth user is gone nothing above can be retried
+      phase = 'auth';
+      onProgress?.({ phase });
+      await deleteUser(user);
+
+      phase = 'localData';
+      onProgress?.({ phase });
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys);
+      counts.localDataKeys = keys.length;
+
+      Logger.warn('ACCOUNT_DELETION', 'Account deleted', { userId, ...counts });
+      return { success: true, counts };
+    } catch (error) {
+      Logger.error('ACCOUNT_DELETION', 'Account deletion failed', { userId, phase, code: error.code, error: error.message });
+      return {
+        success: false,
+        phase,
+        needsReauth: error.code === 'auth/requires-recent-login',
+        error: error.message,
+        counts
+      };
+    }
+  }
+}
+
+export default new AccountDeletionService();
@@ -21,6 +21,14 @@
  * - Filters low-accuracy GPS points to improve route quality
  * - Implements GPS warm-up mechanism for better accuracy recovery
  * - Handles app lifecycle transitions for background/foreground tracking
+ * - Records points through a TaskManager background task that survives app suspension
+ * - Reads fixes from a pluggable location source (device GPS, or a GPX/journey replay)
+ * - Recovers journeys interrupted by a crash or app kill on next launch
+ * - Smooths GPS with a per-journey Kalman filter (selectable and tunable per walk)
+ * - Optionally keeps the unsmoothed fixes as a raw track to compare against the route
+ * - Detects stops to auto-pause/resume and records moving vs elapsed time
+ * - Applies named tracking profiles (High accuracy / Balanced / Saver) and switches to
+ *   Saver automatically on low battery, low power mode or while the walker is stationary
  * 
  * WHY IT EXISTS:
  * Location tracking is core to Hero's Path's functionality, but it's complex and
@@ -56,7 +64,12 @@
  * 
  * REFERENCES:
  * - expo-location (for location services and permissions)
- * - AsyncStorage (for temporary location data storage)
+ * - expo-task-manager (for the background location task)
+ * - expo-battery (for battery-aware tracking profiles)
+ * - LocationBufferService (chunked on-device journey buffer)
+ * - LocationSourceService (device GPS or replayed routes)
+ * - WalkSplits (distance and per-km/mile splits for the live HUD)
+ * - AsyncStorage (for active journey state)
  * - Logger utility (for debugging and error tracking)
  * - React Native Alert and Linking (for permission dialogs)
  * - React Native AppState (for app lifecycle management)
@@ -68,14 +81,14 @@
  * also crucial for app store compliance and user trust.
  * 
  * IMPROVEMENT SUGGESTIONS:
- * 1. Add battery optimization - adaptive tracking frequency based on battery level
+ * 1. Add per-profile battery usage metrics - measure drain per hour for each profile
  * 2. Add offline tracking - continue tracking without network connectivity
  * 3. Add location accuracy indicators - show GPS signal strength to users
- * 4. Add automatic pause detection - detect when user stops moving
- * 5. Add location smoothing - filter out GPS noise and erratic readings
+ * 4. Add per-activity auto-pause thresholds - separate stop detection tuning for walking and running
+ * 5. Add map matching - snap smoothed routes to the paths and streets actually walked
  * 6. Add geofencing - detect when user enters/exits specific areas
- * 7. Add elevation tracking - record altitude changes during walks
- * 8. Add speed calculation - track walking/running speed in real-time
+ * 7. Add barometric altitude - use the pressure sensor for steadier elevation readings
+ * 8. Add audio split announcements - read out each km/mile split during the walk
  * 9. Add location history - maintain a history of recent locations
  * 10. Add privacy controls - granular control over location data retention
  * 11. Add location sharing - temporary location sharing with friends/family
@@ -91,11 +104,28 @@
  */
 
 import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import * as Battery from 'expo-battery';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert, AppState } from 'react-native';
 import Logger from '../utils/Logger';
+import LocationBufferService from './LocationBufferService';
+import KalmanLocationFilter from '../utils/KalmanLocationFilter';
+import LocationSourceService, { BACKGROUND_LOCATION_TASK, LOCATION_SOURCE_TYPES } from './LocationSourceService';
+import { SPLIT_UNITS, DEFAULT_SPLIT_UNIT, getSplitUnit, addSplitPoint, buildSplits, getCurrentSplit } from '../utils/WalkSplits';
 
-const LOCATION_DATA_KEY = '@background_location_data';
+// Single-array buffer used before chunked storage - removed on initialization
+const LEGACY_LOCATION_DATA_KEY = '@background_location_data';
+const ACTIVE_JOURNEY_KEY = '@active_journey';
+const TRACKING_PROFILE_KEY = '@tracking_profile';
+const DISTANCE_UNIT_KEY = '@distance_unit';
+const RECORD_RAW_TRACK_KEY = '@record_raw_track';
+
+// Buffer holding a journey's unsmoothed fixes, next to its route buffer
+const getRawTrackBufferId = (journeyId) => `${journeyId}_raw`;
+
+// Name of the TaskManager task that receives location updates from the OS
+export { BACKGROUND_LOCATION_TASK };
 
 // GPS accuracy thresholds for filtering
 const ACCURACY_THRESHOLDS = {
@@ -105,24 +135,117 @@ const ACCURACY_THRESHOLDS = {
   REJECT: 100      // > 100m - Reject completely
 };
 
-// GPS warm-up configuration
+// Location smoothing modes selectable per journey via startTracking options
+export const SMOOTHING_MODES = {
+  KALMAN: 'kalman',    // Constant-velocity Kalman filter with teleport rejection
+  AVERAGE: 'average',  // Legacy outlier blending against the last 5 points
+  NONE: 'none'         // Raw fixes (accuracy filtering only)
+};
+
+// Named tracking profiles - trade route detail for battery life
+export const TRACKING_PROFILES = {
+  high_accuracy: {
+    key: 'high_accuracy',
+    name: 'High Accuracy',
+    accuracy: Location.Accuracy.BestForNavigation,
+    timeInterval: 1000,   // 1 second between fixes
+    distanceInterval: 2,  // or every 2 meters
+    warmup: { enabled: true, timeInterval: 500, duration: 10000 }
+  },
+  balanced: {
+    key: 'balanced',
+    name: 'Balanced',
+    accuracy: Location.Accuracy.High,
+    timeInterval: 3000,
+    distanceInterval: 5,
+    warmup: { enabled: true, timeInterval: 1000, duration: 6000 }
+  },
+  saver: {
+    key: 'saver',
+    name: 'Saver',
+    accuracy: Location.Accuracy.Balanced,
+    timeInterval: 10000,
+    distanceInterval: 15,
+    warmup: { enabled: false, timeInterval: 0, duration: 0 }
+  }
+};
+
+export const DEFAULT_TRACKING_PROFILE = 'high_accuracy';
+
+// When to switch to the Saver profile automatically
+const BATTERY_CONFIG = {
+  LOW_LEVEL: 0.2,            // Battery below 20% counts as low
+  REFRESH_INTERVAL: 60000    // Re-read battery state from the background task at most once a minute
+};
+
+// Default options for startTracking(journeyId, options)
+const DEFAULT_TRACKING_OPTIONS = {
+  profile: null,          // Tracking profile key - falls back to the user's preferred profile
+  autoSaver: true,        // Switch to Saver on low battery / low power mode / while stationary
+  splitUnit: null,        // 'km' or 'mi' splits - falls back to the user's distance unit
+  smoothing: SMOOTHING_MODES.KALMAN,
+  kalman: {},             // Overrides for KalmanLocationFilter tuning (see DEFAULT_KALMAN_OPTIONS)
+  recordRawTrack: null,   // Keep unsmoothed fixes beside the route for comparison - falls back to the developer setting
+  autoPause: true,        // Pause automatically while the walker is stationary
+  autoPauseConfig: {}     // Overrides for AUTO_PAUSE_CONFIG
+};
+
+// Stationary detection for auto-pause
+const AUTO_PAUSE_CONFIG = {
+  WINDOW_MS: 30000,        // Look at the last 30 seconds of movement
+  DISTANCE_THRESHOLD: 10,  // Stationary if every point in the window is within 10m of the latest
+  SPEED_THRESHOLD: 0.3,    // ...and current speed is below 0.3 m/s (when reported)
+  RESUME_DISTANCE: 15,     // Resume once 15m from where the stop began
+  RESUME_SPEED: 0.8        // ...or once moving faster than 0.8 m/s
+};
+
+// Live HUD statistics
+const LIVE_STATS_CONFIG = {
+  PACE_WINDOW_MS: 30000,   // Current pace covers the last 30 seconds of route
+  MIN_PACE_DISTANCE: 5     // ...and needs at least 5m of movement to mean anything
+};
+
+// GPS warm-up configuration (interval and duration come from the tracking profile)
 const WARMUP_CONFIG = {
-  DURATION: 10000,     // 10 seconds warm-up period
   REQUIRED_POINTS: 3,  // Need 3 good points before considering warmed up
   MAX_ATTEMPTS: 10     // Maximum attempts during warm-up
 };
 
+// Deep copy of an expo-location object so smoothing never mutates the original
+function copyLocation(location) {
+  return {
+    timestamp: location.timestamp || Date.now(),
+    coords: {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      altitude: location.coords.altitude,
+      altitudeAccuracy: location.coords.altitudeAccuracy,
+      accuracy: location.coords.accuracy,
+      speed: location.coords.speed,
+      heading: location.coords.heading
+    }
+  };
+}
+
 class BackgroundLocationService {
   constructor() {
     this.isTracking = false;
     this.isWarmingUp = false;
     this.currentJourney = null;
-    this.locationSubscriber = null;
     this.warmupSubscriber = null;
     this.onLocationUpdate = null;
     this.onJourneyComplete = null;
     this.lastKnownLocation = null;
     this.recentLocations = []; // For filtering and smoothing
+    this.trackingOptions = { ...DEFAULT_TRACKING_OPTIONS };
+    this.locationFilter = null; // Per-journey Kalman filter
+    this.locationSource = null; // Source the current journey records from
+    this.motionWindow = []; // Recent points for stationary detection
+    this.splitState = null; // Distance and splits for the current journey
+    this.activeProfile = DEFAULT_TRACKING_PROFILE;
+    this.batteryState = { level: null, lowPowerMode: false, checkedAt: 0 };
+    this.batterySubscriptions = [];
+    this.onTrackingProfileChange = null;
     this.appState = AppState.currentState;
     this.backgroundStartTime = null;
     this.appStateSubscription = null;
@@ -184,18 +307,24 @@ class BackgroundLocationService {
       return;
     }
 
+    if (!this.getActiveProfile().warmup.enabled || !this.getLocationSource().needsWarmup) {
+      Logger.debug('GPS warm-up skipped for tracking profile', { profile: this.activeProfile });
+      return;
+    }
+
     Logger.info('Starting GPS warm-up for accuracy recovery');
     this.isWarmingUp = true;
     
     let attempts = 0;
     let goodPoints = 0;
     const warmupStartTime = Date.now();
+    const profile = this.getActiveProfile();
 
     try {
-      this.warmupSubscriber = await Location.watchPositionAsync(
+      this.warmupSubscriber = await this.getLocationSource().watchPosition(
         {
-          accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: 500, // Very frequent updates during warm-up
+          accuracy: profile.accuracy,
+          timeInterval: profile.warmup.timeInterval, // Very frequent updates during warm-up
           distanceInterval: 1,
         },
         (location) => {
@@ -213,7 +342,7 @@ class BackgroundLocationService {
           const elapsed = Date.now() - warmupStartTime;
           if (
             goodPoints >= WARMUP_CONFIG.REQUIRED_POINTS || 
-            elapsed >= WARMUP_CONFIG.DURATION ||
+            elapsed >= profile.warmup.duration ||
             attempts >= WARMUP_CONFIG.MAX_ATTEMPTS
           ) {
             this.completeGPSWarmup();
@@ -261,8 +390,179 @@ class BackgroundLocationService {
       Math.abs(location.coords.longitude) <= 180;
   }
 
-  // Smooth location using recent points to reduce GPS noise
+  // Apply per-journey tracking options and start a fresh smoothing state
+  configureSmoothing(options = {}) {
+    this.trackingOptions = { ...DEFAULT_TRACKING_OPTIONS, ...options };
+    this.locationFilter = this.trackingOptions.smoothing === SMOOTHING_MODES.KALMAN
+      ? new KalmanLocationFilter(this.trackingOptions.kalman)
+      : null;
+    this.recentLocations = [];
+    this.motionWindow = [];
+  }
+
+  // Forget smoothing history (used on pause/resume so gaps aren't smoothed across)
+  resetSmoothing() {
+    this.recentLocations = [];
+    this.motionWindow = [];
+    if (this.locationFilter) {
+      this.locationFilter.reset();
+    }
+  }
+
+  // Open a stop interval ('auto' for detected stops, 'manual' for pauseTracking)
+  startStop(type, startTime) {
+    const journey = this.currentJourney;
+    if (!journey) {
+      return;
+    }
+    journey.stops = [...(journey.stops || []), { type, startTime, endTime: null }];
+  }
+
+  // Close the open stop interval, if any
+  endStop(endTime) {
+    const journey = this.currentJourney;
+    const openStop = journey?.stops?.find(stop => !stop.endTime);
+    if (openStop) {
+      openStop.endTime = Math.max(endTime, openStop.startTime);
+    }
+  }
+
+  /**
+   * Update auto-pause state with a processed location
+   * @param {Object} location - Smoothed location
+   * @returns {boolean} Whether the journey is auto-paused (point should not join the route)
+   */
+  updateAutoPause(location) {
+    const journey = this.currentJourney;
+    if (!this.trackingOptions.autoPause || !journey) {
+      return false;
+    }
+
+    const config = { ...AUTO_PAUSE_CONFIG, ...this.trackingOptions.autoPauseConfig };
+    const point = {
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      timestamp: location.timestamp
+    };
+    const speed = location.coords.speed;
+    const hasSpeed = typeof speed === 'number' && speed >= 0 && !isNaN(speed);
+
+    if (journey.isAutoPaused) {
+      const anchor = journey.autoPauseAnchor;
+      const moved = anchor
+        ? this.calculateDistance(anchor.latitude, anchor.longitude, point.latitude, point.longitude)
+        : Infinity;
+
+      if (moved > config.RESUME_DISTANCE || (hasSpeed && speed > config.RESUME_SPEED)) {
+        this.endStop(point.timestamp);
+        journey.isAutoPaused = false;
+        journey.autoPauseAnchor = null;
+        this.motionWindow = [point];
+        this.saveActiveJourneyState();
+        this.evaluateTrackingProfile();
+        Logger.info('Movement detected - auto-resumed tracking', { moved: Math.round(moved), speed });
+        return false;
+      }
+      return true;
+    }
+
+    // Keep the points inside the window plus the newest one older than it,
+    // so a full window (or a long gap between fixes) can be measured
+    const cutoff = point.timestamp - config.WINDOW_MS;
+    const window = [...this.motionWindow, point];
+    while (window.length > 1 && window[1].timestamp <= cutoff) {
+      window.shift();
+    }
+    this.motionWindow = window;
+
+    const coversWindow = window[0].timestamp <= cutoff;
+    const stayedClose = window.every(p =>
+      this.calculateDistance(p.latitude, p.longitude, point.latitude, point.longitude) < config.DISTANCE_THRESHOLD
+    );
+    const slow = !hasSpeed || speed < config.SPEED_THRESHOLD;
+
+    if (coversWindow && stayedClose && slow) {
+      // The walker has been standing here since the start of the window
+      this.startStop('auto', window[0].timestamp);
+      journey.isAutoPaused = true;
+      journey.autoPauseAnchor = point;
+      this.motionWindow = [];
+      this.saveActiveJourneyState();
+      this.evaluateTrackingProfile();
+      Logger.info('Walker stationary - auto-paused tracking', { since: window[0].timestamp });
+      return true;
+    }
+
+    return false;
+  }
+
+  // Milliseconds spent stopped between the journey start and `time` (open stops run to `time`)
+  getStoppedMs(journey, time) {
+    return (journey.stops || []).reduce((total, stop) => {
+      const start = Math.max(stop.startTime, journey.startTime);
+      const end = Math.min(stop.endTime || time, time);
+      return total + Math.max(0, end - start);
+    }, 0);
+  }
+
+  // Moving time in seconds from the journey start up to `time`
+  getMovingTimeAt(journey, time) {
+    const elapsedMs = Math.max(0, time - journey.startTime);
+    return Math.max(0, (elapsedMs - this.getStoppedMs(journey, time)) / 1000);
+  }
+
+  // Close open stops and compute moving vs elapsed time (in seconds)
+  finalizeTimeAccounting(journey, endTime) {
+    journey.stops = (journey.stops || []).map(stop => ({
+      ...stop,
+      endTime: stop.endTime || endTime
+    }));
+
+    journey.endTime = endTime;
+    journey.elapsedTime = Math.max(0, (endTime - journey.startTime) / 1000);
+    journey.movingTime = this.getMovingTimeAt(journey, endTime);
+    // Kept for compatibility - wall-clock duration in seconds
+    journey.duration = journey.elapsedTime;
+    journey.isAutoPaused = false;
+    journey.autoPauseAnchor = null;
+  }
+
+  // Smooth location with the journey's selected mode - returns null if the fix is rejected
   smoothLocation(newLocation) {
+    switch (this.trackingOptions.smoothing) {
+      case SMOOTHING_MODES.KALMAN:
+        return this.kalmanSmoothLocation(newLocation);
+      case SMOOTHING_MODES.NONE:
+        return copyLocation(newLocation);
+      default:
+        return this.averageSmoothLocation(newLocation);
+    }
+  }
+
+  // Smooth location with the constant-velocity Kalman filter
+  kalmanSmoothLocation(newLocation) {
+    if (!this.isValidLocationCoordinates(newLocation)) {
+      Logger.warn('BackgroundLocationService: Skipping invalid location for Kalman filter', {
+        lat: newLocation.coords?.latitude,
+        lng: newLocation.coords?.longitude
+      });
+      return null;
+    }
+
+    try {
+      if (!this.locationFilter) {
+        this.locationFilter = new KalmanLocationFilter(this.trackingOptions.kalman);
+      }
+      return this.locationFilter.process(copyLocation(newLocation));
+    } catch (error) {
+      Logger.error('BackgroundLocationService', 'Error in kalmanSmoothLocation', { error: error.message });
+      this.locationFilter.reset();
+      return copyLocation(newLocation);
+    }
+  }
+
+  // Smooth location using recent points to reduce GPS noise
+  averageSmoothLocation(newLocation) {
     try {
       // Create a completely new deep copy of the location to avoid any mutation issues
       let locationToReturn = {
@@ -271,6 +571,7 @@ class BackgroundLocationService {
           latitude: newLocation.coords.latitude,
           longitude: newLocation.coords.longitude,
           altitude: newLocation.coords.altitude,
+          altitudeAccuracy: newLocation.coords.altitudeAccuracy,
           accuracy: newLocation.coords.accuracy,
           speed: newLocation.coords.speed,
           heading: newLocation.coords.heading
@@ -310,6 +611,7 @@ class BackgroundLocationService {
               latitude: (newLocation.coords.latitude * accuracyWeight) + (avgLat * (1 - accuracyWeight)),
               longitude: (newLocation.coords.longitude * accuracyWeight) + (avgLng * (1 - accuracyWeight)),
               altitude: newLocation.coords.altitude,
+              altitudeAccuracy: newLocation.coords.altitudeAccuracy,
               accuracy: newLocation.coords.accuracy,
               speed: newLocation.coords.speed,
               heading: newLocation.coords.heading
@@ -356,6 +658,7 @@ class BackgroundLocationService {
           latitude: newLocation.coords.latitude,
           longitude: newLocation.coords.longitude,
           altitude: newLocation.coords.altitude,
+          altitudeAccuracy: newLocation.coords.altitudeAccuracy,
           accuracy: newLocation.coords.accuracy,
           speed: newLocation.coords.speed,
           heading: newLocation.coords.heading
@@ -419,6 +722,9 @@ class BackgroundLocationService {
     try {
       // Ensure app state monitoring is set up
       this.initializeAppStateMonitoring();
+
+      // Drop the pre-chunking buffer if an older version left it behind
+      await AsyncStorage.removeItem(LEGACY_LOCATION_DATA_KEY);
       
       // Check permissions
       let permissions = await this.checkPermissions();
@@ -442,49 +748,568 @@ class BackgroundLocationService {
     }
   }
 
-  // Store location data for background processing
-  async storeLocationData(coords) {
+  // Append a point to the journey buffer (bounded write cost, keeps every point)
+  async storeLocationData(journeyId, coords) {
     try {
-      const existingData = await AsyncStorage.getItem(LOCATION_DATA_KEY);
-      const locationData = existingData ? JSON.parse(existingData) : [];
-      
-      locationData.push({
+      // Keep the fix time - background updates can be delivered in delayed batches
+      await LocationBufferService.appendPoint(journeyId, {
         ...coords,
-        timestamp: Date.now()
+        timestamp: coords.timestamp || Date.now()
       });
-
-      // Keep only last 1000 points to prevent memory issues
-      if (locationData.length > 1000) {
-        locationData.splice(0, locationData.length - 1000);
-      }
-
-      await AsyncStorage.setItem(LOCATION_DATA_KEY, JSON.stringify(locationData));
     } catch (error) {
       console.error('Failed to store location data:', error);
     }
   }
 
-  // Get stored location data
-  async getStoredLocationData() {
+  // Get all buffered points for a journey
+  async getStoredLocationData(journeyId) {
     try {
-      const data = await AsyncStorage.getItem(LOCATION_DATA_KEY);
-      return data ? JSON.parse(data) : [];
+      return await LocationBufferService.getPoints(journeyId);
     } catch (error) {
       console.error('Failed to get stored location data:', error);
       return [];
     }
   }
 
-  // Clear stored location data
-  async clearStoredLocationData() {
+  // Clear buffered points for a journey, raw track included
+  async clearStoredLocationData(journeyId) {
+    if (!journeyId) {
+      return;
+    }
+
     try {
-      await AsyncStorage.removeItem(LOCATION_DATA_KEY);
+      await LocationBufferService.deleteJourney(journeyId);
+      await LocationBufferService.deleteJourney(getRawTrackBufferId(journeyId));
     } catch (error) {
       console.error('Failed to clear stored location data:', error);
     }
   }
 
-  // Start tracking with optimized settings
+  // Persist active journey metadata so a relaunched JS runtime can keep recording
+  async saveActiveJourneyState() {
+    if (!this.currentJourney) {
+      return;
+    }
+
+    try {
+      await AsyncStorage.setItem(ACTIVE_JOURNEY_KEY, JSON.stringify({
+        id: this.currentJourney.id,
+        startTime: this.currentJourney.startTime,
+        isPaused: !!this.currentJourney.isPaused,
+        isAutoPaused: !!this.currentJourney.isAutoPaused,
+        autoPauseAnchor: this.currentJourney.autoPauseAnchor || null,
+        stops: this.currentJourney.stops || [],
+        activeProfile: this.activeProfile,
+        profileSegments: this.currentJourney.profileSegments || [],
+        trackingOptions: this.trackingOptions
+      }));
+    } catch (error) {
+      console.error('Failed to store active journey state:', error);
+    }
+  }
+
+  // Get persisted active journey metadata
+  async getActiveJourneyState() {
+    try {
+      const data = await AsyncStorage.getItem(ACTIVE_JOURNEY_KEY);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Failed to get active journey state:', error);
+      return null;
+    }
+  }
+
+  // Clear persisted active journey metadata
+  async clearActiveJourneyState() {
+    try {
+      await AsyncStorage.removeItem(ACTIVE_JOURNEY_KEY);
+    } catch (error) {
+      console.error('Failed to clear active journey state:', error);
+    }
+  }
+
+  // Rebuild the in-memory journey from storage (e.g. after a headless relaunch by the OS)
+  async restoreActiveJourney() {
+    const state = await this.getActiveJourneyState();
+    if (!state || !state.id) {
+      return false;
+    }
+
+    this.currentJourney = {
+      id: state.id,
+      startTime: state.startTime,
+      coordinates: await this.getStoredLocationData(state.id),
+      isActive: true,
+      isPaused: !!state.isPaused,
+      isAutoPaused: !!state.isAutoPaused,
+      autoPauseAnchor: state.autoPauseAnchor || null,
+      stops: state.stops || [],
+      profileSegments: state.profileSegments || [],
+      rawCoordinates: await this.getStoredLocationData(getRawTrackBufferId(state.id))
+    };
+    this.isTracking = true;
+    this.configureSmoothing(state.trackingOptions);
+    this.activeProfile = TRACKING_PROFILES[state.activeProfile] ? state.activeProfile : this.trackingOptions.profile || DEFAULT_TRACKING_PROFILE;
+    this.currentJourney.activeProfile = this.activeProfile;
+    this.resetSplits(this.currentJourney.coordinates);
+
+    Logger.info('Restored active journey for background tracking', {
+      journeyId: state.id,
+      coordinates: this.currentJourney.coordinates.length
+    });
+
+    return true;
+  }
+
+  // Start the journey's split state, replaying any points already recorded
+  resetSplits(coordinates = []) {
+    const journey = this.currentJourney;
+    this.splitState = buildSplits(
+      coordinates,
+      this.trackingOptions.splitUnit,
+      journey.startTime,
+      time => this.getMovingTimeAt(journey, time)
+    );
+    journey.distance = this.splitState.distance;
+    journey.splits = this.splitState.splits;
+  }
+
+  // Get the unit for distances and splits the user picked in Settings
+  async getDistanceUnit() {
+    try {
+      const unit = await AsyncStorage.getItem(DISTANCE_UNIT_KEY);
+      return SPLIT_UNITS[unit] ? unit : DEFAULT_SPLIT_UNIT;
+    } catch (error) {
+      console.error('Failed to get distance unit:', error);
+      return DEFAULT_SPLIT_UNIT;
+    }
+  }
+
+  // Save the distance unit - a walk already recording keeps the unit it started with
+  async setDistanceUnit(unit) {
+    if (!SPLIT_UNITS[unit]) {
+      throw new Error(`Unknown distance unit: ${unit}`);
+    }
+
+    await AsyncStorage.setItem(DISTANCE_UNIT_KEY, unit);
+    return { success: true, unit };
+  }
+
+  /**
+   * Live numbers for the walk HUD
+   * @returns {Object|null} { unit, distance (m), elapsedTime, movingTime (s), currentPace, averagePace
+   *   (s per unit, null when unknown), splits, currentSplit, isPaused, isAutoPaused } or null when not tracking
+   */
+  getLiveStats() {
+    const journey = this.currentJourney;
+    if (!this.isTracking || !journey || !this.splitState) {
+      return null;
+    }
+
+    const now = this.now();
+    const unit = getSplitUnit(this.splitState.unit);
+    const getMovingTime = time => this.getMovingTimeAt(journey, time);
+    const distance = this.splitState.distance;
+    const movingTime = getMovingTime(now);
+    const isPaused = !!journey.isPaused;
+    const isAutoPaused = !!journey.isAutoPaused;
+
+    return {
+      unit: unit.key,
+      distance,
+      elapsedTime: Math.max(0, (now - journey.startTime) / 1000),
+      movingTime,
+      currentPace: isPaused || isAutoPaused ? null : this.calculateCurrentPace(journey.coordinates, now, unit.distance),
+      averagePace: distance > 0 ? movingTime / (distance / unit.distance) : null,
+      splits: this.splitState.splits,
+      currentSplit: getCurrentSplit(this.splitState, now, getMovingTime),
+      isPaused,
+      isAutoPaused
+    };
+  }
+
+  // Pace (seconds per unit) over the last PACE_WINDOW_MS of route - null if the walker isn't moving
+  calculateCurrentPace(coordinates, now, unitDistance) {
+    const latest = coordinates[coordinates.length - 1];
+    if (!latest || now - latest.timestamp > LIVE_STATS_CONFIG.PACE_WINDOW_MS) {
+      return null;
+    }
+
+    const cutoff = latest.timestamp - LIVE_STATS_CONFIG.PACE_WINDOW_MS;
+    let distance = 0;
+    let first = latest;
+    for (let i = coordinates.length - 1; i > 0 && coordinates[i - 1].timestamp >= cutoff; i--) {
+      const a = coordinates[i - 1];
+      const b = coordinates[i];
+      distance += this.calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+      first = a;
+    }
+
+    const seconds = (latest.timestamp - first.timestamp) / 1000;
+    if (distance < LIVE_STATS_CONFIG.MIN_PACE_DISTANCE || seconds <= 0) {
+      return null;
+    }
+    return seconds / (distance / unitDistance);
+  }
+
+  // Get the tracking profile currently driving the location task
+  getActiveProfile() {
+    return TRACKING_PROFILES[this.activeProfile] || TRACKING_PROFILES[DEFAULT_TRACKING_PROFILE];
+  }
+
+  // Get the profile the user picked in Settings
+  async getPreferredProfile() {
+    try {
+      const key = await AsyncStorage.getItem(TRACKING_PROFILE_KEY);
+      return TRACKING_PROFILES[key] ? key : DEFAULT_TRACKING_PROFILE;
+    } catch (error) {
+      console.error('Failed to get preferred tracking profile:', error);
+      return DEFAULT_TRACKING_PROFILE;
+    }
+  }
+
+  // Save the user's preferred profile (used by the next walk, and the current one if tracking)
+  async setPreferredProfile(profileKey) {
+    if (!TRACKING_PROFILES[profileKey]) {
+      throw new Error(`Unknown tracking profile: ${profileKey}`);
+    }
+
+    await AsyncStorage.setItem(TRACKING_PROFILE_KEY, profileKey);
+
+    if (this.isTracking && this.currentJourney) {
+      this.trackingOptions = { ...this.trackingOptions, profile: profileKey };
+      await this.evaluateTrackingProfile();
+    }
+
+    return { success: true, profile: profileKey };
+  }
+
+  // Whether new walks keep their unsmoothed fixes (developer setting)
+  async getRecordRawTrack() {
+    try {
+      return (await AsyncStorage.getItem(RECORD_RAW_TRACK_KEY)) === 'true';
+    } catch (error) {
+      console.error('Failed to get raw track setting:', error);
+      return false;
+    }
+  }
+
+  // Applies from the next walk - a walk already recording keeps its setting
+  async setRecordRawTrack(enabled) {
+    await AsyncStorage.setItem(RECORD_RAW_TRACK_KEY, enabled ? 'true' : 'false');
+    return { success: true, enabled: !!enabled };
+  }
+
+  // Listen for battery level and low power mode changes while tracking
+  async startBatteryMonitoring() {
+    this.stopBatteryMonitoring();
+    await this.refreshBatteryState(true);
+
+    try {
+      this.batterySubscriptions = [
+        Battery.addBatteryLevelListener(({ batteryLevel }) => {
+          this.batteryState = { ...this.batteryState, level: batteryLevel, checkedAt: Date.now() };
+          this.evaluateTrackingProfile();
+        }),
+        Battery.addLowPowerModeListener(({ lowPowerMode }) => {
+          this.batteryState = { ...this.batteryState, lowPowerMode, checkedAt: Date.now() };
+          this.evaluateTrackingProfile();
+        })
+      ];
+    } catch (error) {
+      Logger.warn('Battery listeners unavailable - using periodic battery checks only', error);
+    }
+  }
+
+  // Remove battery listeners
+  stopBatteryMonitoring() {
+    this.batterySubscriptions.forEach(subscription => subscription?.remove());
+    this.batterySubscriptions = [];
+  }
+
+  // Re-read battery state (listeners don't fire while the JS runtime is suspended)
+  async refreshBatteryState(force = false) {
+    if (!force && Date.now() - this.batteryState.checkedAt < BATTERY_CONFIG.REFRESH_INTERVAL) {
+      return false;
+    }
+
+    try {
+      const [level, lowPowerMode] = await Promise.all([
+        Battery.getBatteryLevelAsync(),
+        Battery.isLowPowerModeEnabledAsync()
+      ]);
+      // Simulators report -1 when the level is unknown
+      this.batteryState = { level: level >= 0 ? level : null, lowPowerMode, checkedAt: Date.now() };
+      return true;
+    } catch (error) {
+      Logger.warn('Failed to read battery state:', error);
+      this.batteryState = { ...this.batteryState, checkedAt: Date.now() };
+      return false;
+    }
+  }
+
+  // Pick the profile the journey should be using right now, and why
+  selectTrackingProfile() {
+    const selected = TRACKING_PROFILES[this.trackingOptions.profile] ? this.trackingOptions.profile : DEFAULT_TRACKING_PROFILE;
+
+    if (this.trackingOptions.autoSaver) {
+      const { level, lowPowerMode } = this.batteryState;
+      if (lowPowerMode) {
+        return { profile: 'saver', reason: 'low_power_mode' };
+      }
+      if (typeof level === 'number' && level < BATTERY_CONFIG.LOW_LEVEL) {
+        return { profile: 'saver', reason: 'low_battery' };
+      }
+      if (this.currentJourney?.isAutoPaused) {
+        return { profile: 'saver', reason: 'stationary' };
+      }
+    }
+
+    return { profile: selected, reason: 'selected' };
+  }
+
+  // Switch profiles if battery or movement state calls for it
+  async evaluateTrackingProfile() {
+    if (!this.currentJourney) {
+      return false;
+    }
+
+    const { profile, reason } = this.selectTrackingProfile();
+    if (profile === this.activeProfile) {
+      return false;
+    }
+
+    return this.applyTrackingProfile(profile, reason);
+  }
+
+  /**
+   * Switch the running journey to another tracking profile
+   * @param {string} profileKey - Key in TRACKING_PROFILES
+   * @param {string} reason - Why the switch happened ('selected', 'low_battery', 'low_power_mode', 'stationary')
+   * @returns {Promise<boolean>} Whether the profile changed
+   */
+  async applyTrackingProfile(profileKey, reason) {
+    const journey = this.currentJourney;
+    if (!journey || !TRACKING_PROFILES[profileKey]) {
+      return false;
+    }
+
+    const previousProfile = this.activeProfile;
+    this.activeProfile = profileKey;
+    journey.activeProfile = profileKey;
+    journey.profileSegments = [
+      ...(journey.profileSegments || []),
+      { profile: profileKey, startTime: this.now(), reason }
+    ];
+
+    try {
+      // Starting an already running task again replaces its options
+      if (this.isTracking && !journey.isPaused) {
+        await this.startLocationTask();
+      }
+    } catch (error) {
+      Logger.error('Failed to apply tracking profile:', error);
+    }
+
+    await this.saveActiveJourneyState();
+
+    Logger.info('Tracking profile changed', { from: previousProfile, to: profileKey, reason });
+
+    if (this.onTrackingProfileChange) {
+      this.onTrackingProfileChange(this.getActiveProfile(), reason);
+    }
+
+    return true;
+  }
+
+  // Location options for the background task (shared by start and resume)
+  getLocationTaskOptions() {
+    const profile = this.getActiveProfile();
+    return {
+      accuracy: profile.accuracy,
+      timeInterval: profile.timeInterval,
+      distanceInterval: profile.distanceInterval,
+      // Android foreground service keeps the task alive while the screen is locked
+      foregroundService: {
+        notificationTitle: "Hero's Path - Adventure in Progress",
+        notificationBody: "Recording your journey. Tap to open app.",
+        notificationColor: "#007AFF", // Using primary theme color
+        killServiceOnDestroy: false, // Keep service alive
+      },
+      // iOS-specific optimizations
+      activityType: Location.ActivityType.Fitness,
+      showsBackgroundLocationIndicator: true,
+      pausesUpdatesAutomatically: false, // Keep tracking even when stationary
+    };
+  }
+
+  // Source of location fixes - locked to the journey's source while tracking
+  getLocationSource() {
+    return this.locationSource || LocationSourceService.getActiveSource();
+  }
+
+  // Current time in the location source's clock (replays run faster than real time)
+  now() {
+    return this.getLocationSource().now();
+  }
+
+  // Start delivering location updates to the background task
+  // (device GPS arrives through the TaskManager task; replays call the handler directly)
+  async startLocationTask() {
+    await this.getLocationSource().start(
+      this.getLocationTaskOptions(),
+      (locations) => this.handleBackgroundLocations(locations)
+    );
+  }
+
+  // Stop the background task if it is running
+  async stopLocationTask() {
+    try {
+      await this.getLocationSource().stop();
+    } catch (error) {
+      Logger.error('Failed to stop background location task:', error);
+    }
+  }
+
+  // Detect a journey left unfinished by a crash, app kill or reload
+  async getRecoverableJourney() {
+    if (this.isTracking && this.currentJourney) {
+      // Still recording in this runtime (e.g. restored by the background task)
+      return {
+        id: this.currentJourney.id,
+        startTime: this.currentJourney.startTime,
+        isPaused: !!this.currentJourney.isPaused,
+        coordinates: [...this.currentJourney.coordinates]
+      };
+    }
+
+    const state = await this.getActiveJourneyState();
+    if (!state || !state.id) {
+      return null;
+    }
+
+    return {
+      id: state.id,
+      startTime: state.startTime,
+      isPaused: !!state.isPaused,
+      coordinates: await this.getStoredLocationData(state.id)
+    };
+  }
+
+  // Continue recording an interrupted journey
+  async resumeRecoveredJourney() {
+    if (!this.currentJourney) {
+      const restored = await this.restoreActiveJourney();
+      if (!restored) {
+        return null;
+      }
+    }
+
+    try {
+      await this.startBatteryMonitoring();
+      await this.evaluateTrackingProfile();
+
+      if (!this.currentJourney.isPaused) {
+        const hasStarted = await this.getLocationSource().isRunning();
+        if (!hasStarted) {
+          await this.startGPSWarmup();
+          await this.startLocationTask();
+        }
+      }
+
+      Logger.info('Resumed interrupted journey', {
+        journeyId: this.currentJourney.id,
+        coordinates: this.currentJourney.coordinates.length
+      });
+
+      return this.currentJourney;
+    } catch (error) {
+      Logger.error('Failed to resume interrupted journey:', error);
+      return null;
+    }
+  }
+
+  // Finish an interrupted journey and return its data for saving
+  async finishRecoveredJourney() {
+    if (!this.currentJourney) {
+      const restored = await this.restoreActiveJourney();
+      if (!restored) {
+        return null;
+      }
+    }
+
+    const journeyData = await this.stopTracking();
+    if (!journeyData) {
+      return null;
+    }
+
+    // The walk ended with the last recorded point, not when the app was relaunched
+    const lastPoint = journeyData.coordinates[journeyData.coordinates.length - 1];
+    if (lastPoint?.timestamp) {
+      journeyData.stops = (journeyData.stops || []).filter(stop => stop.startTime < lastPoint.timestamp);
+      journeyData.stops.forEach(stop => {
+        if (stop.endTime > lastPoint.timestamp) {
+          stop.endTime = lastPoint.timestamp;
+        }
+      });
+      this.finalizeTimeAccounting(journeyData, lastPoint.timestamp);
+    }
+
+    return journeyData;
+  }
+
+  // Throw away an interrupted journey and its buffered points
+  async discardRecoveredJourney() {
+    const state = await this.getActiveJourneyState();
+    const journeyId = this.currentJourney?.id || state?.id;
+
+    await this.stopLocationTask();
+    this.completeGPSWarmup();
+    this.stopBatteryMonitoring();
+    await this.clearStoredLocationData(journeyId);
+    await this.clearActiveJourneyState();
+
+    this.currentJourney = null;
+    this.isTracking = false;
+    this.locationSource = null;
+    this.splitState = null;
+    this.lastKnownLocation = null;
+    this.recentLocations = [];
+
+    Logger.info('Discarded interrupted journey');
+  }
+
+  // Handle a batch of locations delivered by the background task
+  async handleBackgroundLocations(locations) {
+    if (!this.currentJourney) {
+      const restored = await this.restoreActiveJourney();
+      if (!restored) {
+        Logger.warn('Background location update received without an active journey - stopping task');
+        await this.stopLocationTask();
+        return;
+      }
+    }
+
+    // Battery listeners don't run while suspended - poll from the task instead
+    if (await this.refreshBatteryState()) {
+      await this.evaluateTrackingProfile();
+    }
+
+    // Process sequentially so buffered writes stay in order
+    for (const location of locations) {
+      await this.handleLocationUpdate(location);
+    }
+  }
+
+  /**
+   * Start tracking with optimized settings
+   * @param {string} journeyId - Journey ID
+   * @param {Object} options - { smoothing: 'kalman' | 'average' | 'none', kalman: filter tuning,
+   *   recordRawTrack: also keep the unsmoothed fixes (defaults to the developer setting),
+   *   profile: 'high_accuracy' | 'balanced' | 'saver' (defaults to the preferred profile), autoSaver,
+   *   splitUnit: 'km' | 'mi' (defaults to the preferred distance unit) }
+   * @returns {Promise<boolean>} Whether tracking started
+   */
   async startTracking(journeyId, options = {}) {
     if (this.isTracking) {
       Logger.warn('Location tracking already active');
@@ -492,16 +1317,19 @@ class BackgroundLocationService {
     }
 
     try {
+      // Record from the active source (device GPS unless a replay was chosen in developer tools)
+      this.locationSource = LocationSourceService.getActiveSource();
+      this.locationSource.reset();
+
       // Request permissions
-      const foregroundStatus = await Location.requestForegroundPermissionsAsync();
-      const backgroundStatus = await Location.requestBackgroundPermissionsAsync();
+      const permissions = await this.locationSource.requestPermissions();
       
-      if (foregroundStatus.status !== 'granted') {
+      if (permissions.foreground !== 'granted') {
         this.showPermissionDeniedAlert();
         throw new Error('Foreground location permission denied');
       }
       
-      if (backgroundStatus.status !== 'granted') {
+      if (permissions.background !== 'granted') {
         Alert.alert(
           'Background Permission Required',
           'Hero\'s Path needs "Always" location access to track your walks even when the screen is locked. Please grant this permission in your device settings.',
@@ -516,54 +1344,48 @@ class BackgroundLocationService {
       // Initialize current journey
       this.currentJourney = {
         id: journeyId,
-        startTime: Date.now(),
+        startTime: this.now(),
+        locationSource: this.locationSource.type,
         coordinates: [],
+        rawCoordinates: [],
+        stops: [],
+        profileSegments: [],
+        isAutoPaused: false,
         isActive: true
       };
 
-      // Reset recent locations for smoothing
-      this.recentLocations = [];
+      // Fresh smoothing state with this journey's filter selection and tuning
+      const profile = TRACKING_PROFILES[options.profile] ? options.profile : await this.getPreferredProfile();
+      const splitUnit = SPLIT_UNITS[options.splitUnit] ? options.splitUnit : await this.getDistanceUnit();
+      const recordRawTrack = typeof options.recordRawTrack === 'boolean' ? options.recordRawTrack : await this.getRecordRawTrack();
+      this.configureSmoothing({ ...options, profile, splitUnit, recordRawTrack });
+      this.resetSplits();
+
+      // Start with the selected profile, or Saver straight away if the battery is already low
+      await this.startBatteryMonitoring();
+      const initial = this.selectTrackingProfile();
+      this.activeProfile = initial.profile;
+      this.currentJourney.activeProfile = initial.profile;
+      this.currentJourney.profileSegments = [{ profile: initial.profile, startTime: this.currentJourney.startTime, reason: initial.reason }];
+
+      // Start from an empty buffer and persist the journey for background delivery
+      await this.clearStoredLocationData(journeyId);
+      await this.saveActiveJourneyState();
 
       // Start GPS warm-up first for better initial accuracy
       await this.startGPSWarmup();
 
-      // Start location tracking with optimized settings
-      this.locationSubscriber = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: 1000, // Faster updates for better accuracy
-          distanceInterval: 2, // Smaller distance for more precise tracking
-          // Background task configuration for foreground service
-          foregroundService: {
-            notificationTitle: "Hero's Path - Adventure in Progress",
-            notificationBody: "Recording your journey. Tap to open app.",
-            notificationColor: "#007AFF", // Using primary theme color
-            killServiceOnDestroy: false, // Keep service alive
-          },
-          // iOS-specific optimizations
-          activityType: Location.ActivityType.Fitness,
-          showsBackgroundLocationIndicator: true,
-          pausesLocationUpdatesAutomatically: false, // Keep tracking even when stationary
-          // Android-specific optimizations
-          android: {
-            notificationTitle: "Hero's Path - Adventure in Progress",
-            notificationBody: "Recording your journey. Tap to open app.",
-            notificationColor: "#007AFF", // Using primary theme color
-            notificationIcon: null, // Use app icon
-            enableHighAccuracy: true,
-          }
-        },
-        (location) => {
-          this.handleLocationUpdate(location);
-        }
-      );
+      // Start the background location task - updates keep flowing while the app is suspended
+      await this.startLocationTask();
 
       this.isTracking = true;
       this.lastKnownLocation = null; // Reset for new tracking session
       
       Logger.info('Location tracking started with enhanced accuracy and background support', {
         journeyId,
-        permissions: { foreground: foregroundStatus.status, background: backgroundStatus.status }
+        profile: this.activeProfile,
+        source: this.locationSource.type,
+        permissions
       });
       
       return true;
@@ -571,49 +1393,85 @@ class BackgroundLocationService {
     } catch (error) {
       Logger.error('Failed to start location tracking:', error);
       this.currentJourney = null;
+      this.splitState = null;
       this.isTracking = false;
       
       // Clean up any partial initialization
-      if (this.locationSubscriber) {
-        this.locationSubscriber.remove();
-        this.locationSubscriber = null;
-      }
+      this.stopBatteryMonitoring();
+      await this.stopLocationTask();
+      await this.clearActiveJourneyState();
       this.completeGPSWarmup();
+      this.locationSource = null;
       
       return false;
     }
   }
 
-  // Handle location updates
-  handleLocationUpdate(location) {
-    if (!this.currentJourney || !this.currentJourney.isActive) {
+  // Handle location updates (foreground and background deliveries share this pipeline)
+  async handleLocationUpdate(location) {
+    if (!this.currentJourney || !this.currentJourney.isActive || this.currentJourney.isPaused) {
       return;
     }
 
+    // Reject inaccurate fixes before they can influence smoothing
+    if (!this.isValidLocationCoordinates(location) || !this.isLocationAccurate(location)) {
+      Logger.debug('Skipping inaccurate location update:', location);
+      return;
+    }
+
+    // A fix that passed the accuracy checks, before smoothing or auto-pause can change or drop it
+    if (this.trackingOptions.recordRawTrack) {
+      const journey = this.currentJourney;
+      const rawPoint = {
+        latitude: location.coords.latitude,
+        longitude: location.coords.longitude,
+        altitude: location.coords.altitude ?? null,
+        timestamp: location.timestamp || Date.now(),
+        accuracy: location.coords.accuracy
+      };
+      journey.rawCoordinates.push(rawPoint);
+      await this.storeLocationData(getRawTrackBufferId(journey.id), rawPoint);
+    }
+
     // Filter and smooth the location
     const processedLocation = this.smoothLocation(location);
 
-    // Only add if it's accurate and not rejected
-    if (this.isLocationAccurate(processedLocation)) {
+    // Stationary points feed auto-pause detection but don't join the route
+    if (processedLocation && this.updateAutoPause(processedLocation)) {
+      return;
+    }
+
+    // Only add if it was not rejected by the filter (e.g. a teleport jump)
+    if (processedLocation) {
       const coords = {
         latitude: processedLocation.coords.latitude,
         longitude: processedLocation.coords.longitude,
+        altitude: processedLocation.coords.altitude ?? null,
+        altitudeAccuracy: processedLocation.coords.altitudeAccuracy ?? null,
         timestamp: processedLocation.timestamp,
         accuracy: processedLocation.coords.accuracy
       };
 
-      // Add to current journey
-      this.currentJourney.coordinates.push(coords);
+      // Capture the journey - tracking may stop while the buffer write is pending
+      const journey = this.currentJourney;
+
+      // Add to current journey and extend distance/splits for the live HUD
+      journey.coordinates.push(coords);
+      if (this.splitState) {
+        const completed = addSplitPoint(this.splitState, coords, time => this.getMovingTimeAt(journey, time));
+        journey.distance = this.splitState.distance;
+        completed.forEach(split => Logger.info('Split completed', split));
+      }
 
-      // Store for background processing
-      this.storeLocationData(coords);
+      // Store in the journey buffer so points survive the JS runtime being suspended
+      await this.storeLocationData(journey.id, coords);
 
       // Call callback if available
       if (this.onLocationUpdate) {
-        this.onLocationUpdate(coords, this.currentJourney);
+        this.onLocationUpdate(coords, journey);
       }
     } else {
-      Logger.debug('Skipping inaccurate location update:', processedLocation);
+      Logger.debug('Location rejected by smoothing filter:', location);
     }
   }
 
@@ -624,21 +1482,24 @@ class BackgroundLocationService {
     }
 
     try {
-      // Stop location subscriber
-      if (this.locationSubscriber) {
-        this.locationSubscriber.remove();
-        this.locationSubscriber = null;
-      }
+      // Stop the background location task
+      await this.stopLocationTask();
 
       // Stop GPS warm-up if still running
       this.completeGPSWarmup();
+      this.stopBatteryMonitoring();
 
       // Mark journey as complete
       if (this.currentJourney) {
         this.currentJourney.isActive = false;
-        this.currentJourney.endTime = Date.now();
-        // Convert duration from milliseconds to seconds for consistent display
-        this.currentJourney.duration = (this.currentJourney.endTime - this.currentJourney.startTime) / 1000;
+        // Durations are in seconds: elapsed (wall clock) and moving (excluding stops)
+        this.finalizeTimeAccounting(this.currentJourney, this.now());
+        this.currentJourney.smoothing = this.trackingOptions.smoothing;
+        // Selected profile plus every switch, so route density can be interpreted later
+        this.currentJourney.trackingProfile = this.trackingOptions.profile;
+        this.currentJourney.profileSegments = this.currentJourney.profileSegments || [];
+        this.currentJourney.splits = this.splitState?.splits || [];
+        this.currentJourney.splitUnit = this.splitState?.unit || getSplitUnit(this.trackingOptions.splitUnit).key;
       }
 
       this.isTracking = false;
@@ -648,17 +1509,21 @@ class BackgroundLocationService {
       
       // Reset all state
       this.currentJourney = null;
+      this.locationSource = null;
+      this.splitState = null;
       this.lastKnownLocation = null;
       this.recentLocations = [];
       this.backgroundStartTime = null;
 
       // Clear stored background data
-      await this.clearStoredLocationData();
+      await this.clearStoredLocationData(journeyData?.id);
+      await this.clearActiveJourneyState();
 
       Logger.info('Location tracking stopped successfully', {
         journeyId: journeyData?.id,
         coordinates: journeyData?.coordinates?.length || 0,
-        duration: journeyData?.duration || 0
+        elapsedTime: journeyData?.elapsedTime || 0,
+        movingTime: journeyData?.movingTime || 0
       });
       
       return journeyData;
@@ -671,14 +1536,22 @@ class BackgroundLocationService {
 
   // Pause tracking (for battery optimization)
   async pauseTracking() {
-    if (this.locationSubscriber) {
-      this.locationSubscriber.remove();
-      this.locationSubscriber = null;
-    }
+    await this.stopLocationTask();
     
     // Keep journey data but mark as paused
     if (this.currentJourney) {
+      const now = this.now();
+      if (this.currentJourney.isAutoPaused) {
+        // A manual pause replaces the detected stop
+        this.endStop(now);
+        this.currentJourney.isAutoPaused = false;
+        this.currentJourney.autoPauseAnchor = null;
+      }
+      this.startStop('manual', now);
       this.currentJourney.isPaused = true;
+      this.resetSmoothing();
+      await this.evaluateTrackingProfile();
+      await this.saveActiveJourneyState();
     }
   }
 
@@ -692,34 +1565,13 @@ class BackgroundLocationService {
       // Start GPS warm-up for better accuracy after pause
       await this.startGPSWarmup();
 
-      this.locationSubscriber = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: 1000,
-          distanceInterval: 2,
-          foregroundService: {
-            notificationTitle: "Hero's Path - Adventure in Progress",
-            notificationBody: "Recording your journey. Tap to open app.",
-            notificationColor: "#007AFF", // Using primary theme color
-            killServiceOnDestroy: false,
-          },
-          activityType: Location.ActivityType.Fitness,
-          showsBackgroundLocationIndicator: true,
-          pausesLocationUpdatesAutomatically: false,
-          android: {
-            notificationTitle: "Hero's Path - Adventure in Progress",
-            notificationBody: "Recording your journey. Tap to open app.",
-            notificationColor: "#007AFF", // Using primary theme color
-            notificationIcon: null,
-            enableHighAccuracy: true,
-          }
-        },
-        (location) => {
-          this.handleLocationUpdate(location);
-        }
-      );
+      await this.startLocationTask();
 
+      this.endStop(this.now());
       this.currentJourney.isPaused = false;
+      this.resetSmoothing();
+      await this.saveActiveJourneyState();
+
       Logger.info('Location tracking resumed with GPS warm-up');
       return true;
 
@@ -747,11 +1599,14 @@ class BackgroundLocationService {
     
     // Reset all state
     this.currentJourney = null;
+    this.splitState = null;
     this.lastKnownLocation = null;
     this.recentLocations = [];
     this.backgroundStartTime = null;
     this.onLocationUpdate = null;
     this.onJourneyComplete = null;
+    this.onTrackingProfileChange = null;
+    this.stopBatteryMonitoring();
     this.isInitialized = false;
     
     Logger.info('BackgroundLocationService cleaned up');
@@ -766,11 +1621,16 @@ class BackgroundLocationService {
     this.onJourneyComplete = callback;
   }
 
+  setTrackingProfileCallback(callback) {
+    this.onTrackingProfileChange = callback;
+  }
+
   // Get current status
   getStatus() {
     return {
       isTracking: this.isTracking,
       currentJourney: this.currentJourney,
+      trackingProfile: this.getActiveProfile(),
       hasPermissions: this.checkPermissions()
     };
   }
@@ -794,6 +1654,13 @@ class BackgroundLocationService {
   // Get battery-optimized location (for one-time requests)
   async getCurrentLocation(options = {}) {
     try {
+      // Replays report their current route position without touching device GPS
+      const source = this.getLocationSource();
+      if (source.type !== LOCATION_SOURCE_TYPES.DEVICE) {
+        const { coords } = await source.getCurrentPosition(options);
+        return coords;
+      }
+
       // Check and request permissions if needed
       let permissions = await this.checkPermissions();
       if (!permissions.foreground) {
@@ -817,5 +1684,21 @@ class BackgroundLocationService {
   }
 }
 
+const backgroundLocationService = new BackgroundLocationService();
+
+// The task must be defined in the global scope so it is registered even when the OS
+// relaunches the app headlessly to deliver location updates
+TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
+  if (error) {
+    Logger.error('Background location task error:', error);
+    return;
+  }
+
+  const locations = data?.locations || [];
+  if (locations.length > 0) {
+    await backgroundLocationService.handleBackgroundLocations(locations);
+  }
+});
+
 // Export singleton instance
-export default new BackgroundLocationService(); 
\ No newline at end of file
+export default backgroundLocationService;
@@ -34,6 +34,7 @@
  * 4. **Profile Migration**: Migrate user profiles to enhanced format
  * 5. **Schema Migration**: Update database schemas and document structures
  * 6. **API Migration**: Transition to new API endpoints and data formats
+ * 7. **Route Storage Migration**: Move inline journey routes to chunked storage
  * 
  * MIGRATION PROCESS:
  * 1. Check if user requires migration based on app version and data status
@@ -307,6 +308,38 @@ class DataMigrationService {
     }
   }
 
+  // Check if the user's journeys have been moved to chunked route storage
+  async hasMigratedRouteStorage(userId) {
+    try {
+      const migrated = await AsyncStorage.getItem(`route_storage_migrated_${userId}`);
+      return migrated === 'true';
+    } catch (error) {
+      console.error('Error checking route storage migration status:', error);
+      return false;
+    }
+  }
+
+  // Move journeys with inline routes to chunked storage (runs once per user and device)
+  async migrateRouteStorage(userId) {
+    try {
+      if (await this.hasMigratedRouteStorage(userId)) {
+        return { success: true, alreadyMigrated: true, migrated: 0 };
+      }
+
+      const result = await JourneyService.migrateJourneyRouteStorage(userId);
+
+      // Journeys that failed are retried on the next launch
+      if (result.success) {
+        await AsyncStorage.setItem(`route_storage_migrated_${userId}`, 'true');
+      }
+
+      return { ...result, alreadyMigrated: false };
+    } catch (error) {
+      console.error('Error migrating route storage:', error);
+      throw error;
+    }
+  }
+
   // Perform complete migration for a user
   async migrateAllData(userId) {
     try {
@@ -0,0 +1,361 @@
+/*
+ * DELETION SERVICE (CASCADING DELETE ENGINE)
+ * ==========================================
+ *
+ * PURPOSE:
+ * The one place journeys and account data are deleted. It removes a journey together
+ * with everything that references it - discoveries, dismissed places, ping results,
+ * route chunks and owner-only routes - in batches that stay under Firestore's
+ * 500-write limit, reports progress, and picks up where it left off if the app is
+ * closed or the network drops part way through.
+ *
+ * FUNCTIONALITY:
+ * - Cascades a journey delete over every collection that references it:
+ *   discoveries (saved places are kept and detached), dismissed places,
+ *   pingResults/{trackingId}/pings (pings are stored under the walk's tracking ID, or the
+ *   journey ID when it has none), routeChunks, privateRoutes/{journeyId}/chunks and
+ *   privateRoutes/{journeyId}/rawChunks
+ * - Deletes the journey doc last, so an interrupted delete is still listed and retried
+ * - Pages through queries and commits at most BATCH_SIZE writes per batch
+ * - Records each job in AsyncStorage and resumes unfinished jobs on the next sign-in
+ * - Reports progress (phase, journeys done, docs deleted) through a callback
+ * - Purges all of a user's Firestore data for account cleanup
+ *
+ * WHY IT EXISTS:
+ * Bulk deletes used to put every write into one batch (failing above 500 writes) or
+ * delete only journey docs, leaving orphaned discoveries and ping results behind.
+ *
+ * RELATIONSHIPS:
+ * - JourneyService.js delegates deleteJourney, deleteMultipleJourneys, deleteAllJourneys,
+ *   trash purges and purgeAllUserData here
+ * - PingService.js clears a journey's ping results with drainQuery
+ * - UserContext.js resumes unfinished deletions on sign-in
+ *
+ * REFERENCES:
+ * - Firebase Firestore (batched writes)
+ * - AsyncStorage (for resumable job state)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Half-finished deletes leave data the user asked to remove, and orphaned
+ * discoveries that show up in no journey.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Move account purges to a Cloud Function so they finish even if the app never reopens
+ * 2. Delete ping results stored under tracking IDs that never became journey docs
+ */
+
+import {
+  doc,
+  collection,
+  query,
+  where,
+  limit,
+  getDoc,
+  getDocs,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db } from '../firebase';
+import Logger from '../utils/Logger';
+
+export const DELETION_CONFIG = {
+  BATCH_SIZE: 400,  // Writes per batch - below Firestore's 500 limit with room to spare
+  PAGE_SIZE: 400    // Docs read per query page
+};
+
+export const DELETION_JOB_TYPES = {
+  JOURNEYS: 'journeys',
+  ACCOUNT: 'account'
+};
+
+// Account purge steps, run in order after the journeys themselves
+const ACCOUNT_STEPS = ['journeys', 'discoveries', 'dismissed', 'pingResults', 'privateRoutes'];
+
+// Collections whose docs have subcollections that must be drained first
+const NESTED_COLLECTIONS = {
+  pingResults: 'pings',
+  privateRoutes: 'chunks'
+};
+
+class DeletionService {
+  constructor() {
+    // Unfinished jobs per user, mirrored to AsyncStorage after every change
+    this.jobs = {};
+    // IDs of jobs running in this session, so a resume never runs alongside the original call
+    this.running = new Set();
+  }
+
+  getJobsKey(userId) {
+    return `@deletion_jobs_${userId}`;
+  }
+
+  async loadJobs(userId) {
+    if (!this.jobs[userId]) {
+      try {
+        const stored = await AsyncStorage.getItem(this.getJobsKey(userId));
+        this.jobs[userId] = stored ? JSON.parse(stored) : [];
+      } catch (error) {
+        Logger.warn('DELETION_SERVICE', 'Failed to read deletion jobs', { userId, error: error.message });
+        this.jobs[userId] = [];
+      }
+    }
+    return this.jobs[userId];
+  }
+
+  // Jobs are written from memory, so overlapping deletions never overwrite each other
+  async persistJobs(userId) {
+    await AsyncStorage.setItem(this.getJobsKey(userId), JSON.stringify(this.jobs[userId] || []));
+  }
+
+  async saveJob(job) {
+    const jobs = await this.loadJobs(job.userId);
+    job.updatedAt = Date.now();
+    if (!jobs.includes(job)) {
+      jobs.push(job);
+    }
+    await this.persistJobs(job.userId);
+  }
+
+  async clearJob(job) {
+    const jobs = await this.loadJobs(job.userId);
+    this.jobs[job.userId] = jobs.filter(entry => entry.id !== job.id);
+    await this.persistJobs(job.userId);
+  }
+
+  /**
+   * Delete every doc a query returns, page by page, in batches under the write limit
+   * @param {Query} baseQuery - Query to drain (docs must leave it once written, e.g. by deletion)
+   * @param {Function} getWrite - (docSnap) => 'delete' | Object of fields to update
+   * @returns {Promise<Object>} { deleted, updated }
+   */
+  async drainQuery(baseQuery, getWrite = () => 'delete') {
+    let deleted = 0;
+    let updated = 0;
+
+    for (;;) {
+      const snapshot = await getDocs(query(baseQuery, limit(DELETION_CONFIG.PAGE_SIZE)));
+      if (snapshot.empty) {
+        return { deleted, updated };
+      }
+
+      for (let i = 0; i < snapshot.docs.length; i += DELETION_CONFIG.BATCH_SIZE) {
+        const batch = writeBatch(db);
+        snapshot.docs.slice(i, i + DELETION_CONFIG.BATCH_SIZE).forEach(docSnap => {
+          const write = getWrite(docSnap);
+          if (write === 'delete') {
+            batch.delete(docSnap.ref);
+            deleted++;
+          } else {
+            batch.update(docSnap.ref, write);
+            updated++;
+          }
+        });
+        await batch.commit();
+      }
+    }
+  }
+
+  /**
+   * Delete one journey and everything that references it
+   * Every step is safe to repeat, so an interrupted delete can simply run again
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @returns {Promise<Object>} { deleted, updated, counts } - counts are deleted docs per collection
+   */
+  async deleteJourneyCascade(userId, journeyId) {
+    const totals = { deleted: 0, updated: 0, counts: {} };
+    const add = (name, result) => {
+      totals.deleted += result.deleted;
+      totals.updated += result.updated;
+      totals.counts[name] = result.deleted;
+    };
+    const userRef = (...path) => collection(db, 'journeys', userId, ...path);
+    // Pings were recorded under the walk's tracking ID, not the Firestore journey ID
+    const journeySnap = await getDoc(doc(db, 'journeys', userId, 'journeys', journeyId));
+    const pingJourneyId = (journeySnap.exists() && journeySnap.data().trackingId) || journeyId;
+
+    // Saved places outlive the journey - detach them, delete the rest
+    add('discoveries', await this.drainQuery(
+      query(userRef('discoveries'), where('journeyId', '==', journeyId)),
+      discoveryDoc => (discoveryDoc.data().saved === true ? { journeyId: null, updatedAt: serverTimestamp() } : 'delete')
+    ));
+    add('dismissed', await this.drainQuery(query(userRef('dismissed'), where('journeyId', '==', journeyId))));
+    add('pingResults', await this.drainQuery(userRef('pingResults', pingJourneyId, 'pings')));
+    add('routeChunks', await this.drainQuery(userRef('journeys', journeyId, 'routeChunks')));
+    add('privateRoutes', await this.drainQuery(userRef('privateRoutes', journeyId, 'chunks')));
+    add('rawTracks', await this.drainQuery(userRef('privateRoutes', journeyId, 'rawChunks')));
+
+    // Journey doc last - until it's gone the journey stays listed and the delete can be retried
+    const batch = writeBatch(db);
+    batch.delete(doc(db, 'journeys', userId, 'privateRoutes', journeyId));
+    batch.delete(doc(db, 'journeys', userId, 'pingResults', pingJourneyId));
+    batch.delete(doc(db, 'journeys', userId, 'journeys', journeyId));
+    await batch.commit();
+    totals.deleted += 1;
+
+    return totals;
+  }
+
+  // Delete the journeys a job still has to delete, saving progress after each one
+  async runJourneyDeletes(job, onProgress) {
+    const failed = [];
+    const remaining = job.journeyIds.filter(id => !job.completed.includes(id));
+
+    for (const journeyId of remaining) {
+      onProgress?.({ type: job.type, phase: 'journeys', journeyId, completedJourneys: job.completed.length, totalJourneys: job.journeyIds.length, deletedDocs: job.deletedDocs });
+      try {
+        const result = await this.deleteJourneyCascade(job.userId, journeyId);
+        job.completed.push(journeyId);
+        job.deletedDocs += result.deleted;
+        Object.entries(result.counts).forEach(([name, count]) => {
+          job.counts[name] = (job.counts[name] || 0) + count;
+        });
+        await this.saveJob(job);
+      } catch (error) {
+        // Left in the job - the next resume retries it
+        Logger.error('DELETION_SERVICE', 'Failed to delete journey', { journeyId, error: error.message });
+        failed.push(journeyId);
+      }
+    }
+
+    return failed;
+  }
+
+  // Run (or resume) a job and clear it once everything is deleted
+  async runJob(job, onProgress) {
+    this.running.add(job.id);
+    try {
+      let failed = [];
+      if (job.type === DELETION_JOB_TYPES.ACCOUNT) {
+        failed = await this.runAccountSteps(job, onProgress);
+      } else {
+        failed = await this.runJourneyDeletes(job, onProgress);
+      }
+
+      if (failed.length === 0) {
+        await this.clearJob(job);
+      }
+      onProgress?.({ type: job.type, phase: 'done', completedJourneys: job.completed.length, totalJourneys: job.journeyIds.length, deletedDocs: job.deletedDocs });
+
+      Logger.info('DELETION_SERVICE', 'Deletion job finished', {
+        userId: job.userId,
+        type: job.type,
+        deletedJourneys: job.completed.length,
+        deletedDocs: job.deletedDocs,
+        failed: failed.length
+      });
+      return {
+        success: failed.length === 0,
+        deletedCount: job.completed.length,
+        deletedDocs: job.deletedDocs,
+        counts: job.counts || {},
+        failed
+      };
+    } finally {
+      this.running.delete(job.id);
+    }
+  }
+
+  // Account purge: every journey, then whatever is left in the user's collections
+  async runAccountSteps(job, onProgress) {
+    const userRef = (...path) => collection(db, 'journeys', job.userId, ...path);
+
+    for (const step of ACCOUNT_STEPS.filter(name => !job.completedSteps.includes(name))) {
+      onProgress?.({ type: job.type, phase: step, completedJourneys: job.completed.length, totalJourneys: job.journeyIds.length, deletedDocs: job.deletedDocs });
+
+      if (step === 'journeys') {
+        const failed = await this.runJourneyDeletes(job, onProgress);
+        if (failed.length > 0) {
+          return failed;
+        }
+      } else if (NESTED_COLLECTIONS[step]) {
+        // Leftovers of journeys deleted elsewhere - subcollections are only reachable through their parent doc
+        const parents = await getDocs(userRef(step));
+        let deleted = 0;
+        for (const parent of parents.docs) {
+          deleted += (await this.drainQuery(userRef(step, parent.id, NESTED_COLLECTIONS[step]))).deleted;
+        }
+        deleted += (await this.drainQuery(userRef(step))).deleted;
+        job.counts[step] = (job.counts[step] || 0) + deleted;
+        job.deletedDocs += deleted;
+      } else {
+        // Includes saved places, which an account purge removes too
+        const { deleted } = await this.drainQuery(userRef(step));
+        job.counts[step] = (job.counts[step] || 0) + deleted;
+        job.deletedDocs += deleted;
+      }
+
+      job.completedSteps.push(step);
+      await this.saveJob(job);
+    }
+
+    return [];
+  }
+
+  // Record a new job before any deletes, so an interruption leaves it to resume
+  async startJob(userId, job, onProgress) {
+    const fresh = {
+      id: `deletion_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      userId,
+      completed: [],
+      completedSteps: [],
+      deletedDocs: 0,
+      counts: {},
+      startedAt: Date.now(),
+      ...job
+    };
+    await this.saveJob(fresh);
+    return this.runJob(fresh, onProgress);
+  }
+
+  /**
+   * Delete journeys with everything that references them
+   * @param {string} userId - User ID
+   * @param {Array<string>} journeyIds - Journeys to delete
+   * @param {Object} options - { onProgress: ({ phase, journeyId, completedJourneys, totalJourneys, deletedDocs }) => void }
+   * @returns {Promise<Object>} { success, deletedCount, deletedDocs, failed: [journeyIds] }
+   */
+  async deleteJourneys(userId, journeyIds, { onProgress } = {}) {
+    if (!journeyIds || journeyIds.length === 0) {
+      return { success: true, deletedCount: 0, deletedDocs: 0, counts: {}, failed: [] };
+    }
+    return this.startJob(userId, { type: DELETION_JOB_TYPES.JOURNEYS, journeyIds: [...new Set(journeyIds)] }, onProgress);
+  }
+
+  /**
+   * Delete all of a user's Firestore journey data: journeys (including the Trash),
+   * discoveries, saved and dismissed places, ping results and owner-only routes
+   * @param {string} userId - User ID
+   * @param {Object} options - { onProgress }
+   * @returns {Promise<Object>} { success, deletedCount, deletedDocs, counts: { discoveries, dismissed, ... }, failed }
+   */
+  async purgeUserData(userId, { onProgress } = {}) {
+    const journeysSnap = await getDocs(collection(db, 'journeys', userId, 'journeys'));
+    return this.startJob(userId, {
+      type: DELETION_JOB_TYPES.ACCOUNT,
+      journeyIds: journeysSnap.docs.map(journeyDoc => journeyDoc.id)
+    }, onProgress);
+  }
+
+  // Finish a deletion that was interrupted (app closed, network lost) - called on sign-in
+  async resumePendingDeletion(userId, { onProgress } = {}) {
+    const jobs = (await this.loadJobs(userId)).filter(job => !this.running.has(job.id));
+    let success = true;
+
+    for (const job of jobs) {
+      Logger.info('DELETION_SERVICE', 'Resuming interrupted deletion', {
+        userId,
+        type: job.type,
+        remaining: job.journeyIds.length - job.completed.length
+      });
+      const result = await this.runJob(job, onProgress);
+      success = success && result.success;
+    }
+
+    return { success, resumed: jobs.length };
+  }
+}
+
+export default new DeletionService();
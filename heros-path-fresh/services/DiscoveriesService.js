@@ -12,11 +12,14 @@
  * 
  * FUNCTIONALITY:
  * - Implements Google Places API Search Along Route (SAR) for comprehensive route discovery
- * - Encodes GPS coordinates into Google's polyline format for efficient API communication
+ * - Runs SAR through the active places provider (Google, or a local fixture offline)
+ * - Splits long or dense routes into overlapping chunks (RouteChunks.js) with a per-km
+ *   result budget and a cap on API calls, so results are spread along the whole walk
  * - Builds intelligent search queries based on user preferences and place types
  * - Provides fallback to center-point search when SAR is unavailable or fails
  * - Manages user discovery preferences with automatic syncing and validation
  * - Deduplicates discovered places using proximity and similarity algorithms
+ * - Ranks route suggestions with an explainable score (DiscoveryRanking.js)
  * - Integrates with EnhancedPlacesService for AI summaries and enhanced place data
  * - Handles preference migration and default value management
  * - Supports multiple languages for international users
@@ -41,6 +44,8 @@
  * 
  * RELATIONSHIPS:
  * - Works with NewPlacesService.js for actual Google Places API calls
+ * - Runs Search Along Route on the active provider from PlacesProviderService.js
+ * - Caches Search Along Route results with PlacesCacheService.js
  * - Uses EnhancedPlacesService.js for AI summaries and enhanced place data
  * - Integrates with DiscoveryService.js for CRUD operations on discovered places
  * - May work with DiscoveryConsolidationService.js to merge SAR and cached discoveries
@@ -76,7 +81,7 @@
  * 3. Add seasonal awareness - adjust discovery types based on season/weather
  * 4. Add time-based filtering - show places open at the time of walking
  * 5. Add social discovery - places popular with friends or similar users
- * 6. Add discovery scoring - rank places by likelihood of user interest
+ * 6. Learn ranking weights from the places users save and dismiss
  * 7. Add discovery history - learn from user's past discovery interactions
  * 8. Add real-time discovery - discover places during walks, not just after
  * 9. Add discovery radius customization - let users control how far to search
@@ -93,18 +98,23 @@
  * 20. Add discovery personalization - AI-powered personalized discovery suggestions
  *
  * Orchestrates the Search Along Route (SAR) feature using Google Places API.
- * - Encodes polylines and builds search queries from user preferences.
+ * - Builds search queries from user preferences; the provider encodes the route.
  * - Fetches suggestions along a route, handles fallback to center-point search.
  * - Deduplicates and syncs preferences.
  * - Delegates CRUD operations to DiscoveryService.
  * - May interact with DiscoveryConsolidationService to merge SAR and cached discoveries.
  */
 // services/DiscoveriesService.js
-import { GOOGLE_MAPS_API_KEY_ANDROID, GOOGLE_MAPS_API_KEY_IOS, GOOGLE_ROADS_API_KEY } from '../config';
+import { GOOGLE_ROADS_API_KEY } from '../config';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { PLACE_TYPES } from '../constants/PlaceTypes';
 import { getEnhancedPlaceDetails } from './EnhancedPlacesService';
-import { searchNearbyPlaces, getPlaceDetails, getPlaceSummaries, testAPIConnectivity } from './NewPlacesService';
+import { searchNearbyPlaces, getPlaceDetails, getPlaceSummaries } from './NewPlacesService';
+import PlacesProviderService from './PlacesProviderService';
+import PlacesCacheService from './PlacesCacheService';
+import { splitRouteIntoChunks, getRouteLength } from '../utils/RouteChunks';
+import { rankPlaces } from '../utils/DiscoveryRanking';
+import { isDismissalActive } from '../utils/DismissalExpiry';
 import { 
   collection,
   query,
@@ -114,64 +124,19 @@ import {
 import { db } from '../firebase';
 import Logger from '../utils/Logger';
 
-const BASE_URL = 'https://maps.googleapis.com/maps/api/place';
-const NEW_BASE_URL = 'https://places.googleapis.com/v1';
 const DISCOVERY_PREFERENCES_KEY = '@discovery_preferences';
 
-// Use the same API key for Places API as Maps API (they can be the same key)
-const getPlacesAPIKey = () => {
-  return GOOGLE_MAPS_API_KEY_IOS || GOOGLE_MAPS_API_KEY_ANDROID;
+// Search Along Route splits long or dense routes and searches each stretch
+export const SAR_CONFIG = {
+  CHUNK_LENGTH_M: 2000,        // Target length of each searched stretch
+  CHUNK_OVERLAP_M: 200,        // Each stretch reaches this far into its neighbours
+  MAX_POINTS_PER_CHUNK: 300,   // Denser stretches are split further, then thinned
+  MAX_API_CALLS: 8,            // Longer routes get longer stretches instead of more calls
+  RESULTS_PER_KM: 10,          // Result budget per km of route
+  MIN_RESULTS_PER_CHUNK: 5,
+  MAX_RESULTS_PER_CALL: 20     // Most places Text Search (New) returns per request
 };
 
-/**
- * Encode GPS coordinates to Google's polyline format
- * @param {Array} coordinates - Array of {latitude, longitude} objects
- * @returns {string} Encoded polyline string
- */
-function encodePolyline(coordinates) {
-  if (!coordinates || coordinates.length === 0) {
-    return '';
-  }
-
-  let polyline = '';
-  let prevLat = 0;
-  let prevLng = 0;
-
-  coordinates.forEach(coord => {
-    const lat = Math.round(coord.latitude * 1e5);
-    const lng = Math.round(coord.longitude * 1e5);
-    
-    const dLat = lat - prevLat;
-    const dLng = lng - prevLng;
-    
-    polyline += encodeNumber(dLat);
-    polyline += encodeNumber(dLng);
-    
-    prevLat = lat;
-    prevLng = lng;
-  });
-
-  return polyline;
-}
-
-/**
- * Encode a number for polyline format
- * @param {number} num - Number to encode
- * @returns {string} Encoded string
- */
-function encodeNumber(num) {
-  let encoded = '';
-  let value = num < 0 ? ~(num << 1) : (num << 1);
-  
-  while (value >= 0x20) {
-    encoded += String.fromCharCode(((value & 0x1f) | 0x20) + 63);
-    value >>= 5;
-  }
-  
-  encoded += String.fromCharCode(value + 63);
-  return encoded;
-}
-
 /**
  * Build search query from user preferences
  * @param {Object} preferences - User discovery preferences
@@ -211,14 +176,32 @@ function buildSearchQuery(preferences) {
   return typeNames.join(' ');
 }
 
+// Merge per-chunk results taking one from each chunk in turn, so a cut keeps every stretch represented
+function interleaveChunkResults(chunkResults) {
+  const merged = [];
+  const longest = Math.max(0, ...chunkResults.map(places => places.length));
+  for (let i = 0; i < longest; i++) {
+    chunkResults.forEach(places => {
+      if (i < places.length) {
+        merged.push(places[i]);
+      }
+    });
+  }
+  return merged;
+}
+
 /**
- * Search Along Route using Google Places API
+ * Search Along Route using the active places provider
+ * Long or dense routes are searched in overlapping chunks so results cover the whole route
  * @param {Array} routeCoords - Array of coordinate objects
  * @param {Object} preferences - User discovery preferences
  * @param {string} language - Language code
+ * @param {Object} options - Overrides for SAR_CONFIG, plus throwOnFailure: throw instead of
+ *   returning [] when neither the route search nor the center-point fallback could search
  * @returns {Promise<Array>} Array of suggested places
  */
-async function searchAlongRoute(routeCoords, preferences, language = 'en') {
+async function searchAlongRoute(routeCoords, preferences, language = 'en', options = {}) {
+  const { throwOnFailure = false, ...configOverrides } = options;
   const startTime = Date.now();
   Logger.debug('DISCOVERIES_SERVICE', `Starting SAR for route with ${routeCoords?.length || 0} coordinates`, { 
     enabledTypesCount: Object.keys(preferences).filter(type => preferences[type]).length,
@@ -251,13 +234,6 @@ async function searchAlongRoute(routeCoords, preferences, language = 'en') {
   }
 
   try {
-    // Encode route coordinates to polyline
-    const encodedPolyline = encodePolyline(routeCoords);
-    if (!encodedPolyline) {
-      Logger.warn('DISCOVERIES_SERVICE', 'Failed to encode polyline for SAR');
-      return [];
-    }
-
     // Build search query from preferences
     const searchQuery = buildSearchQuery(preferences);
     if (!searchQuery.trim()) {
@@ -265,69 +241,67 @@ async function searchAlongRoute(routeCoords, preferences, language = 'en') {
       return [];
     }
 
-    // Get API key (use Android key as fallback)
-    const apiKey = getPlacesAPIKey();
-    if (!apiKey) {
-      Logger.error('DISCOVERIES_SERVICE', 'No Google Places API key available for SAR');
-      return [];
-    }
+    const config = { ...SAR_CONFIG, ...configOverrides };
+    const provider = PlacesProviderService.getActiveProvider();
+    const chunks = splitRouteIntoChunks(routeCoords, {
+      chunkLength: config.CHUNK_LENGTH_M,
+      overlap: config.CHUNK_OVERLAP_M,
+      maxPointsPerChunk: config.MAX_POINTS_PER_CHUNK,
+      maxChunks: config.MAX_API_CALLS
+    });
+    const routeKm = getRouteLength(routeCoords) / 1000;
+    const totalBudget = Math.max(config.MIN_RESULTS_PER_CHUNK, Math.round(config.RESULTS_PER_KM * routeKm));
+    const types = Object.keys(preferences).filter(type => preferences[type]);
 
-    // Make SAR API call
-    const response = await fetch(`${NEW_BASE_URL}/places:searchText`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Goog-Api-Key': apiKey,
-        'X-Goog-FieldMask': 'places.id,places.displayName,places.types,places.rating,places.userRatingCount,places.photos,places.location,places.formattedAddress,places.primaryType'
-      },
-      body: JSON.stringify({
+    Logger.debug('DISCOVERIES_SERVICE', `SAR over ${chunks.length} chunk(s)`, { provider: provider.type, routeKm, totalBudget });
+
+    // Search each chunk in turn, with a budget proportional to its length
+    const chunkResults = [];
+    let failedChunks = 0;
+    for (const chunk of chunks) {
+      const sarOptions = {
         textQuery: searchQuery,
-        searchAlongRouteParameters: {
-          polyline: { encodedPolyline }
-        },
-        maxResultCount: 50,
-        languageCode: language
-      })
-    });
+        types,
+        language,
+        maxResults: Math.min(
+          config.MAX_RESULTS_PER_CALL,
+          Math.max(config.MIN_RESULTS_PER_CHUNK, Math.round(config.RESULTS_PER_KM * chunk.length / 1000))
+        )
+      };
+      const search = () => provider.searchAlongRoute(chunk.points, sarOptions);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      Logger.error('DISCOVERIES_SERVICE', `SAR API call failed: ${response.status}`, { error: errorText });
-      
-      // Fallback to center-point method
-      Logger.warn('DISCOVERIES_SERVICE', 'Falling back to center-point method');
-      return await getSuggestionsForRouteFallback(routeCoords, preferences, language);
+      try {
+        // The same loop walked again is answered from the places cache
+        const places = PlacesProviderService.isOffline()
+          ? await search()
+          : await PlacesCacheService.getOrFetch(
+            PlacesCacheService.getRouteKey({ provider: provider.type, route: chunk.points, ...sarOptions }),
+            search
+          );
+        chunkResults.push(places.map(place => ({ ...place, source: 'sar' })));
+      } catch (error) {
+        failedChunks += 1;
+        Logger.warn('DISCOVERIES_SERVICE', 'SAR chunk failed', { start: Math.round(chunk.start), end: Math.round(chunk.end), error: error.message });
+      }
     }
 
-    const data = await response.json();
-    const places = data.places || [];
-
-    Logger.debug('DISCOVERIES_SERVICE', `SAR returned ${places.length} places`);
-
-    // Transform places to match our expected format
-    const transformedPlaces = places.map(place => ({
-      placeId: place.id,
-      name: place.displayName?.text || 'Unknown Place',
-      types: place.types || [],
-      primaryType: place.primaryType || place.types?.[0] || 'unknown',
-      rating: place.rating || null,
-      userRatingsTotal: place.userRatingCount || 0,
-      location: {
-        lat: place.location?.latitude || 0,
-        lng: place.location?.longitude || 0
-      },
-      formatted_address: place.formattedAddress || '',
-      photos: place.photos || [],
-      source: 'sar'
-    }));
-
-    // Apply additional filtering and deduplication
-    const filteredPlaces = filterPlacesByPreferences(transformedPlaces, preferences);
-    const deduplicatedPlaces = deduplicatePlaces(filteredPlaces);
+    // Only a route with no successful chunk falls back to the center-point method
+    if (failedChunks === chunks.length) {
+      throw new Error(`All ${chunks.length} SAR chunk searches failed`);
+    }
+
+    const places = interleaveChunkResults(chunkResults);
+    Logger.debug('DISCOVERIES_SERVICE', `SAR returned ${places.length} places`, { chunks: chunks.length, failedChunks });
+
+    // Apply additional filtering and deduplication (chunks overlap, so the same place can come back twice)
+    const filteredPlaces = filterPlacesByPreferences(places, preferences);
+    const deduplicatedPlaces = deduplicatePlaces(filteredPlaces).slice(0, totalBudget);
 
     const duration = Date.now() - startTime;
     Logger.performance('DISCOVERIES_SERVICE', 'searchAlongRoute', duration, { 
       routeCoordsCount: routeCoords.length,
+      chunks: chunks.length,
+      failedChunks,
       placesFound: places.length,
       placesAfterFiltering: filteredPlaces.length,
       placesAfterDeduplication: deduplicatedPlaces.length
@@ -336,10 +310,11 @@ async function searchAlongRoute(routeCoords, preferences, language = 'en') {
     return deduplicatedPlaces;
 
   } catch (error) {
+    // The provider couldn't search along the route (API error, or no SAR in the Legacy API)
     Logger.error('DISCOVERIES_SERVICE', 'SAR failed, falling back to center-point method', error);
     
     // Fallback to center-point method
-    return await getSuggestionsForRouteFallback(routeCoords, preferences, language);
+    return await getSuggestionsForRouteFallback(routeCoords, preferences, language, { throwOnFailure });
   }
 }
 
@@ -348,9 +323,10 @@ async function searchAlongRoute(routeCoords, preferences, language = 'en') {
  * @param {Array} routeCoords - Array of coordinate objects
  * @param {Object} preferences - User discovery preferences
  * @param {string} language - Language code
+ * @param {Object} options - { throwOnFailure: throw when every type search failed }
  * @returns {Promise<Array>} Array of suggested places
  */
-async function getSuggestionsForRouteFallback(routeCoords, preferences, language = 'en') {
+async function getSuggestionsForRouteFallback(routeCoords, preferences, language = 'en', { throwOnFailure = false } = {}) {
   Logger.debug('DISCOVERIES_SERVICE', 'Using fallback center-point method');
   
   if (!routeCoords || routeCoords.length === 0) {
@@ -385,9 +361,16 @@ async function getSuggestionsForRouteFallback(routeCoords, preferences, language
 
     // Fetch places for each enabled type
     const allPlaces = [];
+    let failedTypes = 0;
     for (const type of enabledTypes) {
       Logger.debug('DISCOVERIES_SERVICE', `Fetching places for type: ${type}`, { center, radius });
-      const places = await fetchPlacesByType(type, center, radius);
+      let places;
+      try {
+        places = await fetchPlacesByType(type, center, radius, { throwOnFailure: true });
+      } catch (error) {
+        failedTypes += 1;
+        continue;
+      }
       Logger.debug('DISCOVERIES_SERVICE', `Got ${places.length} places for type: ${type}`, {
         samplePlace: places[0] ? {
           name: places[0].name,
@@ -398,6 +381,11 @@ async function getSuggestionsForRouteFallback(routeCoords, preferences, language
       allPlaces.push(...places);
     }
 
+    // An empty result because every request errored isn't "nothing nearby"
+    if (failedTypes === enabledTypes.length) {
+      throw new Error(`All ${enabledTypes.length} center-point type searches failed`);
+    }
+
     // Apply filtering and deduplication
     const filteredPlaces = filterPlacesByPreferences(allPlaces, preferences);
     const deduplicatedPlaces = deduplicatePlaces(filteredPlaces);
@@ -405,6 +393,9 @@ async function getSuggestionsForRouteFallback(routeCoords, preferences, language
     return deduplicatedPlaces;
   } catch (error) {
     Logger.error('DISCOVERIES_SERVICE', 'Fallback center-point method also failed', error);
+    if (throwOnFailure) {
+      throw error;
+    }
     return [];
   }
 }
@@ -553,7 +544,7 @@ function coordsToBoundingCircle(coords) {
  * @param {Array} routeCoords - Array of coordinate objects
  * @param {Object} preferences - User discovery preferences
  * @param {string} language - Language code
- * @returns {Promise<Array>} Array of suggested places
+ * @returns {Promise<Array>} Suggested places, ranked best first (DiscoveryRanking.js)
  */
 export async function getSuggestionsForRoute(routeCoords, preferences, language = 'en', userId = null) {
   const startTime = Date.now();
@@ -634,14 +625,17 @@ export async function getSuggestionsForRoute(routeCoords, preferences, language
       }
     }
 
+    // Best first, with the score breakdown DiscoveriesScreen explains
+    const rankedPlaces = rankPlaces(finalPlaces, { route: routeCoords, preferences });
+
     const duration = Date.now() - startTime;
     Logger.performance('DISCOVERIES_SERVICE', 'getSuggestionsForRoute', duration, { 
       routeCoordsCount: routeCoords.length, 
       enabledTypesCount: enabledTypes.length, 
-      finalPlacesCount: finalPlaces.length 
+      finalPlacesCount: rankedPlaces.length 
     });
 
-    return finalPlaces;
+    return rankedPlaces;
   } catch (error) {
     Logger.error('DISCOVERIES_SERVICE', 'Error getting suggestions for route', error);
     return [];
@@ -684,7 +678,7 @@ function filterPlacesByPreferences(places, preferences = {}) {
  * @param {number} radius - Search radius in meters
  * @returns {Promise<Array>} Array of places
  */
-async function fetchPlacesByType(type, location, radius = 500) {
+async function fetchPlacesByType(type, location, radius = 500, { throwOnFailure = false } = {}) {
   Logger.debug('DISCOVERIES_SERVICE', `Fetching places for type: ${type}`, { 
     location, 
     radius,
@@ -702,8 +696,7 @@ async function fetchPlacesByType(type, location, radius = 500) {
     });
     
     const options = {
-      maxResults: 1,
-      useNewAPI: true
+      maxResults: 1
     };
     
     Logger.debug('DISCOVERIES_SERVICE', `Calling searchNearbyPlaces with options:`, options);
@@ -717,22 +710,13 @@ async function fetchPlacesByType(type, location, radius = 500) {
     return places;
   } catch (error) {
     Logger.error('DISCOVERIES_SERVICE', `Error fetching places for type: ${type}`, error);
+    if (throwOnFailure) {
+      throw error;
+    }
     return [];
   }
 }
 
-/**
- * Shuffle array using Fisher-Yates algorithm
- */
-function shuffleArray(array) {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-}
-
 /**
  * Get saved places for a user
  */
@@ -755,7 +739,8 @@ async function getSavedPlaces(userId) {
 }
 
 /**
- * Get dismissed places for a user
+ * Get dismissed places for a user that are still hidden
+ * Lapsed dismissals are skipped here and cleared by DiscoveryService.getDismissedPlaces
  */
 async function getDismissedPlaces(userId) {
   try {
@@ -765,7 +750,9 @@ async function getDismissedPlaces(userId) {
     
     const dismissedPlaces = [];
     querySnapshot.forEach((doc) => {
-      dismissedPlaces.push(doc.data());
+      if (isDismissalActive(doc.data())) {
+        dismissedPlaces.push(doc.data());
+      }
     });
     
     return { success: true, dismissedPlaces };
@@ -997,8 +984,8 @@ export async function snapToRoads(rawCoords) {
  */
 export async function getPlaceDetailsWithSummaries(placeId, language = 'en') {
   try {
-    // First try the new API service
-    const placeDetails = await getPlaceDetails(placeId, language, true);
+    // First try the active places provider
+    const placeDetails = await getPlaceDetails(placeId, language);
     
     // Get AI summaries separately
     const summaries = await getPlaceSummaries(placeId, language);
@@ -1036,14 +1023,14 @@ export async function testPlacesAPIMigration() {
   Logger.info('DISCOVERIES_SERVICE', 'Testing Places API migration...');
   
   try {
-    // Test API key availability
-    const apiKey = getPlacesAPIKey();
-    if (!apiKey) {
-      Logger.error('DISCOVERIES_SERVICE', 'No API key available for testing');
-      return { success: false, error: 'No API key available' };
+    // Test that the active provider can answer (an API key for Google, places for a fixture)
+    const provider = PlacesProviderService.getActiveProvider();
+    if (!provider.isConfigured()) {
+      Logger.error('DISCOVERIES_SERVICE', 'Active places provider is not configured', provider.getInfo());
+      return { success: false, error: provider.type === 'fixture' ? 'Fixture has no places' : 'No API key available' };
     }
     
-    Logger.info('DISCOVERIES_SERVICE', 'API key available for testing');
+    Logger.info('DISCOVERIES_SERVICE', 'Places provider available for testing', provider.getInfo());
     
     // Test SAR with a simple route
     const testRoute = [
@@ -1064,7 +1051,8 @@ export async function testPlacesAPIMigration() {
     return {
       success: true,
       sarResults: sarResults.length,
-      apiKey: apiKey ? 'Available' : 'Missing'
+      provider: provider.name,
+      apiKey: provider.isConfigured() ? 'Available' : 'Missing'
     };
     
   } catch (error) {
@@ -13,9 +13,12 @@
  * FUNCTIONALITY:
  * - Merges discovery data from SAR (Search Along Route) and ping results
  * - Deduplicates places using proximity and similarity algorithms
+ * - Ranks consolidated places with an explainable score (DiscoveryRanking.js) and saves
+ *   the score breakdown on each discovery
  * - Combines place information to create comprehensive discovery records
  * - Validates and cleans discovery data for quality assurance
- * - Saves consolidated results to Firestore with proper metadata
+ * - Saves consolidated results to Firestore with proper metadata, keeping places the
+ *   user has dismissed hidden until their dismissal lapses
  * - Provides statistics about consolidation operations and data quality
  * - Handles edge cases like missing data or API failures gracefully
  * - Ensures no orphaned or duplicate data remains in the database
@@ -43,12 +46,13 @@
  * - Uses DiscoveriesService.js for SAR (Search Along Route) functionality
  * - Works with PingService.js to retrieve ping-based discovery results
  * - Integrates with DiscoveryService.js for saving consolidated results
- * - Called by JourneyService.js after journey completion
+ * - Uses DiscoveryRanking.js to score places before they are saved
+ * - Run stage by stage by DiscoveryJobService.js, which persists progress between stages
  * - May be used by data cleanup and maintenance workflows
  * - Provides data to discovery analytics and quality monitoring systems
  * 
  * REFERENCED BY:
- * - JourneyService.js (after journey completion for data consolidation)
+ * - DiscoveryJobService.js (after journey completion for data consolidation)
  * - Journey completion workflows (to ensure clean discovery data)
  * - Data maintenance and cleanup processes
  * - Discovery analytics systems (for quality metrics)
@@ -80,7 +84,7 @@
  * 9. Add place enrichment - enhance discoveries with additional data sources
  * 10. Add consolidation analytics - detailed metrics about consolidation effectiveness
  * 11. Add place clustering - group related places for better organization
- * 12. Add discovery ranking - rank consolidated discoveries by relevance or quality
+ * 12. Learn ranking weights from what users save and dismiss
  * 13. Add automated validation - automatically validate discovery data quality
  * 14. Add conflict resolution - handle conflicting information from different sources
  * 15. Add place category detection - automatically categorize consolidated places
@@ -100,7 +104,6 @@ import {
   query,
   where,
   getDocs,
-  writeBatch,
   serverTimestamp
 } from 'firebase/firestore';
 import { db } from '../firebase';
@@ -108,110 +111,88 @@ import { searchAlongRoute } from './DiscoveriesService';
 import PingService from './PingService';
 import DiscoveryService from './DiscoveryService';
 import Logger from '../utils/Logger';
+import { rankPlaces } from '../utils/DiscoveryRanking';
 
 class DiscoveryConsolidationService {
   /**
-   * Consolidate SAR and ping results for a completed journey
-   * @param {string} userId - User ID
-   * @param {string} journeyId - Journey ID
-   * @param {Array} routeCoords - Journey route coordinates
-   * @param {Object} preferences - User discovery preferences
-   * @returns {Promise<Object>} Consolidation result
-   */
-  async consolidateJourneyDiscoveries(userId, journeyId, routeCoords, preferences) {
-    const startTime = Date.now();
-    Logger.debug('CONSOLIDATION_SERVICE', 'Starting journey discovery consolidation', { 
-      userId, 
-      journeyId, 
-      routeCoordsCount: routeCoords?.length || 0 
-    });
-
-    try {
-      // 1. Get SAR results
-      const sarResults = await this.getSARResults(routeCoords, preferences);
-      Logger.debug('CONSOLIDATION_SERVICE', `SAR returned ${sarResults.length} places`);
-
-      // 2. Get ping results
-      const pingResults = await this.getPingResults(userId, journeyId);
-      Logger.debug('CONSOLIDATION_SERVICE', `Found ${pingResults.length} ping results`);
-
-      // 3. Extract places from ping results
-      const pingPlaces = this.extractPlacesFromPingResults(pingResults);
-      Logger.debug('CONSOLIDATION_SERVICE', `Extracted ${pingPlaces.length} places from pings`);
-
-      // 4. Merge and deduplicate all places
-      const allPlaces = [...sarResults, ...pingPlaces];
-      const consolidatedPlaces = this.deduplicateAndMergePlaces(allPlaces);
-      Logger.debug('CONSOLIDATION_SERVICE', `Consolidated to ${consolidatedPlaces.length} unique places`);
-
-      // 5. Save consolidated discoveries to Firestore
-      const savedCount = await this.saveConsolidatedDiscoveries(userId, journeyId, consolidatedPlaces);
-
-      // 6. Archive ping results
-      await PingService.archivePingResults(userId, journeyId);
-
-      const duration = Date.now() - startTime;
-      Logger.performance('CONSOLIDATION_SERVICE', 'consolidateJourneyDiscoveries', duration, {
-        userId,
-        journeyId,
-        sarPlaces: sarResults.length,
-        pingPlaces: pingPlaces.length,
-        consolidatedPlaces: consolidatedPlaces.length,
-        savedCount
-      });
-
-      return {
-        success: true,
-        sarPlaces: sarResults.length,
-        pingPlaces: pingPlaces.length,
-        consolidatedPlaces: consolidatedPlaces.length,
-        savedCount
-      };
-
-    } catch (error) {
-      Logger.error('CONSOLIDATION_SERVICE', 'Journey discovery consolidation failed', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
-  /**
-   * Get SAR results for the route
+   * Get SAR results for the route (job stage 1)
+   * Throws when neither SAR nor its center-point fallback could search, so DiscoveryJobService
+   * keeps the job pending and retries the stage instead of saving an empty result
    * @param {Array} routeCoords - Route coordinates
    * @param {Object} preferences - User preferences
    * @returns {Promise<Array>} SAR results
    */
   async getSARResults(routeCoords, preferences) {
-    try {
-      const sarResults = await searchAlongRoute(routeCoords, preferences, 'en');
-      
-      // Add source metadata
-      return sarResults.map(place => ({
-        ...place,
-        source: 'sar',
-        sarTimestamp: Date.now()
-      }));
-    } catch (error) {
-      Logger.error('CONSOLIDATION_SERVICE', 'Failed to get SAR results', error);
-      return [];
-    }
+    const sarResults = await searchAlongRoute(routeCoords, preferences, 'en', { throwOnFailure: true });
+    
+    // Add source metadata
+    return sarResults.map(place => ({
+      ...place,
+      source: 'sar',
+      sarTimestamp: Date.now()
+    }));
   }
 
   /**
    * Get ping results for the journey
+   * Throws on failure - treating a failed read as "no pings" would let archiving delete them unmerged
    * @param {string} userId - User ID
-   * @param {string} journeyId - Journey ID
+   * @param {string} pingJourneyId - ID the pings were recorded under (the tracking ID for recorded walks)
    * @returns {Promise<Array>} Ping results
    */
-  async getPingResults(userId, journeyId) {
+  async getPingResults(userId, pingJourneyId) {
+    return PingService.getPingResultsForJourney(userId, pingJourneyId);
+  }
+
+  /**
+   * Merge SAR places with the places found by pings during the walk (job stage 2)
+   * @param {string} userId - User ID
+   * @param {string} pingJourneyId - ID the pings were recorded under
+   * @param {Array} sarPlaces - Result of getSARResults
+   * @returns {Promise<Object>} { places, pingPlaces: count }
+   */
+  async mergeWithPingResults(userId, pingJourneyId, sarPlaces) {
+    const pingResults = await this.getPingResults(userId, pingJourneyId);
+    const pingPlaces = this.extractPlacesFromPingResults(pingResults);
+    const places = this.deduplicateAndMergePlaces([...sarPlaces, ...pingPlaces]);
+
+    Logger.debug('CONSOLIDATION_SERVICE', 'Merged SAR and ping places', {
+      sarPlaces: sarPlaces.length,
+      pingPlaces: pingPlaces.length,
+      consolidatedPlaces: places.length
+    });
+    return { places, pingPlaces: pingPlaces.length };
+  }
+
+  /**
+   * Rank merged places best first (part of job stage 2)
+   * Places the user has as discoveries from other journeys count as already seen
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Array} places - Result of mergeWithPingResults
+   * @param {Object} context - { route, preferences }
+   * @returns {Promise<Array>} Places with score, scoreBreakdown and distanceFromRoute
+   */
+  async rankConsolidatedPlaces(userId, journeyId, places, { route = null, preferences = null } = {}) {
+    let seenPlaceIds = null;
     try {
-      return await PingService.getPingResultsForJourney(userId, journeyId);
+      const discoveriesSnap = await getDocs(collection(db, 'journeys', userId, 'discoveries'));
+      seenPlaceIds = new Set(discoveriesSnap.docs
+        .map(discoveryDoc => discoveryDoc.data())
+        .filter(discovery => discovery.journeyId !== journeyId)
+        .map(discovery => discovery.placeId));
     } catch (error) {
-      Logger.error('CONSOLIDATION_SERVICE', 'Failed to get ping results', error);
-      return [];
+      // Novelty is scored as unknown rather than failing the stage
+      Logger.warn('CONSOLIDATION_SERVICE', 'Failed to load earlier discoveries for ranking', { error: error.message });
     }
+
+    const ranked = rankPlaces(places, { route, seenPlaceIds, preferences });
+    Logger.debug('CONSOLIDATION_SERVICE', 'Ranked consolidated places', {
+      places: ranked.length,
+      seenBefore: seenPlaceIds ? ranked.filter(place => seenPlaceIds.has(place.placeId)).length : null,
+      topScore: ranked[0]?.score ?? null
+    });
+    return ranked;
   }
 
   /**
@@ -331,7 +312,10 @@ class DiscoveryConsolidationService {
   }
 
   /**
-   * Save consolidated discoveries to Firestore
+   * Save consolidated discoveries to Firestore (job stage 3)
+   * Places the journey already has are skipped, so a retried or re-run save never duplicates.
+   * Places are saved in the order given, best first after rankConsolidatedPlaces.
+   * Places under an active dismissal are saved already dismissed.
    * @param {string} userId - User ID
    * @param {string} journeyId - Journey ID
    * @param {Array} places - Array of consolidated places
@@ -339,10 +323,18 @@ class DiscoveryConsolidationService {
    */
   async saveConsolidatedDiscoveries(userId, journeyId, places) {
     try {
-      const batch = writeBatch(db);
+      const existingSnap = await getDocs(query(
+        collection(db, 'journeys', userId, 'discoveries'),
+        where('journeyId', '==', journeyId)
+      ));
+      const existingPlaceIds = new Set(existingSnap.docs.map(discoveryDoc => discoveryDoc.data().placeId));
+      // Places the user has dismissed are saved as dismissed, so they stay hidden until a
+      // "30 days" dismissal lapses and DiscoveryService clears it
+      const { dismissedPlaces } = await DiscoveryService.getDismissedPlaces(userId);
+      const dismissedPlaceIds = new Set(dismissedPlaces.map(dismissal => dismissal.placeId));
       let savedCount = 0;
 
-      for (const place of places) {
+      for (const place of places.filter(item => !existingPlaceIds.has(item.placeId))) {
         try {
           const discoveryData = {
             placeId: place.placeId,
@@ -364,8 +356,11 @@ class DiscoveryConsolidationService {
             allSources: place.allSources || [place.source || 'unknown'],
             pingCount: place.pingCount || 0,
             sarCount: place.sarCount || 0,
+            score: place.score ?? null,
+            scoreBreakdown: place.scoreBreakdown || null,
+            distanceFromRoute: place.distanceFromRoute ?? null,
             saved: false,
-            dismissed: false,
+            dismissed: dismissedPlaceIds.has(place.placeId),
             createdAt: serverTimestamp(),
             updatedAt: serverTimestamp()
           };
@@ -387,7 +382,9 @@ class DiscoveryConsolidationService {
         userId, 
         journeyId, 
         savedCount, 
-        totalPlaces: places.length 
+        totalPlaces: places.length,
+        alreadySaved: existingPlaceIds.size,
+        hiddenByDismissal: places.filter(place => dismissedPlaceIds.has(place.placeId)).length
       });
 
       return savedCount;
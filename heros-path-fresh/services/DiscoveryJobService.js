@@ -0,0 +1,329 @@
+/*
+ * DISCOVERY JOB SERVICE (RESUMABLE POST-WALK CONSOLIDATION)
+ * =========================================================
+ *
+ * PURPOSE:
+ * Runs discovery consolidation for a saved journey as a persisted job that moves
+ * through fixed stages - pending, SAR done, pings merged, saved, archived - and records
+ * its progress after each one. If the app is closed, the network drops or a stage
+ * fails, the job picks up from its last finished stage on the next launch instead of
+ * starting over or being lost.
+ *
+ * FUNCTIONALITY:
+ * - Stage 1 (pending → sar_done): Search Along Route for the journey's route; a search
+ *   that failed outright (offline, every request errored) leaves the job pending
+ * - Stage 2 (sar_done → pings_merged): merges the places pinged during the walk and
+ *   ranks the result best first
+ * - Stage 3 (pings_merged → saved): saves discoveries, skipping places the journey
+ *   already has, so a retried stage never duplicates
+ * - Stage 4 (saved → archived): clears the ping results that were merged
+ * - Mirrors the job's state onto the journey doc (discoveryJob field) for the UI
+ * - Retries unfinished jobs on sign-in, up to MAX_AUTO_ATTEMPTS failed runs
+ * - Re-runs discovery for a journey on request
+ *
+ * WHY IT EXISTS:
+ * Consolidation used to be one fire-and-forget call after saving. A failure part way
+ * through lost the walk's discoveries for good, or archived pings that were never
+ * merged, and the user had no way to see or retry it.
+ *
+ * JOB SHAPE (AsyncStorage @discovery_jobs_{userId}):
+ * { journeyId, userId, trackingId, state, attempts, failed, error, sarPlaces, places,
+ *   savedCount, createdAt, updatedAt }
+ *
+ * RELATIONSHIPS:
+ * - JourneySyncService.js starts a job once a recorded walk is uploaded
+ * - JourneyImportService.js starts jobs for imported walks
+ * - DiscoveryConsolidationService.js does the work of each stage
+ * - JourneyDetailScreen.js shows the status and offers "Re-run Discovery"
+ * - PastJourneysScreen.js shows the status in the journey list
+ * - UserContext.js resumes unfinished jobs on sign-in
+ *
+ * REFERENCES:
+ * - AsyncStorage (for job state)
+ * - @react-native-community/netinfo (jobs only resume online)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Discoveries are the reward for a walk; losing them silently breaks the core loop.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Run jobs in a Cloud Function triggered by the journey write
+ * 2. Notify the user when a walk's discoveries are ready
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import DiscoveryConsolidationService from './DiscoveryConsolidationService';
+import JourneyService from './JourneyService';
+import PingService from './PingService';
+import { getUserDiscoveryPreferences } from './DiscoveriesService';
+import Logger from '../utils/Logger';
+
+// Job states in the order they are reached
+export const DISCOVERY_JOB_STATES = {
+  PENDING: 'pending',
+  SAR_DONE: 'sar_done',
+  PINGS_MERGED: 'pings_merged',
+  SAVED: 'saved',
+  ARCHIVED: 'archived'
+};
+
+export const DISCOVERY_JOB_CONFIG = {
+  MAX_AUTO_ATTEMPTS: 5  // Failed runs before a job waits for a manual re-run
+};
+
+class DiscoveryJobService {
+  constructor() {
+    // Unfinished jobs per user, mirrored to AsyncStorage after every change
+    this.jobs = {};
+    // Journey IDs with a job running in this session
+    this.running = new Set();
+  }
+
+  getJobsKey(userId) {
+    return `@discovery_jobs_${userId}`;
+  }
+
+  async loadJobs(userId) {
+    if (!this.jobs[userId]) {
+      try {
+        const stored = await AsyncStorage.getItem(this.getJobsKey(userId));
+        this.jobs[userId] = stored ? JSON.parse(stored) : [];
+      } catch (error) {
+        Logger.warn('DISCOVERY_JOBS', 'Failed to read discovery jobs', { userId, error: error.message });
+        this.jobs[userId] = [];
+      }
+    }
+    return this.jobs[userId];
+  }
+
+  async persistJobs(userId) {
+    await AsyncStorage.setItem(this.getJobsKey(userId), JSON.stringify(this.jobs[userId] || []));
+  }
+
+  async saveJob(job) {
+    const jobs = await this.loadJobs(job.userId);
+    job.updatedAt = Date.now();
+    if (!jobs.includes(job)) {
+      jobs.push(job);
+    }
+    await this.persistJobs(job.userId);
+  }
+
+  async clearJob(job) {
+    const jobs = await this.loadJobs(job.userId);
+    this.jobs[job.userId] = jobs.filter(entry => entry.journeyId !== job.journeyId);
+    await this.persistJobs(job.userId);
+  }
+
+  // Copy the job's progress onto the journey doc; a missing journey means it was deleted
+  async mirrorStatus(job) {
+    try {
+      await JourneyService.updateJourney(job.userId, job.journeyId, {
+        discoveryJob: {
+          state: job.state,
+          attempts: job.attempts,
+          failed: job.failed,
+          error: job.error,
+          savedCount: job.savedCount,
+          updatedAt: Date.now()
+        }
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 'not-found') {
+        Logger.info('DISCOVERY_JOBS', 'Journey is gone - dropping its discovery job', { userId: job.userId, journeyId: job.journeyId });
+        job.dropped = true;
+        await this.clearJob(job);
+        return false;
+      }
+      // The status is only for display - the job itself carries on
+      Logger.warn('DISCOVERY_JOBS', 'Failed to update journey discovery status', { journeyId: job.journeyId, error: error.message });
+      return true;
+    }
+  }
+
+  /**
+   * Record a new job for a saved journey (replacing any unfinished one) without running it
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Object} options - { trackingId: ID the walk's pings were recorded under, when it differs }
+   * @returns {Promise<Object>} The job
+   */
+  async createJob(userId, journeyId, { trackingId = null } = {}) {
+    const jobs = await this.loadJobs(userId);
+    this.jobs[userId] = jobs.filter(entry => entry.journeyId !== journeyId);
+
+    const job = {
+      journeyId,
+      userId,
+      trackingId,
+      state: DISCOVERY_JOB_STATES.PENDING,
+      attempts: 0,
+      failed: false,
+      error: null,
+      sarPlaces: null,
+      places: null,
+      savedCount: 0,
+      createdAt: Date.now()
+    };
+    await this.saveJob(job);
+    return job;
+  }
+
+  /**
+   * Run a job from its current state to the end; progress is saved after every stage
+   * @param {Object} job - Job from createJob or storage
+   * @param {Object} options - { route: the journey's route when already in memory }
+   * @returns {Promise<Object>} { success, state, savedCount, error }
+   */
+  async runJob(job, { route = null } = {}) {
+    if (this.running.has(job.journeyId)) {
+      return { success: false, state: job.state, error: 'Discovery is already running for this journey' };
+    }
+    this.running.add(job.journeyId);
+    const { userId, journeyId } = job;
+    Logger.info('DISCOVERY_JOBS', 'Running discovery job', { userId, journeyId, state: job.state, attempts: job.attempts });
+
+    try {
+      if (!(await this.mirrorStatus(job))) {
+        return { success: false, state: job.state, error: 'Journey not found' };
+      }
+
+      let routeCoords = route;
+
+      if (job.state === DISCOVERY_JOB_STATES.PENDING) {
+        routeCoords = routeCoords || (await JourneyService.getOwnerRoute(userId, journeyId)).route;
+        const preferences = await getUserDiscoveryPreferences();
+        job.sarPlaces = await DiscoveryConsolidationService.getSARResults(routeCoords, preferences);
+        await this.advance(job, DISCOVERY_JOB_STATES.SAR_DONE);
+      }
+
+      if (job.state === DISCOVERY_JOB_STATES.SAR_DONE) {
+        const { places } = await DiscoveryConsolidationService.mergeWithPingResults(
+          userId, job.trackingId || journeyId, job.sarPlaces
+        );
+        routeCoords = routeCoords || (await JourneyService.getOwnerRoute(userId, journeyId)).route;
+        job.places = await DiscoveryConsolidationService.rankConsolidatedPlaces(userId, journeyId, places, {
+          route: routeCoords,
+          preferences: await getUserDiscoveryPreferences()
+        });
+        job.sarPlaces = null;
+        await this.advance(job, DISCOVERY_JOB_STATES.PINGS_MERGED);
+      }
+
+      if (job.state === DISCOVERY_JOB_STATES.PINGS_MERGED) {
+        job.savedCount = await DiscoveryConsolidationService.saveConsolidatedDiscoveries(userId, journeyId, job.places);
+        job.places = null;
+        await this.advance(job, DISCOVERY_JOB_STATES.SAVED);
+      }
+
+      if (job.state === DISCOVERY_JOB_STATES.SAVED) {
+        await PingService.archivePingResults(userId, job.trackingId || journeyId);
+        job.state = DISCOVERY_JOB_STATES.ARCHIVED;
+        job.error = null;
+        await this.mirrorStatus(job);
+        await this.clearJob(job);
+      }
+
+      Logger.info('DISCOVERY_JOBS', 'Discovery job finished', { userId, journeyId, savedCount: job.savedCount });
+      return { success: true, state: job.state, savedCount: job.savedCount };
+    } catch (error) {
+      if (job.dropped) {
+        return { success: false, state: job.state, error: 'Journey not found' };
+      }
+      job.attempts += 1;
+      job.error = error.message;
+      job.failed = job.attempts >= DISCOVERY_JOB_CONFIG.MAX_AUTO_ATTEMPTS;
+      Logger.error('DISCOVERY_JOBS', 'Discovery job failed', {
+        userId,
+        journeyId,
+        state: job.state,
+        attempts: job.attempts,
+        failed: job.failed,
+        error: error.message
+      });
+      await this.saveJob(job);
+      await this.mirrorStatus(job);
+      return { success: false, state: job.state, error: error.message };
+    } finally {
+      this.running.delete(journeyId);
+    }
+  }
+
+  // Save a finished stage before starting the next one
+  async advance(job, state) {
+    job.state = state;
+    job.error = null;
+    await this.saveJob(job);
+    if (!(await this.mirrorStatus(job))) {
+      throw new Error('Journey not found');
+    }
+  }
+
+  /**
+   * Consolidate discoveries for a newly saved journey
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Object} options - { route, trackingId }
+   * @returns {Promise<Object>} Result of runJob
+   */
+  async startJob(userId, journeyId, { route = null, trackingId = null } = {}) {
+    const job = await this.createJob(userId, journeyId, { trackingId });
+    return this.runJob(job, { route });
+  }
+
+  /**
+   * Run discovery again for a journey - the manual action on the journey screen
+   * Saving is idempotent, so places the journey already has are not added twice
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @returns {Promise<Object>} Result of runJob
+   */
+  async rerunDiscovery(userId, journeyId) {
+    if (this.running.has(journeyId)) {
+      return { success: false, error: 'Discovery is already running for this journey' };
+    }
+
+    // An unfinished job keeps its progress; otherwise start over from SAR
+    const existing = (await this.loadJobs(userId)).find(job => job.journeyId === journeyId);
+    if (existing) {
+      existing.attempts = 0;
+      existing.failed = false;
+      return this.runJob(existing);
+    }
+
+    const { journey } = await JourneyService.getJourney(userId, journeyId);
+    return this.startJob(userId, journeyId, { trackingId: journey?.trackingId || null });
+  }
+
+  // Unfinished job for a journey, if any (null once it has finished)
+  async getJob(userId, journeyId) {
+    return (await this.loadJobs(userId)).find(job => job.journeyId === journeyId) || null;
+  }
+
+  isRunning(journeyId) {
+    return this.running.has(journeyId);
+  }
+
+  // Retry interrupted or failed jobs - called on sign-in; failed-out jobs wait for a manual re-run
+  async resumePendingJobs(userId) {
+    const network = await NetInfo.fetch();
+    if (!network.isConnected || network.isInternetReachable === false) {
+      return { success: true, resumed: 0, offline: true };
+    }
+
+    const jobs = (await this.loadJobs(userId)).filter(job => !job.failed && !this.running.has(job.journeyId));
+    let success = true;
+
+    for (const job of jobs) {
+      Logger.info('DISCOVERY_JOBS', 'Resuming discovery job', { userId, journeyId: job.journeyId, state: job.state });
+      const result = await this.runJob(job);
+      success = success && result.success;
+    }
+
+    return { success, resumed: jobs.length };
+  }
+}
+
+export default new DiscoveryJobService();
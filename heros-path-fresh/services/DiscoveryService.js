@@ -13,6 +13,8 @@
  * FUNCTIONALITY:
  * - Manages discovery records with complete CRUD operations
  * - Handles place dismissal with undo functionality and state tracking
+ * - Gives "30 days" dismissals an expiresAt and clears lapsed ones so their places are
+ *   suggested again (DismissalExpiry.js)
  * - Maintains saved places collection with proper metadata
  * - Provides journey completion status tracking based on discovery interactions
  * - Ensures data consistency across discoveries, dismissed places, and saved places
@@ -112,6 +114,7 @@ import {
 } from 'firebase/firestore';
 import { db } from '../firebase';
 import Logger from '../utils/Logger';
+import { DISMISSAL_DURATION_MS, getDismissalExpiry, isDismissalActive } from '../utils/DismissalExpiry';
 
 class DiscoveryService {
   // Get user's discoveries collection reference
@@ -253,10 +256,13 @@ class DiscoveryService {
       const dismissedRef = this.getUserDismissedRef(userId);
       const dismissedDoc = doc(dismissedRef, placeId);
       
+      const dismissedForever = dismissData.dismissedForever || false;
       const dismissedPlace = {
         placeId,
         dismissedAt: serverTimestamp(),
-        dismissedForever: dismissData.dismissedForever || false,
+        dismissedForever,
+        // Temporary dismissals lapse and the place is suggested again
+        expiresAt: dismissedForever ? null : new Date(Date.now() + DISMISSAL_DURATION_MS),
         reason: dismissData.reason || null,
         ...dismissData
       };
@@ -297,7 +303,7 @@ class DiscoveryService {
     }
   }
 
-  // Get all dismissed places for a user
+  // Get the dismissed places that are still hidden; lapsed dismissals are cleared on the way
   async getDismissedPlaces(userId) {
     Logger.discoveryAction('DISCOVERY_SERVICE', 'GET_DISMISSED_PLACES', null, null, { userId });
     try {
@@ -310,15 +316,22 @@ class DiscoveryService {
         dismissedPlaces.push(doc.data());
       });
       
+      const now = Date.now();
+      const expiredPlaces = dismissedPlaces.filter(place => !isDismissalActive(place, now));
+      if (expiredPlaces.length > 0) {
+        await this.clearExpiredDismissals(userId, expiredPlaces);
+      }
+      const activePlaces = dismissedPlaces.filter(place => isDismissalActive(place, now));
+      
       // Sort in memory instead of using orderBy to avoid index requirements
-      dismissedPlaces.sort((a, b) => {
+      activePlaces.sort((a, b) => {
         const dateA = a.dismissedAt?.toDate?.() || new Date(a.dismissedAt) || new Date(0);
         const dateB = b.dismissedAt?.toDate?.() || new Date(b.dismissedAt) || new Date(0);
         return dateB - dateA; // Descending order
       });
       
-      Logger.discoveryAction('DISCOVERY_SERVICE', 'GET_DISMISSED_PLACES_SUCCESS', null, null, { userId, dismissedPlacesCount: dismissedPlaces.length });
-      return { success: true, dismissedPlaces };
+      Logger.discoveryAction('DISCOVERY_SERVICE', 'GET_DISMISSED_PLACES_SUCCESS', null, null, { userId, dismissedPlacesCount: activePlaces.length, expiredCount: expiredPlaces.length });
+      return { success: true, dismissedPlaces: activePlaces };
     } catch (error) {
       Logger.error('DISCOVERY_SERVICE', 'Error getting dismissed places', error);
       throw error;
@@ -332,7 +345,7 @@ class DiscoveryService {
       const dismissedRef = doc(db, 'journeys', userId, 'dismissed', placeId);
       const dismissedSnap = await getDoc(dismissedRef);
       
-      if (dismissedSnap.exists()) {
+      if (dismissedSnap.exists() && isDismissalActive(dismissedSnap.data())) {
         const data = dismissedSnap.data();
         Logger.discoveryAction('DISCOVERY_SERVICE', 'IS_PLACE_DISMISSED_SUCCESS', placeId, null, { userId, dismissed: true });
         return { 
@@ -340,9 +353,14 @@ class DiscoveryService {
           dismissed: true, 
           dismissedForever: data.dismissedForever || false,
           dismissedAt: data.dismissedAt,
+          expiresAt: getDismissalExpiry(data),
           reason: data.reason
         };
       } else {
+        if (dismissedSnap.exists()) {
+          // The dismissal has lapsed - clear it so the place comes back
+          await this.clearExpiredDismissals(userId, [dismissedSnap.data()]);
+        }
         Logger.discoveryAction('DISCOVERY_SERVICE', 'IS_PLACE_DISMISSED_SUCCESS', placeId, null, { userId, dismissed: false });
         return { success: true, dismissed: false };
       }
@@ -352,6 +370,61 @@ class DiscoveryService {
     }
   }
 
+  /**
+   * Delete lapsed dismissals and put their places back up for review
+   * Failures are logged, not thrown - the dismissal is simply retried on the next read
+   * @param {string} userId - User ID
+   * @param {Array} expiredPlaces - Lapsed dismissed docs; read from Firestore when omitted
+   * @returns {Promise<Object>} { success, cleared }
+   */
+  async clearExpiredDismissals(userId, expiredPlaces = null) {
+    try {
+      let expired = expiredPlaces;
+      if (!expired) {
+        const dismissedSnap = await getDocs(this.getUserDismissedRef(userId));
+        const now = Date.now();
+        expired = dismissedSnap.docs.map(dismissedDoc => dismissedDoc.data()).filter(place => !isDismissalActive(place, now));
+      }
+      if (expired.length === 0) {
+        return { success: true, cleared: 0 };
+      }
+
+      const expiredPlaceIds = new Set(expired.map(place => place.placeId));
+      const discoveriesSnap = await getDocs(query(this.getUserDiscoveriesRef(userId), where('dismissed', '==', true)));
+      const resurfaced = discoveriesSnap.docs.filter(discoveryDoc => expiredPlaceIds.has(discoveryDoc.data().placeId));
+
+      // Firestore batches hold up to 500 writes
+      const writes = [
+        ...expired.map(place => batch => batch.delete(doc(this.getUserDismissedRef(userId), place.placeId))),
+        ...resurfaced.map(discoveryDoc => batch => batch.update(discoveryDoc.ref, { dismissed: false, updatedAt: serverTimestamp() }))
+      ];
+      for (let i = 0; i < writes.length; i += 450) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 450).forEach(write => write(batch));
+        await batch.commit();
+      }
+
+      const journeyIds = new Set(resurfaced.map(discoveryDoc => discoveryDoc.data().journeyId).filter(Boolean));
+      for (const journeyId of journeyIds) {
+        try {
+          await this.updateJourneyCompletionStatus(userId, journeyId);
+        } catch (statusError) {
+          Logger.warn('DISCOVERY_SERVICE', 'Failed to update journey status after clearing dismissals', { journeyId, error: statusError.message });
+        }
+      }
+
+      Logger.discoveryAction('DISCOVERY_SERVICE', 'CLEARED_EXPIRED_DISMISSALS', null, null, {
+        userId,
+        cleared: expired.length,
+        resurfaced: resurfaced.length
+      });
+      return { success: true, cleared: expired.length };
+    } catch (error) {
+      Logger.warn('DISCOVERY_SERVICE', 'Failed to clear expired dismissals', { userId, error: error.message });
+      return { success: false, cleared: 0, error: error.message };
+    }
+  }
+
   // Remove a place from dismissed places
   async undismissPlace(userId, placeId) {
     Logger.discoveryAction('DISCOVERY_SERVICE', 'UNDISMISSED_PLACE', placeId, null, { userId });
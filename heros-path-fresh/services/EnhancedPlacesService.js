@@ -47,12 +47,11 @@
  * 
  * RELATIONSHIPS:
  * - Extends NewPlacesService.js with advanced functionality
- * - Uses same Google Places API configuration and authentication
+ * - Works with whichever places provider is active (PlacesProviderService.js)
  * - Integrates with caching systems for performance optimization
  * - Works with Logger for detailed API usage tracking
  * - May be used by DiscoveriesService for enhanced place data
  * - Provides fallback to basic functionality when enhanced features unavailable
- * - Uses platform-specific API keys for optimal performance
  * 
  * REFERENCED BY:
  * - DiscoveriesService.js (for enhanced discovery information)
@@ -64,7 +63,7 @@
  * REFERENCES:
  * - NewPlacesService.js (for basic place functionality and fallback)
  * - Google Places API (for enhanced features and AI capabilities)
- * - Configuration files (for API keys and feature flags)
+ * - PlacesProviderService.js (for photo URLs from the active provider)
  * - Logger.js (for tracking enhanced feature usage)
  * - Caching systems (for performance optimization)
  * 
@@ -105,27 +104,21 @@
  * - Extends NewPlacesService without duplicating logic.
  */
 // services/EnhancedPlacesService.js
-import { GOOGLE_MAPS_API_KEY_ANDROID, GOOGLE_MAPS_API_KEY_IOS } from '../config';
 import { 
   getPlaceDetails, 
   getPlaceSummaries as getNewPlaceSummaries,
   searchNearbyPlaces as searchNearbyPlacesNew
 } from './NewPlacesService';
+import PlacesProviderService from './PlacesProviderService';
 import Logger from '../utils/Logger';
 
-// Use platform-specific API key for Places API
-const getPlacesAPIKey = () => {
-  return GOOGLE_MAPS_API_KEY_IOS || GOOGLE_MAPS_API_KEY_ANDROID;
-};
-
 /**
  * Get enhanced place details including AI summaries
- * Uses the new Google Places API with AI-powered features
+ * Uses the active places provider (Google New with legacy fallback by default)
  */
 export async function getEnhancedPlaceDetails(placeId, language = 'en') {
   try {
-    // Use the new Places API service with automatic fallback
-    const basicDetails = await getPlaceDetails(placeId, language, true);
+    const basicDetails = await getPlaceDetails(placeId, language);
     
     // Then get AI summaries if available
     const summaries = await getNewPlaceSummaries(placeId, language);
@@ -137,7 +130,7 @@ export async function getEnhancedPlaceDetails(placeId, language = 'en') {
   } catch (error) {
     Logger.warn('Failed to get enhanced place details:', error);
     // Fallback to basic details only
-    return await getPlaceDetails(placeId, { language, useNewAPI: false });
+    return await getPlaceDetails(placeId, language);
   }
 }
 
@@ -203,18 +196,11 @@ export async function getNearbyPlacesEnhanced(latitude, longitude, radius, optio
 
 /**
  * Generate a photo URL for a place
- * Updated to handle both new and legacy photo references
+ * The active provider resolves its own photo references (new, legacy or fixture)
  */
 export function getPlacePhotoUrl(photoReference, maxWidth = 400) {
   if (!photoReference) return null;
-  
-  // Check if it's a new API photo reference (contains 'places/')
-  if (photoReference.includes('places/')) {
-    return `https://places.googleapis.com/v1/${photoReference}/media?maxWidthPx=${maxWidth}&key=${getPlacesAPIKey()}`;
-  }
-  
-  // Legacy photo reference
-  return `https://maps.googleapis.com/maps/api/place/photo?maxwidth=${maxWidth}&photoreference=${photoReference}&key=${getPlacesAPIKey()}`;
+  return PlacesProviderService.getActiveProvider().getPhotoUrl(photoReference, maxWidth);
 }
 
 /**
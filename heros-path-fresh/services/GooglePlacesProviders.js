@@ -0,0 +1,522 @@
+/*
+ * GOOGLE PLACES PROVIDERS
+ * =======================
+ *
+ * PURPOSE:
+ * The Google implementations of the places provider contract (see
+ * PlacesProviderService.js): one for the Places API (New) and one for the Legacy Places
+ * API. Each turns Google's responses into the normalized place model from PlaceModel.js.
+ *
+ * FUNCTIONALITY:
+ * - GoogleNewPlacesProvider: nearby search, Search Along Route (places:searchText with
+ *   searchAlongRouteParameters), details, generative/editorial summaries and photo URLs
+ * - GoogleLegacyPlacesProvider: nearby search, details and photo URLs; it has no Search
+ *   Along Route, so searchAlongRoute throws and callers use their center-point fallback
+ * - The New provider falls back to the Legacy provider for nearby search and details
+ *
+ * WHY IT EXISTS:
+ * The Google request and response handling used to live inside NewPlacesService and
+ * DiscoveriesService, so nothing could run without network access and an API key.
+ * Behind the provider contract Google is one implementation among others.
+ *
+ * RELATIONSHIPS:
+ * - Created by PlacesProviderService.js
+ * - Places are built with normalizePlace from PlaceModel.js
+ *
+ * REFERENCES:
+ * - Google Places API (New) - places.googleapis.com/v1
+ * - Google Places API (Legacy) - maps.googleapis.com/maps/api/place
+ * - Configuration (for API keys)
+ * - Logger utility (for API call logging)
+ */
+
+import { GOOGLE_MAPS_API_KEY_ANDROID, GOOGLE_MAPS_API_KEY_IOS } from '../config';
+import { normalizePlace } from '../utils/PlaceModel';
+import Logger from '../utils/Logger';
+
+const NEW_BASE_URL = 'https://places.googleapis.com/v1';
+const LEGACY_BASE_URL = 'https://maps.googleapis.com/maps/api/place';
+
+// Use platform-specific API key for Places API
+const getPlacesAPIKey = () => {
+  return GOOGLE_MAPS_API_KEY_IOS || GOOGLE_MAPS_API_KEY_ANDROID;
+};
+
+// Ensure search coordinates are numbers
+function toSearchCircle(latitude, longitude, radius) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  const rad = Number(radius);
+
+  if (isNaN(lat) || isNaN(lng) || isNaN(rad)) {
+    throw new Error(`Invalid coordinates: latitude=${latitude}, longitude=${longitude}, radius=${radius}`);
+  }
+  return { lat, lng, rad };
+}
+
+/**
+ * Encode GPS coordinates to Google's polyline format
+ * @param {Array} coordinates - Array of {latitude, longitude} objects
+ * @returns {string} Encoded polyline string
+ */
+export function encodePolyline(coordinates) {
+  if (!coordinates || coordinates.length === 0) {
+    return '';
+  }
+
+  let polyline = '';
+  let prevLat = 0;
+  let prevLng = 0;
+
+  coordinates.forEach(coord => {
+    const lat = Math.round(coord.latitude * 1e5);
+    const lng = Math.round(coord.longitude * 1e5);
+
+    polyline += encodeNumber(lat - prevLat);
+    polyline += encodeNumber(lng - prevLng);
+
+    prevLat = lat;
+    prevLng = lng;
+  });
+
+  return polyline;
+}
+
+// Encode a number for polyline format
+function encodeNumber(num) {
+  let encoded = '';
+  let value = num < 0 ? ~(num << 1) : (num << 1);
+
+  while (value >= 0x20) {
+    encoded += String.fromCharCode(((value & 0x1f) | 0x20) + 63);
+    value >>= 5;
+  }
+
+  encoded += String.fromCharCode(value + 63);
+  return encoded;
+}
+
+export class GoogleLegacyPlacesProvider {
+  constructor() {
+    this.type = 'google_legacy';
+    this.name = 'Google Places (Legacy)';
+  }
+
+  isConfigured() {
+    return !!getPlacesAPIKey();
+  }
+
+  // Legacy nearby search never throws - an empty list means nothing was found or the call failed
+  async searchNearby(latitude, longitude, radius, type, options = {}) {
+    const { lat, lng, rad } = toSearchCircle(latitude, longitude, radius);
+    const {
+      maxResults = 1,
+      language = 'en',
+      minRating = 0,
+      maxPrice = 4,
+      openNow = false
+    } = options;
+
+    // Build URL parameters properly to avoid read-only string issues
+    const params = new URLSearchParams({
+      key: getPlacesAPIKey(),
+      location: `${lat},${lng}`,
+      radius: rad.toString(),
+      language: language,
+      type: type
+    });
+
+    if (openNow) {
+      params.append('opennow', 'true');
+    }
+
+    if (maxPrice < 4) {
+      params.append('maxprice', maxPrice.toString());
+    }
+
+    const url = `${LEGACY_BASE_URL}/nearbysearch/json?${params.toString()}`;
+
+    try {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'nearbysearch', 'GET', true, 0, { type, maxResults });
+      const response = await fetch(url);
+      const data = await response.json();
+
+      if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+        throw new Error(`Legacy Places API request failed: ${data.status}`);
+      }
+
+      return (data.results || [])
+        .filter(place => !place.rating || place.rating >= minRating)
+        .slice(0, maxResults)
+        .map(place => this.toPlace(place));
+    } catch (error) {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'nearbysearch', 'GET', false, 0, { type, maxResults, error: error.message });
+      return [];
+    }
+  }
+
+  async searchAlongRoute() {
+    throw new Error('Search Along Route is not available in the Legacy Places API');
+  }
+
+  async getPlaceDetails(placeId, language = 'en') {
+    const url = `${LEGACY_BASE_URL}/details/json` +
+      `?place_id=${placeId}` +
+      `&key=${getPlacesAPIKey()}` +
+      `&language=${language}` +
+      `&fields=place_id,name,formatted_address,geometry,types,rating,user_ratings_total,photos,opening_hours,price_level,website,formatted_phone_number,reviews`;
+
+    try {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:getDetails', 'GET', true, 0, { placeId });
+      const response = await fetch(url);
+      const data = await response.json();
+
+      if (data.status !== 'OK') {
+        throw new Error(`Legacy Places API details request failed: ${data.status}`);
+      }
+
+      const place = data.result;
+      return this.toPlace(place, {
+        address: place.formatted_address,
+        details: {
+          website: place.website,
+          phoneNumber: place.formatted_phone_number,
+          openingHours: place.opening_hours?.weekday_text,
+          isOpen: place.opening_hours?.open_now,
+          reviews: place.reviews?.slice(0, 3).map(review => ({
+            authorName: review.author_name,
+            rating: review.rating,
+            text: review.text,
+            time: review.time,
+            profilePhoto: review.profile_photo_url
+          }))
+        }
+      });
+    } catch (error) {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:getDetails', 'GET', false, 0, { placeId, error: error.message });
+      throw error;
+    }
+  }
+
+  // The Legacy API has no generative or editorial summaries
+  async getPlaceSummaries() {
+    return null;
+  }
+
+  getPhotoUrl(photoReference, maxWidth = 400) {
+    if (!photoReference) return null;
+    return `${LEGACY_BASE_URL}/photo?maxwidth=${maxWidth}&photoreference=${photoReference}&key=${getPlacesAPIKey()}`;
+  }
+
+  // Legacy result → normalized place
+  toPlace(place, overrides = {}) {
+    const photos = place.photos?.map(photo => ({
+      photoReference: photo.photo_reference,
+      width: photo.width,
+      height: photo.height
+    }));
+
+    return normalizePlace({
+      provider: this.type,
+      placeId: place.place_id,
+      name: place.name,
+      types: place.types,
+      latitude: place.geometry?.location?.lat,
+      longitude: place.geometry?.location?.lng,
+      address: place.vicinity,
+      shortAddress: place.vicinity,
+      rating: place.rating,
+      userRatingsTotal: place.user_ratings_total,
+      priceLevel: place.price_level,
+      photos,
+      thumbnail: photos?.[0] ? this.getPhotoUrl(photos[0].photoReference) : null,
+      ...overrides
+    });
+  }
+
+  getInfo() {
+    return { type: this.type, name: this.name, configured: this.isConfigured() };
+  }
+}
+
+export class GoogleNewPlacesProvider {
+  /**
+   * @param {Object} options - { fallback: provider used when a New API call fails }
+   */
+  constructor({ fallback = null } = {}) {
+    this.type = 'google_new';
+    this.name = 'Google Places (New)';
+    this.fallback = fallback;
+  }
+
+  isConfigured() {
+    return !!getPlacesAPIKey();
+  }
+
+  async searchNearby(latitude, longitude, radius, type, options = {}) {
+    const { lat, lng, rad } = toSearchCircle(latitude, longitude, radius);
+    const {
+      maxResults = 1,
+      language = 'en',
+      minRating = 0,
+      maxPrice = 4,
+      openNow = false
+    } = options;
+
+    try {
+      // Build the request body for the new API
+      const requestBody = {
+        locationRestriction: {
+          circle: {
+            center: { latitude: lat, longitude: lng },
+            radius: rad
+          }
+        },
+        maxResultCount: maxResults,
+        languageCode: language
+      };
+
+      // Add type filter if specified
+      if (type && type !== 'all' && type !== 'point_of_interest') {
+        requestBody.includedTypes = [type];
+      }
+
+      // Add price filter if specified (new API uses PRICE_LEVEL_X format)
+      if (maxPrice < 4) {
+        requestBody.priceLevel = `PRICE_LEVEL_${maxPrice}`;
+      }
+
+      if (openNow) {
+        requestBody.openNow = true;
+      }
+
+      // Conservative field mask with only essential fields that are definitely supported
+      const fieldMask = [
+        'places.id',
+        'places.displayName',
+        'places.types',
+        'places.rating',
+        'places.userRatingCount',
+        'places.priceLevel',
+        'places.photos',
+        'places.location',
+        'places.formattedAddress',
+        'places.primaryType'
+      ].join(',');
+
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:searchNearby', 'POST', true, 0, { type, maxResults });
+
+      const response = await fetch(`${NEW_BASE_URL}/places:searchNearby`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Goog-Api-Key': getPlacesAPIKey(),
+          'X-Goog-FieldMask': fieldMask
+        },
+        body: JSON.stringify(requestBody)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        Logger.apiCall('NEW_PLACES_SERVICE', 'places:searchNearby', 'POST', false, 0, { type, status: response.status, error: errorText });
+        throw new Error(`New Places API request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return (data.places || [])
+        .filter(place => !place.rating || place.rating >= minRating)
+        .map(place => this.toPlace(place));
+    } catch (error) {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:searchNearby', 'POST', false, 0, { type, maxResults, error: error.message });
+      if (this.fallback) {
+        return this.fallback.searchNearby(latitude, longitude, radius, type, options);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search Along Route - places along the encoded route polyline
+   * Throws on failure so callers can fall back to a center-point search
+   * @param {Array} routeCoords - Route points { latitude, longitude }
+   * @param {Object} options - { textQuery, types, language, maxResults }
+   * @returns {Promise<Array>} Normalized places
+   */
+  async searchAlongRoute(routeCoords, options = {}) {
+    const { textQuery, language = 'en', maxResults = 20 } = options;
+    const encodedPolyline = encodePolyline(routeCoords);
+    if (!encodedPolyline) {
+      throw new Error('Failed to encode polyline for Search Along Route');
+    }
+    if (!this.isConfigured()) {
+      throw new Error('No Google Places API key available for Search Along Route');
+    }
+
+    const response = await fetch(`${NEW_BASE_URL}/places:searchText`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Goog-Api-Key': getPlacesAPIKey(),
+        'X-Goog-FieldMask': 'places.id,places.displayName,places.types,places.rating,places.userRatingCount,places.photos,places.location,places.formattedAddress,places.primaryType'
+      },
+      body: JSON.stringify({
+        textQuery,
+        searchAlongRouteParameters: {
+          polyline: { encodedPolyline }
+        },
+        maxResultCount: maxResults,
+        languageCode: language
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:searchText', 'POST', false, 0, { status: response.status, error: errorText });
+      throw new Error(`SAR API call failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.places || []).map(place => this.toPlace(place));
+  }
+
+  async getPlaceDetails(placeId, language = 'en') {
+    try {
+      // Very conservative field mask with only essential fields
+      const fieldMask = [
+        'id',
+        'displayName',
+        'types',
+        'rating',
+        'userRatingCount',
+        'priceLevel',
+        'photos',
+        'location',
+        'formattedAddress',
+        'primaryType'
+      ].join(',');
+
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:getDetails', 'GET', true, 0, { placeId });
+
+      const response = await fetch(`${NEW_BASE_URL}/places/${placeId}`, {
+        headers: {
+          'X-Goog-Api-Key': getPlacesAPIKey(),
+          'X-Goog-FieldMask': fieldMask
+        }
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        Logger.apiCall('NEW_PLACES_SERVICE', 'places:getDetails', 'GET', false, 0, { placeId, status: response.status, error: errorText });
+        throw new Error(`New Places API details request failed: ${response.status} ${response.statusText}`);
+      }
+
+      const place = await response.json();
+      return this.toPlace(place, {
+        details: {
+          website: place.websiteUri,
+          phoneNumber: place.nationalPhoneNumber || place.internationalPhoneNumber,
+          openingHours: place.regularOpeningHours?.weekdayDescriptions,
+          currentOpeningHours: place.currentOpeningHours?.weekdayDescriptions,
+          isOpen: place.currentOpeningHours?.openNow || place.regularOpeningHours?.openNow || false,
+          reviews: place.reviews?.slice(0, 3).map(review => ({
+            authorName: review.authorAttribution?.displayName,
+            rating: review.rating,
+            text: review.text?.text,
+            time: review.publishTime,
+            profilePhoto: review.authorAttribution?.photoUri
+          })),
+          editorialSummary: place.editorialSummary?.text,
+          utcOffsetMinutes: place.utcOffsetMinutes
+        }
+      });
+    } catch (error) {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:getDetails', 'GET', false, 0, { placeId, error: error.message });
+      if (this.fallback) {
+        return this.fallback.getPlaceDetails(placeId, language);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get place summaries (generativeSummary is available for US-based places)
+   * @returns {Promise<Object|null>} { generativeSummary, editorialSummary, topReview } or null
+   */
+  async getPlaceSummaries(placeId, language = 'en') {
+    try {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:getSummaries', 'GET', true, 0, { placeId, language });
+
+      const response = await fetch(`${NEW_BASE_URL}/places/${placeId}`, {
+        headers: {
+          'X-Goog-Api-Key': getPlacesAPIKey(),
+          'X-Goog-FieldMask': 'generativeSummary,editorialSummary,reviews'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Place summaries request failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const hasGenerativeSummary = data.generativeSummary?.overview?.text;
+      const hasEditorialSummary = data.editorialSummary?.text;
+      const hasReviews = data.reviews && data.reviews.length > 0;
+
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:getSummaries', 'GET', true, 0, { placeId, hasGenerativeSummary, hasEditorialSummary, hasReviews });
+      if (!hasGenerativeSummary && !hasEditorialSummary && !hasReviews) {
+        return null;
+      }
+
+      return {
+        generativeSummary: data.generativeSummary,
+        editorialSummary: data.editorialSummary,
+        topReview: hasReviews ? data.reviews[0] : null
+      };
+    } catch (error) {
+      Logger.apiCall('NEW_PLACES_SERVICE', 'places:getSummaries', 'GET', false, 0, { placeId, error: error.message });
+      return null;
+    }
+  }
+
+  // New API photo names look like places/{id}/photos/{ref}; anything else is a legacy reference
+  getPhotoUrl(photoReference, maxWidth = 400) {
+    if (!photoReference) return null;
+    if (!photoReference.includes('places/') && this.fallback) {
+      return this.fallback.getPhotoUrl(photoReference, maxWidth);
+    }
+    return `${NEW_BASE_URL}/${photoReference}/media?maxWidthPx=${maxWidth}&key=${getPlacesAPIKey()}`;
+  }
+
+  // New API place → normalized place
+  toPlace(place, overrides = {}) {
+    const photos = place.photos?.map(photo => ({
+      photoReference: photo.name,
+      width: photo.widthPx,
+      height: photo.heightPx
+    }));
+
+    return normalizePlace({
+      provider: this.type,
+      placeId: place.id,
+      name: place.displayName?.text,
+      types: place.types,
+      primaryType: place.primaryType,
+      category: place.primaryTypeDisplayName?.text || place.primaryType,
+      latitude: place.location?.latitude,
+      longitude: place.location?.longitude,
+      address: place.formattedAddress,
+      shortAddress: place.shortFormattedAddress,
+      rating: place.rating,
+      userRatingsTotal: place.userRatingCount,
+      priceLevel: place.priceLevel,
+      photos,
+      thumbnail: photos?.[0] ? this.getPhotoUrl(photos[0].photoReference) : null,
+      attributions: place.attributions,
+      ...overrides
+    });
+  }
+
+  getInfo() {
+    return { type: this.type, name: this.name, configured: this.isConfigured() };
+  }
+}
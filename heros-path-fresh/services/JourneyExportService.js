@@ -0,0 +1,138 @@
+/*
+ * JOURNEY EXPORT SERVICE
+ * ======================
+ *
+ * PURPOSE:
+ * Exports one or many journeys as GPX, KML or GeoJSON files and hands them to the
+ * system share sheet, so walks can be moved into other mapping tools.
+ *
+ * FUNCTIONALITY:
+ * - Loads each journey's full-resolution route and its discoveries
+ * - Applies the user's current privacy zones to routes and discoveries before export
+ * - Writes the file to the cache directory with JourneyExport.js
+ * - Opens the share sheet with the right MIME type / UTI
+ *
+ * WHY IT EXISTS:
+ * Exported files leave the app, so they must go through the same privacy zones as any
+ * other shared route - one service keeps every export path consistent.
+ *
+ * RELATIONSHIPS:
+ * - PastJourneysScreen.js shares single journeys or the whole list
+ * - JourneyService.js provides journeys and full-resolution routes
+ * - DiscoveryService.js provides discoveries (exported as waypoints)
+ * - PrivacyZoneService.js trims routes and drops discoveries inside privacy zones
+ *
+ * REFERENCES:
+ * - expo-file-system (for writing export files)
+ * - expo-sharing (for the system share sheet)
+ * - JourneyExport.js (file formats)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Add FIT/TCX export for fitness platforms
+ * 2. Delete old export files from the cache directory
+ */
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import JourneyService, { ROUTE_RESOLUTIONS } from './JourneyService';
+import DiscoveryService from './DiscoveryService';
+import PrivacyZoneService from './PrivacyZoneService';
+import Logger from '../utils/Logger';
+import { exportJourneys, EXPORT_FORMATS } from '../utils/JourneyExport';
+import { findPrivacyZone } from '../utils/PrivacyZones';
+
+class JourneyExportService {
+  /**
+   * Load journeys ready for export - full route and discoveries, privacy zones applied
+   * @param {string} userId - User ID
+   * @param {Array<string>} journeyIds - Journeys to export
+   * @returns {Promise<Array>} Journeys with `route` and `discoveries`
+   */
+  async loadJourneysForExport(userId, journeyIds) {
+    const privacy = await PrivacyZoneService.getSettings(userId);
+    const journeys = [];
+
+    for (const journeyId of journeyIds) {
+      const result = await JourneyService.getJourney(userId, journeyId);
+      if (!result.success) {
+        Logger.warn('JourneyExportService: Skipping missing journey', { journeyId });
+        continue;
+      }
+
+      const { route } = await JourneyService.getJourneyRoute(userId, journeyId, {
+        resolution: ROUTE_RESOLUTIONS.FULL,
+        journey: result.journey
+      });
+      const discoveriesResult = await DiscoveryService.getJourneyDiscoveries(userId, journeyId);
+      const discoveries = (discoveriesResult.discoveries || []).filter(discovery => {
+        const location = discovery.location;
+        return !discovery.dismissed && !(location && findPrivacyZone({ latitude: location.lat, longitude: location.lng }, privacy.zones));
+      });
+
+      // Zones may have been added since the journey was saved
+      const { journey } = PrivacyZoneService.applyToJourney({ ...result.journey, route }, privacy);
+      journeys.push({ ...journey, discoveries });
+    }
+
+    return journeys;
+  }
+
+  /**
+   * Write an export file for one or many journeys
+   * @param {string} userId - User ID
+   * @param {Array<string>} journeyIds - Journeys to export
+   * @param {string} format - 'gpx' | 'kml' | 'geojson'
+   * @returns {Promise<Object>} { success, uri, fileName, mimeType, uti, journeyCount }
+   */
+  async exportJourneys(userId, journeyIds, format) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const journeys = await this.loadJourneysForExport(userId, journeyIds);
+    if (journeys.length === 0) {
+      return { success: false, error: 'No journeys to export' };
+    }
+
+    const file = exportJourneys(journeys, format);
+    const uri = `${FileSystem.cacheDirectory}${file.fileName}`;
+    await FileSystem.writeAsStringAsync(uri, file.content, { encoding: FileSystem.EncodingType.UTF8 });
+
+    Logger.info('JourneyExportService: Exported journeys', { format, journeyCount: journeys.length, fileName: file.fileName });
+    return {
+      success: true,
+      uri,
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      uti: file.uti,
+      journeyCount: journeys.length
+    };
+  }
+
+  // Export journeys and open the system share sheet
+  async shareJourneys(userId, journeyIds, format) {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        return { success: false, error: 'Sharing is not available on this device' };
+      }
+
+      const result = await this.exportJourneys(userId, journeyIds, format);
+      if (!result.success) {
+        return result;
+      }
+
+      await Sharing.shareAsync(result.uri, {
+        mimeType: result.mimeType,
+        UTI: result.uti,
+        dialogTitle: `Share ${EXPORT_FORMATS[format].name} export`
+      });
+      return result;
+    } catch (error) {
+      Logger.error('JourneyExportService: Failed to share journeys', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new JourneyExportService();
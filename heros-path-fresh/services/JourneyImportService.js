@@ -0,0 +1,169 @@
+/*
+ * JOURNEY IMPORT SERVICE
+ * ======================
+ *
+ * PURPOSE:
+ * Imports walks recorded in other apps - GPX tracks, TCX activities and GeoJSON
+ * LineStrings - as journeys. An import happens in two steps: a preview that shows
+ * every track found in the file with its problems and possible duplicates, then a
+ * commit that saves the tracks the user kept.
+ *
+ * FUNCTIONALITY:
+ * - Lets the user pick a file with the document picker
+ * - Parses the file into tracks and builds a journey for each (JourneyImport.js)
+ * - Flags duplicates of journeys already saved and of other tracks in the file
+ * - Saves selected journeys through JourneyService.createJourney, so privacy zones and
+ *   chunked route storage apply exactly as for recorded walks
+ * - Optionally runs discovery consolidation along each imported route
+ *
+ * WHY IT EXISTS:
+ * Users switching from another tracker want their history with them; saving tracks
+ * without a preview would silently import duplicates and broken timestamps.
+ *
+ * RELATIONSHIPS:
+ * - ImportJourneysScreen.js drives the preview and commit
+ * - JourneyService.js stores journeys
+ * - DiscoveryJobService.js consolidates discoveries for imported routes
+ * - RouteFileParser.js and JourneyImport.js do the parsing and checks
+ *
+ * REFERENCES:
+ * - expo-document-picker (for choosing files)
+ * - expo-file-system (for reading them)
+ * - BackgroundLocationService.js (for the user's split unit)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Import FIT files from fitness watches
+ * 2. Accept zip archives with many tracks (e.g. full account exports from other apps)
+ */
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import JourneyService from './JourneyService';
+import DiscoveryJobService from './DiscoveryJobService';
+import BackgroundLocationService from './BackgroundLocationService';
+import Logger from '../utils/Logger';
+import { parseRouteFileTracks } from '../utils/RouteFileParser';
+import { buildImportedJourney, findDuplicate, IMPORT_ISSUE_SEVERITY } from '../utils/JourneyImport';
+
+class JourneyImportService {
+  // Let the user pick a GPX/TCX/GeoJSON file; returns { success, text, fileName } or { canceled }
+  async pickImportFile() {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: [
+          'application/gpx+xml',
+          'application/vnd.garmin.tcx+xml',
+          'application/geo+json',
+          'application/json',
+          'application/xml',
+          'text/xml',
+          '*/*'
+        ],
+        copyToCacheDirectory: true
+      });
+      if (result.canceled || !result.assets?.length) {
+        return { success: false, canceled: true };
+      }
+
+      const asset = result.assets[0];
+      const text = await FileSystem.readAsStringAsync(asset.uri);
+      return { success: true, text, fileName: asset.name };
+    } catch (error) {
+      Logger.error('JourneyImportService: Failed to read import file', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Parse a file and check every track in it before anything is saved
+   * @param {string} userId - User ID
+   * @param {string} text - File contents
+   * @param {string} fileName - Original file name
+   * @returns {Promise<Object>} { success, format, fileName, items: [{ key, name, journey, issues, duplicateOf, selected }] }
+   */
+  async previewImport(userId, text, fileName = null) {
+    try {
+      const { format, tracks } = parseRouteFileTracks(text);
+      if (tracks.length === 0) {
+        return { success: false, error: 'No tracks found in this file' };
+      }
+
+      const [{ journeys: existing }, splitUnit] = await Promise.all([
+        JourneyService.getUserJourneys(userId),
+        BackgroundLocationService.getDistanceUnit()
+      ]);
+
+      const now = Date.now();
+      const batch = [];
+      const items = tracks.map((track, index) => {
+        const { journey, issues } = buildImportedJourney(track, { format, fileName, splitUnit, now });
+        const duplicateOf = journey ? findDuplicate(journey, existing, batch) : null;
+        if (journey) {
+          batch.push(journey);
+        }
+
+        return {
+          key: `${index}`,
+          name: journey?.name || track.name || `Track ${index + 1}`,
+          journey,
+          issues,
+          duplicateOf,
+          // Duplicates and broken tracks start unticked - the user can still opt in to duplicates
+          selected: !!journey && !duplicateOf && !issues.some(item => item.severity === IMPORT_ISSUE_SEVERITY.ERROR)
+        };
+      });
+
+      Logger.info('JourneyImportService: Previewed import', {
+        format,
+        trackCount: tracks.length,
+        importable: items.filter(item => item.journey).length,
+        duplicates: items.filter(item => item.duplicateOf).length
+      });
+      return { success: true, format, fileName, items };
+    } catch (error) {
+      Logger.error('JourneyImportService: Failed to preview import', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Save the selected tracks from a preview as journeys
+   * @param {string} userId - User ID
+   * @param {Array} items - Preview items (only `selected` items with a journey are saved)
+   * @param {Object} options - { consolidateDiscoveries: run discovery search along each route }
+   * @returns {Promise<Object>} { success, imported: [journeyIds], failed: [{ name, error }] }
+   */
+  async commitImport(userId, items, { consolidateDiscoveries = false } = {}) {
+    const imported = [];
+    const failed = [];
+
+    for (const item of items.filter(entry => entry.selected && entry.journey)) {
+      try {
+        // Date the journey by when it was walked, not when it was imported
+        const result = await JourneyService.createJourney(userId, { ...item.journey, userId }, {
+          createdAt: item.journey.startTime || null
+        });
+        imported.push(result.journey.id);
+
+        if (consolidateDiscoveries) {
+          try {
+            // A failed job stays queued and is retried on the next launch
+            await DiscoveryJobService.startJob(userId, result.journey.id, { route: item.journey.route });
+          } catch (discoveryError) {
+            // The walk is saved either way - discovery can be re-run from the journey screen
+            Logger.error('JourneyImportService: Discovery process failed for imported journey', discoveryError);
+          }
+        }
+      } catch (error) {
+        Logger.error('JourneyImportService: Failed to import journey', error);
+        failed.push({ name: item.name, error: error.message });
+      }
+    }
+
+    Logger.info('JourneyImportService: Imported journeys', { imported: imported.length, failed: failed.length });
+    return { success: failed.length === 0, imported, failed };
+  }
+}
+
+export default new JourneyImportService();
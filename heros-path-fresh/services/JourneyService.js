@@ -11,11 +11,18 @@
  * 
  * FUNCTIONALITY:
  * - Creates and stores new journeys with metadata (distance, duration, coordinates)
+ * - Applies the user's privacy zones to stored routes, keeping originals owner-only
+ * - Stores a simplified overview on the journey doc and full-resolution points in chunks
+ * - Loads full-resolution routes lazily with getJourneyRoute
+ * - Keeps the unsmoothed GPS track owner-only for walks recorded with it (getRawTrack)
  * - Retrieves user's journey history with proper ordering and filtering
  * - Updates journey information and completion status tracking
- * - Provides comprehensive journey deletion with full data cleanup
+ * - Provides comprehensive journey deletion with full data cleanup (via DeletionService)
  * - Manages journey statistics and analytics for user insights
  * - Handles soft deletion and restoration for data recovery
+ * - Lists trashed journeys and purges them for good after 30 days
+ * - Edits recorded walks: trims the start or end, splits one walk in two, merges
+ *   consecutive walks - recomputing stats and moving discoveries to the right journey
  * - Supports bulk operations for managing multiple journeys
  * - Integrates with discovery consolidation for journey-based place suggestions
  * - Provides data cleanup utilities for development and user account management
@@ -41,7 +48,7 @@
  * RELATIONSHIPS:
  * - Used by MapScreen.js for saving completed walks
  * - Integrates with DiscoveryService.js for managing journey-associated discoveries
- * - Works with DiscoveryConsolidationService.js for journey-based place suggestions
+ * - DiscoveryJobService.js records its discovery status on the journey (discoveryJob field)
  * - Provides data to PastJourneysScreen.js for displaying journey history
  * - Uses Firebase Firestore for persistent journey storage
  * - Connects with user statistics and analytics systems
@@ -56,8 +63,10 @@
  * 
  * REFERENCES:
  * - Firebase Firestore (for persistent data storage)
- * - DiscoveryConsolidationService.js (for discovery integration)
- * - DiscoveriesService.js (for user preferences)
+ * - PrivacyZoneService.js (for trimming routes near home and work)
+ * - RouteSimplifier.js (for the overview polyline)
+ * - JourneyFilters.js (for filtering pages of the journey list)
+ * - JourneyEditing.js (for trimming, splitting, merging and journey stats)
  * - AsyncStorage (for temporary data and caching)
  * - Logger utility (for debugging and error tracking)
  * 
@@ -107,14 +116,57 @@ import {
   getDocs,
   serverTimestamp,
   writeBatch,
-  where
+  where,
+  limit,
+  startAfter,
+  Timestamp,
+  deleteField
 } from 'firebase/firestore';
 import { db } from '../firebase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import Logger from '../utils/Logger';
-import DiscoveryConsolidationService from './DiscoveryConsolidationService';
-import { getUserDiscoveryPreferences } from './DiscoveriesService';
 import PingService from './PingService';
+import PrivacyZoneService from './PrivacyZoneService';
+import DiscoveryService from './DiscoveryService';
+import DeletionService from './DeletionService';
+import { simplifyRoute } from '../utils/RouteSimplifier';
+import { getRouteLength } from '../utils/RouteChunks';
+import { matchesJourneyFilters } from '../utils/JourneyFilters';
+import {
+  calculateJourneyStats,
+  sliceRouteByTime,
+  clipStops,
+  clipProfileSegments,
+  joinJourneyRoutes,
+  findNearestPointTime,
+  findNearestRouteIndex
+} from '../utils/JourneyEditing';
+
+// Journey docs hold an overview polyline; full-resolution points live in chunk docs
+export const ROUTE_STORAGE_VERSION = 2;
+
+export const ROUTE_RESOLUTIONS = {
+  OVERVIEW: 'overview',
+  FULL: 'full'
+};
+
+// Soft-deleted journeys stay in the Trash this long before they are purged for good
+export const TRASH_CONFIG = {
+  RETENTION_DAYS: 30,
+  PURGE_INTERVAL_MS: 24 * 60 * 60 * 1000  // Check for expired trash at most once a day
+};
+
+// Past Journeys paging - filters Firestore can't query are applied while a page fills
+export const JOURNEY_PAGE_CONFIG = {
+  PAGE_SIZE: 20,     // Journeys per page
+  SCAN_SIZE: 50,     // Docs read per query while filling a page
+  MAX_SCANNED: 500   // Docs read per call before returning a short (but never empty) page
+};
+
+const ROUTE_STORAGE_CONFIG = {
+  CHUNK_SIZE: 500,       // Points per chunk doc (~50KB, far below the 1 MiB doc limit)
+  CHUNKS_PER_BATCH: 20   // Chunk writes per batch, keeping each commit well under 10 MiB
+};
 
 class JourneyService {
   // Get user's journeys collection reference
@@ -122,20 +174,231 @@ class JourneyService {
     return collection(db, 'journeys', userId, 'journeys');
   }
 
-  // Create a new journey
-  async createJourney(userId, journeyData) {
+  // Owner-only copy of a journey's unfiltered route (journeys/{uid}/privateRoutes/{journeyId})
+  getPrivateRouteRef(userId, journeyId) {
+    return doc(db, 'journeys', userId, 'privateRoutes', journeyId);
+  }
+
+  // Full-resolution route chunks (journeys/{uid}/journeys/{journeyId}/routeChunks/{index})
+  getRouteChunksRef(userId, journeyId) {
+    return collection(db, 'journeys', userId, 'journeys', journeyId, 'routeChunks');
+  }
+
+  // Chunks of the owner-only original route (journeys/{uid}/privateRoutes/{journeyId}/chunks/{index})
+  getPrivateRouteChunksRef(userId, journeyId) {
+    return collection(db, 'journeys', userId, 'privateRoutes', journeyId, 'chunks');
+  }
+
+  // Chunks of the owner-only unsmoothed GPS track (journeys/{uid}/privateRoutes/{journeyId}/rawChunks/{index})
+  getRawTrackChunksRef(userId, journeyId) {
+    return collection(db, 'journeys', userId, 'privateRoutes', journeyId, 'rawChunks');
+  }
+
+  /**
+   * Write a route as chunk docs, replacing any chunks already stored there
+   * @param {CollectionReference} chunksRef - Chunk collection
+   * @param {Array} points - Full-resolution route points
+   * @returns {Promise<number>} Number of chunks written
+   */
+  async writeRouteChunks(chunksRef, points) {
+    const route = points || [];
+    const chunkCount = Math.ceil(route.length / ROUTE_STORAGE_CONFIG.CHUNK_SIZE);
+    const existingSnap = await getDocs(chunksRef);
+
+    let batch = writeBatch(db);
+    let pending = 0;
+    const flush = async () => {
+      if (pending > 0) {
+        await batch.commit();
+        batch = writeBatch(db);
+        pending = 0;
+      }
+    };
+
+    for (let index = 0; index < chunkCount; index++) {
+      const chunk = route.slice(index * ROUTE_STORAGE_CONFIG.CHUNK_SIZE, (index + 1) * ROUTE_STORAGE_CONFIG.CHUNK_SIZE);
+      batch.set(doc(chunksRef, String(index).padStart(4, '0')), {
+        index,
+        points: chunk,
+        startTime: chunk[0]?.timestamp ?? null,
+        endTime: chunk[chunk.length - 1]?.timestamp ?? null,
+      });
+      if (++pending >= ROUTE_STORAGE_CONFIG.CHUNKS_PER_BATCH) {
+        await flush();
+      }
+    }
+
+    // Drop chunks left over from a longer route previously stored here
+    existingSnap.forEach(chunkDoc => {
+      if (chunkDoc.data().index >= chunkCount) {
+        batch.delete(chunkDoc.ref);
+        pending++;
+      }
+    });
+    await flush();
+
+    return chunkCount;
+  }
+
+  // Read every chunk of a route back into one ordered array of points
+  async readRouteChunks(chunksRef) {
+    const snapshot = await getDocs(query(chunksRef, orderBy('index')));
+    const route = [];
+    snapshot.forEach(chunkDoc => {
+      route.push(...(chunkDoc.data().points || []));
+    });
+    return route;
+  }
+
+  // Delete every chunk of a route
+  async deleteRouteChunks(chunksRef) {
+    const snapshot = await getDocs(chunksRef);
+    const refs = [];
+    snapshot.forEach(chunkDoc => refs.push(chunkDoc.ref));
+
+    for (let i = 0; i < refs.length; i += 400) {
+      const batch = writeBatch(db);
+      refs.slice(i, i + 400).forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
+    return refs.length;
+  }
+
+  // Journey doc fields describing a chunked route
+  buildRouteStorageFields(route, chunkCount) {
+    return {
+      route: simplifyRoute(route),
+      routeResolution: ROUTE_RESOLUTIONS.OVERVIEW,
+      routePointCount: route.length,
+      routeChunkCount: chunkCount,
+      routeStorageVersion: ROUTE_STORAGE_VERSION,
+    };
+  }
+
+  // Delete a journey's owner-only original route (chunks and summary doc)
+  async deletePrivateRoute(userId, journeyId) {
+    await this.deleteRouteChunks(this.getPrivateRouteChunksRef(userId, journeyId));
+    await deleteDoc(this.getPrivateRouteRef(userId, journeyId));
+  }
+
+  // Store an owner-only original route in chunks under privateRoutes/{journeyId}
+  async writePrivateRoute(userId, journeyId, route) {
+    const chunkCount = await this.writeRouteChunks(this.getPrivateRouteChunksRef(userId, journeyId), route);
+    await setDoc(this.getPrivateRouteRef(userId, journeyId), {
+      journeyId,
+      routePointCount: route.length,
+      routeChunkCount: chunkCount,
+      routeStorageVersion: ROUTE_STORAGE_VERSION,
+      createdAt: serverTimestamp(),
+    });
+  }
+
+  /**
+   * Store the unsmoothed fixes a walk recorded, owner-only, for comparison with its route
+   * Edits leave the raw track alone - it stays the walk as the GPS reported it
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Array} rawTrack - Points from BackgroundLocationService (recordRawTrack)
+   * @returns {Promise<Object>} Journey doc fields describing the raw track
+   */
+  async storeRawTrack(userId, journeyId, rawTrack) {
+    await this.writeRouteChunks(this.getRawTrackChunksRef(userId, journeyId), rawTrack);
+    return {
+      hasRawTrack: true,
+      rawTrackPointCount: rawTrack.length,
+      rawTrackDistance: getRouteLength(rawTrack),
+    };
+  }
+
+  // Get a journey's unsmoothed GPS track for its owner - empty when the walk didn't record one
+  async getRawTrack(userId, journeyId) {
+    try {
+      const route = await this.readRouteChunks(this.getRawTrackChunksRef(userId, journeyId));
+      return { success: true, route };
+    } catch (error) {
+      console.error('Error getting raw track:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a journey's route: privacy zones applied, full resolution in chunks, original kept owner-only
+   * Chunks are written before the caller writes the journey doc, so a doc never points at a
+   * route that isn't stored yet
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Object} journeyData - Journey data with its full-resolution `route`
+   * @param {Object} privacy - Privacy settings from PrivacyZoneService.getSettings
+   * @param {Object} options - { replace: the journey already has a stored route (edits) }
+   * @returns {Promise<Object>} { journey: data for the journey doc, hiddenCount }
+   */
+  async storeJourneyRoute(userId, journeyId, journeyData, privacy, { replace = false } = {}) {
+    const { journey: filteredData, originalRoute, hiddenCount } = PrivacyZoneService.applyToJourney(journeyData, privacy);
+
+    const fullRoute = filteredData.route || [];
+    const chunkCount = await this.writeRouteChunks(this.getRouteChunksRef(userId, journeyId), fullRoute);
+    if (originalRoute) {
+      await this.writePrivateRoute(userId, journeyId, originalRoute);
+    } else if (replace) {
+      // An edited route may no longer pass through a zone - drop the stale original
+      await this.deletePrivateRoute(userId, journeyId);
+    }
+
+    const journey = {
+      ...filteredData,
+      ...this.buildRouteStorageFields(fullRoute, chunkCount),
+      hasPrivateRoute: !!originalRoute,
+    };
+    if (replace) {
+      journey.privacyMode = filteredData.privacyMode ?? null;
+      journey.privacyHiddenPoints = filteredData.privacyHiddenPoints ?? 0;
+    }
+
+    if (hiddenCount > 0) {
+      Logger.info('JOURNEY_SERVICE', 'Applied privacy zones to journey route', {
+        journeyId,
+        hiddenCount,
+        mode: privacy.mode,
+        keptOriginal: !!originalRoute
+      });
+    }
+
+    return { journey, hiddenCount };
+  }
+
+  /**
+   * Create a journey, storing its route with privacy zones applied
+   * @param {string} userId - User ID
+   * @param {Object} journeyData - Journey fields including the full route, and rawTrack when the
+   *   walk recorded one (stored owner-only, never on the journey doc)
+   * @param {Object} options - { journeyId: ID chosen in advance (offline queue) - saving again overwrites,
+   *   createdAt: when the walk started in ms, for walks saved after the fact (imports, queued uploads, split parts) }
+   * @returns {Promise<Object>} { success, journey }
+   */
+  async createJourney(userId, journeyData, { journeyId = null, createdAt = null } = {}) {
     try {
       const journeysRef = this.getUserJourneysRef(userId);
-      const journeyRef = doc(journeysRef);
-      
+      const journeyRef = journeyId ? doc(journeysRef, journeyId) : doc(journeysRef);
+
+      const { rawTrack, ...journeyFields } = journeyData;
+      const privacy = await PrivacyZoneService.getSettings(userId);
+      const { journey: storedData } = await this.storeJourneyRoute(userId, journeyRef.id, journeyFields, privacy);
+      // Raw fixes skip privacy zones only when the user keeps their full routes
+      const rawPoints = rawTrack?.length && privacy.keepOriginalRoute === false
+        ? PrivacyZoneService.applyToJourney({ route: rawTrack }, privacy).journey.route
+        : rawTrack;
+      const rawTrackFields = rawPoints?.length ? await this.storeRawTrack(userId, journeyRef.id, rawPoints) : {};
+
       const journey = {
         id: journeyRef.id,
-        ...journeyData,
-        createdAt: serverTimestamp(),
+        ...storedData,
+        ...rawTrackFields,
+        createdAt: createdAt ? Timestamp.fromMillis(createdAt) : serverTimestamp(),
         updatedAt: serverTimestamp(),
       };
 
       await setDoc(journeyRef, journey);
+
       return { success: true, journey };
     } catch (error) {
       console.error('Error creating journey:', error);
@@ -160,6 +423,61 @@ class JourneyService {
     }
   }
 
+  /**
+   * Load a journey's route at the requested resolution
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Object} options - { resolution: 'overview' | 'full', journey: already-loaded journey doc }
+   * @returns {Promise<Object>} { success, route, resolution } - journeys saved before chunked storage
+   *   only have their inline route, which is already full resolution
+   */
+  async getJourneyRoute(userId, journeyId, { resolution = ROUTE_RESOLUTIONS.OVERVIEW, journey = null } = {}) {
+    try {
+      let journeyDoc = journey;
+      if (!journeyDoc) {
+        const result = await this.getJourney(userId, journeyId);
+        if (!result.success) {
+          return { success: false, route: [], resolution: null };
+        }
+        journeyDoc = result.journey;
+      }
+
+      if (journeyDoc.routeStorageVersion !== ROUTE_STORAGE_VERSION) {
+        return { success: true, route: journeyDoc.route || [], resolution: ROUTE_RESOLUTIONS.FULL };
+      }
+
+      if (resolution !== ROUTE_RESOLUTIONS.FULL) {
+        return { success: true, route: journeyDoc.route || [], resolution: ROUTE_RESOLUTIONS.OVERVIEW };
+      }
+
+      const route = await this.readRouteChunks(this.getRouteChunksRef(userId, journeyId));
+      return { success: true, route, resolution: ROUTE_RESOLUTIONS.FULL };
+    } catch (error) {
+      console.error('Error getting journey route:', error);
+      throw error;
+    }
+  }
+
+  // Get a journey's full route for its owner - the unfiltered original when one was kept
+  async getOwnerRoute(userId, journeyId) {
+    try {
+      const privateSnap = await getDoc(this.getPrivateRouteRef(userId, journeyId));
+      if (privateSnap.exists()) {
+        const data = privateSnap.data();
+        const route = data.routeStorageVersion === ROUTE_STORAGE_VERSION
+          ? await this.readRouteChunks(this.getPrivateRouteChunksRef(userId, journeyId))
+          : data.route || [];
+        return { success: true, route, isOriginal: true };
+      }
+
+      const result = await this.getJourneyRoute(userId, journeyId, { resolution: ROUTE_RESOLUTIONS.FULL });
+      return { success: result.success, route: result.route, isOriginal: false };
+    } catch (error) {
+      console.error('Error getting owner route:', error);
+      throw error;
+    }
+  }
+
   // Get all journeys for a user
   async getUserJourneys(userId) {
     try {
@@ -190,6 +508,65 @@ class JourneyService {
     }
   }
 
+  /**
+   * Load one page of journeys, newest first, using a Firestore cursor
+   * The date range is part of the query; the other filters are checked on each doc,
+   * so only the single-field createdAt index is needed. createdAt is when the walk
+   * started - imports, queued uploads and split parts pass their startTime to createJourney
+   * @param {string} userId - User ID
+   * @param {Object} options - { filters (see JourneyFilters.js), cursor: from the previous page, pageSize }
+   * @returns {Promise<Object>} { success, journeys, cursor, hasMore }
+   */
+  async getJourneysPage(userId, { filters = {}, cursor = null, pageSize = JOURNEY_PAGE_CONFIG.PAGE_SIZE } = {}) {
+    try {
+      const constraints = [orderBy('createdAt', 'desc')];
+      if (filters.startDate) {
+        constraints.push(where('createdAt', '>=', Timestamp.fromMillis(filters.startDate)));
+      }
+      if (filters.endDate) {
+        constraints.push(where('createdAt', '<=', Timestamp.fromMillis(filters.endDate)));
+      }
+
+      const journeys = [];
+      let lastDoc = cursor;
+      let scanned = 0;
+      let hasMore = true;
+
+      // An empty page would stall infinite scroll, so keep reading until something matches
+      while (journeys.length < pageSize && (scanned < JOURNEY_PAGE_CONFIG.MAX_SCANNED || journeys.length === 0)) {
+        const pageConstraints = lastDoc ? [...constraints, startAfter(lastDoc)] : constraints;
+        const snapshot = await getDocs(query(this.getUserJourneysRef(userId), ...pageConstraints, limit(JOURNEY_PAGE_CONFIG.SCAN_SIZE)));
+        if (snapshot.empty) {
+          hasMore = false;
+          break;
+        }
+
+        for (const journeyDoc of snapshot.docs) {
+          lastDoc = journeyDoc;
+          scanned++;
+          const journeyData = journeyDoc.data();
+          if (!journeyData.isDeleted && matchesJourneyFilters(journeyData, filters)) {
+            journeys.push(journeyData);
+            if (journeys.length === pageSize) {
+              break;
+            }
+          }
+        }
+
+        // A short read that didn't fill the page was the end of the collection
+        if (snapshot.docs.length < JOURNEY_PAGE_CONFIG.SCAN_SIZE && journeys.length < pageSize) {
+          hasMore = false;
+          break;
+        }
+      }
+
+      return { success: true, journeys, cursor: lastDoc, hasMore };
+    } catch (error) {
+      console.error('Error getting journeys page:', error);
+      throw error;
+    }
+  }
+
   // Update a journey
   async updateJourney(userId, journeyId, updates) {
     try {
@@ -206,76 +583,22 @@ class JourneyService {
     }
   }
 
-  // Delete a journey and all associated data
+  /**
+   * Delete a journey and all associated data (discoveries, dismissed places, ping results, routes)
+   * Saved places are kept and detached from the journey
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @returns {Promise<Object>} { success: true } - throws if the delete didn't finish (it resumes on next sign-in)
+   */
   async deleteJourney(userId, journeyId) {
     try {
       Logger.debug(`🗑️ [JOURNEY_SERVICE] Starting comprehensive deletion of journey: ${journeyId}`);
-      
-      // 1. Get all discoveries for this journey first
-      const discoveriesRef = collection(db, 'journeys', userId, 'discoveries');
-      const discoveriesQuery = query(discoveriesRef, where('journeyId', '==', journeyId));
-      const discoveriesSnap = await getDocs(discoveriesQuery);
-      
-      Logger.debug(`🗑️ [JOURNEY_SERVICE] Found ${discoveriesSnap.size} discoveries to process`);
-      
-      // 2. Separate saved discoveries from regular discoveries
-      const savedDiscoveries = [];
-      const regularDiscoveries = [];
-      
-      discoveriesSnap.forEach(doc => {
-        const data = doc.data();
-        if (data.saved === true) {
-          savedDiscoveries.push(doc);
-        } else {
-          regularDiscoveries.push(doc);
-        }
-      });
-      
-      Logger.debug(`🗑️ [JOURNEY_SERVICE] Found ${savedDiscoveries.length} saved places to update`);
-      Logger.debug(`🗑️ [JOURNEY_SERVICE] Found ${regularDiscoveries.length} regular discoveries to delete`);
-      
-      // 3. Get dismissed places that reference this journey
-      const dismissedRef = collection(db, 'journeys', userId, 'dismissed');
-      const dismissedQuery = query(dismissedRef, where('journeyId', '==', journeyId));
-      const dismissedSnap = await getDocs(dismissedQuery);
-      
-      Logger.debug(`🗑️ [JOURNEY_SERVICE] Found ${dismissedSnap.size} dismissed places to delete`);
-      
-      // 4. First batch: Delete journey, regular discoveries, and dismissed places
-      const deleteBatch = writeBatch(db);
-      
-      // Delete the journey record
-      const journeyRef = doc(db, 'journeys', userId, 'journeys', journeyId);
-      deleteBatch.delete(journeyRef);
-      
-      // Delete regular discoveries
-      regularDiscoveries.forEach(doc => {
-        deleteBatch.delete(doc.ref);
-      });
-      
-      // Delete dismissed places
-      dismissedSnap.forEach(doc => {
-        deleteBatch.delete(doc.ref);
-      });
-      
-      // Execute deletion batch
-      await deleteBatch.commit();
-      
-      // 5. Second batch: Update saved discoveries (separate operation to avoid Firebase error)
-      if (savedDiscoveries.length > 0) {
-        const updateBatch = writeBatch(db);
-        
-        savedDiscoveries.forEach(doc => {
-          updateBatch.update(doc.ref, { 
-            journeyId: null,
-            updatedAt: serverTimestamp()
-          });
-        });
-        
-        await updateBatch.commit();
+      const result = await DeletionService.deleteJourneys(userId, [journeyId]);
+      if (!result.success) {
+        throw new Error(`Journey ${journeyId} was only partly deleted`);
       }
-      
-      Logger.debug(`🗑️ [JOURNEY_SERVICE] Successfully deleted journey ${journeyId} and all associated data`);
+
+      Logger.debug(`🗑️ [JOURNEY_SERVICE] Successfully deleted journey ${journeyId} and all associated data`, result.counts);
       return { success: true };
     } catch (error) {
       console.error('Error deleting journey:', error);
@@ -283,6 +606,62 @@ class JourneyService {
     }
   }
 
+  /**
+   * Move journeys saved with an inline full-resolution route to chunked storage
+   * Safe to re-run: chunks are rewritten and a journey is only marked migrated after its chunks exist
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, migrated, failed }
+   */
+  async migrateJourneyRouteStorage(userId) {
+    let migrated = 0;
+    let failed = 0;
+
+    const journeysSnap = await getDocs(this.getUserJourneysRef(userId));
+    for (const journeyDoc of journeysSnap.docs) {
+      const data = journeyDoc.data();
+      if (data.routeStorageVersion === ROUTE_STORAGE_VERSION) {
+        continue;
+      }
+
+      try {
+        const route = data.route || [];
+        const chunkCount = await this.writeRouteChunks(this.getRouteChunksRef(userId, journeyDoc.id), route);
+        await updateDoc(journeyDoc.ref, this.buildRouteStorageFields(route, chunkCount));
+        migrated++;
+      } catch (error) {
+        failed++;
+        Logger.error('JOURNEY_SERVICE', 'Failed to migrate journey route storage', { journeyId: journeyDoc.id, error: error.message });
+      }
+    }
+
+    // Owner-only originals were stored inline on the privateRoutes doc
+    const privateSnap = await getDocs(collection(db, 'journeys', userId, 'privateRoutes'));
+    for (const privateDoc of privateSnap.docs) {
+      const data = privateDoc.data();
+      if (data.routeStorageVersion === ROUTE_STORAGE_VERSION) {
+        continue;
+      }
+
+      try {
+        const route = data.route || [];
+        const chunkCount = await this.writeRouteChunks(this.getPrivateRouteChunksRef(userId, privateDoc.id), route);
+        await updateDoc(privateDoc.ref, {
+          route: deleteField(),
+          routePointCount: route.length,
+          routeChunkCount: chunkCount,
+          routeStorageVersion: ROUTE_STORAGE_VERSION,
+        });
+        migrated++;
+      } catch (error) {
+        failed++;
+        Logger.error('JOURNEY_SERVICE', 'Failed to migrate private route storage', { journeyId: privateDoc.id, error: error.message });
+      }
+    }
+
+    Logger.info('JOURNEY_SERVICE', 'Route storage migration finished', { userId, migrated, failed });
+    return { success: failed === 0, migrated, failed };
+  }
+
   // Soft delete a journey (mark as deleted but keep data)
   async softDeleteJourney(userId, journeyId) {
     try {
@@ -315,18 +694,373 @@ class JourneyService {
     }
   }
 
-  // Delete multiple journeys (batch operation)
-  async deleteMultipleJourneys(userId, journeyIds) {
+  // When a trashed journey was deleted (ms) - falls back to its last update for older soft deletes
+  getDeletedAtMillis(journey) {
+    const deletedAt = journey.deletedAt || journey.updatedAt;
+    const date = deletedAt?.toDate?.() || (deletedAt ? new Date(deletedAt) : null);
+    return date && !isNaN(date.getTime()) ? date.getTime() : null;
+  }
+
+  /**
+   * List soft-deleted journeys, most recently deleted first
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { success, journeys } - each with deletedAtMs and purgeAt (ms)
+   */
+  async getTrashedJourneys(userId) {
     try {
+      const trashQuery = query(this.getUserJourneysRef(userId), where('isDeleted', '==', true));
+      const querySnapshot = await getDocs(trashQuery);
+      const retentionMs = TRASH_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+      const journeys = querySnapshot.docs.map(journeyDoc => {
+        const journey = journeyDoc.data();
+        // A delete still waiting on its server timestamp counts as deleted just now
+        const deletedAtMs = this.getDeletedAtMillis(journey) ?? Date.now();
+        return { ...journey, deletedAtMs, purgeAt: deletedAtMs + retentionMs };
+      });
+      journeys.sort((a, b) => b.deletedAtMs - a.deletedAtMs);
+
+      return { success: true, journeys };
+    } catch (error) {
+      console.error('Error getting trashed journeys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete trashed journeys older than the retention period
+   * Uses the cascading delete, so discoveries, dismissed places and route chunks go with them
+   * @param {string} userId - User ID
+   * @param {Object} options - { now: current time (ms), all: purge everything in the Trash, onProgress }
+   * @returns {Promise<Object>} { success, purged, failed }
+   */
+  async purgeTrash(userId, { now = Date.now(), all = false, onProgress } = {}) {
+    const { journeys } = await this.getTrashedJourneys(userId);
+    const expired = all ? journeys : journeys.filter(journey => journey.purgeAt <= now);
+
+    // Journeys that fail stay in the Trash - the next purge retries them
+    const result = await DeletionService.deleteJourneys(userId, expired.map(journey => journey.id), { onProgress });
+    const purged = result.deletedCount;
+    const failed = result.failed.length;
+
+    if (expired.length > 0) {
+      Logger.info('JOURNEY_SERVICE', 'Purged trashed journeys', { userId, purged, failed });
+    }
+    return { success: failed === 0, purged, failed };
+  }
+
+  // Purge expired trash if the last purge on this device was over a day ago
+  async purgeExpiredTrashIfDue(userId) {
+    const key = `trash_purged_at_${userId}`;
+    const lastRun = parseInt(await AsyncStorage.getItem(key), 10);
+    if (!isNaN(lastRun) && Date.now() - lastRun < TRASH_CONFIG.PURGE_INTERVAL_MS) {
+      return { success: true, skipped: true, purged: 0, failed: 0 };
+    }
+
+    const result = await this.purgeTrash(userId);
+    // Failed purges retry on the next launch instead of waiting a day
+    if (result.success) {
+      await AsyncStorage.setItem(key, `${Date.now()}`);
+    }
+    return { ...result, skipped: false };
+  }
+
+  // Load a journey for editing with its owner route (the unfiltered original when one was kept)
+  async loadEditableJourney(userId, journeyId) {
+    const result = await this.getJourney(userId, journeyId);
+    if (!result.success || result.journey.isDeleted) {
+      throw new Error('Journey not found');
+    }
+    const { route } = await this.getOwnerRoute(userId, journeyId);
+    return { journey: result.journey, route };
+  }
+
+  // An edit position given as a time, or as a map coordinate resolved to the nearest route point
+  resolveEditTime(route, time, coordinate) {
+    if (time !== null && time !== undefined) {
+      return time;
+    }
+    return coordinate ? findNearestPointTime(route, coordinate) : null;
+  }
+
+  // Replace a journey's route with an edited one and recompute its stats
+  async saveEditedRoute(userId, journey, route, { stops, profileSegments }, privacy, extra = {}) {
+    const stats = calculateJourneyStats(route, { stops, splitUnit: journey.splitUnit });
+    const { journey: stored } = await this.storeJourneyRoute(
+      userId,
+      journey.id,
+      { ...stats, route, profileSegments },
+      privacy,
+      { replace: true }
+    );
+
+    const updates = { ...stored, ...extra, editedAt: serverTimestamp(), updatedAt: serverTimestamp() };
+    await updateDoc(doc(db, 'journeys', userId, 'journeys', journey.id), updates);
+    return { ...journey, ...updates };
+  }
+
+  /**
+   * Move a journey's discoveries (and its dismissed places) to the journeys that resulted from an edit
+   * Each discovery goes to the journey whose route passes nearest to it. A place that journey
+   * already has is not moved twice: the incoming doc is deleted and its saved/dismissed state
+   * carried onto the one already there
+   * @param {string} userId - User ID
+   * @param {string} fromJourneyId - Journey the discoveries reference now
+   * @param {Array} targets - [{ journeyId, route }]; entries without a location go to the first
+   * @returns {Promise<number>} Number of discoveries and dismissed places moved or folded in
+   */
+  async rehomeDiscoveries(userId, fromJourneyId, targets) {
+    const routes = targets.map(target => target.route);
+    const discoveriesRef = collection(db, 'journeys', userId, 'discoveries');
+    const [discoveriesSnap, dismissedSnap] = await Promise.all([
+      getDocs(query(discoveriesRef, where('journeyId', '==', fromJourneyId))),
+      getDocs(query(collection(db, 'journeys', userId, 'dismissed'), where('journeyId', '==', fromJourneyId)))
+    ]);
+
+    // Places each target journey already has, so a merge doesn't leave the same place there twice
+    const existingByJourney = {};
+    for (const { journeyId } of targets) {
+      if (journeyId !== fromJourneyId && !existingByJourney[journeyId]) {
+        const existingSnap = await getDocs(query(discoveriesRef, where('journeyId', '==', journeyId)));
+        existingByJourney[journeyId] = {};
+        existingSnap.forEach(existingDoc => {
+          existingByJourney[journeyId][existingDoc.data().placeId] = existingDoc;
+        });
+      }
+    }
+
+    const moves = [];
+    const targetByPlace = {};
+    discoveriesSnap.forEach(discoveryDoc => {
+      const data = discoveryDoc.data();
+      const lat = data.location?.lat ?? data.placeData?.geometry?.location?.lat;
+      const lng = data.location?.lng ?? data.placeData?.geometry?.location?.lng;
+      // {0, 0} is the placeholder for places stored without a location
+      const location = typeof lat === 'number' && typeof lng === 'number' && (lat !== 0 || lng !== 0)
+        ? { latitude: lat, longitude: lng }
+        : null;
+      const journeyId = targets[findNearestRouteIndex(routes, location)].journeyId;
+      targetByPlace[data.placeId] = journeyId;
+      if (journeyId === fromJourneyId) {
+        return;
+      }
+
+      const existing = existingByJourney[journeyId][data.placeId];
+      if (!existing) {
+        moves.push({ ref: discoveryDoc.ref, journeyId });
+        return;
+      }
+      // Keep whichever review the user made on either copy
+      const reviewed = {};
+      if (data.saved && !existing.data().saved) {
+        reviewed.saved = true;
+      }
+      if (data.dismissed && !existing.data().dismissed) {
+        reviewed.dismissed = true;
+      }
+      moves.push({ ref: discoveryDoc.ref, remove: true });
+      if (Object.keys(reviewed).length > 0) {
+        moves.push({ ref: existing.ref, updates: reviewed });
+      }
+    });
+
+    // Dismissed places follow their discovery
+    dismissedSnap.forEach(dismissedDoc => {
+      const journeyId = targetByPlace[dismissedDoc.data().placeId] || targets[0].journeyId;
+      if (journeyId !== fromJourneyId) {
+        moves.push({ ref: dismissedDoc.ref, journeyId });
+      }
+    });
+
+    for (let i = 0; i < moves.length; i += 400) {
       const batch = writeBatch(db);
-      
-      journeyIds.forEach(journeyId => {
-        const journeyRef = doc(db, 'journeys', userId, 'journeys', journeyId);
-        batch.delete(journeyRef);
+      moves.slice(i, i + 400).forEach(move => {
+        if (move.remove) {
+          batch.delete(move.ref);
+        } else {
+          batch.update(move.ref, { ...(move.updates || { journeyId: move.journeyId }), updatedAt: serverTimestamp() });
+        }
       });
-      
       await batch.commit();
-      return { success: true };
+    }
+    return moves.filter(move => !move.updates).length;
+  }
+
+  // Recount reviewed discoveries after an edit moved them between journeys
+  async refreshCompletionStatus(userId, journeyIds) {
+    for (const journeyId of journeyIds) {
+      try {
+        await DiscoveryService.updateJourneyCompletionStatus(userId, journeyId);
+      } catch (error) {
+        Logger.warn('JOURNEY_SERVICE', 'Failed to update completion status after edit', { journeyId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Trim the start and/or end of a journey (e.g. the drive home after forgetting to stop)
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Object} range - { startTime, endTime } in ms, or { startCoordinate, endCoordinate }
+   *   picked on the map (resolved to the nearest route point); omitted ends are kept
+   * @returns {Promise<Object>} { success, journey }
+   */
+  async trimJourney(userId, journeyId, { startTime = null, endTime = null, startCoordinate = null, endCoordinate = null } = {}) {
+    try {
+      const { journey, route } = await this.loadEditableJourney(userId, journeyId);
+      const start = this.resolveEditTime(route, startTime, startCoordinate);
+      const end = this.resolveEditTime(route, endTime, endCoordinate);
+
+      const trimmed = sliceRouteByTime(route, start, end);
+      if (trimmed.length < 2) {
+        throw new Error('A trimmed journey needs at least two route points');
+      }
+
+      const first = trimmed[0].timestamp;
+      const last = trimmed[trimmed.length - 1].timestamp;
+      const privacy = await PrivacyZoneService.getSettings(userId);
+      const updated = await this.saveEditedRoute(userId, journey, trimmed, {
+        stops: clipStops(journey.stops, first, last),
+        profileSegments: clipProfileSegments(journey.profileSegments, first, last)
+      }, privacy);
+
+      Logger.info('JOURNEY_SERVICE', 'Trimmed journey', { journeyId, before: route.length, after: trimmed.length });
+      return { success: true, journey: updated };
+    } catch (error) {
+      console.error('Error trimming journey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a journey into two at a point (e.g. two walks recorded as one)
+   * The original keeps everything up to the split; the rest becomes a new journey
+   * @param {string} userId - User ID
+   * @param {string} journeyId - Journey ID
+   * @param {Object} at - { time } in ms, or { coordinate } picked on the map
+   * @returns {Promise<Object>} { success, journeys: [first, second], movedDiscoveries }
+   */
+  async splitJourney(userId, journeyId, { time = null, coordinate = null } = {}) {
+    try {
+      const { journey, route } = await this.loadEditableJourney(userId, journeyId);
+      const splitTime = this.resolveEditTime(route, time, coordinate);
+      if (splitTime === null) {
+        throw new Error('Choose where to split the journey');
+      }
+
+      const firstRoute = route.filter(point => point.timestamp <= splitTime);
+      const secondRoute = route.filter(point => point.timestamp > splitTime);
+      if (firstRoute.length < 2 || secondRoute.length < 2) {
+        throw new Error('Each part of a split journey needs at least two route points');
+      }
+
+      const firstEnd = firstRoute[firstRoute.length - 1].timestamp;
+      const secondStart = secondRoute[0].timestamp;
+      const secondEnd = secondRoute[secondRoute.length - 1].timestamp;
+      const privacy = await PrivacyZoneService.getSettings(userId);
+
+      // New journey first, so moved discoveries never reference a journey that doesn't exist
+      const secondStops = clipStops(journey.stops, secondStart, secondEnd);
+      const created = await this.createJourney(userId, {
+        userId,
+        name: `${journey.name || 'Journey'} (part 2)`,
+        route: secondRoute,
+        ...calculateJourneyStats(secondRoute, { stops: secondStops, splitUnit: journey.splitUnit }),
+        trackingProfile: journey.trackingProfile || null,
+        profileSegments: clipProfileSegments(journey.profileSegments, secondStart, secondEnd),
+        locationSource: journey.locationSource || 'device',
+        splitFrom: journeyId,
+        status: 'completed',
+      }, { createdAt: secondStart });
+      const secondId = created.journey.id;
+
+      const movedDiscoveries = await this.rehomeDiscoveries(userId, journeyId, [
+        { journeyId, route: firstRoute },
+        { journeyId: secondId, route: secondRoute }
+      ]);
+
+      const first = await this.saveEditedRoute(userId, journey, firstRoute, {
+        stops: clipStops(journey.stops, firstRoute[0].timestamp, firstEnd),
+        profileSegments: clipProfileSegments(journey.profileSegments, firstRoute[0].timestamp, firstEnd)
+      }, privacy);
+
+      await this.refreshCompletionStatus(userId, [journeyId, secondId]);
+
+      Logger.info('JOURNEY_SERVICE', 'Split journey', { journeyId, newJourneyId: secondId, movedDiscoveries });
+      return { success: true, journeys: [first, created.journey], movedDiscoveries };
+    } catch (error) {
+      console.error('Error splitting journey:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge consecutive journeys into the earliest one
+   * The time between them becomes a stop, and the later journeys are deleted once their
+   * discoveries have moved over
+   * @param {string} userId - User ID
+   * @param {Array<string>} journeyIds - Two or more journeys with no other journey between them
+   * @returns {Promise<Object>} { success, journey, movedDiscoveries }
+   */
+  async mergeJourneys(userId, journeyIds) {
+    try {
+      if (!journeyIds || journeyIds.length < 2) {
+        throw new Error('Choose at least two journeys to merge');
+      }
+
+      const { journeys } = await this.getUserJourneys(userId);
+      const startOf = journey => journey.startTime ?? journey.route?.[0]?.timestamp ?? 0;
+      const ordered = [...journeys].sort((a, b) => startOf(a) - startOf(b));
+      const positions = journeyIds.map(id => ordered.findIndex(journey => journey.id === id)).sort((a, b) => a - b);
+      if (positions.includes(-1)) {
+        throw new Error('Journey not found');
+      }
+      if (positions.some((position, i) => i > 0 && position !== positions[i - 1] + 1)) {
+        throw new Error('Only consecutive journeys can be merged');
+      }
+
+      const parts = [];
+      for (const position of positions) {
+        const journey = ordered[position];
+        const { route } = await this.getOwnerRoute(userId, journey.id);
+        const previous = parts[parts.length - 1];
+        if (previous && route.length > 0 && route[0].timestamp <= previous.route[previous.route.length - 1].timestamp) {
+          throw new Error('Journeys that overlap in time cannot be merged');
+        }
+        parts.push({ journey, route, stops: journey.stops, profileSegments: journey.profileSegments });
+      }
+
+      const target = parts[0].journey;
+      const others = parts.slice(1).map(part => part.journey.id);
+      const joined = joinJourneyRoutes(parts);
+      const privacy = await PrivacyZoneService.getSettings(userId);
+
+      const merged = await this.saveEditedRoute(userId, target, joined.route, {
+        stops: joined.stops,
+        profileSegments: joined.profileSegments
+      }, privacy, { mergedFrom: [...(target.mergedFrom || []), ...others] });
+
+      // Move discoveries before deleting, so deleteJourney only removes the emptied journeys
+      let movedDiscoveries = 0;
+      for (const otherId of others) {
+        movedDiscoveries += await this.rehomeDiscoveries(userId, otherId, [{ journeyId: target.id, route: joined.route }]);
+      }
+      await this.deleteMultipleJourneys(userId, others);
+
+      await this.refreshCompletionStatus(userId, [target.id]);
+
+      Logger.info('JOURNEY_SERVICE', 'Merged journeys', { journeyId: target.id, merged: others, movedDiscoveries });
+      return { success: true, journey: merged, movedDiscoveries };
+    } catch (error) {
+      console.error('Error merging journeys:', error);
+      throw error;
+    }
+  }
+
+  // Delete multiple journeys with full cleanup - options.onProgress reports each journey
+  async deleteMultipleJourneys(userId, journeyIds, options = {}) {
+    try {
+      return await DeletionService.deleteJourneys(userId, journeyIds, options);
     } catch (error) {
       console.error('Error deleting multiple journeys:', error);
       throw error;
@@ -341,12 +1075,19 @@ class JourneyService {
       
       let totalDistance = 0;
       let totalDuration = 0;
+      let totalMovingTime = 0;
       let journeyCount = 0;
       
       querySnapshot.forEach((doc) => {
         const journey = doc.data();
+        // Journeys in the Trash don't count
+        if (journey.isDeleted) {
+          return;
+        }
         totalDistance += journey.distance || 0;
-        totalDuration += journey.duration || 0;
+        totalDuration += journey.elapsedTime ?? journey.duration ?? 0;
+        // Older journeys have no moving time - fall back to their wall-clock duration
+        totalMovingTime += journey.movingTime ?? journey.duration ?? 0;
         journeyCount++;
       });
       
@@ -356,8 +1097,12 @@ class JourneyService {
           totalJourneys: journeyCount,
           totalDistance: totalDistance,
           totalDuration: totalDuration,
+          totalMovingTime: totalMovingTime,
           averageDistance: journeyCount > 0 ? totalDistance / journeyCount : 0,
           averageDuration: journeyCount > 0 ? totalDuration / journeyCount : 0,
+          averageMovingTime: journeyCount > 0 ? totalMovingTime / journeyCount : 0,
+          // Seconds per kilometre while moving
+          averagePace: totalDistance > 0 ? totalMovingTime / (totalDistance / 1000) : 0,
         }
       };
     } catch (error) {
@@ -369,8 +1114,11 @@ class JourneyService {
           totalJourneys: 0,
           totalDistance: 0,
           totalDuration: 0,
+          totalMovingTime: 0,
           averageDistance: 0,
           averageDuration: 0,
+          averageMovingTime: 0,
+          averagePace: 0,
         },
         error: error.message
       };
@@ -378,27 +1126,28 @@ class JourneyService {
   }
 
   // Delete all journeys for a user (for development/clean slate)
-  async deleteAllJourneys(userId) {
+  async deleteAllJourneys(userId, options = {}) {
     try {
       Logger.debug(`🗑️ [JOURNEY_SERVICE] Starting deletion of ALL journeys for user: ${userId}`);
       
-      // Get all journeys first
-      const journeysResult = await this.getUserJourneys(userId);
-      if (!journeysResult.success || journeysResult.journeys.length === 0) {
+      // Get all journeys first - including the ones in the Trash
+      const journeysSnap = await getDocs(this.getUserJourneysRef(userId));
+      if (journeysSnap.empty) {
         Logger.debug(`🗑️ [JOURNEY_SERVICE] No journeys found to delete`);
         return { success: true, deletedCount: 0 };
       }
       
-      const journeyIds = journeysResult.journeys.map(j => j.id);
+      const journeyIds = journeysSnap.docs.map(j => j.id);
       Logger.debug(`🗑️ [JOURNEY_SERVICE] Found ${journeyIds.length} journeys to delete:`, journeyIds);
       
       // Delete each journey with full cleanup
-      for (const journeyId of journeyIds) {
-        await this.deleteJourney(userId, journeyId);
+      const result = await DeletionService.deleteJourneys(userId, journeyIds, options);
+      if (!result.success) {
+        throw new Error(`${result.failed.length} of ${journeyIds.length} journeys could not be deleted`);
       }
       
       Logger.debug(`🗑️ [JOURNEY_SERVICE] Successfully deleted all ${journeyIds.length} journeys`);
-      return { success: true, deletedCount: journeyIds.length };
+      return { success: true, deletedCount: result.deletedCount };
     } catch (error) {
       console.error('Error deleting all journeys:', error);
       throw error;
@@ -406,44 +1155,20 @@ class JourneyService {
   }
 
   // 🚨 COMPREHENSIVE ACCOUNT CLEANUP - PURGE ALL USER DATA
-  async purgeAllUserData(userId) {
+  async purgeAllUserData(userId, options = {}) {
     const startTime = Date.now();
     Logger.warn('JOURNEY_SERVICE', '🚨 STARTING COMPREHENSIVE ACCOUNT CLEANUP', { userId });
     
     try {
-      // 1. DELETE ALL JOURNEYS AND ASSOCIATED DATA
-      Logger.info('JOURNEY_SERVICE', 'Step 1: Deleting all journeys and associated data', { userId });
-      const journeysResult = await this.deleteAllJourneys(userId);
-      
-      // 2. DELETE ALL DISCOVERIES (including saved places)
-      Logger.info('JOURNEY_SERVICE', 'Step 2: Deleting all discoveries', { userId });
-      const discoveriesRef = collection(db, 'journeys', userId, 'discoveries');
-      const discoveriesQuery = query(discoveriesRef);
-      const discoveriesSnap = await getDocs(discoveriesQuery);
-      
-      if (!discoveriesSnap.empty) {
-        const deleteBatch = writeBatch(db);
-        discoveriesSnap.forEach(doc => {
-          deleteBatch.delete(doc.ref);
-        });
-        await deleteBatch.commit();
-        Logger.info('JOURNEY_SERVICE', `Deleted ${discoveriesSnap.size} discoveries`, { userId });
-      }
-      
-      // 3. DELETE ALL DISMISSED PLACES
-      Logger.info('JOURNEY_SERVICE', 'Step 3: Deleting all dismissed places', { userId });
-      const dismissedRef = collection(db, 'journeys', userId, 'dismissed');
-      const dismissedQuery = query(dismissedRef);
-      const dismissedSnap = await getDocs(dismissedQuery);
-      
-      if (!dismissedSnap.empty) {
-        const deleteBatch = writeBatch(db);
-        dismissedSnap.forEach(doc => {
-          deleteBatch.delete(doc.ref);
-        });
-        await deleteBatch.commit();
-        Logger.info('JOURNEY_SERVICE', `Deleted ${dismissedSnap.size} dismissed places`, { userId });
+      // 1-3. DELETE ALL JOURNEYS, DISCOVERIES (including saved places), DISMISSED PLACES AND PING RESULTS
+      Logger.info('JOURNEY_SERVICE', 'Steps 1-3: Deleting journeys, discoveries and dismissed places', { userId });
+      const purgeResult = await DeletionService.purgeUserData(userId, options);
+      if (!purgeResult.success) {
+        // The deletion job resumes on the next sign-in; local data is left until it finishes
+        throw new Error(`${purgeResult.failed.length} journeys could not be deleted`);
       }
+      const deletedDiscoveries = purgeResult.counts.discoveries || 0;
+      const deletedDismissed = purgeResult.counts.dismissed || 0;
       
       // 4. CLEAR ALL ASYNCSTORAGE DATA
       Logger.info('JOURNEY_SERVICE', 'Step 4: Clearing all AsyncStorage data', { userId });
@@ -483,6 +1208,7 @@ class JourneyService {
             bio: null,
             location: null,
             preferences: null,
+            privacy: null,
             lastCleaned: serverTimestamp(),
             updatedAt: serverTimestamp()
           });
@@ -496,17 +1222,18 @@ class JourneyService {
       Logger.warn('JOURNEY_SERVICE', '✅ COMPREHENSIVE ACCOUNT CLEANUP COMPLETE', { 
         userId, 
         duration,
-        deletedJourneys: journeysResult.deletedCount,
-        deletedDiscoveries: discoveriesSnap.size,
-        deletedDismissed: dismissedSnap.size,
+        deletedJourneys: purgeResult.deletedCount,
+        deletedDiscoveries,
+        deletedDismissed,
+        deletedDocs: purgeResult.deletedDocs,
         clearedStorageKeys: asyncStorageKeys.length
       });
       
       return {
         success: true,
-        deletedJourneys: journeysResult.deletedCount,
-        deletedDiscoveries: discoveriesSnap.size,
-        deletedDismissed: dismissedSnap.size,
+        deletedJourneys: purgeResult.deletedCount,
+        deletedDiscoveries,
+        deletedDismissed,
         clearedStorageKeys: asyncStorageKeys.length,
         duration
       };
@@ -516,63 +1243,6 @@ class JourneyService {
       throw error;
     }
   }
-
-  /**
-   * Consolidate discoveries when a journey ends
-   * @param {string} userId - User ID
-   * @param {string} journeyId - Journey ID
-   * @param {Array} routeCoords - Journey route coordinates
-   * @returns {Promise<Object>} Consolidation result
-   */
-  async consolidateJourneyDiscoveries(userId, journeyId, routeCoords) {
-    try {
-      Logger.info('JOURNEY_SERVICE', 'Starting journey discovery consolidation', { 
-        userId, 
-        journeyId, 
-        routeCoordsCount: routeCoords?.length || 0 
-      });
-
-      // Get user preferences for discovery
-      const preferences = await getUserDiscoveryPreferences();
-      
-      // Consolidate SAR and ping results
-      const result = await DiscoveryConsolidationService.consolidateJourneyDiscoveries(
-        userId, 
-        journeyId, 
-        routeCoords, 
-        preferences
-      );
-
-      if (result.success) {
-        Logger.info('JOURNEY_SERVICE', 'Journey discovery consolidation completed', {
-          userId,
-          journeyId,
-          sarPlaces: result.sarPlaces,
-          pingPlaces: result.pingPlaces,
-          consolidatedPlaces: result.consolidatedPlaces,
-          savedCount: result.savedCount
-        });
-      } else {
-        Logger.error('JOURNEY_SERVICE', 'Journey discovery consolidation failed', {
-          userId,
-          journeyId,
-          error: result.error
-        });
-      }
-
-      return result;
-    } catch (error) {
-      Logger.error('JOURNEY_SERVICE', 'Journey discovery consolidation error', {
-        userId,
-        journeyId,
-        error: error.message
-      });
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
 }
 
 /**
@@ -0,0 +1,410 @@
+/*
+ * JOURNEY SYNC SERVICE (OFFLINE SAVE QUEUE)
+ * =========================================
+ *
+ * PURPOSE:
+ * An outbox in front of journey saving. A finished walk is written to the device
+ * first and uploaded afterwards, so saving works without a connection and a failed
+ * upload never loses the route. Uploads are retried with exponential backoff and
+ * start again as soon as the device is back online.
+ *
+ * FUNCTIONALITY:
+ * - Stores a finished walk (journey fields plus chunked route) in AsyncStorage as soon as
+ *   tracking stops, then holds it back while the user names it - if the app dies with the
+ *   naming modal open, the walk uploads under its default name on the next launch
+ * - Uploads it through JourneyService.createJourney with an ID chosen when it was
+ *   queued, so a retry after a half-finished upload overwrites instead of duplicating
+ * - Hands an uploaded walk to DiscoveryJobService, which runs and resumes its
+ *   discovery consolidation
+ * - Retries failures with exponential backoff; connectivity changes and returning to
+ *   the app retry straight away
+ * - Lists walks still waiting to upload (PastJourneysScreen shows them as pending sync)
+ * - Notifies listeners whenever the queue changes
+ *
+ * WHY IT EXISTS:
+ * Saving used to call Firestore directly from the naming modal; without a network the
+ * save failed and the recorded coordinates were gone.
+ *
+ * STORAGE LAYOUT:
+ * - @journey_outbox:{userId}:queue             → [entry, ...] (small summaries, in save order)
+ * - @journey_outbox:{journeyId}:data           → journey fields without the route
+ * - @journey_outbox:{journeyId}:route:{n}      → [point, ...] (at most ROUTE_CHUNK_SIZE points)
+ * - @journey_outbox:{journeyId}:raw:{n}        → [point, ...] unsmoothed fixes, when the walk kept them
+ *
+ * RELATIONSHIPS:
+ * - MapScreen.js queues walks when tracking stops, then names or discards them
+ * - PastJourneysScreen.js lists pending walks
+ * - UserContext.js starts the queue on sign-in and stops it on sign-out
+ * - JourneyService.js does the actual upload
+ * - DiscoveryJobService.js consolidates discoveries once a walk is uploaded
+ *
+ * REFERENCES:
+ * - AsyncStorage (for the queue and payloads)
+ * - @react-native-community/netinfo (for connectivity changes)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Every recorded walk is saved through this queue.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Queue journey edits and deletions made offline as well
+ * 2. Upload from a background task so walks sync without opening the app
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { AppState } from 'react-native';
+import { doc, collection } from 'firebase/firestore';
+import { db } from '../firebase';
+import JourneyService from './JourneyService';
+import DiscoveryJobService from './DiscoveryJobService';
+import Logger from '../utils/Logger';
+
+export const OUTBOX_CONFIG = {
+  ROUTE_CHUNK_SIZE: 500,               // Points per stored route chunk
+  BASE_RETRY_MS: 15 * 1000,            // First retry after 15 seconds...
+  MAX_RETRY_MS: 30 * 60 * 1000,        // ...doubling up to 30 minutes
+  STEP_TIMEOUT_MS: 2 * 60 * 1000       // Firestore writes wait for the server - give up on a stalled one
+};
+
+export const OUTBOX_STEPS = {
+  UPLOAD: 'upload',
+  CONSOLIDATE: 'consolidate'  // Uploaded - waiting to be handed to DiscoveryJobService
+};
+
+const KEY_PREFIX = '@journey_outbox:';
+const getQueueKey = (userId) => `${KEY_PREFIX}${userId}:queue`;
+const getDataKey = (journeyId) => `${KEY_PREFIX}${journeyId}:data`;
+const getRouteKey = (journeyId, chunkIndex) => `${KEY_PREFIX}${journeyId}:route:${chunkIndex}`;
+const getRawTrackKey = (journeyId, chunkIndex) => `${KEY_PREFIX}${journeyId}:raw:${chunkIndex}`;
+
+// Storage pairs for a list of points, ROUTE_CHUNK_SIZE points per key
+function toChunkPairs(points, getKey) {
+  const pairs = [];
+  for (let i = 0; i < points.length; i += OUTBOX_CONFIG.ROUTE_CHUNK_SIZE) {
+    pairs.push([getKey(i / OUTBOX_CONFIG.ROUTE_CHUNK_SIZE), JSON.stringify(points.slice(i, i + OUTBOX_CONFIG.ROUTE_CHUNK_SIZE))]);
+  }
+  return pairs;
+}
+
+// Keys of a queued walk's route and raw track chunks (entries queued before raw tracks have none)
+function getChunkKeys(entry) {
+  return {
+    routeKeys: Array.from({ length: entry.routeChunks }, (_, i) => getRouteKey(entry.journeyId, i)),
+    rawTrackKeys: Array.from({ length: entry.rawTrackChunks || 0 }, (_, i) => getRawTrackKey(entry.journeyId, i))
+  };
+}
+
+// Reject if a step doesn't settle in time (the write may still land - uploads are idempotent)
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class JourneySyncService {
+  constructor() {
+    // userId -> queue entries, mirrored to AsyncStorage after every change
+    this.queues = {};
+    // userId -> running processQueue promise, so passes never overlap
+    this.processing = {};
+    // journeyIds waiting for the user to name them - kept in memory only, so after a
+    // crash they upload with the name they were queued with
+    this.awaitingName = new Set();
+    this.listeners = new Set();
+    this.userId = null;
+    this.retryTimer = null;
+    this.unsubscribeNetInfo = null;
+    this.appStateSubscription = null;
+  }
+
+  async loadQueue(userId) {
+    if (!this.queues[userId]) {
+      try {
+        const stored = await AsyncStorage.getItem(getQueueKey(userId));
+        this.queues[userId] = stored ? JSON.parse(stored) : [];
+      } catch (error) {
+        Logger.warn('JOURNEY_SYNC', 'Failed to read save queue', { userId, error: error.message });
+        this.queues[userId] = [];
+      }
+    }
+    return this.queues[userId];
+  }
+
+  async persistQueue(userId) {
+    await AsyncStorage.setItem(getQueueKey(userId), JSON.stringify(this.queues[userId] || []));
+    this.listeners.forEach(listener => listener(userId));
+  }
+
+  // Subscribe to queue changes - returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Save a finished walk on the device and queue it for upload
+   * @param {string} userId - User ID
+   * @param {Object} journeyData - Journey fields as passed to JourneyService.createJourney
+   * @param {Object} options - { awaitingName: hold the upload until nameQueuedJourney or discardQueuedJourney }
+   * @returns {Promise<Object>} { success, journeyId } - the ID the journey will have once uploaded
+   */
+  async enqueueJourney(userId, journeyData, { awaitingName = false } = {}) {
+    // Firestore IDs are generated on the device, so this works offline
+    const journeyId = doc(collection(db, 'journeys', userId, 'journeys')).id;
+    const { route = [], rawTrack = null, ...fields } = journeyData;
+
+    const routePairs = toChunkPairs(route, i => getRouteKey(journeyId, i));
+    const rawTrackPairs = toChunkPairs(rawTrack || [], i => getRawTrackKey(journeyId, i));
+    await AsyncStorage.multiSet([[getDataKey(journeyId), JSON.stringify(fields)], ...routePairs, ...rawTrackPairs]);
+    if (awaitingName) {
+      this.awaitingName.add(journeyId);
+    }
+
+    const queue = await this.loadQueue(userId);
+    queue.push({
+      journeyId,
+      userId,
+      step: OUTBOX_STEPS.UPLOAD,
+      name: fields.name || null,
+      startTime: fields.startTime || null,
+      distance: fields.distance || 0,
+      movingTime: fields.movingTime ?? fields.duration ?? 0,
+      pointCount: route.length,
+      routeChunks: routePairs.length,
+      rawTrackChunks: rawTrackPairs.length,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      queuedAt: Date.now()
+    });
+    await this.persistQueue(userId);
+
+    Logger.info('JOURNEY_SYNC', 'Queued journey for upload', { userId, journeyId, points: route.length });
+    return { success: true, journeyId };
+  }
+
+  /**
+   * Give a walk held for naming its final name and let it upload
+   * @param {string} userId - User ID
+   * @param {string} journeyId - From enqueueJourney
+   * @param {string} name - Journey name
+   * @returns {Promise<Object>} { success }
+   */
+  async nameQueuedJourney(userId, journeyId, name) {
+    const queue = await this.loadQueue(userId);
+    const entry = queue.find(item => item.journeyId === journeyId);
+    if (entry && entry.step === OUTBOX_STEPS.UPLOAD) {
+      const fields = JSON.parse((await AsyncStorage.getItem(getDataKey(journeyId))) || '{}');
+      await AsyncStorage.setItem(getDataKey(journeyId), JSON.stringify({ ...fields, name }));
+      entry.name = name;
+    }
+    this.awaitingName.delete(journeyId);
+    await this.persistQueue(userId);
+    return { success: !!entry };
+  }
+
+  // Drop a walk held for naming - the user chose not to save it
+  async discardQueuedJourney(userId, journeyId) {
+    const entry = (await this.loadQueue(userId)).find(item => item.journeyId === journeyId);
+    this.awaitingName.delete(journeyId);
+    if (entry) {
+      await this.removeEntry(userId, entry);
+      Logger.info('JOURNEY_SYNC', 'Discarded queued journey', { userId, journeyId });
+    }
+    return { success: !!entry };
+  }
+
+  // Read a queued walk back into createJourney's shape
+  async readPayload(entry) {
+    const { routeKeys, rawTrackKeys } = getChunkKeys(entry);
+    const stored = await AsyncStorage.multiGet([getDataKey(entry.journeyId), ...routeKeys, ...rawTrackKeys]);
+    const [[, fields], ...chunks] = stored;
+    if (!fields) {
+      throw new Error('Queued journey data is missing');
+    }
+
+    const readPoints = entries => entries.flatMap(([, chunk]) => (chunk ? JSON.parse(chunk) : []));
+    const rawTrack = readPoints(chunks.slice(routeKeys.length));
+    return {
+      ...JSON.parse(fields),
+      route: readPoints(chunks.slice(0, routeKeys.length)),
+      rawTrack: rawTrack.length > 0 ? rawTrack : null
+    };
+  }
+
+  async deletePayload(entry) {
+    const { routeKeys, rawTrackKeys } = getChunkKeys(entry);
+    await AsyncStorage.multiRemove([getDataKey(entry.journeyId), ...routeKeys, ...rawTrackKeys]);
+  }
+
+  async removeEntry(userId, entry) {
+    await this.deletePayload(entry);
+    this.queues[userId] = (await this.loadQueue(userId)).filter(item => item.journeyId !== entry.journeyId);
+    await this.persistQueue(userId);
+  }
+
+  // Walks saved on the device but not uploaded yet, oldest first
+  async getPendingJourneys(userId) {
+    const queue = await this.loadQueue(userId);
+    return queue.filter(entry => entry.step === OUTBOX_STEPS.UPLOAD);
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(OUTBOX_CONFIG.BASE_RETRY_MS * 2 ** (attempts - 1), OUTBOX_CONFIG.MAX_RETRY_MS);
+  }
+
+  // Run one queued step; once uploaded the entry becomes a discovery job and leaves the queue
+  async runEntry(userId, entry) {
+    const journeyData = await this.readPayload(entry);
+
+    if (entry.step === OUTBOX_STEPS.UPLOAD) {
+      await withTimeout(
+        // A walk uploaded days later is still listed and filtered by when it was walked
+        JourneyService.createJourney(userId, journeyData, { journeyId: entry.journeyId, createdAt: journeyData.startTime || null }),
+        OUTBOX_CONFIG.STEP_TIMEOUT_MS,
+        'Journey upload'
+      );
+      Logger.info('JOURNEY_SYNC', 'Uploaded queued journey', { userId, journeyId: entry.journeyId });
+
+      entry.step = OUTBOX_STEPS.CONSOLIDATE;
+      entry.attempts = 0;
+      entry.nextAttemptAt = 0;
+      entry.lastError = null;
+      await this.persistQueue(userId);
+    }
+
+    // The job is recorded before the payload goes, so consolidation survives the app closing
+    const job = await DiscoveryJobService.createJob(userId, entry.journeyId, { trackingId: journeyData.trackingId || null });
+    await this.removeEntry(userId, entry);
+    // Not awaited - the job saves its own progress and is resumed on the next launch if this fails
+    DiscoveryJobService.runJob(job, { route: journeyData.route }).catch(jobError => {
+      Logger.error('JOURNEY_SYNC', 'Discovery job failed to run', { userId, journeyId: entry.journeyId, error: jobError.message });
+    });
+  }
+
+  // Record a failed step and schedule its retry
+  async recordFailure(userId, entry, error) {
+    entry.attempts += 1;
+    entry.lastError = error.message;
+    entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+    Logger.warn('JOURNEY_SYNC', 'Queued step failed - will retry', {
+      userId,
+      journeyId: entry.journeyId,
+      step: entry.step,
+      attempts: entry.attempts,
+      retryInMs: entry.nextAttemptAt - Date.now(),
+      error: error.message
+    });
+    await this.persistQueue(userId);
+  }
+
+  /**
+   * Upload queued walks and start their discovery jobs
+   * @param {string} userId - User ID
+   * @param {Object} options - { force: ignore backoff (connectivity just returned or the user asked) }
+   * @returns {Promise<Object>} { success, uploaded: [journeyIds], pending: walks still waiting to upload, offline }
+   */
+  async processQueue(userId, { force = false } = {}) {
+    if (!this.processing[userId]) {
+      this.processing[userId] = this.runQueue(userId, force).finally(() => {
+        delete this.processing[userId];
+      });
+    } else if (force) {
+      // A pass is already running - run another forced one after it
+      return this.processing[userId].then(() => this.processQueue(userId, { force }));
+    }
+    return this.processing[userId];
+  }
+
+  // processQueue from a timer or listener, where nothing awaits it - a failed pass waits for the next trigger
+  processQueueInBackground(userId, options = {}) {
+    this.processQueue(userId, options).catch(error => {
+      Logger.warn('JOURNEY_SYNC', 'Background queue pass failed', { userId, error: error.message });
+    });
+  }
+
+  async runQueue(userId, force) {
+    const uploaded = [];
+    const network = await NetInfo.fetch();
+    const offline = !network.isConnected || network.isInternetReachable === false;
+
+    if (!offline) {
+      const queue = await this.loadQueue(userId);
+      for (const entry of [...queue]) {
+        if (this.awaitingName.has(entry.journeyId) || (!force && entry.nextAttemptAt > Date.now())) {
+          continue;
+        }
+
+        const wasUpload = entry.step === OUTBOX_STEPS.UPLOAD;
+        try {
+          await this.runEntry(userId, entry);
+        } catch (error) {
+          await this.recordFailure(userId, entry, error);
+        }
+        if (wasUpload && entry.step !== OUTBOX_STEPS.UPLOAD) {
+          uploaded.push(entry.journeyId);
+        }
+      }
+    }
+
+    const pending = (await this.getPendingJourneys(userId)).length;
+    if (!offline) {
+      // Offline passes wait for the NetInfo listener instead of polling
+      this.scheduleRetry(userId);
+    }
+    return { success: pending === 0, uploaded, pending, offline };
+  }
+
+  // Wake up for the next entry whose backoff runs out
+  scheduleRetry(userId) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    // Walks being named are released by nameQueuedJourney, not by the timer
+    const queue = (this.queues[userId] || []).filter(entry => !this.awaitingName.has(entry.journeyId));
+    if (userId !== this.userId || queue.length === 0) {
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...queue.map(entry => entry.nextAttemptAt));
+    this.retryTimer = setTimeout(() => this.processQueueInBackground(userId), Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  // Start syncing for the signed-in user - retries immediately when the connection or app comes back
+  start(userId) {
+    this.stop();
+    this.userId = userId;
+
+    let wasOffline = false;
+    this.unsubscribeNetInfo = NetInfo.addEventListener(state => {
+      const offline = !state.isConnected || state.isInternetReachable === false;
+      if (wasOffline && !offline) {
+        Logger.info('JOURNEY_SYNC', 'Back online - uploading queued journeys', { userId });
+        this.processQueueInBackground(userId, { force: true });
+      }
+      wasOffline = offline;
+    });
+    this.appStateSubscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        this.processQueueInBackground(userId);
+      }
+    });
+
+    this.processQueueInBackground(userId);
+  }
+
+  stop() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.unsubscribeNetInfo?.();
+    this.unsubscribeNetInfo = null;
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    this.userId = null;
+  }
+}
+
+export default new JourneySyncService();
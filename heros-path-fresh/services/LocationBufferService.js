@@ -0,0 +1,325 @@
+/*
+ * LOCATION BUFFER SERVICE (ON-DEVICE ROUTE STORAGE)
+ * ==================================================
+ *
+ * PURPOSE:
+ * This service stores the GPS points of an in-progress journey on the device while
+ * the walk is being recorded. Points are appended to fixed-size chunks in AsyncStorage
+ * with a small index per journey, so every GPS fix costs a bounded amount of work no
+ * matter how long the walk gets. Think of it as the "black box recorder" for walks
+ * that keeps every point safe until the journey is saved.
+ *
+ * FUNCTIONALITY:
+ * - Appends points to the tail chunk of a journey without rewriting earlier chunks
+ * - Keeps every point of a walk (no trimming of long journeys)
+ * - Streams a journey's points back chunk by chunk, or collects them all at once
+ * - Compacts a journey's chunks (drops duplicate/out-of-order points, repacks chunks)
+ * - Deletes all chunks and the index for a journey
+ * - Lists journeys that still have buffered points on the device
+ * - Serializes writes per journey so concurrent appends never lose points
+ *
+ * WHY IT EXISTS:
+ * Rewriting a single JSON array on every GPS fix is O(n) work per second and forced
+ * the old buffer to drop the start of any walk longer than ~1000 points. Chunking
+ * keeps the per-point write cost constant and makes long walks safe to record.
+ *
+ * STORAGE LAYOUT:
+ * - @location_buffer:{journeyId}:index    → { journeyId, chunkSize, chunkCount, createdAt, updatedAt }
+ * - @location_buffer:{journeyId}:chunk:{n} → [point, point, ...] (at most chunkSize points)
+ *
+ * RELATIONSHIPS:
+ * - Used by BackgroundLocationService.js as the journey buffer during tracking
+ * - Read back when recovering interrupted journeys on next launch
+ *
+ * REFERENCES:
+ * - AsyncStorage (for chunk and index persistence)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Every recorded walk passes through this buffer. If it loses points, users
+ * lose parts of their journeys.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Add point compression - store deltas instead of absolute coordinates
+ * 2. Add storage quota monitoring - warn before the device runs out of space
+ * 3. Add checksum validation - detect corrupted chunks after crashes
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Logger from '../utils/Logger';
+
+const KEY_PREFIX = '@location_buffer:';
+const DEFAULT_CHUNK_SIZE = 100;
+
+const getIndexKey = (journeyId) => `${KEY_PREFIX}${journeyId}:index`;
+const getChunkKey = (journeyId, chunkIndex) => `${KEY_PREFIX}${journeyId}:chunk:${chunkIndex}`;
+
+class LocationBufferService {
+  constructor(chunkSize = DEFAULT_CHUNK_SIZE) {
+    this.chunkSize = chunkSize;
+    // journeyId -> { index, tail } cache so appends don't re-read storage
+    this.journeyCache = new Map();
+    // journeyId -> promise chain used to serialize writes
+    this.writeQueues = new Map();
+  }
+
+  // Run an operation after all pending writes for the journey have finished
+  enqueue(journeyId, operation) {
+    const previous = this.writeQueues.get(journeyId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    this.writeQueues.set(journeyId, next);
+
+    // Drop the queue entry once it is idle to avoid holding finished journeys
+    next.finally(() => {
+      if (this.writeQueues.get(journeyId) === next) {
+        this.writeQueues.delete(journeyId);
+      }
+    }).catch(() => {});
+
+    return next;
+  }
+
+  // Read a journey's index, or null if nothing is buffered
+  async getIndex(journeyId) {
+    const data = await AsyncStorage.getItem(getIndexKey(journeyId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Read one chunk of points
+  async readChunk(journeyId, chunkIndex) {
+    const data = await AsyncStorage.getItem(getChunkKey(journeyId, chunkIndex));
+    return data ? JSON.parse(data) : [];
+  }
+
+  // Load (or create) the cached index and tail chunk for appending
+  async loadJourneyState(journeyId) {
+    const cached = this.journeyCache.get(journeyId);
+    if (cached) {
+      return cached;
+    }
+
+    let index = await this.getIndex(journeyId);
+    let tail = [];
+
+    if (index && index.chunkCount > 0) {
+      tail = await this.readChunk(journeyId, index.chunkCount - 1);
+    } else {
+      index = {
+        journeyId,
+        chunkSize: this.chunkSize,
+        chunkCount: 0,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+    }
+
+    const state = { index, tail };
+    this.journeyCache.set(journeyId, state);
+    return state;
+  }
+
+  /**
+   * Append points to a journey's buffer
+   * Only the tail chunk (and the index when a new chunk starts) is written.
+   * @param {string} journeyId - Journey ID
+   * @param {Array} points - Points to append
+   * @returns {Promise<void>}
+   */
+  async appendPoints(journeyId, points) {
+    if (!journeyId || !points || points.length === 0) {
+      return;
+    }
+
+    return this.enqueue(journeyId, async () => {
+      const state = await this.loadJourneyState(journeyId);
+      const chunkSize = state.index.chunkSize || this.chunkSize;
+      const writes = [];
+      let indexChanged = false;
+
+      let tailDirty = false;
+
+      for (const point of points) {
+        if (state.index.chunkCount === 0 || state.tail.length >= chunkSize) {
+          // Seal the full tail (flushing it if this append filled it) and start a new chunk
+          if (tailDirty) {
+            writes.push([getChunkKey(journeyId, state.index.chunkCount - 1), JSON.stringify(state.tail)]);
+          }
+          state.index.chunkCount += 1;
+          state.tail = [];
+          indexChanged = true;
+        }
+        state.tail.push(point);
+        tailDirty = true;
+      }
+
+      writes.push([getChunkKey(journeyId, state.index.chunkCount - 1), JSON.stringify(state.tail)]);
+
+      if (indexChanged) {
+        state.index.updatedAt = Date.now();
+        writes.push([getIndexKey(journeyId), JSON.stringify(state.index)]);
+      }
+
+      await AsyncStorage.multiSet(writes);
+    });
+  }
+
+  // Append a single point to a journey's buffer
+  async appendPoint(journeyId, point) {
+    return this.appendPoints(journeyId, [point]);
+  }
+
+  /**
+   * Stream a journey's points back chunk by chunk
+   * @param {string} journeyId - Journey ID
+   * @param {Function} onChunk - Called with (points, chunkIndex) for each chunk in order
+   * @returns {Promise<number>} Total number of points streamed
+   */
+  async streamPoints(journeyId, onChunk) {
+    // Wait for pending appends so the stream sees every point
+    await (this.writeQueues.get(journeyId) || Promise.resolve()).catch(() => {});
+
+    const index = await this.getIndex(journeyId);
+    if (!index) {
+      return 0;
+    }
+
+    let total = 0;
+    for (let chunkIndex = 0; chunkIndex < index.chunkCount; chunkIndex++) {
+      const points = await this.readChunk(journeyId, chunkIndex);
+      total += points.length;
+      await onChunk(points, chunkIndex);
+    }
+
+    return total;
+  }
+
+  // Collect all of a journey's points into a single array
+  async getPoints(journeyId) {
+    const points = [];
+    try {
+      await this.streamPoints(journeyId, (chunk) => {
+        for (const point of chunk) {
+          points.push(point);
+        }
+      });
+    } catch (error) {
+      Logger.error('LocationBufferService: Failed to read buffered points', { journeyId, error: error.message });
+    }
+    return points;
+  }
+
+  /**
+   * Compact a journey's buffer
+   * Drops duplicate and out-of-order points and repacks them into full chunks.
+   * @param {string} journeyId - Journey ID
+   * @param {Object} options - { filter } optional predicate (point, index) => boolean
+   * @returns {Promise<Object>} { before, after, chunkCount }
+   */
+  async compact(journeyId, options = {}) {
+    return this.enqueue(journeyId, async () => {
+      const index = await this.getIndex(journeyId);
+      if (!index) {
+        return { before: 0, after: 0, chunkCount: 0 };
+      }
+
+      const chunkKeys = [];
+      for (let chunkIndex = 0; chunkIndex < index.chunkCount; chunkIndex++) {
+        chunkKeys.push(getChunkKey(journeyId, chunkIndex));
+      }
+      const chunkEntries = await AsyncStorage.multiGet(chunkKeys);
+      const points = chunkEntries.flatMap(([, value]) => (value ? JSON.parse(value) : []));
+
+      let lastTimestamp = -Infinity;
+      const compacted = points.filter((point, i) => {
+        if (typeof point.timestamp === 'number') {
+          if (point.timestamp <= lastTimestamp) {
+            return false;
+          }
+          lastTimestamp = point.timestamp;
+        }
+        return options.filter ? options.filter(point, i) : true;
+      });
+
+      const chunkSize = index.chunkSize || this.chunkSize;
+      const writes = [];
+      let chunkCount = 0;
+      for (let start = 0; start < compacted.length; start += chunkSize) {
+        writes.push([getChunkKey(journeyId, chunkCount), JSON.stringify(compacted.slice(start, start + chunkSize))]);
+        chunkCount++;
+      }
+
+      const newIndex = { ...index, chunkCount, updatedAt: Date.now() };
+      writes.push([getIndexKey(journeyId), JSON.stringify(newIndex)]);
+      await AsyncStorage.multiSet(writes);
+
+      // Remove chunks that are no longer needed after repacking
+      if (chunkCount < index.chunkCount) {
+        await AsyncStorage.multiRemove(chunkKeys.slice(chunkCount));
+      }
+
+      // Refresh the append cache from the repacked tail
+      this.journeyCache.set(journeyId, {
+        index: newIndex,
+        tail: chunkCount > 0 ? compacted.slice((chunkCount - 1) * chunkSize) : []
+      });
+
+      Logger.debug('LocationBufferService: Compacted journey buffer', {
+        journeyId,
+        before: points.length,
+        after: compacted.length,
+        chunkCount
+      });
+
+      return { before: points.length, after: compacted.length, chunkCount };
+    });
+  }
+
+  /**
+   * Delete all buffered points for a journey
+   * @param {string} journeyId - Journey ID
+   * @returns {Promise<void>}
+   */
+  async deleteJourney(journeyId) {
+    if (!journeyId) {
+      return;
+    }
+
+    return this.enqueue(journeyId, async () => {
+      const allKeys = await AsyncStorage.getAllKeys();
+      const prefix = `${KEY_PREFIX}${journeyId}:`;
+      const journeyKeys = allKeys.filter(key => key.startsWith(prefix));
+
+      if (journeyKeys.length > 0) {
+        await AsyncStorage.multiRemove(journeyKeys);
+      }
+      this.journeyCache.delete(journeyId);
+
+      Logger.debug('LocationBufferService: Deleted journey buffer', { journeyId, keys: journeyKeys.length });
+    });
+  }
+
+  // List IDs of journeys that have points buffered on the device
+  async getBufferedJourneyIds() {
+    const allKeys = await AsyncStorage.getAllKeys();
+    return allKeys
+      .filter(key => key.startsWith(KEY_PREFIX) && key.endsWith(':index'))
+      .map(key => key.slice(KEY_PREFIX.length, -':index'.length));
+  }
+
+  // Get point and chunk counts for a journey's buffer
+  async getStats(journeyId) {
+    const index = await this.getIndex(journeyId);
+    if (!index || index.chunkCount === 0) {
+      return { chunkCount: 0, pointCount: 0 };
+    }
+
+    const tail = await this.readChunk(journeyId, index.chunkCount - 1);
+    const chunkSize = index.chunkSize || this.chunkSize;
+    return {
+      chunkCount: index.chunkCount,
+      pointCount: (index.chunkCount - 1) * chunkSize + tail.length
+    };
+  }
+}
+
+export default new LocationBufferService();
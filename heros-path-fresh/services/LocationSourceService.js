@@ -0,0 +1,213 @@
+/*
+ * LOCATION SOURCE SERVICE
+ * =======================
+ *
+ * PURPOSE:
+ * This service decides where location fixes come from. Normally that is the device GPS
+ * (expo-location feeding the background task); for development it can be a replay of a
+ * GPX/GeoJSON file or a saved journey. BackgroundLocationService talks to whichever
+ * source is active through one small contract, so everything downstream of a fix
+ * behaves the same for real and simulated walks.
+ *
+ * FUNCTIONALITY:
+ * - Provides DeviceLocationSource, the expo-location implementation of the contract
+ * - Switches between device GPS and replay sources
+ * - Loads replays from GPX/GeoJSON text, a picked file, or a saved journey
+ * - Changes replay speed and reports replay progress for the developer UI
+ * - Notifies listeners when the active source changes
+ *
+ * WHY IT EXISTS:
+ * Tracking, auto-pause, pings and discovery consolidation could only be tested by
+ * walking outside. A pluggable source lets the same code paths run from a recorded
+ * route on a desk, in a simulator, or in a headless test.
+ *
+ * RELATIONSHIPS:
+ * - BackgroundLocationService.js reads the active source when a journey starts
+ * - SettingsScreen.js (developer tools) selects replays and playback speed
+ * - ReplayLocationSource.js implements the replay side of the contract
+ *
+ * REFERENCES:
+ * - expo-location (device GPS)
+ * - expo-document-picker and expo-file-system (for loading route files)
+ * - RouteFileParser.js (GPX/GeoJSON parsing)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Every location fix passes through the active source. The device source must
+ * stay the default; replays are a developer tool only and are never persisted.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Add a bundled library of sample routes for quick testing
+ * 2. Add scripted scenarios - GPS dropouts, tunnels and teleports on demand
+ * 3. Add recording of raw device fixes for later replay
+ */
+
+import * as Location from 'expo-location';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import Logger from '../utils/Logger';
+import ReplayLocationSource from '../utils/ReplayLocationSource';
+import { parseRouteFile, journeyToRoutePoints } from '../utils/RouteFileParser';
+
+// Name of the TaskManager task that receives location updates from the OS
+export const BACKGROUND_LOCATION_TASK = 'heros-path-background-location';
+
+export const LOCATION_SOURCE_TYPES = {
+  DEVICE: 'device',
+  REPLAY: 'replay'
+};
+
+// Device GPS - fixes are delivered by the OS to the background task, not to onLocations
+export class DeviceLocationSource {
+  constructor(taskName = BACKGROUND_LOCATION_TASK) {
+    this.type = LOCATION_SOURCE_TYPES.DEVICE;
+    this.name = 'Device GPS';
+    this.needsWarmup = true;
+    this.taskName = taskName;
+  }
+
+  async requestPermissions() {
+    const foregroundStatus = await Location.requestForegroundPermissionsAsync();
+    const backgroundStatus = await Location.requestBackgroundPermissionsAsync();
+    return { foreground: foregroundStatus.status, background: backgroundStatus.status };
+  }
+
+  async getPermissions() {
+    const foregroundStatus = await Location.getForegroundPermissionsAsync();
+    const backgroundStatus = await Location.getBackgroundPermissionsAsync();
+    return {
+      foreground: foregroundStatus.status === 'granted',
+      background: backgroundStatus.status === 'granted'
+    };
+  }
+
+  // Starting an already running task replaces its options
+  async start(options) {
+    await Location.startLocationUpdatesAsync(this.taskName, options);
+  }
+
+  async stop() {
+    const hasStarted = await Location.hasStartedLocationUpdatesAsync(this.taskName);
+    if (hasStarted) {
+      await Location.stopLocationUpdatesAsync(this.taskName);
+    }
+  }
+
+  async isRunning() {
+    return Location.hasStartedLocationUpdatesAsync(this.taskName);
+  }
+
+  reset() {}
+
+  watchPosition(options, callback) {
+    return Location.watchPositionAsync(options, callback);
+  }
+
+  async getCurrentPosition(options) {
+    return Location.getCurrentPositionAsync(options);
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  getInfo() {
+    return { type: this.type, name: this.name };
+  }
+}
+
+class LocationSourceService {
+  constructor() {
+    this.deviceSource = new DeviceLocationSource();
+    this.activeSource = this.deviceSource;
+    this.listeners = new Set();
+  }
+
+  // Get the source new journeys should record from
+  getActiveSource() {
+    return this.activeSource;
+  }
+
+  isSimulating() {
+    return this.activeSource.type !== LOCATION_SOURCE_TYPES.DEVICE;
+  }
+
+  // Use any object implementing the location source contract (e.g. from a headless test)
+  // A journey already recording keeps the source it started with
+  setActiveSource(source) {
+    this.activeSource = source || this.deviceSource;
+
+    Logger.info('LocationSourceService: Active location source changed', this.activeSource.getInfo());
+    this.listeners.forEach(listener => listener(this.getSourceInfo()));
+    return { success: true, source: this.getSourceInfo() };
+  }
+
+  // Go back to real GPS
+  useDeviceSource() {
+    return this.setActiveSource(this.deviceSource);
+  }
+
+  /**
+   * Replay a list of route points
+   * @param {Array} points - Route points { latitude, longitude, altitude?, timestamp? }
+   * @param {Object} options - ReplayLocationSource options (name, speed, accuracy, jitter, realtime)
+   * @returns {Object} { success, source }
+   */
+  useReplaySource(points, options = {}) {
+    const source = new ReplayLocationSource(points, options);
+    return this.setActiveSource(source);
+  }
+
+  // Replay a GPX or GeoJSON document
+  loadReplayFile(text, options = {}) {
+    const { format, points } = parseRouteFile(text);
+    Logger.debug('LocationSourceService: Parsed replay file', { format, points: points.length });
+    return this.useReplaySource(points, { name: `${format.toUpperCase()} replay`, ...options });
+  }
+
+  // Replay a saved journey's route
+  loadReplayJourney(journey, options = {}) {
+    const points = journeyToRoutePoints(journey);
+    return this.useReplaySource(points, { name: journey.name || 'Journey replay', ...options });
+  }
+
+  // Let the developer pick a GPX/GeoJSON file and replay it
+  async pickReplayFile(options = {}) {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/gpx+xml', 'application/geo+json', 'application/json', 'application/xml', 'text/xml', '*/*'],
+        copyToCacheDirectory: true
+      });
+      if (result.canceled || !result.assets?.length) {
+        return { success: false, canceled: true };
+      }
+
+      const asset = result.assets[0];
+      const text = await FileSystem.readAsStringAsync(asset.uri);
+      return this.loadReplayFile(text, { name: asset.name, ...options });
+    } catch (error) {
+      Logger.error('LocationSourceService: Failed to load replay file', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Change replay playback speed (no-op for device GPS)
+  setReplaySpeed(speed) {
+    if (typeof this.activeSource.setSpeed === 'function') {
+      this.activeSource.setSpeed(speed);
+      this.listeners.forEach(listener => listener(this.getSourceInfo()));
+    }
+  }
+
+  getSourceInfo() {
+    return this.activeSource.getInfo();
+  }
+
+  // Subscribe to source changes - returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export default new LocationSourceService();
@@ -96,16 +96,17 @@ import {
   setDoc, 
   getDoc, 
   updateDoc, 
+  deleteDoc,
   collection,
   query,
   where,
   getDocs,
-  serverTimestamp,
-  writeBatch
+  serverTimestamp
 } from 'firebase/firestore';
 import { db } from '../firebase';
 import { searchNearbyPlaces } from './NewPlacesService';
 import { getUserDiscoveryPreferences, getMinRatingPreference } from './DiscoveriesService';
+import DeletionService from './DeletionService';
 import Logger from '../utils/Logger';
 
 class PingService {
@@ -355,6 +356,11 @@ class PingService {
       };
       
       await setDoc(pingResultsRef, pingData);
+      // Parent doc lets account deletion find pings of walks that were never saved
+      await setDoc(doc(db, 'journeys', userId, 'pingResults', journeyId), {
+        journeyId,
+        updatedAt: serverTimestamp()
+      }, { merge: true });
       
       Logger.info('PING_SERVICE', 'Stored ping results', { 
         userId, 
@@ -372,6 +378,7 @@ class PingService {
 
   /**
    * Get all ping results for a journey
+   * Throws on failure so consolidation never archives pings it could not read
    * @param {string} userId - User ID
    * @param {string} journeyId - Journey ID
    * @returns {Promise<Array>} Array of ping results
@@ -390,7 +397,7 @@ class PingService {
       return pingResults;
     } catch (error) {
       Logger.error('PING_SERVICE', 'Failed to get ping results for journey', error);
-      return [];
+      throw error;
     }
   }
 
@@ -493,6 +500,7 @@ class PingService {
 
   /**
    * Archive ping results after journey completion
+   * Throws on failure so the discovery job retries the archive step
    * @param {string} userId - User ID
    * @param {string} journeyId - Journey ID
    */
@@ -501,19 +509,13 @@ class PingService {
       // For now, we'll just delete ping results to keep the database clean
       // In the future, we could move them to an archive collection
       const pingResultsRef = collection(db, 'journeys', userId, 'pingResults', journeyId, 'pings');
-      const q = query(pingResultsRef);
-      const querySnapshot = await getDocs(q);
+      const { deleted } = await DeletionService.drainQuery(pingResultsRef);
+      await deleteDoc(doc(db, 'journeys', userId, 'pingResults', journeyId));
       
-      const batch = writeBatch(db);
-      querySnapshot.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
-      
-      await batch.commit();
-      
-      Logger.info('PING_SERVICE', 'Archived ping results', { userId, journeyId, count: querySnapshot.size });
+      Logger.info('PING_SERVICE', 'Archived ping results', { userId, journeyId, count: deleted });
     } catch (error) {
       Logger.error('PING_SERVICE', 'Failed to archive ping results', error);
+      throw error;
     }
   }
 
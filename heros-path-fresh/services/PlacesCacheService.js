@@ -0,0 +1,276 @@
+/*
+ * PLACES CACHE SERVICE (TILE-KEYED PLACE SEARCH CACHE)
+ * ====================================================
+ *
+ * PURPOSE:
+ * Keeps the results of place searches on the device so repeat searches in the same
+ * area don't call the Places API again. Nearby searches are keyed by the geohash tile of
+ * the search centre plus type, language and filters; Search Along Route is keyed by the
+ * set of tiles the route covers. Walking the same loop every day costs one round of
+ * API calls, not one per walk.
+ *
+ * FUNCTIONALITY:
+ * - Looks up a search before it is sent and stores the result afterwards
+ * - Expires entries after a configurable TTL and drops the least recently used entries
+ *   beyond the size limit
+ * - Skips time-sensitive searches (open now) and doesn't store empty results, which can
+ *   also mean the API call failed
+ * - Counts hits, misses and stores so the developer tools can show the savings
+ * - Clears everything on request
+ *
+ * WHY IT EXISTS:
+ * Every ping called the Places API once per enabled type, and every SAR or fallback
+ * re-queried even for a route walked the day before. Most of those answers don't change
+ * from one day to the next.
+ *
+ * STORAGE (AsyncStorage):
+ * - @places_cache_index: { [key]: { expiresAt, lastUsed } }
+ * - @places_cache_entry:{key}: cached places
+ * - @places_cache_stats: { hits, misses, stores, evictions, since }
+ * - @places_cache_config: overrides of PLACES_CACHE_DEFAULTS
+ *
+ * RELATIONSHIPS:
+ * - NewPlacesService.js caches nearby searches (pings and the center-point fallback)
+ * - DiscoveriesService.js caches Search Along Route
+ * - SettingsScreen.js (developer tools) shows statistics, changes the TTL and clears it
+ * - Geohash.js builds the tile keys
+ *
+ * REFERENCES:
+ * - AsyncStorage (for cached results and statistics)
+ * - Logger utility (for debugging)
+ *
+ * IMPORTANCE TO APP:
+ * MEDIUM - Cuts Places API cost and makes repeat pings instant. A miss only means the
+ * search goes to the API as before.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Reuse results from neighbouring tiles when the search radius covers them
+ * 2. Cache place details and photos
+ * 3. Share tiles between users through Firestore
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { encodeGeohash, getRouteGeohashes } from '../utils/Geohash';
+import Logger from '../utils/Logger';
+
+const INDEX_KEY = '@places_cache_index';
+const ENTRY_KEY_PREFIX = '@places_cache_entry:';
+const STATS_KEY = '@places_cache_stats';
+const CONFIG_KEY = '@places_cache_config';
+
+export const PLACES_CACHE_DEFAULTS = {
+  TTL_MS: 24 * 60 * 60 * 1000,   // How long a cached search stays fresh
+  MAX_ENTRIES: 500,              // Least recently used entries are dropped beyond this
+  NEARBY_PRECISION: 7,           // Geohash tile for nearby searches (~150 m)
+  ROUTE_PRECISION: 7,            // Geohash tile for the tiles a route covers
+  ENABLED: true
+};
+
+const EMPTY_STATS = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+// Short, stable hash for long keys (the tiles of a long route)
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+class PlacesCacheService {
+  constructor() {
+    this.config = { ...PLACES_CACHE_DEFAULTS };
+    this.index = null;
+    this.stats = null;
+    this.loading = null;
+  }
+
+  // Read the index, statistics and config once per session
+  async load() {
+    if (this.index) {
+      return;
+    }
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const [[, index], [, stats], [, config]] = await AsyncStorage.multiGet([INDEX_KEY, STATS_KEY, CONFIG_KEY]);
+          this.index = index ? JSON.parse(index) : {};
+          this.stats = stats ? JSON.parse(stats) : { ...EMPTY_STATS, since: Date.now() };
+          this.config = { ...PLACES_CACHE_DEFAULTS, ...(config ? JSON.parse(config) : {}) };
+        } catch (error) {
+          Logger.warn('PLACES_CACHE', 'Failed to read places cache - starting empty', { error: error.message });
+          this.index = {};
+          this.stats = { ...EMPTY_STATS, since: Date.now() };
+        } finally {
+          this.loading = null;
+        }
+      })();
+    }
+    await this.loading;
+  }
+
+  async persistIndex() {
+    await AsyncStorage.multiSet([
+      [INDEX_KEY, JSON.stringify(this.index)],
+      [STATS_KEY, JSON.stringify(this.stats)]
+    ]);
+  }
+
+  /**
+   * Key for a nearby search
+   * @param {Object} search - { provider, latitude, longitude, radius, type, language, maxResults, minRating, maxPrice }
+   * @returns {string} Cache key
+   */
+  getNearbyKey({ provider, latitude, longitude, radius, type, language = 'en', maxResults = 1, minRating = 0, maxPrice = 4 }) {
+    const tile = encodeGeohash(Number(latitude), Number(longitude), this.config.NEARBY_PRECISION);
+    return ['nearby', provider, tile, type, language, `r${radius}`, `n${maxResults}`, `min${minRating}`, `max${maxPrice}`].join('|');
+  }
+
+  /**
+   * Key for a Search Along Route
+   * @param {Object} search - { provider, route, textQuery, language, maxResults }
+   * @returns {string} Cache key
+   */
+  getRouteKey({ provider, route, textQuery, language = 'en', maxResults = 20 }) {
+    const tiles = getRouteGeohashes(route, this.config.ROUTE_PRECISION);
+    return ['route', provider, `${tiles.length}t`, hashString(tiles.join(',')), hashString(textQuery || ''), language, `n${maxResults}`].join('|');
+  }
+
+  // Cached places for a key, or null on a miss or expired entry
+  async get(key) {
+    if (!this.config.ENABLED) {
+      return null;
+    }
+    await this.load();
+
+    const meta = this.index[key];
+    if (!meta || meta.expiresAt <= Date.now()) {
+      this.stats.misses += 1;
+      if (meta) {
+        await this.remove(key);
+      }
+      return null;
+    }
+
+    try {
+      const stored = await AsyncStorage.getItem(ENTRY_KEY_PREFIX + key);
+      if (!stored) {
+        delete this.index[key];
+        this.stats.misses += 1;
+        return null;
+      }
+      meta.lastUsed = Date.now();
+      this.stats.hits += 1;
+      return JSON.parse(stored);
+    } catch (error) {
+      Logger.warn('PLACES_CACHE', 'Failed to read cached places', { key, error: error.message });
+      this.stats.misses += 1;
+      return null;
+    }
+  }
+
+  // Store places for a key; empty results are not stored
+  async set(key, places) {
+    if (!this.config.ENABLED || !places || places.length === 0) {
+      return;
+    }
+    await this.load();
+
+    try {
+      const now = Date.now();
+      await AsyncStorage.setItem(ENTRY_KEY_PREFIX + key, JSON.stringify(places));
+      this.index[key] = { expiresAt: now + this.config.TTL_MS, lastUsed: now };
+      this.stats.stores += 1;
+      await this.evict();
+      await this.persistIndex();
+    } catch (error) {
+      // A failed store only costs a future API call
+      Logger.warn('PLACES_CACHE', 'Failed to store places', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Return cached places for a key, or fetch, store and return them
+   * @param {string} key - From getNearbyKey or getRouteKey
+   * @param {Function} fetchPlaces - Async function that calls the provider
+   * @returns {Promise<Array>} Places
+   */
+  async getOrFetch(key, fetchPlaces) {
+    const cached = await this.get(key);
+    if (cached) {
+      Logger.debug('PLACES_CACHE', 'Cache hit', { key, count: cached.length });
+      return cached;
+    }
+
+    const places = await fetchPlaces();
+    await this.set(key, places);
+    return places;
+  }
+
+  async remove(key) {
+    delete this.index[key];
+    await AsyncStorage.removeItem(ENTRY_KEY_PREFIX + key);
+  }
+
+  // Drop expired entries, then the least recently used ones beyond MAX_ENTRIES
+  async evict() {
+    const now = Date.now();
+    const keys = Object.keys(this.index);
+    const expired = keys.filter(key => this.index[key].expiresAt <= now);
+    const live = keys
+      .filter(key => this.index[key].expiresAt > now)
+      .sort((a, b) => this.index[b].lastUsed - this.index[a].lastUsed);
+    const dropped = [...expired, ...live.slice(this.config.MAX_ENTRIES)];
+
+    if (dropped.length > 0) {
+      dropped.forEach(key => delete this.index[key]);
+      await AsyncStorage.multiRemove(dropped.map(key => ENTRY_KEY_PREFIX + key));
+      this.stats.evictions += dropped.length;
+    }
+  }
+
+  /**
+   * Hit statistics for the developer tools
+   * @returns {Promise<Object>} { hits, misses, stores, evictions, since, entries, hitRate, config }
+   */
+  async getStats() {
+    await this.load();
+    const lookups = this.stats.hits + this.stats.misses;
+    // Hits and misses are only saved with the next store - save them now so they survive a restart
+    await this.persistIndex();
+    return {
+      ...this.stats,
+      entries: Object.keys(this.index).length,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      config: { ...this.config }
+    };
+  }
+
+  // Change TTL_MS, MAX_ENTRIES, precisions or ENABLED; saved across restarts
+  async setConfig(changes) {
+    await this.load();
+    this.config = { ...this.config, ...changes };
+    await AsyncStorage.setItem(CONFIG_KEY, JSON.stringify(this.config));
+    await this.evict();
+    await this.persistIndex();
+    return { success: true, config: { ...this.config } };
+  }
+
+  // Delete every cached search and reset the statistics
+  async clear() {
+    try {
+      await this.load();
+      const keys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(ENTRY_KEY_PREFIX));
+      await AsyncStorage.multiRemove([...keys, INDEX_KEY, STATS_KEY]);
+      this.index = {};
+      this.stats = { ...EMPTY_STATS, since: Date.now() };
+      Logger.info('PLACES_CACHE', 'Places cache cleared', { entries: keys.length });
+      return { success: true, cleared: keys.length };
+    } catch (error) {
+      console.error('Error clearing places cache:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new PlacesCacheService();
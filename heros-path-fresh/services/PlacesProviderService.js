@@ -0,0 +1,138 @@
+/*
+ * PLACES PROVIDER SERVICE
+ * =======================
+ *
+ * PURPOSE:
+ * This service decides where place data comes from. Normally that is Google Places (the
+ * New API, falling back to Legacy); for development and tests it can be a local fixture
+ * file. NewPlacesService, DiscoveriesService and EnhancedPlacesService talk to whichever
+ * provider is active through one contract, so pings, Search Along Route and
+ * consolidation behave the same with live and offline data.
+ *
+ * PLACES PROVIDER CONTRACT:
+ * - type, name, isConfigured(), getInfo()
+ * - searchNearby(latitude, longitude, radius, type, { maxResults, language, minRating,
+ *   maxPrice, openNow }) → places
+ * - searchAlongRoute(routeCoords, { textQuery, types, language, maxResults }) → places
+ *   (throws when the provider can't search along a route)
+ * - getPlaceDetails(placeId, language) → place with detail fields, or null
+ * - getPlaceSummaries(placeId, language) → { generativeSummary, editorialSummary, topReview } or null
+ * - getPhotoUrl(photoReference, maxWidth) → URL or null
+ * Every place is in the normalized shape from PlaceModel.js.
+ *
+ * FUNCTIONALITY:
+ * - Picks the starting provider from the PLACES_PROVIDER setting ('google',
+ *   'google_legacy' or 'fixture')
+ * - Switches providers at runtime (developer tools in SettingsScreen.js)
+ * - Accepts any object implementing the contract, e.g. from a headless test
+ * - Notifies listeners when the active provider changes
+ *
+ * WHY IT EXISTS:
+ * Discovery could only be exercised with network access, an API key and a Google bill.
+ * A pluggable provider lets the whole discovery pipeline run offline against known places.
+ *
+ * RELATIONSHIPS:
+ * - GooglePlacesProviders.js and FixturePlacesProvider.js implement the contract
+ * - NewPlacesService.js, DiscoveriesService.js and EnhancedPlacesService.js call the active provider
+ * - SettingsScreen.js (developer tools) switches providers
+ *
+ * REFERENCES:
+ * - Configuration (PLACES_PROVIDER)
+ * - assets/fixtures/places.json (the bundled sample fixture)
+ * - Logger utility (for debugging)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Every place the app shows comes through the active provider. Google must stay
+ * the default for real builds; the fixture provider is a developer tool.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Load fixture files picked on the device, like replay routes
+ * 2. Add a recording provider that saves live Google results as a fixture
+ * 3. Add other live providers (e.g. OpenStreetMap) behind the same contract
+ */
+
+import { PLACES_PROVIDER } from '../config';
+import { GoogleNewPlacesProvider, GoogleLegacyPlacesProvider } from './GooglePlacesProviders';
+import FixturePlacesProvider from '../utils/FixturePlacesProvider';
+import Logger from '../utils/Logger';
+
+export const PLACES_PROVIDER_TYPES = {
+  GOOGLE: 'google',
+  GOOGLE_LEGACY: 'google_legacy',
+  FIXTURE: 'fixture'
+};
+
+class PlacesProviderService {
+  constructor() {
+    this.legacyProvider = new GoogleLegacyPlacesProvider();
+    this.googleProvider = new GoogleNewPlacesProvider({ fallback: this.legacyProvider });
+    this.fixtureProvider = null;
+    this.listeners = new Set();
+
+    switch (PLACES_PROVIDER) {
+      case PLACES_PROVIDER_TYPES.FIXTURE:
+        this.activeProvider = this.getFixtureProvider();
+        break;
+      case PLACES_PROVIDER_TYPES.GOOGLE_LEGACY:
+        this.activeProvider = this.legacyProvider;
+        break;
+      default:
+        this.activeProvider = this.googleProvider;
+    }
+  }
+
+  // The bundled sample fixture, loaded the first time it's needed
+  getFixtureProvider() {
+    if (!this.fixtureProvider) {
+      this.fixtureProvider = new FixturePlacesProvider(require('../assets/fixtures/places.json'), {
+        name: 'Sample places (San Francisco)'
+      });
+    }
+    return this.fixtureProvider;
+  }
+
+  getActiveProvider() {
+    return this.activeProvider;
+  }
+
+  isOffline() {
+    return this.activeProvider.type === PLACES_PROVIDER_TYPES.FIXTURE;
+  }
+
+  // Use any object implementing the places provider contract (e.g. from a headless test)
+  setActiveProvider(provider) {
+    this.activeProvider = provider || this.googleProvider;
+
+    Logger.info('PlacesProviderService: Active places provider changed', this.activeProvider.getInfo());
+    this.listeners.forEach(listener => listener(this.getProviderInfo()));
+    return { success: true, provider: this.getProviderInfo() };
+  }
+
+  // Go back to Google Places
+  useGoogleProvider() {
+    return this.setActiveProvider(this.googleProvider);
+  }
+
+  /**
+   * Answer place lookups from a fixture instead of Google
+   * @param {Object|Array} data - GeoJSON FeatureCollection or array of places; the bundled sample when omitted
+   * @param {Object} options - FixturePlacesProvider options (name, routeCorridor)
+   * @returns {Object} { success, provider }
+   */
+  useFixtureProvider(data = null, options = {}) {
+    const provider = data ? new FixturePlacesProvider(data, options) : this.getFixtureProvider();
+    return this.setActiveProvider(provider);
+  }
+
+  getProviderInfo() {
+    return this.activeProvider.getInfo();
+  }
+
+  // Subscribe to provider changes - returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export default new PlacesProviderService();
@@ -0,0 +1,127 @@
+/*
+ * PRIVACY ZONE SERVICE
+ * ====================
+ *
+ * PURPOSE:
+ * Manages the user's privacy zones (e.g. home and work) and applies them to journey
+ * routes. Zones live on the user profile (users/{uid}.privacy) so they follow the user
+ * across devices. Every stored, shared or exported route goes through this service.
+ *
+ * FUNCTIONALITY:
+ * - Loads and saves privacy settings: zones, trim/obfuscate mode, keep-original flag
+ * - Adds and removes individual zones
+ * - Produces the privacy-filtered version of a journey for storage, sharing or export
+ * - Reports whether the untouched route should be kept for the owner
+ *
+ * WHY IT EXISTS:
+ * Without zones every saved route starts and ends at the user's front door. Applying
+ * zones in one place means new share/export paths can't forget to do it.
+ *
+ * RELATIONSHIPS:
+ * - JourneyService.js filters routes in createJourney and keeps originals owner-only
+ * - SettingsScreen.js manages zones
+ * - Share/export code should call prepareJourneyForSharing before a route leaves the app
+ *
+ * REFERENCES:
+ * - UserProfileService.js (zones are stored on the user profile)
+ * - PrivacyZones.js (zone geometry)
+ * - Logger utility (for debugging and error tracking)
+ *
+ * IMPORTANCE TO APP:
+ * HIGH - Zones protect the user's home and work addresses whenever a route is shown
+ * to anyone other than its owner.
+ *
+ * IMPROVEMENT SUGGESTIONS:
+ * 1. Let users place zones by long-pressing the map instead of standing in them
+ * 2. Offer to re-apply changed zones to journeys saved earlier
+ */
+
+import UserProfileService from './UserProfileService';
+import Logger from '../utils/Logger';
+import {
+  DEFAULT_PRIVACY_SETTINGS,
+  normalizePrivacyZone,
+  normalizePrivacySettings,
+  applyPrivacyZones
+} from '../utils/PrivacyZones';
+
+class PrivacyZoneService {
+  // Get the user's privacy settings (defaults when none are stored)
+  async getSettings(userId) {
+    if (!userId) {
+      return { ...DEFAULT_PRIVACY_SETTINGS };
+    }
+
+    try {
+      const result = await UserProfileService.getUserProfile(userId);
+      return normalizePrivacySettings(result.profile?.privacy);
+    } catch (error) {
+      Logger.error('PrivacyZoneService: Failed to load privacy settings', error);
+      throw error;
+    }
+  }
+
+  // Save privacy settings - only the given fields change
+  async saveSettings(userId, updates) {
+    const current = await this.getSettings(userId);
+    const settings = normalizePrivacySettings({ ...current, ...updates });
+    await UserProfileService.updateProfile(userId, { privacy: settings });
+    return { success: true, settings };
+  }
+
+  /**
+   * Add a privacy zone
+   * @param {string} userId - User ID
+   * @param {Object} zone - { name, latitude, longitude, radius }
+   * @returns {Promise<Object>} { success, zone, settings }
+   */
+  async addZone(userId, zone) {
+    const normalized = normalizePrivacyZone(zone);
+    const current = await this.getSettings(userId);
+    const result = await this.saveSettings(userId, { zones: [...current.zones, normalized] });
+    Logger.info('PrivacyZoneService: Added privacy zone', { id: normalized.id, radius: normalized.radius });
+    return { ...result, zone: normalized };
+  }
+
+  // Remove a privacy zone by ID
+  async removeZone(userId, zoneId) {
+    const current = await this.getSettings(userId);
+    return this.saveSettings(userId, { zones: current.zones.filter(zone => zone.id !== zoneId) });
+  }
+
+  /**
+   * Privacy-filter a journey's route
+   * @param {Object} journey - Journey data with a `route`
+   * @param {Object} settings - Privacy settings from getSettings
+   * @returns {Object} { journey, originalRoute, hiddenCount } - originalRoute is null when nothing
+   *   was hidden or the user chose not to keep originals
+   */
+  applyToJourney(journey, settings) {
+    const privacy = normalizePrivacySettings(settings);
+    const originalRoute = journey.route || [];
+    const { route, hiddenCount } = applyPrivacyZones(originalRoute, privacy);
+
+    if (hiddenCount === 0) {
+      return { journey, originalRoute: null, hiddenCount };
+    }
+
+    return {
+      journey: {
+        ...journey,
+        route,
+        privacyMode: privacy.mode,
+        privacyHiddenPoints: hiddenCount
+      },
+      originalRoute: privacy.keepOriginalRoute ? originalRoute : null,
+      hiddenCount
+    };
+  }
+
+  // Privacy-filtered copy of a journey for anything leaving the owner's device (share, export)
+  async prepareJourneyForSharing(userId, journey) {
+    const settings = await this.getSettings(userId);
+    return this.applyToJourney(journey, settings).journey;
+  }
+}
+
+export default new PrivacyZoneService();
@@ -0,0 +1,146 @@
+/*
+ * DISCOVERY RANKING
+ * =================
+ *
+ * PURPOSE:
+ * Scores discovered places from 0 to 100 so the best ones come first, and keeps the
+ * points each signal contributed so the app can say why a place was suggested.
+ *
+ * SIGNALS (each 0-1, multiplied by its weight in RANKING_WEIGHTS):
+ * - rating: 1★ → 0, 5★ → 1; unrated places get half
+ * - reviews: log scale, 1000+ reviews → 1, so a 5★ place with 3 reviews doesn't win
+ * - proximity: on the walked route → 1, PROXIMITY_RANGE_M or further away → 0
+ * - novelty: 1 when the user has never had the place as a discovery before, half when unknown
+ * - agreement: 1 when both Search Along Route and a ping found the place
+ * - preference: the place's primary type enabled in the user's preferences → 1, only one of
+ *   its other types enabled → 0.6, none of its types enabled → 0; half when the user has
+ *   no types enabled at all
+ *
+ * RELATIONSHIPS:
+ * - DiscoveryConsolidationService.js ranks consolidated places before they are saved
+ * - DiscoveriesService.js ranks route suggestions on the legacy path
+ * - DiscoveriesScreen.js sorts by score and shows explainScore as "Why suggested"
+ *
+ * REFERENCES:
+ * - PlaceModel.js (distance from a place to the route)
+ */
+
+import { distanceToRoute } from './PlaceModel';
+
+export const RANKING_WEIGHTS = {
+  rating: 0.25,
+  reviews: 0.15,
+  proximity: 0.2,
+  novelty: 0.15,
+  agreement: 0.1,
+  preference: 0.15
+};
+
+const PROXIMITY_RANGE_M = 300;   // Places this far from the route get no proximity points
+const ON_ROUTE_M = 25;           // Close enough to call "on your route"
+const REVIEWS_FOR_FULL_SCORE = 1000;
+const NEUTRAL = 0.5;             // Signal value when the data isn't there
+const REASON_THRESHOLD = 0.6;    // A signal must reach this share of its weight to be a reason
+const MAX_REASONS = 3;
+
+const clamp = value => Math.max(0, Math.min(1, value));
+
+function getCoordinates(place) {
+  const latitude = place.latitude ?? place.location?.lat;
+  const longitude = place.longitude ?? place.location?.lng;
+  return typeof latitude === 'number' && typeof longitude === 'number' ? { latitude, longitude } : null;
+}
+
+function preferenceSignal(place, preferences) {
+  const enabled = Object.keys(preferences || {}).filter(type => preferences[type] === true);
+  if (enabled.length === 0) {
+    return NEUTRAL;
+  }
+  const primaryType = place.primaryType || place.category || place.types?.[0];
+  if (enabled.includes(primaryType)) {
+    return 1;
+  }
+  return (place.types || []).some(type => enabled.includes(type)) ? 0.6 : 0;
+}
+
+/**
+ * Score one place
+ * @param {Object} place - Normalized or consolidated place
+ * @param {Object} context - { route, seenPlaceIds: Set of placeIds from earlier discoveries, preferences }
+ * @returns {Object} { score, scoreBreakdown: points per signal, distanceFromRoute: metres or null }
+ */
+export function scorePlace(place, { route = null, seenPlaceIds = null, preferences = null } = {}) {
+  const coordinates = getCoordinates(place);
+  const distance = coordinates && route && route.length > 0 ? distanceToRoute(coordinates, route) : null;
+  const sources = place.allSources || [place.source];
+
+  const signals = {
+    rating: place.rating ? clamp((place.rating - 1) / 4) : NEUTRAL,
+    reviews: clamp(Math.log10(1 + (place.userRatingsTotal || 0)) / Math.log10(1 + REVIEWS_FOR_FULL_SCORE)),
+    proximity: distance === null ? NEUTRAL : clamp(1 - distance / PROXIMITY_RANGE_M),
+    novelty: seenPlaceIds ? (seenPlaceIds.has(place.placeId) ? 0 : 1) : NEUTRAL,
+    agreement: sources.includes('sar') && sources.includes('ping') ? 1 : 0,
+    preference: preferenceSignal(place, preferences)
+  };
+
+  const scoreBreakdown = {};
+  let score = 0;
+  Object.keys(RANKING_WEIGHTS).forEach(signal => {
+    const points = Math.round(signals[signal] * RANKING_WEIGHTS[signal] * 1000) / 10;
+    scoreBreakdown[signal] = points;
+    score += points;
+  });
+
+  return {
+    score: Math.round(score * 10) / 10,
+    scoreBreakdown,
+    distanceFromRoute: distance === null ? null : Math.round(distance)
+  };
+}
+
+/**
+ * Score places and sort them best first
+ * @param {Array} places - Places to rank
+ * @param {Object} context - See scorePlace
+ * @returns {Array} Copies of the places with score, scoreBreakdown and distanceFromRoute, best first
+ */
+export function rankPlaces(places, context = {}) {
+  return (places || [])
+    .map(place => ({ ...place, ...scorePlace(place, context) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Best first; places saved before ranking existed keep their order after the scored ones
+export function sortByScore(places) {
+  return [...(places || [])].sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+}
+
+/**
+ * Short reasons a place was suggested, strongest first
+ * @param {Object} place - Ranked place or discovery with scoreBreakdown
+ * @returns {Array<string>} Up to MAX_REASONS reasons; empty for unranked places
+ */
+export function explainScore(place) {
+  const breakdown = place?.scoreBreakdown;
+  if (!breakdown) {
+    return [];
+  }
+
+  const describe = {
+    rating: () => place.rating ? `Rated ${place.rating.toFixed(1)}★` : null,
+    reviews: () => `${place.userRatingsTotal} reviews`,
+    proximity: () => place.distanceFromRoute === null || place.distanceFromRoute === undefined
+      ? null
+      : place.distanceFromRoute <= ON_ROUTE_M ? 'Right on your route' : `${place.distanceFromRoute} m from your route`,
+    novelty: () => 'New to you',
+    agreement: () => 'Found by route search and pings',
+    preference: () => 'Matches your interests'
+  };
+
+  return Object.keys(RANKING_WEIGHTS)
+    .filter(signal => (breakdown[signal] || 0) >= RANKING_WEIGHTS[signal] * 100 * REASON_THRESHOLD)
+    .sort((a, b) => breakdown[b] - breakdown[a])
+    .map(signal => describe[signal]())
+    .filter(Boolean)
+    .slice(0, MAX_REASONS);
+}
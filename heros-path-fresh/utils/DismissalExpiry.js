@@ -0,0 +1,58 @@
+/*
+ * DISMISSAL EXPIRY
+ * ================
+ *
+ * PURPOSE:
+ * Decides whether a dismissed place is still hidden. "Forever" dismissals never lapse;
+ * temporary ones carry an expiresAt and the place comes back once it has passed.
+ * Dismissals saved before expiresAt existed lapse DISMISSAL_DURATION_MS after dismissedAt.
+ *
+ * RELATIONSHIPS:
+ * - DiscoveryService.js sets expiresAt when dismissing and cleans up lapsed dismissals
+ * - DiscoveriesService.js and DiscoveryConsolidationService.js ignore lapsed dismissals
+ * - DiscoveriesScreen.js shows when a dismissed place comes back
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+export const DISMISSAL_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // "Hide for 30 days"
+
+// Milliseconds from a Firestore Timestamp, Date, ISO string or number; null when missing
+export function toMillis(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  if (typeof value.seconds === 'number') {
+    return value.seconds * 1000;
+  }
+  const millis = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+}
+
+/**
+ * When a dismissal lapses
+ * @param {Object} dismissal - Dismissed place doc
+ * @returns {number|null} Milliseconds since epoch, or null for a dismissal that never lapses
+ */
+export function getDismissalExpiry(dismissal) {
+  if (!dismissal || dismissal.dismissedForever) {
+    return null;
+  }
+  const expiresAt = toMillis(dismissal.expiresAt);
+  if (expiresAt !== null) {
+    return expiresAt;
+  }
+  const dismissedAt = toMillis(dismissal.dismissedAt);
+  // A write still waiting for its server timestamp has just happened
+  return dismissedAt === null ? null : dismissedAt + DISMISSAL_DURATION_MS;
+}
+
+// True while the place should stay hidden
+export function isDismissalActive(dismissal, now = Date.now()) {
+  const expiresAt = getDismissalExpiry(dismissal);
+  return expiresAt === null || expiresAt > now;
+}
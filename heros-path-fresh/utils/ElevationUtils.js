@@ -0,0 +1,147 @@
+/*
+ * ELEVATION UTILITIES
+ * ===================
+ *
+ * PURPOSE:
+ * Turns the altitude readings recorded on route points into numbers that describe how
+ * hilly a walk was: total ascent, total descent, lowest/highest point and a compact
+ * elevation profile for charts.
+ *
+ * FUNCTIONALITY:
+ * - Drops readings without altitude or with poor altitudeAccuracy
+ * - Smooths altitude with a centred moving average
+ * - Counts climbs and descents only once they exceed a threshold (hysteresis), so GPS
+ *   altitude jitter on flat ground does not add up to phantom metres of climbing
+ * - Samples altitude against distance into a fixed number of profile points
+ *
+ * WHY IT EXISTS:
+ * GPS altitude is noisy (often ±10m between fixes). Summing every change between raw
+ * points can report hundreds of metres of climbing on a flat walk. Filtering first
+ * gives totals that match how the walk actually felt.
+ *
+ * RELATIONSHIPS:
+ * - MapScreen.js computes totals and the profile when a journey is saved
+ * - JourneyDetailScreen.js / ElevationProfile.js chart the profile
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+import { distanceBetween } from './GeoUtils';
+
+export const ELEVATION_CONFIG = {
+  MAX_ALTITUDE_ACCURACY: 20, // Ignore readings whose vertical accuracy is worse than 20m
+  SMOOTHING_WINDOW: 5,       // Points in the centred moving average
+  GAIN_THRESHOLD: 3,         // Climb/descent must exceed 3m before it counts
+  PROFILE_SAMPLES: 80        // Points kept in the stored elevation profile
+};
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Route points with usable altitude, each with its distance along the full route
+function getElevationPoints(route, config) {
+  const points = [];
+  let distance = 0;
+
+  (route || []).forEach((point, i) => {
+    if (i > 0) {
+      distance += distanceBetween(route[i - 1], point);
+    }
+    const { altitude, altitudeAccuracy } = point;
+    const accurate = typeof altitudeAccuracy !== 'number' || altitudeAccuracy <= config.MAX_ALTITUDE_ACCURACY;
+    if (typeof altitude === 'number' && !isNaN(altitude) && accurate) {
+      points.push({ distance, altitude });
+    }
+  });
+
+  return points;
+}
+
+// Centred moving average over the altitude series
+function smoothAltitudes(points, window) {
+  const half = Math.floor(window / 2);
+  return points.map((point, i) => {
+    const slice = points.slice(Math.max(0, i - half), i + half + 1);
+    const altitude = slice.reduce((sum, p) => sum + p.altitude, 0) / slice.length;
+    return { distance: point.distance, altitude };
+  });
+}
+
+/**
+ * Calculate noise-filtered elevation totals for a route
+ * @param {Array} route - Points { latitude, longitude, altitude, altitudeAccuracy }
+ * @param {Object} options - Overrides for ELEVATION_CONFIG
+ * @returns {Object} { hasElevation, totalAscent, totalDescent, minAltitude, maxAltitude } in metres
+ */
+export function calculateElevationStats(route, options = {}) {
+  const config = { ...ELEVATION_CONFIG, ...options };
+  const points = smoothAltitudes(getElevationPoints(route, config), config.SMOOTHING_WINDOW);
+
+  if (points.length < 2) {
+    return { hasElevation: false, totalAscent: 0, totalDescent: 0, minAltitude: null, maxAltitude: null };
+  }
+
+  let ascent = 0;
+  let descent = 0;
+  let reference = points[0].altitude;
+
+  for (const { altitude } of points) {
+    const change = altitude - reference;
+    if (change >= config.GAIN_THRESHOLD) {
+      ascent += change;
+      reference = altitude;
+    } else if (change <= -config.GAIN_THRESHOLD) {
+      descent -= change;
+      reference = altitude;
+    }
+  }
+
+  const altitudes = points.map(p => p.altitude);
+  return {
+    hasElevation: true,
+    totalAscent: round1(ascent),
+    totalDescent: round1(descent),
+    minAltitude: round1(Math.min(...altitudes)),
+    maxAltitude: round1(Math.max(...altitudes))
+  };
+}
+
+/**
+ * Build a compact elevation profile (altitude against distance) for charting
+ * @param {Array} route - Points { latitude, longitude, altitude, altitudeAccuracy }
+ * @param {Object} options - Overrides for ELEVATION_CONFIG
+ * @returns {Array} [{ distance, altitude }] with at most PROFILE_SAMPLES entries
+ */
+export function buildElevationProfile(route, options = {}) {
+  const config = { ...ELEVATION_CONFIG, ...options };
+  const points = smoothAltitudes(getElevationPoints(route, config), config.SMOOTHING_WINDOW);
+
+  if (points.length < 2) {
+    return [];
+  }
+
+  const totalDistance = points[points.length - 1].distance;
+  const samples = Math.min(config.PROFILE_SAMPLES, points.length);
+  if (totalDistance <= 0 || samples === points.length) {
+    return points.map(p => ({ distance: Math.round(p.distance), altitude: round1(p.altitude) }));
+  }
+
+  // Average the points that fall in each equal-distance bucket
+  const bucketSize = totalDistance / samples;
+  const buckets = Array.from({ length: samples }, () => ({ distance: 0, altitude: 0, count: 0 }));
+  for (const point of points) {
+    const bucket = buckets[Math.min(samples - 1, Math.floor(point.distance / bucketSize))];
+    bucket.distance += point.distance;
+    bucket.altitude += point.altitude;
+    bucket.count++;
+  }
+
+  return buckets
+    .filter(bucket => bucket.count > 0)
+    .map(bucket => ({
+      distance: Math.round(bucket.distance / bucket.count),
+      altitude: round1(bucket.altitude / bucket.count)
+    }));
+}
@@ -0,0 +1,165 @@
+/*
+ * FIXTURE PLACES PROVIDER (OFFLINE PLACES)
+ * ========================================
+ *
+ * PURPOSE:
+ * A places provider backed by a local POI file instead of Google. Nearby search, Search
+ * Along Route, details and summaries all answer from the file, so pings, discovery and
+ * consolidation run in development, in a simulator or in a headless test with no
+ * network and no API key.
+ *
+ * FUNCTIONALITY:
+ * - Loads a GeoJSON FeatureCollection of Point features or a plain array of places
+ * - Nearby search: places within the radius, matching the type, nearest first
+ * - Search Along Route: places within a corridor around the route (segments, not just
+ *   route points), matching the requested types, nearest to the route first
+ * - Details and summaries by place ID; photo URLs only when the file gives one
+ *
+ * FIXTURE FORMAT:
+ * GeoJSON Feature: geometry { type: 'Point', coordinates: [lng, lat] } with properties
+ * { id, name, types, primaryType, rating, userRatingsTotal, priceLevel, address,
+ *   description, photoUrl, website, phoneNumber, openingHours, isOpen, summary }
+ * Plain array entries carry the same fields plus placeId (or id), latitude and longitude.
+ *
+ * WHY IT EXISTS:
+ * Every discovery feature used to need live Google calls, which cost money, need keys
+ * and return different results each time. A fixture gives the same places every run.
+ * This file has no React Native or Expo dependencies so it can be used from Node.
+ *
+ * RELATIONSHIPS:
+ * - Created by PlacesProviderService.js (developer tools in SettingsScreen.js)
+ * - Implements the provider contract documented in PlacesProviderService.js
+ * - Builds places with PlaceModel.js
+ *
+ * REFERENCES:
+ * - assets/fixtures/places.json (the bundled sample fixture)
+ */
+
+import { normalizePlace, distanceToRoute } from './PlaceModel';
+import { distanceBetween } from './GeoUtils';
+
+export const DEFAULT_FIXTURE_OPTIONS = {
+  name: 'Fixture places',
+  routeCorridor: 150   // Metres either side of the route that Search Along Route covers
+};
+
+// Types that mean "any place" in a nearby search
+const ANY_TYPE = ['all', 'point_of_interest', 'establishment'];
+
+export default class FixturePlacesProvider {
+  /**
+   * @param {Object|Array} data - GeoJSON FeatureCollection or array of places
+   * @param {Object} options - See DEFAULT_FIXTURE_OPTIONS
+   */
+  constructor(data, options = {}) {
+    this.options = { ...DEFAULT_FIXTURE_OPTIONS, ...options };
+    this.type = 'fixture';
+    this.name = this.options.name;
+    this.places = FixturePlacesProvider.parse(data);
+  }
+
+  // GeoJSON or array → normalized places (entries without a position are skipped)
+  static parse(data) {
+    const entries = Array.isArray(data)
+      ? data
+      : (data?.features || [])
+        .filter(feature => feature.geometry?.type === 'Point')
+        .map(feature => ({
+          ...feature.properties,
+          placeId: feature.properties?.placeId || feature.properties?.id || feature.id,
+          longitude: feature.geometry.coordinates[0],
+          latitude: feature.geometry.coordinates[1]
+        }));
+
+    return entries
+      .filter(entry => typeof entry.latitude === 'number' && typeof entry.longitude === 'number')
+      .map((entry, index) => normalizePlace({
+        ...entry,
+        provider: 'fixture',
+        placeId: entry.placeId || entry.id || `fixture-${index}`,
+        thumbnail: entry.photoUrl,
+        photos: entry.photoUrl ? [{ photoReference: entry.photoUrl, width: null, height: null }] : [],
+        details: {
+          website: entry.website,
+          phoneNumber: entry.phoneNumber,
+          openingHours: entry.openingHours,
+          isOpen: entry.isOpen,
+          editorialSummary: entry.summary
+        }
+      }));
+  }
+
+  isConfigured() {
+    return this.places.length > 0;
+  }
+
+  matchesType(place, type) {
+    return !type || ANY_TYPE.includes(type) || place.primaryType === type || place.types.includes(type);
+  }
+
+  // Same filters as the Google nearby search
+  passesFilters(place, { minRating = 0, maxPrice = 4, openNow = false }) {
+    if (place.rating && place.rating < minRating) return false;
+    if (typeof place.priceLevel === 'number' && place.priceLevel > maxPrice) return false;
+    if (openNow && place.isOpen === false) return false;
+    return true;
+  }
+
+  async searchNearby(latitude, longitude, radius, type, options = {}) {
+    const { maxResults = 1 } = options;
+    const center = { latitude: Number(latitude), longitude: Number(longitude) };
+
+    return this.places
+      .filter(place => this.matchesType(place, type) && this.passesFilters(place, options))
+      .map(place => ({ place, distance: distanceBetween(center, place) }))
+      .filter(({ distance }) => distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxResults)
+      .map(({ place }) => ({ ...place }));
+  }
+
+  /**
+   * Places along a route
+   * @param {Array} routeCoords - Route points { latitude, longitude }
+   * @param {Object} options - { types, maxResults, corridor } (textQuery is ignored)
+   * @returns {Promise<Array>} Normalized places
+   */
+  async searchAlongRoute(routeCoords, options = {}) {
+    const { types = [], maxResults = 50, corridor = this.options.routeCorridor } = options;
+
+    return this.places
+      .filter(place => types.length === 0 || types.some(type => this.matchesType(place, type)))
+      .map(place => ({ place, distance: distanceToRoute(place, routeCoords) }))
+      .filter(({ distance }) => distance <= corridor)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, maxResults)
+      .map(({ place }) => ({ ...place }));
+  }
+
+  async getPlaceDetails(placeId) {
+    const place = this.places.find(entry => entry.placeId === placeId);
+    return place ? { ...place } : null;
+  }
+
+  // Same shape as the Google summaries, built from the fixture's summary text
+  async getPlaceSummaries(placeId) {
+    const summary = this.places.find(entry => entry.placeId === placeId)?.editorialSummary;
+    if (!summary) {
+      return null;
+    }
+    return {
+      generativeSummary: { overview: { text: summary } },
+      editorialSummary: { text: summary },
+      topReview: null
+    };
+  }
+
+  // Fixture photos are plain URLs
+  getPhotoUrl(photoReference) {
+    return photoReference && /^https?:\/\//.test(photoReference) ? photoReference : null;
+  }
+
+  getInfo() {
+    return { type: this.type, name: this.name, configured: this.isConfigured(), places: this.places.length };
+  }
+}
@@ -0,0 +1,32 @@
+/*
+ * GEO UTILS
+ * =========
+ *
+ * PURPOSE:
+ * The Earth constants and great-circle distance every route utility measures with,
+ * kept in one place so each module doesn't carry its own copy.
+ *
+ * FUNCTIONALITY:
+ * - EARTH_RADIUS (metres) and DEG_TO_RAD for projecting coordinates into metres
+ * - Haversine distance between two { latitude, longitude } points
+ *
+ * RELATIONSHIPS:
+ * - Used by the route utilities (smoothing, replay, elevation, splits, privacy zones,
+ *   editing, place distances, route chunks)
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+export const EARTH_RADIUS = 6371e3; // metres
+export const DEG_TO_RAD = Math.PI / 180;
+
+// Great-circle distance in metres between two { latitude, longitude } points
+export function distanceBetween(a, b) {
+  const φ1 = a.latitude * DEG_TO_RAD;
+  const φ2 = b.latitude * DEG_TO_RAD;
+  const Δφ = (b.latitude - a.latitude) * DEG_TO_RAD;
+  const Δλ = (b.longitude - a.longitude) * DEG_TO_RAD;
+  const h = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
@@ -0,0 +1,63 @@
+/*
+ * GEOHASH
+ * =======
+ *
+ * PURPOSE:
+ * Turns a position into a geohash tile - a short string naming a rectangle on the map.
+ * Nearby points share a tile, so tiles make stable cache keys for place searches.
+ *
+ * PRECISION (tile size at the equator, narrower towards the poles):
+ * 5 ≈ 4.9 km × 4.9 km, 6 ≈ 1.2 km × 0.6 km, 7 ≈ 153 m × 153 m, 8 ≈ 38 m × 19 m
+ *
+ * RELATIONSHIPS:
+ * - PlacesCacheService.js keys nearby searches by tile and routes by the tiles they cover
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a position
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} precision - Characters in the hash (see table above)
+ * @returns {string} Geohash tile
+ */
+export function encodeGeohash(latitude, longitude, precision = 7) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true; // Bits alternate longitude, latitude, longitude...
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    charIndex <<= 1;
+    if (value >= mid) {
+      charIndex |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+  return hash;
+}
+
+// Distinct tiles a route's points fall in, sorted - the same loop walked either way gives the same list
+export function getRouteGeohashes(route, precision = 7) {
+  const tiles = new Set((route || []).map(point => encodeGeohash(point.latitude, point.longitude, precision)));
+  return [...tiles].sort();
+}
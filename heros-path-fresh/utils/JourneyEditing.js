@@ -0,0 +1,178 @@
+/*
+ * JOURNEY EDITING
+ * ===============
+ *
+ * PURPOSE:
+ * Route and stats arithmetic for editing recorded walks - trimming the start or end,
+ * splitting one walk into two and merging consecutive walks - plus the stats every
+ * journey carries (distance, elapsed and moving time, elevation, splits), computed the
+ * same way for edited, imported and recorded walks.
+ *
+ * FUNCTIONALITY:
+ * - Computes journey stats from a route and its stops; 'segment' stops mark recording
+ *   gaps, which count as stopped time and are never bridged when measuring distance
+ * - Slices routes, stops and tracking-profile segments to a time range
+ * - Joins consecutive journeys into one route with the gaps between them as stops
+ * - Resolves a map selection to the nearest route point's time
+ * - Picks which of several routes a discovery belongs to (nearest route)
+ *
+ * WHY IT EXISTS:
+ * Walks often include the drive home, or two walks recorded as one. Editing must leave
+ * the journey looking exactly as if it had been recorded that way.
+ *
+ * RELATIONSHIPS:
+ * - JourneyService.js trims, splits and merges stored journeys with these helpers
+ * - JourneyImport.js computes imported journeys' stats with calculateJourneyStats
+ * - ElevationUtils.js and WalkSplits.js provide the elevation and split figures
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+import { calculateElevationStats, buildElevationProfile } from './ElevationUtils';
+import { createSplitState, addSplitPoint, getSplitUnit } from './WalkSplits';
+import { distanceBetween } from './GeoUtils';
+
+// Stop type for time between separately recorded segments (GPX segments, merged walks)
+export const SEGMENT_GAP_STOP = 'segment';
+
+// True when the hop from a to b crosses a recording gap
+function crossesGap(a, b, gaps) {
+  return gaps.some(stop => a.timestamp >= stop.startTime && b.timestamp <= stop.endTime);
+}
+
+/**
+ * Compute the stats stored on a journey from its route
+ * @param {Array} route - Points { latitude, longitude, altitude, timestamp }, in time order
+ * @param {Object} options - { stops: [{ type, startTime, endTime }], splitUnit: 'km' | 'mi' }
+ * @returns {Object} startTime, endTime, distance, duration/elapsedTime/movingTime (seconds),
+ *   stops, elevation totals and profile, splits and splitUnit
+ */
+export function calculateJourneyStats(route, { stops = [], splitUnit = 'km' } = {}) {
+  const startTime = route[0].timestamp;
+  const endTime = route[route.length - 1].timestamp;
+  const gaps = stops.filter(stop => stop.type === SEGMENT_GAP_STOP);
+
+  const stoppedMsAt = time => stops.reduce(
+    (sum, stop) => sum + Math.max(0, Math.min(stop.endTime ?? time, time) - Math.max(stop.startTime, startTime)), 0);
+  const getMovingTime = time => Math.max(0, (time - startTime - stoppedMsAt(time)) / 1000);
+
+  // Distance and splits restart after a gap, so the jump across it isn't walked distance
+  const unit = getSplitUnit(splitUnit).key;
+  const splitState = createSplitState(unit, startTime);
+  let distance = 0;
+  route.forEach((point, i) => {
+    if (i > 0 && crossesGap(route[i - 1], point, gaps)) {
+      splitState.lastPoint = null;
+    } else if (i > 0) {
+      distance += distanceBetween(route[i - 1], point);
+    }
+    addSplitPoint(splitState, point, getMovingTime);
+  });
+
+  const elevation = calculateElevationStats(route);
+  const elapsedTime = Math.max(0, (endTime - startTime) / 1000);
+
+  return {
+    startTime,
+    endTime,
+    distance,
+    duration: elapsedTime,
+    elapsedTime,
+    movingTime: getMovingTime(endTime),
+    stops,
+    totalAscent: elevation.hasElevation ? elevation.totalAscent : null,
+    totalDescent: elevation.hasElevation ? elevation.totalDescent : null,
+    minAltitude: elevation.minAltitude,
+    maxAltitude: elevation.maxAltitude,
+    elevationProfile: buildElevationProfile(route),
+    splits: splitState.splits,
+    splitUnit: unit
+  };
+}
+
+// Points with startTime <= timestamp <= endTime (either bound may be null)
+export function sliceRouteByTime(route, startTime = null, endTime = null) {
+  return (route || []).filter(point =>
+    (startTime === null || point.timestamp >= startTime) && (endTime === null || point.timestamp <= endTime));
+}
+
+// Stops overlapping [startTime, endTime], cut to that range
+export function clipStops(stops, startTime, endTime) {
+  return (stops || [])
+    .map(stop => ({
+      ...stop,
+      startTime: Math.max(stop.startTime, startTime),
+      endTime: Math.min(stop.endTime ?? endTime, endTime)
+    }))
+    .filter(stop => stop.endTime > stop.startTime);
+}
+
+// Tracking-profile segments in effect during [startTime, endTime]
+export function clipProfileSegments(segments, startTime, endTime) {
+  const sorted = [...(segments || [])].sort((a, b) => a.startTime - b.startTime);
+  const active = sorted.filter(segment => segment.startTime <= startTime).pop();
+  const later = sorted.filter(segment => segment.startTime > startTime && segment.startTime <= endTime);
+  return active ? [{ ...active, startTime }, ...later] : later;
+}
+
+/**
+ * Join consecutive journeys into one route
+ * @param {Array} parts - [{ route, stops, profileSegments }] in time order, not overlapping
+ * @returns {Object} { route, stops, profileSegments } - the time between parts becomes a segment stop
+ */
+export function joinJourneyRoutes(parts) {
+  const route = [];
+  const stops = [];
+  const profileSegments = [];
+
+  parts.forEach(part => {
+    const previous = route[route.length - 1];
+    if (previous && part.route.length > 0 && part.route[0].timestamp > previous.timestamp) {
+      stops.push({ type: SEGMENT_GAP_STOP, startTime: previous.timestamp, endTime: part.route[0].timestamp });
+    }
+    route.push(...part.route);
+    stops.push(...(part.stops || []));
+    profileSegments.push(...(part.profileSegments || []));
+  });
+
+  return { route, stops, profileSegments };
+}
+
+// Timestamp of the route point nearest a map coordinate { latitude, longitude }
+export function findNearestPointTime(route, coordinate) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  (route || []).forEach(point => {
+    const distance = distanceBetween(point, coordinate);
+    if (distance < nearestDistance) {
+      nearest = point;
+      nearestDistance = distance;
+    }
+  });
+  return nearest ? nearest.timestamp : null;
+}
+
+/**
+ * Pick the route a location belongs to
+ * @param {Array<Array>} routes - Candidate routes
+ * @param {Object} location - { latitude, longitude }
+ * @returns {number} Index of the nearest route (0 when the location is unknown)
+ */
+export function findNearestRouteIndex(routes, location) {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    return 0;
+  }
+  let best = 0;
+  let bestDistance = Infinity;
+  routes.forEach((route, index) => {
+    (route || []).forEach(point => {
+      const distance = distanceBetween(point, location);
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+  });
+  return best;
+}
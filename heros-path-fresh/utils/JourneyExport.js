@@ -0,0 +1,285 @@
+/*
+ * JOURNEY EXPORT
+ * ==============
+ *
+ * PURPOSE:
+ * Turns one or many journeys into standard route files - GPX 1.1, KML 2.2 and GeoJSON
+ * FeatureCollections - so walks can be opened in other mapping tools. Each journey
+ * becomes a track (with time and elevation where recorded) and its discoveries become
+ * waypoints. Like RouteFileParser it has no React Native dependencies.
+ *
+ * FUNCTIONALITY:
+ * - GPX 1.1: <wpt> per discovery, <trk>/<trkseg> per journey with <ele> and <time>
+ * - KML 2.2: a Folder per journey with the route LineString (TimeSpan from start to end)
+ *   and a Placemark per discovery
+ * - GeoJSON: a LineString Feature per journey (with coordTimes) and a Point Feature per
+ *   discovery
+ * - Builds a safe file name and reports the MIME type / iOS UTI for the share sheet
+ *
+ * WHY IT EXISTS:
+ * Users move walks into other mapping tools; an ad-hoc JSON dump can't be opened there.
+ *
+ * RELATIONSHIPS:
+ * - JourneyExportService.js loads journeys (full route, privacy zones applied) and shares
+ *   the files produced here
+ * - RouteFileParser.js reads the GPX and GeoJSON produced here back in
+ *
+ * REFERENCES:
+ * - GPX 1.1 schema (https://www.topografix.com/GPX/1/1/)
+ * - KML 2.2 (OGC 07-147r2)
+ * - GeoJSON RFC 7946
+ */
+
+export const EXPORT_FORMATS = {
+  gpx: { key: 'gpx', name: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', uti: 'com.topografix.gpx' },
+  kml: { key: 'kml', name: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', uti: 'com.google.earth.kml' },
+  geojson: { key: 'geojson', name: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', uti: 'public.json' }
+};
+
+const CREATOR = "Hero's Path";
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// ISO 8601 time, or null for missing/invalid timestamps (Firestore Timestamps included)
+function toIsoTime(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const date = value?.toDate?.() || new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function hasAltitude(point) {
+  return typeof point.altitude === 'number' && !isNaN(point.altitude);
+}
+
+function journeyName(journey) {
+  return journey.name || `Walk ${toIsoTime(journey.startTime)?.slice(0, 10) || journey.id || ''}`.trim();
+}
+
+// Discovery { placeName, placeType, location { lat, lng }, placeData } as a flat waypoint
+function toWaypoint(discovery) {
+  const latitude = discovery.location?.lat ?? discovery.latitude;
+  const longitude = discovery.location?.lng ?? discovery.longitude;
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return null;
+  }
+  return {
+    latitude,
+    longitude,
+    name: discovery.placeData?.name || discovery.placeName || 'Discovery',
+    type: discovery.placeType || discovery.placeData?.types?.[0] || null,
+    address: discovery.placeData?.formatted_address || null,
+    placeId: discovery.placeId || null,
+    saved: !!discovery.saved
+  };
+}
+
+function getWaypoints(journey) {
+  return (journey.discoveries || []).map(toWaypoint).filter(Boolean);
+}
+
+/**
+ * Build a GPX 1.1 document
+ * @param {Array} journeys - [{ id, name, startTime, route, discoveries }]
+ * @returns {string} GPX XML
+ */
+export function journeysToGPX(journeys) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(CREATOR)}" xmlns="http://www.topografix.com/GPX/1/1" ` +
+      'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${escapeXml(journeys.length === 1 ? journeyName(journeys[0]) : `${CREATOR} journeys`)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>'
+  ];
+
+  // GPX requires every <wpt> before the first <trk>
+  journeys.forEach(journey => {
+    getWaypoints(journey).forEach(waypoint => {
+      lines.push(`  <wpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">`);
+      lines.push(`    <name>${escapeXml(waypoint.name)}</name>`);
+      if (waypoint.address) {
+        lines.push(`    <desc>${escapeXml(waypoint.address)}</desc>`);
+      }
+      if (waypoint.type) {
+        lines.push(`    <type>${escapeXml(waypoint.type)}</type>`);
+      }
+      lines.push('  </wpt>');
+    });
+  });
+
+  journeys.forEach(journey => {
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(journeyName(journey))}</name>`);
+    lines.push('    <trkseg>');
+    (journey.route || []).forEach(point => {
+      const time = toIsoTime(point.timestamp);
+      const children = [
+        hasAltitude(point) ? `<ele>${point.altitude}</ele>` : '',
+        time ? `<time>${time}</time>` : ''
+      ].join('');
+      lines.push(`      <trkpt lat="${point.latitude}" lon="${point.longitude}">${children}</trkpt>`);
+    });
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n');
+}
+
+/**
+ * Build a KML 2.2 document
+ * @param {Array} journeys - [{ id, name, startTime, route, discoveries }]
+ * @returns {string} KML XML
+ */
+export function journeysToKML(journeys) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(journeys.length === 1 ? journeyName(journeys[0]) : `${CREATOR} journeys`)}</name>`
+  ];
+
+  journeys.forEach(journey => {
+    const route = journey.route || [];
+    const begin = toIsoTime(route[0]?.timestamp ?? journey.startTime);
+    const end = toIsoTime(route[route.length - 1]?.timestamp ?? journey.endTime);
+
+    lines.push('    <Folder>');
+    lines.push(`      <name>${escapeXml(journeyName(journey))}</name>`);
+    lines.push('      <Placemark>');
+    lines.push(`        <name>${escapeXml(journeyName(journey))}</name>`);
+    if (begin && end) {
+      lines.push(`        <TimeSpan><begin>${begin}</begin><end>${end}</end></TimeSpan>`);
+    }
+    lines.push('        <LineString>');
+    lines.push('          <tessellate>1</tessellate>');
+    if (route.some(hasAltitude)) {
+      lines.push('          <altitudeMode>absolute</altitudeMode>');
+    }
+    const coordinates = route
+      .map(point => [point.longitude, point.latitude, hasAltitude(point) ? point.altitude : 0].join(','))
+      .join(' ');
+    lines.push(`          <coordinates>${coordinates}</coordinates>`);
+    lines.push('        </LineString>');
+    lines.push('      </Placemark>');
+
+    getWaypoints(journey).forEach(waypoint => {
+      lines.push('      <Placemark>');
+      lines.push(`        <name>${escapeXml(waypoint.name)}</name>`);
+      if (waypoint.address || waypoint.type) {
+        lines.push(`        <description>${escapeXml([waypoint.type, waypoint.address].filter(Boolean).join(' - '))}</description>`);
+      }
+      lines.push(`        <Point><coordinates>${waypoint.longitude},${waypoint.latitude},0</coordinates></Point>`);
+      lines.push('      </Placemark>');
+    });
+
+    lines.push('    </Folder>');
+  });
+
+  lines.push('  </Document>');
+  lines.push('</kml>');
+  return lines.join('\n');
+}
+
+/**
+ * Build a GeoJSON FeatureCollection
+ * @param {Array} journeys - [{ id, name, startTime, route, discoveries }]
+ * @returns {Object} FeatureCollection (routes as LineStrings, discoveries as Points)
+ */
+export function journeysToGeoJSON(journeys) {
+  const features = [];
+
+  journeys.forEach(journey => {
+    const route = journey.route || [];
+    const withAltitude = route.some(hasAltitude);
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: route.map(point => withAltitude
+          ? [point.longitude, point.latitude, hasAltitude(point) ? point.altitude : 0]
+          : [point.longitude, point.latitude])
+      },
+      properties: {
+        kind: 'journey',
+        journeyId: journey.id || null,
+        name: journeyName(journey),
+        startTime: toIsoTime(route[0]?.timestamp ?? journey.startTime),
+        endTime: toIsoTime(route[route.length - 1]?.timestamp ?? journey.endTime),
+        distance: journey.distance ?? null,
+        movingTime: journey.movingTime ?? null,
+        // Same convention as GPX -> GeoJSON converters, so other tools keep the times
+        coordTimes: route.map(point => toIsoTime(point.timestamp))
+      }
+    });
+
+    getWaypoints(journey).forEach(waypoint => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [waypoint.longitude, waypoint.latitude] },
+        properties: {
+          kind: 'discovery',
+          journeyId: journey.id || null,
+          name: waypoint.name,
+          placeId: waypoint.placeId,
+          placeType: waypoint.type,
+          address: waypoint.address,
+          saved: waypoint.saved
+        }
+      });
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+// File name like "heros-path-morning-walk.gpx" (or "heros-path-journeys-2025-07-01.kml")
+export function buildExportFileName(journeys, format) {
+  const base = journeys.length === 1
+    ? journeyName(journeys[0])
+    : `journeys-${new Date().toISOString().slice(0, 10)}`;
+  const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'journey';
+  return `heros-path-${slug}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Export journeys in one of EXPORT_FORMATS
+ * @param {Array} journeys - [{ id, name, startTime, route, discoveries }]
+ * @param {string} format - 'gpx' | 'kml' | 'geojson'
+ * @returns {Object} { content, fileName, mimeType, uti }
+ */
+export function exportJourneys(journeys, format) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let content;
+  if (format === 'gpx') {
+    content = journeysToGPX(journeys);
+  } else if (format === 'kml') {
+    content = journeysToKML(journeys);
+  } else {
+    content = JSON.stringify(journeysToGeoJSON(journeys), null, 2);
+  }
+
+  return {
+    content,
+    fileName: buildExportFileName(journeys, format),
+    mimeType: exportFormat.mimeType,
+    uti: exportFormat.uti
+  };
+}
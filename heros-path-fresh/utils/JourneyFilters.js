@@ -0,0 +1,141 @@
+/*
+ * JOURNEY FILTERS
+ * ===============
+ *
+ * PURPOSE:
+ * The filters the Past Journeys list can apply - date range, distance range, discovery
+ * review status, name/tag text and "passes through this map area" - and the checks
+ * that decide whether a journey matches them.
+ *
+ * FUNCTIONALITY:
+ * - Default (empty) filters and a check for whether any filter is set
+ * - Matches a journey doc against everything except the date range, which
+ *   JourneyService applies in the Firestore query itself
+ * - Tests whether a route has a point inside a map area
+ * - Builds a map area around a location, or the area a map camera shows
+ *
+ * RELATIONSHIPS:
+ * - JourneyService.js getJourneysPage filters each page with matchesJourneyFilters
+ * - PastJourneysScreen.js builds the filters from its filter bar
+ * - MapScreen.js opens the list filtered to the area on screen
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+const METRES_PER_DEGREE = 111320;
+const METRES_PER_POINT_AT_ZOOM_0 = 156543.03392; // Web Mercator, at the equator
+
+// Review status values for the completion filter
+export const COMPLETION_FILTERS = {
+  ALL: 'all',
+  COMPLETED: 'completed',
+  INCOMPLETE: 'incomplete'
+};
+
+/**
+ * Filters that match every journey
+ * startDate/endDate are epoch ms, distances are metres and area is
+ * { north, south, east, west } in degrees
+ */
+export const DEFAULT_JOURNEY_FILTERS = {
+  startDate: null,
+  endDate: null,
+  minDistance: null,
+  maxDistance: null,
+  completion: COMPLETION_FILTERS.ALL,
+  text: '',
+  area: null
+};
+
+export function hasActiveFilters(filters = {}) {
+  const merged = { ...DEFAULT_JOURNEY_FILTERS, ...filters };
+  return merged.startDate !== null || merged.endDate !== null ||
+    merged.minDistance !== null || merged.maxDistance !== null ||
+    merged.completion !== COMPLETION_FILTERS.ALL ||
+    merged.text.trim() !== '' || merged.area !== null;
+}
+
+// True when any route point lies inside the area
+export function routePassesThroughArea(route, area) {
+  return (route || []).some(point =>
+    point.latitude <= area.north && point.latitude >= area.south &&
+    point.longitude <= area.east && point.longitude >= area.west);
+}
+
+// Map area reaching radiusMetres from a { latitude, longitude } centre
+export function getAreaAround(center, radiusMetres) {
+  const latDelta = radiusMetres / METRES_PER_DEGREE;
+  const lngDelta = radiusMetres / (METRES_PER_DEGREE * Math.max(Math.cos(center.latitude * Math.PI / 180), 0.01));
+  return {
+    north: center.latitude + latDelta,
+    south: center.latitude - latDelta,
+    east: center.longitude + lngDelta,
+    west: center.longitude - lngDelta
+  };
+}
+
+/**
+ * Map area a camera shows
+ * @param {Object} camera - { coordinates, zoom, bearing } as reported by the map's onCameraMove
+ * @param {Object} size - { width, height } of the map view in points
+ * @returns {Object} { north, south, east, west } covering the whole view
+ */
+export function getAreaForCamera({ coordinates, zoom, bearing = 0 }, { width, height }) {
+  const cosLat = Math.max(Math.cos(coordinates.latitude * Math.PI / 180), 0.01);
+  const metresPerPoint = METRES_PER_POINT_AT_ZOOM_0 * cosLat / Math.pow(2, zoom);
+  const halfWidth = (width / 2) * metresPerPoint;
+  const halfHeight = (height / 2) * metresPerPoint;
+
+  // A rotated map shows a tilted rectangle - cover its bounding box
+  const rotation = bearing * Math.PI / 180;
+  const eastWest = Math.abs(halfWidth * Math.cos(rotation)) + Math.abs(halfHeight * Math.sin(rotation));
+  const northSouth = Math.abs(halfWidth * Math.sin(rotation)) + Math.abs(halfHeight * Math.cos(rotation));
+
+  const latDelta = northSouth / METRES_PER_DEGREE;
+  const lngDelta = eastWest / (METRES_PER_DEGREE * cosLat);
+  return {
+    north: coordinates.latitude + latDelta,
+    south: coordinates.latitude - latDelta,
+    east: coordinates.longitude + lngDelta,
+    west: coordinates.longitude - lngDelta
+  };
+}
+
+/**
+ * Check a journey against the filters that can't be expressed in the Firestore query
+ * @param {Object} journey - Journey doc data
+ * @param {Object} filters - See DEFAULT_JOURNEY_FILTERS
+ * @returns {boolean} Whether the journey should be listed
+ */
+export function matchesJourneyFilters(journey, filters = {}) {
+  const { minDistance, maxDistance, completion, text, area } = { ...DEFAULT_JOURNEY_FILTERS, ...filters };
+  const distance = journey.distance || 0;
+
+  if (minDistance !== null && distance < minDistance) {
+    return false;
+  }
+  if (maxDistance !== null && distance > maxDistance) {
+    return false;
+  }
+  if (completion === COMPLETION_FILTERS.COMPLETED && !journey.isCompleted) {
+    return false;
+  }
+  if (completion === COMPLETION_FILTERS.INCOMPLETE && journey.isCompleted) {
+    return false;
+  }
+
+  const search = text.trim().toLowerCase();
+  if (search) {
+    const haystack = [journey.name || '', ...(journey.tags || [])].join(' ').toLowerCase();
+    if (!haystack.includes(search)) {
+      return false;
+    }
+  }
+
+  // The inline route is the overview polyline, which is close enough for an area match
+  if (area && !routePassesThroughArea(journey.route, area)) {
+    return false;
+  }
+  return true;
+}
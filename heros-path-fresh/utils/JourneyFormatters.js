@@ -0,0 +1,76 @@
+/*
+ * JOURNEY FORMATTERS
+ * ==================
+ *
+ * PURPOSE:
+ * Shared display formatting for journey numbers (durations, pace, distance, elevation)
+ * and discovery status so the journey list and journey detail screens show them the
+ * same way.
+ *
+ * RELATIONSHIPS:
+ * - Used by PastJourneysScreen.js, JourneyDetailScreen.js and WalkHUD.js
+ */
+
+// Format seconds as "42 min" or "1h 05m"
+export function formatDuration(seconds) {
+  const totalMinutes = Math.round((seconds || 0) / 60);
+  if (totalMinutes < 60) {
+    return `${totalMinutes} min`;
+  }
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours}h ${minutes.toString().padStart(2, '0')}m`;
+}
+
+// Format a running clock in seconds as "12:05" or "1:02:05"
+export function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Format a pace in seconds per unit ('km' or 'mi') as "m:ss /km"
+export function formatPace(secondsPerUnit, unit = 'km') {
+  if (!secondsPerUnit || !isFinite(secondsPerUnit)) {
+    return '--';
+  }
+  const minutes = Math.floor(secondsPerUnit / 60);
+  const seconds = Math.round(secondsPerUnit % 60);
+  if (seconds === 60) {
+    return `${minutes + 1}:00 /${unit}`;
+  }
+  return `${minutes}:${seconds.toString().padStart(2, '0')} /${unit}`;
+}
+
+// Format metres as "850 m" / "2.4 km", or "0.53 mi" when the unit is miles
+export function formatDistance(metres, unit = 'km') {
+  if (unit === 'mi') {
+    return `${((metres || 0) / 1609.344).toFixed(2)} mi`;
+  }
+  if (!metres) {
+    return '0 m';
+  }
+  return metres >= 1000 ? `${(metres / 1000).toFixed(1)} km` : `${Math.round(metres)} m`;
+}
+
+// Format an elevation in metres as "120 m" ('--' when not recorded)
+export function formatElevation(metres) {
+  return typeof metres === 'number' ? `${Math.round(metres)} m` : '--';
+}
+
+// Describe a journey's discoveryJob status (see DiscoveryJobService) - null when there is none
+export function formatDiscoveryStatus(discoveryJob) {
+  if (!discoveryJob) {
+    return null;
+  }
+  if (discoveryJob.state === 'archived') {
+    const count = discoveryJob.savedCount || 0;
+    return `Discovery done - ${count} new place${count === 1 ? '' : 's'}`;
+  }
+  if (discoveryJob.failed) {
+    return 'Discovery failed';
+  }
+  return discoveryJob.error ? 'Discovery will retry' : 'Finding discoveries...';
+}
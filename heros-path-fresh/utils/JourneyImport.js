@@ -0,0 +1,208 @@
+/*
+ * JOURNEY IMPORT
+ * ==============
+ *
+ * PURPOSE:
+ * Turns tracks read from GPX, TCX or GeoJSON files (see RouteFileParser.js) into the
+ * same journey shape MapScreen's saveJourney produces, and checks each one before it
+ * is saved: too few points, missing, out-of-order or future timestamps, and walks that
+ * are already in the user's history. Like RouteFileParser it has no React Native
+ * dependencies.
+ *
+ * FUNCTIONALITY:
+ * - Flattens a track's segments into one route; gaps between segments become stops,
+ *   so moving time excludes them and distance doesn't bridge them
+ * - Drops points with missing, implausible or backwards timestamps and reports how many
+ * - Computes distance, elapsed/moving time, elevation totals and profile, and splits
+ *   with JourneyEditing.calculateJourneyStats
+ * - Marks the journey with `importedFrom` (format, file, track, source ID)
+ * - Flags duplicates of existing journeys and of other tracks in the same file
+ *
+ * WHY IT EXISTS:
+ * Imported walks should look exactly like recorded ones everywhere else in the app;
+ * building them in one place keeps the preview and the saved journey identical.
+ *
+ * RELATIONSHIPS:
+ * - JourneyImportService.js builds previews with this and saves them via JourneyService
+ * - ImportJourneysScreen.js shows the issues and duplicates found here
+ * - JourneyEditing.js computes the same stats as for a recorded or edited walk
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+import { calculateJourneyStats, SEGMENT_GAP_STOP } from './JourneyEditing';
+
+export const IMPORT_ISSUE_SEVERITY = {
+  ERROR: 'error',     // Track can't be imported
+  WARNING: 'warning'  // Track can be imported, but the user should know
+};
+
+export const IMPORT_CONFIG = {
+  MIN_POINTS: 2,
+  MIN_VALID_TIME: Date.UTC(2000, 0, 1),  // Older times are GPS rollover or placeholder dates
+  FUTURE_TOLERANCE_MS: 5 * 60 * 1000,    // Allow for device clock drift
+  DUPLICATE_START_WINDOW_MS: 2 * 60 * 1000,
+  DUPLICATE_DISTANCE_RATIO: 0.05         // Same start and distance within 5% = same walk
+};
+
+function toMillis(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const time = value?.toMillis?.() ?? (typeof value === 'number' ? value : new Date(value).getTime());
+  return isNaN(time) ? null : time;
+}
+
+function pointCount(count) {
+  return `${count} point${count === 1 ? '' : 's'}`;
+}
+
+function issue(code, severity, message) {
+  return { code, severity, message };
+}
+
+// Keep points with usable, increasing timestamps; count what was dropped and why
+function cleanSegments(segments, now) {
+  const counts = { missing: 0, invalid: 0, outOfOrder: 0, future: 0 };
+  let lastTime = -Infinity;
+
+  const cleaned = segments.map(segment => segment.filter(point => {
+    if (point.timestamp === null || point.timestamp === undefined) {
+      counts.missing++;
+      return false;
+    }
+    if (point.timestamp < IMPORT_CONFIG.MIN_VALID_TIME) {
+      counts.invalid++;
+      return false;
+    }
+    if (point.timestamp <= lastTime) {
+      counts.outOfOrder++;
+      return false;
+    }
+    if (point.timestamp > now + IMPORT_CONFIG.FUTURE_TOLERANCE_MS) {
+      counts.future++;
+    }
+    lastTime = point.timestamp;
+    return true;
+  })).filter(segment => segment.length > 0);
+
+  return { segments: cleaned, counts };
+}
+
+function describeTimestampIssues(counts, total) {
+  const issues = [];
+  if (counts.missing === total) {
+    issues.push(issue('no_timestamps', IMPORT_ISSUE_SEVERITY.ERROR, 'File has no timestamps - a walk needs times to be saved'));
+    return issues;
+  }
+  if (counts.missing > 0) {
+    issues.push(issue('missing_timestamps', IMPORT_ISSUE_SEVERITY.WARNING, `Skipped ${pointCount(counts.missing)} without a time`));
+  }
+  if (counts.invalid > 0) {
+    issues.push(issue('invalid_timestamps', IMPORT_ISSUE_SEVERITY.WARNING, `Skipped ${pointCount(counts.invalid)} with impossible dates`));
+  }
+  if (counts.outOfOrder > 0) {
+    issues.push(issue('out_of_order_timestamps', IMPORT_ISSUE_SEVERITY.WARNING, `Skipped ${pointCount(counts.outOfOrder)} out of time order`));
+  }
+  if (counts.future > 0) {
+    issues.push(issue('future_timestamps', IMPORT_ISSUE_SEVERITY.WARNING, `${pointCount(counts.future)} dated in the future`));
+  }
+  return issues;
+}
+
+// Stable ID for a track, so importing the same file twice is recognised
+function buildSourceId(format, route) {
+  return `${format}:${route[0].timestamp}:${route[route.length - 1].timestamp}:${route.length}`;
+}
+
+/**
+ * Build a journey from an imported track
+ * @param {Object} track - { name, segments: [[{ latitude, longitude, altitude, timestamp }]] }
+ * @param {Object} options - { format, fileName, splitUnit, now }
+ * @returns {Object} { journey, issues } - journey is null when the track has an error issue
+ */
+export function buildImportedJourney(track, options = {}) {
+  const { format = 'gpx', fileName = null, splitUnit = 'km', now = Date.now() } = options;
+  const rawSegments = track?.segments || [];
+  const total = rawSegments.reduce((sum, segment) => sum + segment.length, 0);
+  const { segments, counts } = cleanSegments(rawSegments, now);
+  const issues = total > 0 ? describeTimestampIssues(counts, total) : [];
+
+  const route = [];
+  const stops = [];
+  segments.forEach((segment, index) => {
+    if (index > 0) {
+      // Recording was paused between segments - count it as a stop, not as walking
+      stops.push({ type: SEGMENT_GAP_STOP, startTime: route[route.length - 1].timestamp, endTime: segment[0].timestamp });
+    }
+    segment.forEach(point => {
+      route.push({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        altitude: point.altitude ?? null,
+        altitudeAccuracy: null,
+        timestamp: point.timestamp
+      });
+    });
+  });
+
+  if (route.length < IMPORT_CONFIG.MIN_POINTS) {
+    if (!issues.some(item => item.severity === IMPORT_ISSUE_SEVERITY.ERROR)) {
+      issues.push(issue('too_few_points', IMPORT_ISSUE_SEVERITY.ERROR, 'Track has fewer than two usable points'));
+    }
+    return { journey: null, issues };
+  }
+
+  // Same stats as a recorded walk; segment gaps are excluded from distance and moving time
+  const journey = {
+    name: track.name || (fileName ? fileName.replace(/\.[^.]+$/, '') : null) || 'Imported walk',
+    route,
+    ...calculateJourneyStats(route, { stops, splitUnit }),
+    trackingProfile: null,
+    profileSegments: [],
+    locationSource: 'import',
+    importedFrom: {
+      format,
+      fileName,
+      trackName: track.name || null,
+      sourceId: buildSourceId(format, route),
+      importedAt: now
+    },
+    status: 'completed'
+  };
+
+  return { journey, issues };
+}
+
+// True when two journeys are the same walk (same source, or same start and distance)
+export function isSameWalk(a, b) {
+  const sourceA = a.importedFrom?.sourceId;
+  if (sourceA && sourceA === b.importedFrom?.sourceId) {
+    return true;
+  }
+
+  const startA = toMillis(a.startTime);
+  const startB = toMillis(b.startTime);
+  if (startA === null || startB === null || Math.abs(startA - startB) > IMPORT_CONFIG.DUPLICATE_START_WINDOW_MS) {
+    return false;
+  }
+  const longest = Math.max(a.distance || 0, b.distance || 0);
+  return longest === 0 || Math.abs((a.distance || 0) - (b.distance || 0)) / longest <= IMPORT_CONFIG.DUPLICATE_DISTANCE_RATIO;
+}
+
+/**
+ * Find the existing journey (or earlier track in the same file) a journey duplicates
+ * @param {Object} journey - Imported journey
+ * @param {Array} existing - The user's journeys
+ * @param {Array} batch - Journeys earlier in the same import
+ * @returns {Object|null} { source: 'history' | 'file', id, name }
+ */
+export function findDuplicate(journey, existing = [], batch = []) {
+  const inHistory = existing.find(other => isSameWalk(journey, other));
+  if (inHistory) {
+    return { source: 'history', id: inHistory.id || null, name: inHistory.name || null };
+  }
+  const inFile = batch.find(other => isSameWalk(journey, other));
+  return inFile ? { source: 'file', id: null, name: inFile.name || null } : null;
+}
@@ -0,0 +1,226 @@
+/*
+ * KALMAN LOCATION FILTER (GPS SMOOTHING)
+ * ======================================
+ *
+ * PURPOSE:
+ * This utility smooths raw GPS fixes with a constant-velocity Kalman filter. Each fix
+ * is projected into a local east/north frame in metres, and the filter tracks position
+ * and velocity on both axes. It weighs each fix by its reported accuracy and uses the
+ * device's speed and heading as a velocity measurement when they are available.
+ *
+ * FUNCTIONALITY:
+ * - Predicts position from the current velocity estimate between fixes
+ * - Corrects the prediction using coords.accuracy as measurement noise
+ * - Uses coords.speed and coords.heading to correct velocity (damps jitter when standing still)
+ * - Rejects "teleport" jumps whose implied speed is impossible for the activity
+ * - Re-initializes after repeated rejections so a real jump (e.g. leaving a tunnel) is accepted
+ * - Can be reset at any time (per journey, on pause/resume)
+ *
+ * WHY IT EXISTS:
+ * Averaging the last few points lags on corners and still lets multi-metre jitter
+ * through when the walker is standing still. A motion model follows turns closely
+ * while trusting noisy fixes less.
+ *
+ * RELATIONSHIPS:
+ * - Used by BackgroundLocationService.js when the 'kalman' smoothing mode is selected
+ * - Options are passed through BackgroundLocationService.startTracking(journeyId, options)
+ *
+ * REFERENCES:
+ * - Logger utility (for debugging rejected fixes)
+ * - GeoUtils.js (Earth radius for the local metre frame)
+ */
+
+import Logger from './Logger';
+import { EARTH_RADIUS, DEG_TO_RAD } from './GeoUtils';
+
+export const DEFAULT_KALMAN_OPTIONS = {
+  processNoise: 0.5,        // Acceleration variance (m/s²)² - higher follows turns faster
+  velocityNoise: 1.0,       // Variance of device-reported speed (m/s)²
+  minAccuracy: 3,           // Floor for coords.accuracy so no fix is trusted blindly (m)
+  maxSpeed: 12,             // Implied speeds above this are treated as teleports (m/s)
+  maxConsecutiveRejections: 5, // Accept the new position after this many rejections
+};
+
+export default class KalmanLocationFilter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_KALMAN_OPTIONS, ...options };
+    this.reset();
+  }
+
+  // Forget all state - the next fix initializes the filter
+  reset() {
+    this.origin = null;
+    this.lastTimestamp = null;
+    this.x = null; // East axis { p, v, a, b, d } - position, velocity, covariance [[a, b], [b, d]]
+    this.y = null; // North axis
+    this.consecutiveRejections = 0;
+  }
+
+  // Project lat/lng to metres east/north of the origin
+  toLocal(latitude, longitude) {
+    return {
+      east: (longitude - this.origin.longitude) * DEG_TO_RAD * EARTH_RADIUS * Math.cos(this.origin.latitude * DEG_TO_RAD),
+      north: (latitude - this.origin.latitude) * DEG_TO_RAD * EARTH_RADIUS,
+    };
+  }
+
+  // Convert metres east/north of the origin back to lat/lng
+  toGlobal(east, north) {
+    return {
+      latitude: this.origin.latitude + (north / EARTH_RADIUS) / DEG_TO_RAD,
+      longitude: this.origin.longitude + (east / (EARTH_RADIUS * Math.cos(this.origin.latitude * DEG_TO_RAD))) / DEG_TO_RAD,
+    };
+  }
+
+  // Initialize both axes at a fix
+  initialize(location) {
+    const { latitude, longitude } = location.coords;
+    const variance = this.getPositionVariance(location);
+
+    this.origin = { latitude, longitude };
+    this.lastTimestamp = location.timestamp;
+    // Start with an unknown velocity (large variance) unless the device reports one
+    this.x = { p: 0, v: 0, a: variance, b: 0, d: 25 };
+    this.y = { p: 0, v: 0, a: variance, b: 0, d: 25 };
+    this.consecutiveRejections = 0;
+    this.updateVelocity(location);
+  }
+
+  getPositionVariance(location) {
+    const accuracy = Math.max(location.coords.accuracy || this.options.minAccuracy * 10, this.options.minAccuracy);
+    return accuracy * accuracy;
+  }
+
+  // Time update for one axis (white-noise acceleration model)
+  predictAxis(axis, dt) {
+    const q = this.options.processNoise;
+    const dt2 = dt * dt;
+
+    axis.p += axis.v * dt;
+    axis.a += 2 * dt * axis.b + dt2 * axis.d + (dt2 * dt2 / 4) * q;
+    axis.b += dt * axis.d + (dt2 * dt / 2) * q;
+    axis.d += dt2 * q;
+  }
+
+  // Measurement update for one axis with an observed position
+  updateAxisPosition(axis, measurement, variance) {
+    const s = axis.a + variance;
+    const k0 = axis.a / s;
+    const k1 = axis.b / s;
+    const residual = measurement - axis.p;
+
+    axis.p += k0 * residual;
+    axis.v += k1 * residual;
+    const { a, b, d } = axis;
+    axis.a = (1 - k0) * a;
+    axis.b = (1 - k0) * b;
+    axis.d = d - k1 * b;
+  }
+
+  // Measurement update for one axis with an observed velocity
+  updateAxisVelocity(axis, measurement, variance) {
+    const s = axis.d + variance;
+    const k0 = axis.b / s;
+    const k1 = axis.d / s;
+    const residual = measurement - axis.v;
+
+    axis.p += k0 * residual;
+    axis.v += k1 * residual;
+    const { a, b, d } = axis;
+    axis.a = a - k0 * b;
+    axis.b = (1 - k1) * b;
+    axis.d = (1 - k1) * d;
+  }
+
+  // Use device speed/heading as a velocity measurement when both are valid
+  updateVelocity(location) {
+    const { speed, heading } = location.coords;
+    if (typeof speed !== 'number' || speed < 0 || isNaN(speed)) {
+      return;
+    }
+
+    // Heading is meaningless when not moving; a zero speed still pins velocity to zero
+    const hasHeading = typeof heading === 'number' && heading >= 0 && !isNaN(heading);
+    if (speed > 0.5 && !hasHeading) {
+      return;
+    }
+
+    const headingRad = hasHeading ? heading * DEG_TO_RAD : 0;
+    this.updateAxisVelocity(this.x, speed * Math.sin(headingRad), this.options.velocityNoise);
+    this.updateAxisVelocity(this.y, speed * Math.cos(headingRad), this.options.velocityNoise);
+  }
+
+  /**
+   * Filter a raw location
+   * @param {Object} location - expo-location style { timestamp, coords }
+   * @returns {Object|null} Filtered location, or null if the fix was rejected as a teleport
+   */
+  process(location) {
+    if (!this.origin) {
+      this.initialize(location);
+      return this.buildLocation(location);
+    }
+
+    const dt = Math.max(0, ((location.timestamp || Date.now()) - this.lastTimestamp) / 1000);
+    const measured = this.toLocal(location.coords.latitude, location.coords.longitude);
+
+    // Teleport check: distance beyond the fix's own accuracy must be reachable at maxSpeed
+    const jump = Math.hypot(measured.east - this.x.p, measured.north - this.y.p);
+    const explainedByNoise = (location.coords.accuracy || 0) + Math.sqrt(this.x.a + this.y.a);
+    const impliedSpeed = dt > 0 ? Math.max(0, jump - explainedByNoise) / dt : 0;
+
+    if (impliedSpeed > this.options.maxSpeed) {
+      this.consecutiveRejections++;
+      if (this.consecutiveRejections < this.options.maxConsecutiveRejections) {
+        Logger.debug('KalmanLocationFilter: Rejecting teleport jump', {
+          jump: Math.round(jump),
+          impliedSpeed: impliedSpeed.toFixed(1),
+          rejections: this.consecutiveRejections,
+        });
+        return null;
+      }
+
+      // The walker really is somewhere else now - start over from this fix
+      Logger.debug('KalmanLocationFilter: Re-initializing after repeated rejections');
+      this.initialize(location);
+      return this.buildLocation(location);
+    }
+
+    this.consecutiveRejections = 0;
+
+    if (dt > 0) {
+      this.predictAxis(this.x, dt);
+      this.predictAxis(this.y, dt);
+    }
+
+    const variance = this.getPositionVariance(location);
+    this.updateAxisPosition(this.x, measured.east, variance);
+    this.updateAxisPosition(this.y, measured.north, variance);
+    this.updateVelocity(location);
+
+    this.lastTimestamp = location.timestamp || Date.now();
+    return this.buildLocation(location);
+  }
+
+  // Build an expo-location style object from the current state
+  buildLocation(rawLocation) {
+    const { latitude, longitude } = this.toGlobal(this.x.p, this.y.p);
+    const speed = Math.hypot(this.x.v, this.y.v);
+    const heading = speed > 0.5
+      ? (Math.atan2(this.x.v, this.y.v) / DEG_TO_RAD + 360) % 360
+      : rawLocation.coords.heading;
+
+    return {
+      timestamp: rawLocation.timestamp || Date.now(),
+      coords: {
+        latitude,
+        longitude,
+        altitude: rawLocation.coords.altitude,
+        altitudeAccuracy: rawLocation.coords.altitudeAccuracy,
+        accuracy: rawLocation.coords.accuracy,
+        speed,
+        heading,
+      },
+    };
+  }
+}
@@ -0,0 +1,102 @@
+/*
+ * PLACE MODEL
+ * ===========
+ *
+ * PURPOSE:
+ * The one shape every places provider returns. Nearby search, search along a route and
+ * place details all produce places built by normalizePlace, so pings, SAR,
+ * consolidation and the discovery screens never care which provider found a place.
+ *
+ * PLACE FIELDS:
+ * - placeId, name, provider ('google_new' | 'google_legacy' | 'fixture')
+ * - types, primaryType, category
+ * - latitude, longitude, location { lat, lng } (the same point - older code reads location)
+ * - address, shortAddress, formatted_address, description
+ * - rating, userRatingsTotal, priceLevel
+ * - photos [{ photoReference, width, height }], thumbnail (URL or null), attributions
+ * Details add: website, phoneNumber, openingHours, currentOpeningHours, isOpen, reviews,
+ * editorialSummary, utcOffsetMinutes
+ *
+ * RELATIONSHIPS:
+ * - GooglePlacesProviders.js and FixturePlacesProvider.js build places with normalizePlace
+ * - FixturePlacesProvider.js uses distanceToRoute for its local searches
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+import { EARTH_RADIUS, DEG_TO_RAD, distanceBetween } from './GeoUtils';
+
+/**
+ * Build a normalized place from provider fields
+ * @param {Object} fields - Any of the place fields above
+ * @returns {Object} Place with every field present (null or empty when unknown)
+ */
+export function normalizePlace(fields) {
+  const types = fields.types || [];
+  const primaryType = fields.primaryType || types[0] || 'point_of_interest';
+  const latitude = typeof fields.latitude === 'number' ? fields.latitude : null;
+  const longitude = typeof fields.longitude === 'number' ? fields.longitude : null;
+  const address = fields.address || '';
+
+  return {
+    placeId: fields.placeId,
+    name: fields.name || 'Unknown Place',
+    provider: fields.provider || null,
+    types,
+    primaryType,
+    category: fields.category || primaryType,
+    latitude,
+    longitude,
+    location: { lat: latitude ?? 0, lng: longitude ?? 0 },
+    address,
+    shortAddress: fields.shortAddress || address,
+    formatted_address: address,
+    description: fields.description || fields.shortAddress || address || primaryType.replace(/_/g, ' '),
+    rating: fields.rating ?? null,
+    userRatingsTotal: fields.userRatingsTotal || 0,
+    priceLevel: fields.priceLevel ?? null,
+    photos: fields.photos || [],
+    thumbnail: fields.thumbnail || null,
+    attributions: fields.attributions || null,
+    ...(fields.details ? {
+      website: fields.details.website || null,
+      phoneNumber: fields.details.phoneNumber || null,
+      openingHours: fields.details.openingHours || [],
+      currentOpeningHours: fields.details.currentOpeningHours || [],
+      isOpen: fields.details.isOpen ?? null,
+      reviews: fields.details.reviews || [],
+      editorialSummary: fields.details.editorialSummary || null,
+      utcOffsetMinutes: fields.details.utcOffsetMinutes ?? null
+    } : {})
+  };
+}
+
+// Metres from a point to the nearest part of a route (segments, not just vertices)
+export function distanceToRoute(point, route) {
+  if (!route || route.length === 0) {
+    return Infinity;
+  }
+  if (route.length === 1) {
+    return distanceBetween(point, route[0]);
+  }
+
+  // Project onto each segment in a local flat frame - accurate at walking scales
+  const cosLat = Math.cos(point.latitude * DEG_TO_RAD);
+  const toXY = p => ({
+    x: (p.longitude - point.longitude) * DEG_TO_RAD * EARTH_RADIUS * cosLat,
+    y: (p.latitude - point.latitude) * DEG_TO_RAD * EARTH_RADIUS
+  });
+
+  let best = Infinity;
+  for (let i = 1; i < route.length; i++) {
+    const a = toXY(route[i - 1]);
+    const b = toXY(route[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return best;
+}
@@ -0,0 +1,152 @@
+/*
+ * PRIVACY ZONES
+ * =============
+ *
+ * PURPOSE:
+ * Geometry for user-defined privacy zones - circles (centre plus radius) around places
+ * like home or work. Route points inside a zone are either trimmed away or blurred
+ * before a route is stored for display, shared or exported, so a walk no longer
+ * starts and ends at the user's front door.
+ *
+ * FUNCTIONALITY:
+ * - Validates and normalizes zone definitions
+ * - Finds the zone (if any) containing a point
+ * - 'trim' mode drops every point inside a zone
+ * - 'obfuscate' mode snaps points inside a zone to a coarse grid (at least twice the
+ *   zone radius), keeping the walk's shape outside the zone without revealing the centre
+ *
+ * WHY IT EXISTS:
+ * Routes are shared and exported; the first and last points of most walks are the
+ * user's home address.
+ *
+ * RELATIONSHIPS:
+ * - PrivacyZoneService.js loads zones from the user profile and applies them
+ * - JourneyService.js applies them when a journey is created
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+import { distanceBetween } from './GeoUtils';
+
+const METRES_PER_DEGREE = 111320;
+
+export const PRIVACY_ZONE_MODES = {
+  TRIM: 'trim',
+  OBFUSCATE: 'obfuscate'
+};
+
+export const PRIVACY_ZONE_CONFIG = {
+  RADII: [100, 200, 400, 800], // Radius choices offered in Settings (metres)
+  DEFAULT_RADIUS: 200,
+  MIN_RADIUS: 50,
+  MAX_RADIUS: 2000,
+  MIN_OBFUSCATION_CELL: 500    // Blurred points never land on a grid finer than 500m
+};
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  zones: [],
+  mode: PRIVACY_ZONE_MODES.TRIM,
+  keepOriginalRoute: true // Keep the untouched route where only the owner can read it
+};
+
+/**
+ * Validate and normalize a privacy zone
+ * @param {Object} zone - { id?, name?, latitude, longitude, radius }
+ * @returns {Object} Normalized zone
+ * @throws {Error} If the centre or radius is invalid
+ */
+export function normalizePrivacyZone(zone) {
+  const latitude = Number(zone?.latitude);
+  const longitude = Number(zone?.longitude);
+  const radius = Number(zone?.radius ?? PRIVACY_ZONE_CONFIG.DEFAULT_RADIUS);
+
+  if (!isFinite(latitude) || !isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error('Privacy zone needs a valid centre');
+  }
+  if (!isFinite(radius) || radius < PRIVACY_ZONE_CONFIG.MIN_RADIUS || radius > PRIVACY_ZONE_CONFIG.MAX_RADIUS) {
+    throw new Error(`Privacy zone radius must be between ${PRIVACY_ZONE_CONFIG.MIN_RADIUS}m and ${PRIVACY_ZONE_CONFIG.MAX_RADIUS}m`);
+  }
+
+  return {
+    id: zone.id || `zone_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: (zone.name || '').trim() || 'Private place',
+    latitude,
+    longitude,
+    radius
+  };
+}
+
+// Merge stored settings over the defaults, dropping malformed zones
+export function normalizePrivacySettings(settings) {
+  const merged = { ...DEFAULT_PRIVACY_SETTINGS, ...(settings || {}) };
+  const zones = [];
+  (merged.zones || []).forEach(zone => {
+    try {
+      zones.push(normalizePrivacyZone(zone));
+    } catch (error) {
+      // Skip zones that can't be applied rather than failing every save
+    }
+  });
+
+  return {
+    zones,
+    mode: Object.values(PRIVACY_ZONE_MODES).includes(merged.mode) ? merged.mode : PRIVACY_ZONE_MODES.TRIM,
+    keepOriginalRoute: merged.keepOriginalRoute !== false
+  };
+}
+
+// The first zone containing the point, or null
+export function findPrivacyZone(point, zones) {
+  return (zones || []).find(zone => distanceBetween(zone, point) <= zone.radius) || null;
+}
+
+// Snap a point to a grid of `cellSize` metres
+function snapToGrid(point, cellSize) {
+  const latStep = cellSize / METRES_PER_DEGREE;
+  const latitude = Math.round(point.latitude / latStep) * latStep;
+  const lngStep = cellSize / (METRES_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  const longitude = Math.round(point.longitude / lngStep) * lngStep;
+  return { latitude, longitude };
+}
+
+/**
+ * Apply privacy zones to a route
+ * @param {Array} route - Points { latitude, longitude, ... }
+ * @param {Object} settings - { zones, mode }
+ * @returns {Object} { route, hiddenCount } - hiddenCount is the number of points trimmed or blurred
+ */
+export function applyPrivacyZones(route, settings) {
+  const { zones, mode } = normalizePrivacySettings(settings);
+  const points = route || [];
+  if (zones.length === 0) {
+    return { route: points, hiddenCount: 0 };
+  }
+
+  const result = [];
+  let hiddenCount = 0;
+
+  points.forEach(point => {
+    const zone = findPrivacyZone(point, zones);
+    if (!zone) {
+      result.push(point);
+      return;
+    }
+
+    hiddenCount++;
+    if (mode !== PRIVACY_ZONE_MODES.OBFUSCATE) {
+      return;
+    }
+
+    // Blurred points carry no altitude/accuracy detail, and repeats collapse into one
+    const cellSize = Math.max(zone.radius * 2, PRIVACY_ZONE_CONFIG.MIN_OBFUSCATION_CELL);
+    const snapped = snapToGrid(point, cellSize);
+    const previous = result[result.length - 1];
+    if (previous?.obfuscated && previous.latitude === snapped.latitude && previous.longitude === snapped.longitude) {
+      return;
+    }
+    result.push({ ...snapped, timestamp: point.timestamp ?? null, obfuscated: true });
+  });
+
+  return { route: result, hiddenCount };
+}
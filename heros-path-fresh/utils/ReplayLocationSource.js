@@ -0,0 +1,335 @@
+/*
+ * REPLAY LOCATION SOURCE (SIMULATED WALKS)
+ * ========================================
+ *
+ * PURPOSE:
+ * This location source plays back a recorded route as if the device were walking it.
+ * Points come from a GPX/GeoJSON file or a saved journey and are delivered through the
+ * same pipeline as real GPS (BackgroundLocationService.handleBackgroundLocations), so
+ * smoothing, auto-pause, profiles, pings and discovery all see a normal walk.
+ *
+ * FUNCTIONALITY:
+ * - Keeps the original spacing between points, sped up by a playback multiplier
+ * - Times points that have no timestamps at a steady walking speed
+ * - Reports speed and heading derived from consecutive points, plus optional jitter
+ * - Runs its own simulated clock (now()) so journey durations match the replayed route
+ * - Skips points that "happen" while tracking is paused, like real GPS would
+ * - Manual mode (realtime: false) advances only via step()/runToEnd() for headless tests
+ *
+ * LOCATION SOURCE CONTRACT (shared with DeviceLocationSource):
+ * - type, name, needsWarmup
+ * - requestPermissions() → { foreground, background } status strings
+ * - getPermissions() → { foreground, background } booleans
+ * - start(options, onLocations), stop(), isRunning(), reset()
+ * - watchPosition(options, callback) → { remove }, getCurrentPosition(options)
+ * - now() → current time in the source's clock (ms)
+ *
+ * WHY IT EXISTS:
+ * Without it the only way to exercise tracking, auto-pause, pings or consolidation is
+ * to physically go for a walk. This file has no React Native or Expo dependencies so
+ * the same replay can drive the service from Node.
+ *
+ * RELATIONSHIPS:
+ * - Created by LocationSourceService.js (developer tools in SettingsScreen.js)
+ * - Consumed by BackgroundLocationService.js through the location source contract
+ *
+ * REFERENCES:
+ * - RouteFileParser.js (for the point format)
+ * - Logger utility (for debugging)
+ */
+
+import Logger from './Logger';
+import { EARTH_RADIUS, DEG_TO_RAD, distanceBetween } from './GeoUtils';
+
+export const DEFAULT_REPLAY_OPTIONS = {
+  name: 'Replay',
+  speed: 1,            // Playback multiplier (5 = five times faster than the recording)
+  accuracy: 5,         // coords.accuracy reported for every point (m)
+  jitter: 0,           // Random noise added to each point to exercise smoothing (m)
+  walkingSpeed: 1.4,   // Pace used to time points without timestamps (m/s)
+  realtime: true,      // false = only step()/runToEnd() deliver points
+  onComplete: null     // Called once the last point has been delivered
+};
+
+function bearingBetween(a, b) {
+  const φ1 = a.latitude * DEG_TO_RAD;
+  const φ2 = b.latitude * DEG_TO_RAD;
+  const Δλ = (b.longitude - a.longitude) * DEG_TO_RAD;
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return (Math.atan2(y, x) / DEG_TO_RAD + 360) % 360;
+}
+
+// Give every point an offset (ms) from the first point
+function prepareReplayPoints(points, walkingSpeed) {
+  const timed = points.every((point, i) =>
+    typeof point.timestamp === 'number' && (i === 0 || point.timestamp >= points[i - 1].timestamp)
+  );
+
+  let offset = 0;
+  return points.map((point, i) => {
+    if (i > 0) {
+      offset = timed
+        ? point.timestamp - points[0].timestamp
+        : offset + (distanceBetween(points[i - 1], point) / walkingSpeed) * 1000;
+    }
+    return {
+      latitude: point.latitude,
+      longitude: point.longitude,
+      altitude: typeof point.altitude === 'number' ? point.altitude : null,
+      offset
+    };
+  });
+}
+
+export default class ReplayLocationSource {
+  /**
+   * @param {Array} points - Route points { latitude, longitude, altitude?, timestamp? }
+   * @param {Object} options - See DEFAULT_REPLAY_OPTIONS
+   */
+  constructor(points, options = {}) {
+    this.type = 'replay';
+    this.needsWarmup = false;
+    this.options = { ...DEFAULT_REPLAY_OPTIONS, ...options };
+    this.name = this.options.name;
+    this.points = prepareReplayPoints(points || [], this.options.walkingSpeed);
+
+    if (this.points.length < 2) {
+      throw new Error('A replay needs at least two route points');
+    }
+
+    this.timer = null;
+    this.reset();
+  }
+
+  // Rewind to the first point (called when a new journey starts)
+  reset() {
+    this.clearTimer();
+    this.running = false;
+    this.delivering = false;
+    this.finished = false;
+    this.cursor = 0;
+    this.startTime = null;   // Wall-clock time the replay started at
+    this.anchorWall = null;  // Wall-clock time of the last speed change / start
+    this.anchorRoute = 0;    // Route offset (ms) at anchorWall
+    this.onLocations = null;
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // How far into the route (ms) the simulated clock is
+  getRouteElapsed() {
+    if (this.startTime === null) {
+      return 0;
+    }
+    if (!this.options.realtime) {
+      return this.anchorRoute;
+    }
+    return this.anchorRoute + (Date.now() - this.anchorWall) * this.options.speed;
+  }
+
+  // Current time in the replay's clock
+  now() {
+    return this.startTime === null ? Date.now() : this.startTime + this.getRouteElapsed();
+  }
+
+  async requestPermissions() {
+    return { foreground: 'granted', background: 'granted' };
+  }
+
+  async getPermissions() {
+    return { foreground: true, background: true };
+  }
+
+  /**
+   * Start (or continue after a pause) delivering points
+   * @param {Object} options - Tracking options (intervals are ignored - every route point is delivered)
+   * @param {Function} onLocations - Called with an array of expo-location style locations
+   */
+  async start(options, onLocations) {
+    this.onLocations = onLocations;
+    if (this.running) {
+      return;
+    }
+
+    if (this.startTime === null) {
+      this.startTime = Date.now();
+      this.anchorWall = this.startTime;
+      this.anchorRoute = 0;
+    } else {
+      // Points "walked" while paused are never delivered, as with real GPS
+      const elapsed = this.getRouteElapsed();
+      while (this.cursor < this.points.length && this.points[this.cursor].offset < elapsed) {
+        this.cursor++;
+      }
+    }
+
+    this.running = true;
+    Logger.debug('ReplayLocationSource: Started', { name: this.name, cursor: this.cursor, points: this.points.length });
+    this.scheduleNext();
+  }
+
+  async stop() {
+    this.running = false;
+    this.clearTimer();
+  }
+
+  async isRunning() {
+    return this.running;
+  }
+
+  // Change the playback multiplier without jumping in the route
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      return;
+    }
+    if (this.startTime !== null && this.options.realtime) {
+      this.anchorRoute = this.getRouteElapsed();
+      this.anchorWall = Date.now();
+    }
+    this.options.speed = speed;
+    if (this.running) {
+      this.clearTimer();
+      this.scheduleNext();
+    }
+  }
+
+  // Queue the next point at its place in the route timeline
+  scheduleNext() {
+    if (!this.running || !this.options.realtime || this.delivering) {
+      return;
+    }
+    if (this.cursor >= this.points.length) {
+      this.complete();
+      return;
+    }
+
+    const due = (this.points[this.cursor].offset - this.getRouteElapsed()) / this.options.speed;
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.deliverNext();
+      this.scheduleNext();
+    }, Math.max(0, due));
+  }
+
+  // Deliver the point at the cursor and wait for the pipeline to process it
+  async deliverNext() {
+    if (!this.running || this.cursor >= this.points.length) {
+      return false;
+    }
+
+    const location = this.buildLocation(this.cursor);
+    this.cursor++;
+    this.delivering = true;
+    try {
+      if (this.onLocations) {
+        await this.onLocations([location]);
+      }
+    } catch (error) {
+      Logger.error('ReplayLocationSource: Location handler failed', { error: error.message });
+    } finally {
+      this.delivering = false;
+    }
+    return true;
+  }
+
+  /**
+   * Deliver the next points immediately (manual mode)
+   * @param {number} count - Number of points to deliver
+   * @returns {Promise<number>} Points delivered
+   */
+  async step(count = 1) {
+    let delivered = 0;
+    while (delivered < count && this.running && this.cursor < this.points.length) {
+      if (!this.options.realtime) {
+        this.anchorRoute = Math.max(this.anchorRoute, this.points[this.cursor].offset);
+      }
+      await this.deliverNext();
+      delivered++;
+    }
+    if (this.cursor >= this.points.length) {
+      this.complete();
+    }
+    return delivered;
+  }
+
+  // Deliver every remaining point immediately (manual mode)
+  async runToEnd() {
+    return this.step(this.points.length);
+  }
+
+  // Move the manual clock forward, e.g. to simulate time passing during a pause
+  advanceClock(ms) {
+    if (!this.options.realtime && this.startTime !== null) {
+      this.anchorRoute += ms;
+    }
+  }
+
+  complete() {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    Logger.info('ReplayLocationSource: Reached end of route', { name: this.name, points: this.points.length });
+    if (this.options.onComplete) {
+      this.options.onComplete();
+    }
+  }
+
+  // Build an expo-location style object for a route point
+  buildLocation(index) {
+    const point = this.points[index];
+    const previous = index > 0 ? this.points[index - 1] : null;
+    const dt = previous ? (point.offset - previous.offset) / 1000 : 0;
+    const speed = previous && dt > 0 ? distanceBetween(previous, point) / dt : 0;
+
+    let { latitude, longitude } = point;
+    if (this.options.jitter > 0) {
+      const radius = Math.random() * this.options.jitter;
+      const angle = Math.random() * 2 * Math.PI;
+      latitude += (radius * Math.cos(angle) / EARTH_RADIUS) / DEG_TO_RAD;
+      longitude += (radius * Math.sin(angle) / (EARTH_RADIUS * Math.cos(point.latitude * DEG_TO_RAD))) / DEG_TO_RAD;
+    }
+
+    return {
+      timestamp: (this.startTime ?? Date.now()) + point.offset,
+      coords: {
+        latitude,
+        longitude,
+        altitude: point.altitude,
+        altitudeAccuracy: point.altitude !== null ? this.options.accuracy : null,
+        accuracy: this.options.accuracy,
+        speed,
+        heading: previous && speed > 0 ? bearingBetween(previous, point) : -1
+      }
+    };
+  }
+
+  watchPosition(options, callback) {
+    // Warm-up is not needed for simulated fixes
+    return { remove() {} };
+  }
+
+  async getCurrentPosition() {
+    return this.buildLocation(Math.min(Math.max(this.cursor - 1, 0), this.points.length - 1));
+  }
+
+  // Summary for developer UI
+  getInfo() {
+    const last = this.points[this.points.length - 1];
+    return {
+      type: this.type,
+      name: this.name,
+      speed: this.options.speed,
+      pointCount: this.points.length,
+      delivered: this.cursor,
+      durationMs: last.offset,
+      running: this.running
+    };
+  }
+}
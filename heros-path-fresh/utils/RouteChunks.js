@@ -0,0 +1,98 @@
+/*
+ * ROUTE CHUNKS
+ * ============
+ *
+ * PURPOSE:
+ * Splits a route into overlapping stretches of similar length so each stretch can be
+ * searched on its own. Search Along Route on a whole 15 km walk returns one small batch
+ * of places bunched wherever the API chooses; searching stretch by stretch spreads the
+ * results along the whole walk.
+ *
+ * FUNCTIONALITY:
+ * - Picks the number of chunks from the route's length and point count, capped by the
+ *   number of searches allowed
+ * - Cuts the route at equal distances, interpolating the cut points, and extends each
+ *   chunk into its neighbours by the overlap so places at a cut aren't missed
+ * - Thins chunks that still have too many points, keeping their ends
+ *
+ * RELATIONSHIPS:
+ * - DiscoveriesService.js searchAlongRoute searches each chunk
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+import { distanceBetween } from './GeoUtils';
+
+// Cumulative distance (m) at every point
+function cumulativeDistances(route) {
+  const distances = [0];
+  for (let i = 1; i < route.length; i++) {
+    distances.push(distances[i - 1] + distanceBetween(route[i - 1], route[i]));
+  }
+  return distances;
+}
+
+// Point at a distance along the route (interpolated between fixes)
+function pointAtDistance(route, distances, target) {
+  const index = distances.findIndex(distance => distance >= target);
+  if (index <= 0) {
+    return index === 0 ? route[0] : route[route.length - 1];
+  }
+  const span = distances[index] - distances[index - 1];
+  const t = span > 0 ? (target - distances[index - 1]) / span : 0;
+  const a = route[index - 1];
+  const b = route[index];
+  return {
+    latitude: a.latitude + (b.latitude - a.latitude) * t,
+    longitude: a.longitude + (b.longitude - a.longitude) * t
+  };
+}
+
+// Keep at most maxPoints, evenly spaced, always including both ends
+function thinPoints(points, maxPoints) {
+  if (points.length <= maxPoints) {
+    return points;
+  }
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+}
+
+export function getRouteLength(route) {
+  const distances = cumulativeDistances(route || []);
+  return distances[distances.length - 1];
+}
+
+/**
+ * Split a route into overlapping chunks
+ * @param {Array} route - Route points { latitude, longitude }
+ * @param {Object} options - { chunkLength (m), overlap (m), maxPointsPerChunk, maxChunks }
+ * @returns {Array} Chunks { points, start, end, length } with start/end in metres along the route
+ */
+export function splitRouteIntoChunks(route, { chunkLength = 2000, overlap = 200, maxPointsPerChunk = 300, maxChunks = 8 } = {}) {
+  if (!route || route.length < 2) {
+    return route && route.length === 1 ? [{ points: route, start: 0, end: 0, length: 0 }] : [];
+  }
+
+  const distances = cumulativeDistances(route);
+  const totalLength = distances[distances.length - 1];
+  const count = Math.max(1, Math.min(
+    maxChunks,
+    Math.max(Math.ceil(totalLength / chunkLength), Math.ceil(route.length / maxPointsPerChunk))
+  ));
+  const size = totalLength / count;
+  // Short chunks of a dense route shouldn't be mostly overlap
+  const reach = Math.min(overlap, size / 4);
+
+  const chunks = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.max(0, i * size - (i > 0 ? reach : 0));
+    const end = Math.min(totalLength, (i + 1) * size + (i < count - 1 ? reach : 0));
+
+    const inside = route.filter((point, index) => distances[index] > start && distances[index] < end);
+    const points = [pointAtDistance(route, distances, start), ...inside, pointAtDistance(route, distances, end)];
+
+    chunks.push({ points: thinPoints(points, maxPointsPerChunk), start, end, length: end - start });
+  }
+  return chunks;
+}
@@ -0,0 +1,292 @@
+/*
+ * ROUTE FILE PARSER (GPX / TCX / GEOJSON)
+ * =======================================
+ *
+ * PURPOSE:
+ * This utility turns route files into the plain point arrays used everywhere else in
+ * Hero's Path ({ latitude, longitude, altitude, timestamp }). It reads GPX tracks and
+ * routes, TCX trackpoints, and GeoJSON LineStrings, MultiLineStrings and Point
+ * collections. It has no React Native or Expo dependencies, so it runs the same in the
+ * app and in Node.
+ *
+ * FUNCTIONALITY:
+ * - Parses GPX <trkpt> and <rtept> elements, including <ele> and <time>
+ * - Parses GeoJSON coordinates, with timestamps from properties.coordTimes / times / time
+ *   (Point features only form the route when the file has no lines)
+ * - Parses TCX <Trackpoint> elements (Position, AltitudeMeters, Time) per <Activity>
+ * - Detects the format from the file contents
+ * - Splits files into separate tracks with segments, for importing walks as journeys
+ * - Converts saved journeys (route arrays) into the same point format
+ *
+ * WHY IT EXISTS:
+ * Simulated walks need real routes to replay, and those come from GPX/GeoJSON files
+ * recorded by other apps or from walks already saved in Hero's Path. One parser keeps
+ * every caller agreeing on what a point looks like.
+ *
+ * RELATIONSHIPS:
+ * - Used by ReplayLocationSource.js and LocationSourceService.js for simulated walks
+ * - Reads back the GPX and GeoJSON written by JourneyExport.js
+ * - Used by JourneyImport.js to turn files recorded elsewhere into journeys
+ *
+ * REFERENCES:
+ * - GPX 1.1 schema (https://www.topografix.com/GPX/1/1/)
+ * - TCX (Garmin Training Center Database v2)
+ * - GeoJSON RFC 7946
+ */
+
+// Read a numeric attribute from an XML start tag
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? parseFloat(match[1]) : NaN;
+}
+
+// Read the text content of a child element
+function readElement(body, name) {
+  const match = body.match(new RegExp(`<(?:\\w+:)?${name}>\\s*([^<]*?)\\s*</(?:\\w+:)?${name}>`));
+  return match ? match[1] : null;
+}
+
+function parseTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+function isValidPoint(point) {
+  return !isNaN(point.latitude) && !isNaN(point.longitude) &&
+    Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+}
+
+// Bodies of every <name>...</name> element (namespace prefixes allowed)
+function readBlocks(xml, name) {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    blocks.push(match[1]);
+  }
+  return blocks;
+}
+
+// GPX <trkpt>/<rtept> points inside a block of XML
+function readGPXPoints(xml, element) {
+  const points = [];
+  const pattern = new RegExp(`<(?:\\w+:)?${element}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${element}>)`, 'g');
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const attributes = match[1];
+    const body = match[2] || '';
+    const elevation = parseFloat(readElement(body, 'ele'));
+    const point = {
+      latitude: readAttribute(attributes, 'lat'),
+      longitude: readAttribute(attributes, 'lon'),
+      altitude: isNaN(elevation) ? null : elevation,
+      timestamp: parseTime(readElement(body, 'time'))
+    };
+    if (isValidPoint(point)) {
+      points.push(point);
+    }
+  }
+  return points;
+}
+
+/**
+ * Parse a GPX document
+ * @param {string} xml - GPX file contents
+ * @returns {Array} Points { latitude, longitude, altitude, timestamp } (timestamp may be null)
+ */
+export function parseGPX(xml) {
+  // Track points first; fall back to route points for planned routes
+  const points = readGPXPoints(xml, 'trkpt');
+  return points.length > 0 ? points : readGPXPoints(xml, 'rtept');
+}
+
+/**
+ * Parse GPX into separate tracks, keeping each track's segments apart
+ * @param {string} xml - GPX file contents
+ * @returns {Array} [{ name, segments: [[points]] }] - one entry per <trk> (or <rte>)
+ */
+export function parseGPXTracks(xml) {
+  const tracks = readBlocks(xml, 'trk').map(body => ({
+    name: readElement(body.replace(/<(?:\w+:)?trkseg\b[\s\S]*$/, ''), 'name'),
+    segments: readBlocks(body, 'trkseg').map(segment => readGPXPoints(segment, 'trkpt')).filter(segment => segment.length > 0)
+  }));
+  if (tracks.some(track => track.segments.length > 0)) {
+    return tracks.filter(track => track.segments.length > 0);
+  }
+
+  return readBlocks(xml, 'rte')
+    .map(body => ({ name: readElement(body.replace(/<(?:\w+:)?rtept\b[\s\S]*$/, ''), 'name'), segments: [readGPXPoints(body, 'rtept')] }))
+    .filter(track => track.segments[0].length > 0);
+}
+
+// TCX <Trackpoint> elements inside a block of XML (points without a position are skipped)
+function readTCXPoints(xml) {
+  return readBlocks(xml, 'Trackpoint')
+    .map(body => {
+      const altitude = parseFloat(readElement(body, 'AltitudeMeters'));
+      return {
+        latitude: parseFloat(readElement(body, 'LatitudeDegrees')),
+        longitude: parseFloat(readElement(body, 'LongitudeDegrees')),
+        altitude: isNaN(altitude) ? null : altitude,
+        timestamp: parseTime(readElement(body, 'Time'))
+      };
+    })
+    .filter(isValidPoint);
+}
+
+/**
+ * Parse a TCX document
+ * @param {string} xml - TCX file contents
+ * @returns {Array} Points { latitude, longitude, altitude, timestamp }
+ */
+export function parseTCX(xml) {
+  return readTCXPoints(xml);
+}
+
+/**
+ * Parse TCX into tracks - one per <Activity> (or <Course>), one segment per <Track>
+ * @param {string} xml - TCX file contents
+ * @returns {Array} [{ name, segments: [[points]] }]
+ */
+export function parseTCXTracks(xml) {
+  const activities = [...readBlocks(xml, 'Activity'), ...readBlocks(xml, 'Course')];
+  return activities
+    .map(body => ({
+      name: readElement(body, 'Notes') || readElement(body, 'Name') || readElement(body, 'Id'),
+      segments: readBlocks(body, 'Track').map(readTCXPoints).filter(segment => segment.length > 0)
+    }))
+    .filter(track => track.segments.length > 0);
+}
+
+// Convert one GeoJSON position array with an optional time
+function fromPosition(position, time) {
+  return {
+    latitude: position[1],
+    longitude: position[0],
+    altitude: typeof position[2] === 'number' ? position[2] : null,
+    timestamp: parseTime(time)
+  };
+}
+
+/**
+ * Parse a GeoJSON document
+ * @param {string|Object} input - GeoJSON text or object
+ * @returns {Array} Points { latitude, longitude, altitude, timestamp } (timestamp may be null)
+ */
+export function parseGeoJSON(input) {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features || []
+    : geojson.type === 'Feature' ? [geojson] : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+  const points = [];
+  const pointFeatures = [];
+  for (const feature of features) {
+    const geometry = feature.geometry;
+    const properties = feature.properties || {};
+    if (!geometry) {
+      continue;
+    }
+
+    if (geometry.type === 'Point') {
+      pointFeatures.push(fromPosition(geometry.coordinates, properties.time || properties.timestamp));
+      continue;
+    }
+
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+    // coordTimes is what most GPX -> GeoJSON converters emit
+    const times = properties.coordTimes || properties.times || [];
+    lines.forEach((line, lineIndex) => {
+      const lineTimes = Array.isArray(times[lineIndex]) ? times[lineIndex] : times;
+      line.forEach((position, i) => points.push(fromPosition(position, lineTimes[i])));
+    });
+  }
+
+  // Points alongside a line are waypoints (e.g. exported discoveries), not part of the route
+  return (points.length > 0 ? points : pointFeatures).filter(isValidPoint);
+}
+
+/**
+ * Parse GeoJSON into tracks - one per LineString / MultiLineString feature
+ * @param {string|Object} input - GeoJSON text or object
+ * @returns {Array} [{ name, segments: [[points]] }]
+ */
+export function parseGeoJSONTracks(input) {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features || []
+    : geojson.type === 'Feature' ? [geojson] : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+  return features
+    .filter(feature => ['LineString', 'MultiLineString'].includes(feature.geometry?.type))
+    .map(feature => {
+      const lines = feature.geometry.type === 'LineString' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+      const times = feature.properties?.coordTimes || feature.properties?.times || [];
+      return {
+        name: feature.properties?.name || null,
+        segments: lines
+          .map((line, lineIndex) => {
+            const lineTimes = Array.isArray(times[lineIndex]) ? times[lineIndex] : times;
+            return line.map((position, i) => fromPosition(position, lineTimes[i])).filter(isValidPoint);
+          })
+          .filter(segment => segment.length > 0)
+      };
+    })
+    .filter(track => track.segments.length > 0);
+}
+
+// Detect the format of a route file from its contents
+export function detectRouteFormat(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed.startsWith('{')) {
+    return 'geojson';
+  }
+  if (trimmed.startsWith('<')) {
+    return /<(?:\w+:)?TrainingCenterDatabase\b/.test(trimmed) ? 'tcx' : 'gpx';
+  }
+  throw new Error('Unrecognized route file - expected GPX, TCX or GeoJSON');
+}
+
+/**
+ * Parse a route file, detecting GPX, TCX or GeoJSON from its contents
+ * @param {string} text - File contents
+ * @returns {Object} { format: 'gpx' | 'tcx' | 'geojson', points }
+ */
+export function parseRouteFile(text) {
+  const format = detectRouteFormat(text);
+  const trimmed = text.trim();
+  if (format === 'geojson') {
+    return { format, points: parseGeoJSON(trimmed) };
+  }
+  return { format, points: format === 'tcx' ? parseTCX(trimmed) : parseGPX(trimmed) };
+}
+
+/**
+ * Parse a route file into separate tracks (each a future journey)
+ * @param {string} text - File contents
+ * @returns {Object} { format, tracks: [{ name, segments: [[points]] }] }
+ */
+export function parseRouteFileTracks(text) {
+  const format = detectRouteFormat(text);
+  const trimmed = text.trim();
+  if (format === 'geojson') {
+    return { format, tracks: parseGeoJSONTracks(trimmed) };
+  }
+  return { format, tracks: format === 'tcx' ? parseTCXTracks(trimmed) : parseGPXTracks(trimmed) };
+}
+
+// Convert a saved journey's route into route points
+export function journeyToRoutePoints(journey) {
+  return (journey?.route || [])
+    .map(point => ({
+      latitude: point.latitude ?? point.lat,
+      longitude: point.longitude ?? point.lng,
+      altitude: point.altitude ?? null,
+      timestamp: parseTime(point.timestamp)
+    }))
+    .filter(isValidPoint);
+}
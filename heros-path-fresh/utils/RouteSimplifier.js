@@ -0,0 +1,103 @@
+/*
+ * ROUTE SIMPLIFIER
+ * ================
+ *
+ * PURPOSE:
+ * Reduces a recorded route to a small overview polyline with the Douglas-Peucker
+ * algorithm, keeping the points that define its shape and dropping the ones that lie
+ * (within a tolerance) on straight lines between them.
+ *
+ * FUNCTIONALITY:
+ * - Douglas-Peucker simplification with a tolerance in metres
+ * - Iterative (no recursion) so very long walks can't overflow the stack
+ * - Raises the tolerance until the overview fits a maximum point count
+ * - Always keeps the first and last points
+ *
+ * WHY IT EXISTS:
+ * Lists and maps only need a route's shape. Storing a few hundred overview points on
+ * the journey document keeps it small, while the full-resolution route is stored in
+ * chunks and loaded only when needed.
+ *
+ * RELATIONSHIPS:
+ * - JourneyService.js stores the overview on the journey document
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+const METRES_PER_DEGREE = 111320;
+
+export const ROUTE_OVERVIEW_CONFIG = {
+  TOLERANCE: 5,     // Metres a dropped point may lie off the simplified line
+  MAX_POINTS: 500   // Overview size limit - tolerance doubles until the route fits
+};
+
+// Distance in metres from p to the segment a-b (local flat projection - fine at walking scale)
+function distanceToSegment(p, a, b) {
+  const cosLat = Math.cos(a.latitude * Math.PI / 180);
+  const bx = (b.longitude - a.longitude) * METRES_PER_DEGREE * cosLat;
+  const by = (b.latitude - a.latitude) * METRES_PER_DEGREE;
+  const px = (p.longitude - a.longitude) * METRES_PER_DEGREE * cosLat;
+  const py = (p.latitude - a.latitude) * METRES_PER_DEGREE;
+
+  const lengthSq = bx * bx + by * by;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq)) : 0;
+  return Math.hypot(px - t * bx, py - t * by);
+}
+
+/**
+ * Douglas-Peucker simplification
+ * @param {Array} points - Route points { latitude, longitude, ... }
+ * @param {number} tolerance - Maximum distance (metres) a dropped point may lie off the line
+ * @returns {Array} The kept points (original objects, in order)
+ */
+export function douglasPeucker(points, tolerance) {
+  if (!points || points.length <= 2) {
+    return points ? [...points] : [];
+  }
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Build an overview polyline for a route
+ * @param {Array} points - Full-resolution route points
+ * @param {Object} options - Overrides for ROUTE_OVERVIEW_CONFIG
+ * @returns {Array} At most MAX_POINTS points
+ */
+export function simplifyRoute(points, options = {}) {
+  const config = { ...ROUTE_OVERVIEW_CONFIG, ...options };
+  let tolerance = config.TOLERANCE;
+  let overview = douglasPeucker(points, tolerance);
+
+  while (overview.length > config.MAX_POINTS) {
+    tolerance *= 2;
+    overview = douglasPeucker(points, tolerance);
+  }
+
+  return overview;
+}
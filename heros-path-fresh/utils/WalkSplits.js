@@ -0,0 +1,132 @@
+/*
+ * WALK SPLITS
+ * ===========
+ *
+ * PURPOSE:
+ * Turns the route points of a walk into cumulative distance and per-kilometre (or
+ * per-mile) split records while the walk is being recorded. Each split remembers how
+ * long that stretch took, both on the clock and in moving time, so pace can be compared
+ * across a walk and shown again afterwards.
+ *
+ * FUNCTIONALITY:
+ * - Adds route points one at a time and accumulates distance
+ * - Interpolates the exact time each split boundary was crossed between two fixes
+ * - Records elapsed and moving time (stops excluded) plus pace for every split
+ * - Rebuilds the same splits from a stored route (e.g. after a background relaunch)
+ * - Reports the split in progress for the live HUD
+ *
+ * WHY IT EXISTS:
+ * Fixes arrive every few metres, never exactly on a kilometre mark. Interpolating the
+ * crossing time keeps split times honest instead of rounding them to the next fix.
+ *
+ * RELATIONSHIPS:
+ * - BackgroundLocationService.js keeps a split state for the recording journey
+ * - WalkHUD.js shows the live numbers on the map
+ * - PastJourneysScreen.js and JourneyDetailScreen.js show saved splits
+ *
+ * REFERENCES:
+ * - None (pure functions)
+ */
+
+import { distanceBetween } from './GeoUtils';
+
+export const SPLIT_UNITS = {
+  km: { key: 'km', label: 'km', name: 'Kilometres', distance: 1000 },
+  mi: { key: 'mi', label: 'mi', name: 'Miles', distance: 1609.344 }
+};
+
+export const DEFAULT_SPLIT_UNIT = 'km';
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Look up a split unit, falling back to kilometres
+export function getSplitUnit(unit) {
+  return SPLIT_UNITS[unit] || SPLIT_UNITS[DEFAULT_SPLIT_UNIT];
+}
+
+/**
+ * Create an empty split state for a walk
+ * @param {string} unit - 'km' or 'mi'
+ * @param {number} startTime - Walk start (ms) - the first split is timed from here
+ * @returns {Object} Split state for addSplitPoint
+ */
+export function createSplitState(unit, startTime) {
+  return {
+    unit: getSplitUnit(unit).key,
+    distance: 0,
+    lastPoint: null,
+    splitStart: { distance: 0, time: startTime, movingTime: 0 },
+    splits: []
+  };
+}
+
+/**
+ * Add a route point and record any split boundaries crossed since the previous one
+ * @param {Object} state - From createSplitState (updated in place)
+ * @param {Object} point - { latitude, longitude, timestamp }
+ * @param {Function} getMovingTime - (timestamp) => moving seconds since the walk started
+ * @returns {Array} Splits completed by this point (usually empty)
+ */
+export function addSplitPoint(state, point, getMovingTime) {
+  const previous = state.lastPoint;
+  state.lastPoint = { latitude: point.latitude, longitude: point.longitude, timestamp: point.timestamp };
+  if (!previous) {
+    return [];
+  }
+
+  const segment = distanceBetween(previous, point);
+  const startDistance = state.distance;
+  state.distance += segment;
+
+  const unitDistance = getSplitUnit(state.unit).distance;
+  const completed = [];
+
+  while (segment > 0 && (state.splits.length + 1) * unitDistance <= state.distance) {
+    const boundary = (state.splits.length + 1) * unitDistance;
+    const fraction = (boundary - startDistance) / segment;
+    const time = previous.timestamp + fraction * (point.timestamp - previous.timestamp);
+    const movingTimeAtBoundary = getMovingTime(time);
+    const movingTime = Math.max(0, movingTimeAtBoundary - state.splitStart.movingTime);
+
+    const split = {
+      index: state.splits.length + 1,
+      unit: state.unit,
+      distance: unitDistance,
+      endTime: Math.round(time),
+      elapsedTime: round1(Math.max(0, (time - state.splitStart.time) / 1000)),
+      movingTime: round1(movingTime),
+      pace: round1(movingTime) // seconds per unit - every completed split is exactly one unit
+    };
+
+    state.splits.push(split);
+    completed.push(split);
+    state.splitStart = { distance: boundary, time, movingTime: movingTimeAtBoundary };
+  }
+
+  return completed;
+}
+
+// Replay a stored route into a fresh split state
+export function buildSplits(points, unit, startTime, getMovingTime) {
+  const state = createSplitState(unit, startTime);
+  (points || []).forEach(point => addSplitPoint(state, point, getMovingTime));
+  return state;
+}
+
+/**
+ * Describe the split in progress
+ * @param {Object} state - Split state
+ * @param {number} now - Current time (ms)
+ * @param {Function} getMovingTime - (timestamp) => moving seconds since the walk started
+ * @returns {Object} { index, distance, elapsedTime, movingTime } for the unfinished split
+ */
+export function getCurrentSplit(state, now, getMovingTime) {
+  return {
+    index: state.splits.length + 1,
+    distance: Math.max(0, state.distance - state.splitStart.distance),
+    elapsedTime: Math.max(0, (now - state.splitStart.time) / 1000),
+    movingTime: Math.max(0, getMovingTime(now) - state.splitStart.movingTime)
+  };
+}